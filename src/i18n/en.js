@@ -0,0 +1,327 @@
+/**
+ * TimeUp - English messages
+ * The reference catalog: every key lives here, and other languages fall back
+ * to it for keys they don't translate. Values may hold {placeholders}; those
+ * with a plural form map Intl.PluralRules categories to text.
+ */
+
+const en = {
+  // Timer
+  "timer.start": "Start",
+  "timer.stop": "Stop",
+  "timer.pause": "Pause",
+  "timer.resume": "Resume",
+  "timer.startTitle": "Start Timer",
+  "timer.stopTitle": "Stop Timer",
+  "timer.pauseTitle": "Pause Timer",
+  "timer.resumeTitle": "Resume Timer",
+  "timer.total": "Total: {time}",
+  "timer.description": "What are you working on?",
+  "timer.descriptionLabel": "Timer description",
+  "timer.noCategory": "No category",
+  "timer.category": "Category",
+  "timer.actionFailed": "Timer action failed: {error}",
+  "timer.startFailed": "Failed to start timer: {error}",
+  "timer.stopFailed": "Failed to stop timer: {error}",
+  "timer.error": "Timer error: {error}",
+  "commentLog.failed":
+    "The time was saved, but its comment couldn't be posted on the card: {error}",
+
+  // Focus mode
+  "focus.work": "Focus {cycle} · {time} left",
+  "focus.shortBreak": "Short break",
+  "focus.longBreak": "Long break",
+  "focus.breakStarted": "Focus interval done. Take a {time} break.",
+  "focus.confirmOverrun":
+    "Your focus interval ended {overrun} ago, with the card closed. Did you keep working? OK keeps that time in the entry; Cancel ends the entry with the interval.",
+  "focus.overrun":
+    "Your focus interval ended {overrun} ago. That time was kept in the entry. Take a {time} break.",
+  "focus.overrunLeftOut":
+    "Your focus interval ended {overrun} ago. The entry ends with it. Take a {time} break.",
+  "focus.breakOver": "Break over. Start the timer for the next interval.",
+  "focus.failed": "Failed to end the focus interval: {error}",
+
+  // Timer on another card, and forgotten timers
+  "elsewhere.running": 'Your timer is running on "{card}"',
+  "elsewhere.stopped": 'Stopped your timer on "{card}"',
+  "elsewhere.stoppedUnnamed": "Stopped your timer on another card",
+  "elsewhere.open": "Open card",
+  "forgotten.text":
+    "Timer running for {time}, since {start}. Forgot to stop it?",
+  "forgotten.stopTime": "Stop time",
+  "forgotten.stopAt": "Stop at",
+  "forgotten.keep": "Keep running",
+  "forgotten.chooseTime": "Choose when you stopped working",
+
+  // Estimates
+  "estimate.label": "Estimate:",
+  "estimate.inputLabel": "Time estimate",
+  "estimate.placeholder": "e.g. 2h 30m",
+  "estimate.set": "Set",
+  "estimate.clear": "Clear",
+  "estimate.left": "{time} left",
+  "estimate.over": "{time} over",
+  "estimate.invalid": 'Invalid time format. Try "2d", "2h" or "30m".',
+  "estimate.invalidReason":
+    'Invalid time format: {error}. Try "2d", "2h" or "30m".',
+  "estimate.setFailed": "Failed to set estimate: {error}",
+  "estimate.clearFailed": "Failed to clear estimate: {error}",
+
+  // Entries
+  "entries.empty": "No time entries yet",
+  "entries.emptyShort": "No entries yet",
+  "entries.history": "History ({count})",
+  "entries.count": { one: "{count} entry", other: "{count} entries" },
+  "entries.export": "Export",
+  "entries.exportTitle": "Export all entries as CSV",
+  "entries.add": "+ Add",
+  "entries.addTitle": "Add a time entry",
+  "entries.newer": "Newer entries",
+  "entries.older": "Older entries",
+  "entries.start": "Start:",
+  "entries.duration": "Duration:",
+  "entries.durationPlaceholder": "e.g. 2h 30m",
+  "entries.orEnd": "or end:",
+  "entries.member": "Member:",
+  "entries.category": "Category:",
+  "entries.checklist": "Checklist:",
+  "entries.description": "Desc:",
+  "entries.unknownMember": "— Unknown —",
+  "entries.me": "— Me —",
+  "entries.none": "— None —",
+  "entries.cancel": "Cancel",
+  "entries.save": "Save",
+  "entries.addButton": "Add",
+  "entries.deleteTitle": "Delete entry",
+  "entries.confirmDelete": "Delete this entry?",
+  "entries.invalidDuration": "Invalid duration",
+  "entries.enterStart": "Enter the date and time the work started",
+  "entries.enterDuration": "Enter a duration or an end time",
+  "entries.loadFailed": "Failed to load entries: {error}",
+  "entries.deleteFailed": "Failed to delete entry: {error}",
+  "entries.updateFailed": "Update failed",
+  "entries.addFailed": "Failed to add entry: {error}",
+
+  // Checklist items
+  "checklist.estimate": "Estimate",
+  "checklist.tracked": "Tracked",
+  "checklist.startTitle": "Start task timer",
+  "checklist.stopTitle": "Stop task timer",
+  "checklist.pauseTitle": "Pause task timer",
+  "checklist.resumeTitle": "Resume task timer",
+  "checklist.running": "Running",
+  "checklist.paused": "Paused",
+  "checklist.over": "Over",
+  "checklist.toggleFailed": "Failed to toggle timer: {error}",
+  "checklist.pauseFailed": "Failed to pause timer: {error}",
+  "checklist.resumeFailed": "Failed to resume timer: {error}",
+
+  // Time on deleted checklist items
+  "orphaned.title": "Time on deleted checklist items",
+  "orphaned.item": "Deleted item",
+  "orphaned.stillRunning": "Timer still running",
+  "orphaned.card": "The card",
+  "orphaned.target": "Move the time to",
+  "orphaned.move": "Move",
+  "orphaned.drop": "Drop",
+  "orphaned.confirmDrop": {
+    one: "Delete this item's entry? Its time is removed from the card.",
+    other:
+      "Delete this item's {count} entries? Their time is removed from the card.",
+  },
+  "orphaned.failed": "Failed to update the deleted item: {error}",
+
+  // Duration picker
+  "picker.title": "Set Duration",
+  "picker.placeholder": "e.g. 7:00, 1h 30m, 2d",
+  "picker.hint": "Format: 1h 30m, 1,5h, half an hour, 3 × 25m or 7:00",
+  "picker.hours": "Hours",
+  "picker.minutes": "Minutes",
+  "picker.apply": "Set Duration",
+  "picker.errorAt": "{error} (at character {position})",
+
+  // Durations that can't be read
+  "duration.empty": "Enter a duration",
+  "duration.negative": "A duration can't be negative",
+  "duration.expected": "Expected a duration",
+  "duration.expectedBefore": 'Expected a duration before "{text}"',
+  "duration.numberBefore": 'Expected a number before "{text}"',
+  "duration.unknownUnit": 'Unknown unit "{text}"',
+  "duration.addUnit": 'Add a unit to "{text}"',
+  "duration.unexpected": 'Unexpected "{text}"',
+  "duration.seconds": "Seconds must be under 60",
+  "duration.minutesSeconds": "Minutes and seconds must be under 60",
+  "duration.twoDurations": "Only one side of × can be a duration",
+
+  // CSV exports
+  "export.failed": "Export failed: {error}",
+  "export.empty": "No time entries to export",
+  "export.error": "Export error: {error}",
+
+  // Board report
+  "report.title": "Time Report",
+  "report.exportScope": "Entries to export",
+  "report.export": "Export CSV",
+  "report.refresh": "Refresh",
+  "report.wholeBoard": "Whole board",
+  "report.loading": "Loading report…",
+  "report.loadFailed": "Failed to load report: {error}",
+  "report.empty": "No time tracked on this board yet.",
+  "report.boardTotal": "Board total",
+  "report.billed": "Billed",
+  "report.estimated": "Estimated",
+  "report.cost": "Cost",
+  "report.cards": "Cards",
+  "report.lists": "Lists",
+  "report.members": "Members",
+  "report.labels": "Labels",
+  "report.name": "Name",
+  "report.tracked": "Tracked",
+  "report.estimate": "Estimate",
+  "report.difference": "Difference",
+
+  // Timesheet
+  "timesheet.title": "My Timesheet",
+  "timesheet.previousWeek": "Previous week",
+  "timesheet.thisWeek": "This week",
+  "timesheet.nextWeek": "Next week",
+  "timesheet.addCardLabel": "Add a card to the timesheet",
+  "timesheet.addCard": "Add a card…",
+  "timesheet.loading": "Loading timesheet…",
+  "timesheet.loadFailed": "Failed to load timesheet: {error}",
+  "timesheet.empty": "No time tracked this week.",
+  "timesheet.card": "Card",
+  "timesheet.total": "Total",
+  "timesheet.duration": "Duration",
+  "timesheet.description": "Description",
+  "timesheet.startTime": "Start time",
+  "timesheet.close": "Close",
+  "timesheet.delete": "Delete",
+  "timesheet.enterStart": "Enter the time the work started",
+  "timesheet.updateFailed": "Failed to update entry: {error}",
+
+  // Board settings
+  "settings.billing": "Billing",
+  "settings.currency": "Currency",
+  "settings.currencyPlaceholder": "USD",
+  "settings.hourlyRate": "Default hourly rate",
+  "settings.notBilled": "Not billed",
+  "settings.memberRates": "Member rates",
+  "settings.defaultRate": "Default",
+  "settings.rounding": "Rounding",
+  "settings.billedTime": "Billed time",
+  "settings.roundingNone": "As tracked",
+  "settings.roundingUp": "Rounded up",
+  "settings.roundingNearest": "Rounded to the nearest step",
+  "settings.roundingIncrement": "In steps of",
+  "settings.minutes": { one: "{count} minute", other: "{count} minutes" },
+  "settings.minimumBilled": "Minimum per entry (minutes)",
+  "settings.roundingHint":
+    "Each entry is rounded for costs, the board report and exports. The time tracked on cards stays as it is.",
+  "settings.categories": "Categories",
+  "settings.addCategory": "+ Add category",
+  "settings.categoryColor": "Color",
+  "settings.categoryName": "Name",
+  "settings.billable": "Billable",
+  "settings.removeCategory": "Remove category",
+  "settings.customFields": "Custom Fields",
+  "settings.trackedField": "Tracked hours",
+  "settings.estimateField": "Estimated hours",
+  "settings.dontSync": "Don't sync",
+  "settings.authorizeFields":
+    "Authorize TimeUp on a card to choose Custom Fields.",
+  "settings.noNumberFields":
+    "Add a Number Custom Field to the board to sync time to it.",
+  "settings.commentLog": "Comment log",
+  "settings.commentLogEnabled": "Comment on the card when a timer stops",
+  "settings.commentTemplate": "Comment template",
+  "settings.commentTemplateHint":
+    "Use {duration}, {member}, {description} and {item} for the checklist item.",
+  "settings.workWeek": "Work week",
+  "settings.hoursPerDay": "Hours per day",
+  "settings.daysPerWeek": "Days per week",
+  "settings.workWeekHint":
+    "Estimates such as 2d or 1w count in working days and weeks.",
+  "settings.focus": "Focus mode",
+  "settings.focusEnabled": "Run card timers in focus intervals with breaks",
+  "settings.focusWork": "Focus interval (minutes)",
+  "settings.focusShortBreak": "Short break (minutes)",
+  "settings.focusLongBreak": "Long break (minutes)",
+  "settings.focusLongBreakEvery": "Long break every",
+  "settings.focusHint":
+    "Each finished interval is logged as an entry. Breaks aren't tracked.",
+  "settings.save": "Save",
+  "settings.invalidCurrency":
+    "Enter a 3-letter currency code, such as USD or EUR",
+  "settings.invalidRate": "Rates must be numbers of zero or more",
+  "settings.invalidMinimum":
+    "The minimum billed per entry is 0 to {max} minutes",
+  "settings.unnamedCategory": "Give every category a name",
+  "settings.duplicateCategory": "Category names must be unique",
+  "settings.sameField":
+    "Sync tracked and estimated hours to different Custom Fields",
+  "settings.invalidWorkWeek":
+    "A working day lasts up to {hours} hours, and a week has 1 to {days} days",
+  "settings.invalidFocus":
+    "Focus intervals and breaks last 1 to {minutes} minutes, with a long break every 1 to {cycles} intervals",
+  "settings.saveFailed": "Failed to save settings: {error}",
+
+  // Member preferences
+  "preferences.display": "Display",
+  "preferences.showSeconds": "Show seconds",
+  "preferences.use24Hour": "Use the 24-hour clock",
+  "preferences.decimalHours": "Show totals in decimal hours (1.25 h)",
+  "preferences.timer": "Timer",
+  "preferences.autoStart": "Start the timer when I open a card",
+  "preferences.save": "Save",
+  "preferences.saveFailed": "Failed to save preferences: {error}",
+
+  // Authorization
+  "auth.read": "Allow access to load checklists correctly.",
+  "auth.write":
+    "Allow write access to keep this board's Custom Fields up to date.",
+  "auth.authorize": "Authorize Trello",
+
+  // Trello badges, buttons and popups
+  "badge.totalTime": "Total Time",
+  "badge.cost": "Cost",
+  "button.preferences": "Timer Preferences",
+  "button.report": "Time Report",
+  "button.timesheet": "My Timesheet",
+  "popup.settings": "TimeUp Settings",
+  "section.title": "Time Tracker",
+
+  // Errors services return, by code (see ERROR_CODES)
+  "error.LIMIT_EXCEEDED":
+    "This card's storage is full. Delete old entries to make room.",
+  "error.SCHEMA_TOO_NEW":
+    "This card was saved by a newer version of TimeUp. Reload the page.",
+  "error.WRITE_CONFLICT":
+    "A teammate saved this card at the same time. Try again.",
+  "error.TIMER_RUNNING": "Timer already running",
+  "error.TIMER_PAUSED": "Timer is paused, resume it instead",
+  "error.NO_RUNNING_TIMER": "No running timer",
+  "error.NOT_PAUSED": "Timer is not paused",
+  "error.NO_ACTIVE_TIMER": "No active timer",
+  "error.INVALID_STOP_TIME":
+    "Stop time must be after the timer started and not in the future",
+  "error.STOP_ELSEWHERE_FAILED":
+    "Could not stop your timer on another card: {cause}",
+  "error.FOCUS_OFF": "Focus mode is off on this board",
+  "error.FOCUS_NOT_OVER": "The focus interval isn't over yet",
+  "error.ENTRY_NOT_FOUND": "Entry not found",
+  "error.END_BEFORE_START": "End time must be after start time",
+  "error.END_IN_FUTURE": "Entries cannot end in the future",
+  "error.ITEM_TIMED_BY_OTHER": "Another member is timing this item",
+  "error.NO_ACTIVE_ITEM_TIMER": "No active timer for this item",
+  "error.NO_RUNNING_ITEM_TIMER": "No running timer for this item",
+  "error.ITEM_NOT_PAUSED": "Item timer is not paused",
+  "error.NO_ITEM_TIME": "No time tracked on this item",
+  "error.ITEM_TIMER_OPEN": "Stop the item's timer first",
+  "error.SAME_ITEM": "Choose another item",
+  "error.CARD_UNAVAILABLE": "Could not read the card",
+  "error.MEMBER_UNAVAILABLE": "Could not read the current member",
+  "error.NOT_AUTHORIZED": "TimeUp isn't authorized",
+};
+
+export default en;
@@ -0,0 +1,330 @@
+/**
+ * TimeUp - Spanish messages
+ */
+
+const es = {
+  // Timer
+  "timer.start": "Iniciar",
+  "timer.stop": "Detener",
+  "timer.pause": "Pausar",
+  "timer.resume": "Reanudar",
+  "timer.startTitle": "Iniciar temporizador",
+  "timer.stopTitle": "Detener temporizador",
+  "timer.pauseTitle": "Pausar temporizador",
+  "timer.resumeTitle": "Reanudar temporizador",
+  "timer.total": "Total: {time}",
+  "timer.description": "¿En qué estás trabajando?",
+  "timer.descriptionLabel": "Descripción del temporizador",
+  "timer.noCategory": "Sin categoría",
+  "timer.category": "Categoría",
+  "timer.actionFailed": "No se pudo actualizar el temporizador: {error}",
+  "timer.startFailed": "No se pudo iniciar el temporizador: {error}",
+  "timer.stopFailed": "No se pudo detener el temporizador: {error}",
+  "timer.error": "Error del temporizador: {error}",
+  "commentLog.failed":
+    "El tiempo se guardó, pero no se pudo publicar su comentario en la tarjeta: {error}",
+
+  // Focus mode
+  "focus.work": "Foco {cycle} · quedan {time}",
+  "focus.shortBreak": "Descanso corto",
+  "focus.longBreak": "Descanso largo",
+  "focus.breakStarted": "Intervalo de foco terminado. Descansa {time}.",
+  "focus.confirmOverrun":
+    "Tu intervalo de foco terminó hace {overrun}, con la tarjeta cerrada. ¿Seguiste trabajando? Aceptar guarda ese tiempo en la entrada; Cancelar termina la entrada con el intervalo.",
+  "focus.overrun":
+    "Tu intervalo de foco terminó hace {overrun}. Ese tiempo se guardó en la entrada. Descansa {time}.",
+  "focus.overrunLeftOut":
+    "Tu intervalo de foco terminó hace {overrun}. La entrada termina con él. Descansa {time}.",
+  "focus.breakOver":
+    "Fin del descanso. Inicia el temporizador para el siguiente intervalo.",
+  "focus.failed": "No se pudo terminar el intervalo de foco: {error}",
+
+  // Timer on another card, and forgotten timers
+  "elsewhere.running": "Tu temporizador está en marcha en «{card}»",
+  "elsewhere.stopped": "Se detuvo tu temporizador en «{card}»",
+  "elsewhere.stoppedUnnamed": "Se detuvo tu temporizador en otra tarjeta",
+  "elsewhere.open": "Abrir tarjeta",
+  "forgotten.text":
+    "Temporizador en marcha desde hace {time}, desde el {start}. ¿Olvidaste detenerlo?",
+  "forgotten.stopTime": "Hora de fin",
+  "forgotten.stopAt": "Detener a esa hora",
+  "forgotten.keep": "Seguir",
+  "forgotten.chooseTime": "Elige cuándo dejaste de trabajar",
+
+  // Estimates
+  "estimate.label": "Estimación:",
+  "estimate.inputLabel": "Tiempo estimado",
+  "estimate.placeholder": "p. ej. 2h 30m",
+  "estimate.set": "Fijar",
+  "estimate.clear": "Quitar",
+  "estimate.left": "quedan {time}",
+  "estimate.over": "{time} de más",
+  "estimate.invalid": "Formato de tiempo no válido. Prueba «2d», «2h» o «30m».",
+  "estimate.invalidReason":
+    "Formato de tiempo no válido: {error}. Prueba «2d», «2h» o «30m».",
+  "estimate.setFailed": "No se pudo fijar la estimación: {error}",
+  "estimate.clearFailed": "No se pudo quitar la estimación: {error}",
+
+  // Entries
+  "entries.empty": "Aún no hay registros de tiempo",
+  "entries.emptyShort": "Aún no hay registros",
+  "entries.history": "Historial ({count})",
+  "entries.count": { one: "{count} registro", other: "{count} registros" },
+  "entries.export": "Exportar",
+  "entries.exportTitle": "Exportar todos los registros como CSV",
+  "entries.add": "+ Añadir",
+  "entries.addTitle": "Añadir un registro de tiempo",
+  "entries.newer": "Registros más recientes",
+  "entries.older": "Registros anteriores",
+  "entries.start": "Inicio:",
+  "entries.duration": "Duración:",
+  "entries.durationPlaceholder": "p. ej. 2h 30m",
+  "entries.orEnd": "o fin:",
+  "entries.member": "Miembro:",
+  "entries.category": "Categoría:",
+  "entries.checklist": "Checklist:",
+  "entries.description": "Desc.:",
+  "entries.unknownMember": "— Desconocido —",
+  "entries.me": "— Yo —",
+  "entries.none": "— Ninguno —",
+  "entries.cancel": "Cancelar",
+  "entries.save": "Guardar",
+  "entries.addButton": "Añadir",
+  "entries.deleteTitle": "Eliminar registro",
+  "entries.confirmDelete": "¿Eliminar este registro?",
+  "entries.invalidDuration": "Duración no válida",
+  "entries.enterStart": "Indica la fecha y hora en que empezó el trabajo",
+  "entries.enterDuration": "Indica una duración o una hora de fin",
+  "entries.loadFailed": "No se pudieron cargar los registros: {error}",
+  "entries.deleteFailed": "No se pudo eliminar el registro: {error}",
+  "entries.updateFailed": "No se pudo actualizar el registro",
+  "entries.addFailed": "No se pudo añadir el registro: {error}",
+
+  // Checklist items
+  "checklist.estimate": "Estimación",
+  "checklist.tracked": "Registrado",
+  "checklist.startTitle": "Iniciar temporizador de la tarea",
+  "checklist.stopTitle": "Detener temporizador de la tarea",
+  "checklist.pauseTitle": "Pausar temporizador de la tarea",
+  "checklist.resumeTitle": "Reanudar temporizador de la tarea",
+  "checklist.running": "En marcha",
+  "checklist.paused": "En pausa",
+  "checklist.over": "Excedido",
+  "checklist.toggleFailed": "No se pudo cambiar el temporizador: {error}",
+  "checklist.pauseFailed": "No se pudo pausar el temporizador: {error}",
+  "checklist.resumeFailed": "No se pudo reanudar el temporizador: {error}",
+
+  // Time on deleted checklist items
+  "orphaned.title": "Tiempo en elementos de checklist eliminados",
+  "orphaned.item": "Elemento eliminado",
+  "orphaned.stillRunning": "Temporizador aún en marcha",
+  "orphaned.card": "La tarjeta",
+  "orphaned.target": "Mover el tiempo a",
+  "orphaned.move": "Mover",
+  "orphaned.drop": "Descartar",
+  "orphaned.confirmDrop": {
+    one: "¿Eliminar el registro de este elemento? Su tiempo se quita de la tarjeta.",
+    other:
+      "¿Eliminar los {count} registros de este elemento? Su tiempo se quita de la tarjeta.",
+  },
+  "orphaned.failed": "No se pudo actualizar el elemento eliminado: {error}",
+
+  // Duration picker
+  "picker.title": "Fijar duración",
+  "picker.placeholder": "p. ej. 7:00, 1h 30m, 2d",
+  "picker.hint": "Formato: 1h 30m, 1,5h, media hora, 3 × 25m o 7:00",
+  "picker.hours": "Horas",
+  "picker.minutes": "Minutos",
+  "picker.apply": "Fijar duración",
+  "picker.errorAt": "{error} (en el carácter {position})",
+
+  // Durations that can't be read
+  "duration.empty": "Indica una duración",
+  "duration.negative": "Una duración no puede ser negativa",
+  "duration.expected": "Falta una duración",
+  "duration.expectedBefore": "Falta una duración antes de «{text}»",
+  "duration.numberBefore": "Falta un número antes de «{text}»",
+  "duration.unknownUnit": "Unidad desconocida «{text}»",
+  "duration.addUnit": "Añade una unidad a «{text}»",
+  "duration.unexpected": "«{text}» inesperado",
+  "duration.seconds": "Los segundos deben ser menos de 60",
+  "duration.minutesSeconds": "Los minutos y segundos deben ser menos de 60",
+  "duration.twoDurations": "Solo un lado de × puede ser una duración",
+
+  // CSV exports
+  "export.failed": "No se pudo exportar: {error}",
+  "export.empty": "No hay registros de tiempo que exportar",
+  "export.error": "Error al exportar: {error}",
+
+  // Board report
+  "report.title": "Informe de tiempo",
+  "report.exportScope": "Registros a exportar",
+  "report.export": "Exportar CSV",
+  "report.refresh": "Actualizar",
+  "report.wholeBoard": "Todo el tablero",
+  "report.loading": "Cargando informe…",
+  "report.loadFailed": "No se pudo cargar el informe: {error}",
+  "report.empty": "Aún no se ha registrado tiempo en este tablero.",
+  "report.boardTotal": "Total del tablero",
+  "report.billed": "Facturado",
+  "report.estimated": "Estimado",
+  "report.cost": "Coste",
+  "report.cards": "Tarjetas",
+  "report.lists": "Listas",
+  "report.members": "Miembros",
+  "report.labels": "Etiquetas",
+  "report.name": "Nombre",
+  "report.tracked": "Registrado",
+  "report.estimate": "Estimación",
+  "report.difference": "Diferencia",
+
+  // Timesheet
+  "timesheet.title": "Mi hoja de horas",
+  "timesheet.previousWeek": "Semana anterior",
+  "timesheet.thisWeek": "Esta semana",
+  "timesheet.nextWeek": "Semana siguiente",
+  "timesheet.addCardLabel": "Añadir una tarjeta a la hoja de horas",
+  "timesheet.addCard": "Añadir una tarjeta…",
+  "timesheet.loading": "Cargando hoja de horas…",
+  "timesheet.loadFailed": "No se pudo cargar la hoja de horas: {error}",
+  "timesheet.empty": "No hay tiempo registrado esta semana.",
+  "timesheet.card": "Tarjeta",
+  "timesheet.total": "Total",
+  "timesheet.duration": "Duración",
+  "timesheet.description": "Descripción",
+  "timesheet.startTime": "Hora de inicio",
+  "timesheet.close": "Cerrar",
+  "timesheet.delete": "Eliminar",
+  "timesheet.enterStart": "Indica la hora a la que empezó el trabajo",
+  "timesheet.updateFailed": "No se pudo actualizar el registro: {error}",
+
+  // Board settings
+  "settings.billing": "Facturación",
+  "settings.currency": "Moneda",
+  "settings.currencyPlaceholder": "EUR",
+  "settings.hourlyRate": "Tarifa por hora predeterminada",
+  "settings.notBilled": "No se factura",
+  "settings.memberRates": "Tarifas por miembro",
+  "settings.defaultRate": "Predeterminada",
+  "settings.rounding": "Redondeo",
+  "settings.billedTime": "Tiempo facturado",
+  "settings.roundingNone": "Tal como se registró",
+  "settings.roundingUp": "Redondeado hacia arriba",
+  "settings.roundingNearest": "Redondeado al paso más cercano",
+  "settings.roundingIncrement": "En pasos de",
+  "settings.minutes": { one: "{count} minuto", other: "{count} minutos" },
+  "settings.minimumBilled": "Mínimo por registro (minutos)",
+  "settings.roundingHint":
+    "Cada registro se redondea para los costes, el informe del tablero y las exportaciones. El tiempo registrado en las tarjetas no cambia.",
+  "settings.categories": "Categorías",
+  "settings.addCategory": "+ Añadir categoría",
+  "settings.categoryColor": "Color",
+  "settings.categoryName": "Nombre",
+  "settings.billable": "Facturable",
+  "settings.removeCategory": "Quitar categoría",
+  "settings.customFields": "Custom Fields",
+  "settings.trackedField": "Horas registradas",
+  "settings.estimateField": "Horas estimadas",
+  "settings.dontSync": "No sincronizar",
+  "settings.authorizeFields":
+    "Autoriza TimeUp en una tarjeta para elegir los Custom Fields.",
+  "settings.noNumberFields":
+    "Añade un Custom Field de tipo Número al tablero para sincronizar el tiempo con él.",
+  "settings.commentLog": "Registro en comentarios",
+  "settings.commentLogEnabled":
+    "Comentar en la tarjeta cuando se detiene un temporizador",
+  "settings.commentTemplate": "Plantilla del comentario",
+  "settings.commentTemplateHint":
+    "Usa {duration}, {member}, {description} e {item} para el elemento de la checklist.",
+  "settings.workWeek": "Semana laboral",
+  "settings.hoursPerDay": "Horas por día",
+  "settings.daysPerWeek": "Días por semana",
+  "settings.workWeekHint":
+    "Las estimaciones como 2d o 1w cuentan en días y semanas laborables.",
+  "settings.focus": "Modo concentración",
+  "settings.focusEnabled":
+    "Usar intervalos de concentración con descansos en los temporizadores",
+  "settings.focusWork": "Intervalo de concentración (minutos)",
+  "settings.focusShortBreak": "Descanso corto (minutos)",
+  "settings.focusLongBreak": "Descanso largo (minutos)",
+  "settings.focusLongBreakEvery": "Descanso largo cada",
+  "settings.focusHint":
+    "Cada intervalo terminado se guarda como un registro. Los descansos no se registran.",
+  "settings.save": "Guardar",
+  "settings.invalidCurrency":
+    "Indica un código de moneda de 3 letras, como USD o EUR",
+  "settings.invalidRate":
+    "Las tarifas deben ser números iguales o mayores que cero",
+  "settings.invalidMinimum":
+    "El mínimo facturado por registro es de 0 a {max} minutos",
+  "settings.unnamedCategory": "Pon nombre a todas las categorías",
+  "settings.duplicateCategory": "Los nombres de categoría deben ser únicos",
+  "settings.sameField":
+    "Sincroniza las horas registradas y estimadas con Custom Fields distintos",
+  "settings.invalidWorkWeek":
+    "Un día laborable dura hasta {hours} horas, y una semana tiene de 1 a {days} días",
+  "settings.invalidFocus":
+    "Los intervalos y descansos duran de 1 a {minutes} minutos, con un descanso largo cada 1 a {cycles} intervalos",
+  "settings.saveFailed": "No se pudieron guardar los ajustes: {error}",
+
+  // Member preferences
+  "preferences.display": "Visualización",
+  "preferences.showSeconds": "Mostrar segundos",
+  "preferences.use24Hour": "Usar el reloj de 24 horas",
+  "preferences.decimalHours": "Mostrar los totales en horas decimales (1,25 h)",
+  "preferences.timer": "Temporizador",
+  "preferences.autoStart": "Iniciar el temporizador al abrir una tarjeta",
+  "preferences.save": "Guardar",
+  "preferences.saveFailed": "No se pudieron guardar las preferencias: {error}",
+
+  // Authorization
+  "auth.read": "Permite el acceso para cargar bien las checklists.",
+  "auth.write":
+    "Permite el acceso de escritura para mantener al día los Custom Fields del tablero.",
+  "auth.authorize": "Autorizar Trello",
+
+  // Trello badges, buttons and popups
+  "badge.totalTime": "Tiempo total",
+  "badge.cost": "Coste",
+  "button.preferences": "Preferencias del temporizador",
+  "button.report": "Informe de tiempo",
+  "button.timesheet": "Mi hoja de horas",
+  "popup.settings": "Ajustes de TimeUp",
+  "section.title": "Registro de tiempo",
+
+  // Errores que devuelven los servicios, por código (ver ERROR_CODES)
+  "error.LIMIT_EXCEEDED":
+    "El almacenamiento de esta tarjeta está lleno. Elimina entradas antiguas para liberar espacio.",
+  "error.SCHEMA_TOO_NEW":
+    "Esta tarjeta se guardó con una versión más reciente de TimeUp. Recarga la página.",
+  "error.WRITE_CONFLICT":
+    "Un compañero guardó esta tarjeta al mismo tiempo. Inténtalo de nuevo.",
+  "error.TIMER_RUNNING": "El temporizador ya está en marcha",
+  "error.TIMER_PAUSED": "El temporizador está en pausa; reanúdalo",
+  "error.NO_RUNNING_TIMER": "No hay ningún temporizador en marcha",
+  "error.NOT_PAUSED": "El temporizador no está en pausa",
+  "error.NO_ACTIVE_TIMER": "No hay ningún temporizador activo",
+  "error.INVALID_STOP_TIME":
+    "La hora de parada debe ser posterior al inicio del temporizador y no estar en el futuro",
+  "error.STOP_ELSEWHERE_FAILED":
+    "No se pudo detener tu temporizador en otra tarjeta: {cause}",
+  "error.FOCUS_OFF": "El modo concentración está desactivado en este tablero",
+  "error.FOCUS_NOT_OVER": "El intervalo de foco aún no ha terminado",
+  "error.ENTRY_NOT_FOUND": "No se encontró la entrada",
+  "error.END_BEFORE_START": "La hora de fin debe ser posterior a la de inicio",
+  "error.END_IN_FUTURE": "Las entradas no pueden terminar en el futuro",
+  "error.ITEM_TIMED_BY_OTHER": "Otro miembro está cronometrando este elemento",
+  "error.NO_ACTIVE_ITEM_TIMER":
+    "No hay ningún temporizador activo en este elemento",
+  "error.NO_RUNNING_ITEM_TIMER":
+    "No hay ningún temporizador en marcha en este elemento",
+  "error.ITEM_NOT_PAUSED": "El temporizador del elemento no está en pausa",
+  "error.NO_ITEM_TIME": "No hay tiempo registrado en este elemento",
+  "error.ITEM_TIMER_OPEN": "Detén primero el temporizador del elemento",
+  "error.SAME_ITEM": "Elige otro elemento",
+  "error.CARD_UNAVAILABLE": "No se pudo leer la tarjeta",
+  "error.MEMBER_UNAVAILABLE": "No se pudo leer el miembro actual",
+  "error.NOT_AUTHORIZED": "TimeUp no está autorizado",
+};
+
+export default es;
@@ -3,12 +3,19 @@
  * Registers all Power-Up capabilities with Trello
  */
 
-import { TIMER_STATE, APP_INFO, BADGE_COLORS } from "./utils/constants.js";
+import { APP_INFO, BADGE_COLORS, DEFAULTS } from "./utils/constants.js";
 import { AppConfig } from "./config/AppConfig.js";
-import { formatDuration, getRemainingTime } from "./utils/formatTime.js";
+import {
+  formatDuration,
+  getFormatOptions,
+  getRemainingTime,
+} from "./utils/formatTime.js";
+import { formatCurrency } from "./utils/formatCurrency.js";
+import { initLocale, translate } from "./utils/i18n.js";
 import StorageService from "./services/StorageService.js";
 import TimerService from "./services/TimerService.js";
-import { getRunningCheckItem } from "./services/ChecklistService.js";
+import BillingService from "./services/BillingService.js";
+import FocusService from "./services/FocusService.js";
 
 // SVG clock icon (works well on dark backgrounds)
 const ICON_TIMER =
@@ -26,26 +33,67 @@ const ICON_PLAY =
 
 /**
  * Initializes the Trello Power-Up with all capabilities.
+ * Each capability first switches to the member's locale, which Trello only
+ * reports through the client it passes in.
  */
 /* global TrelloPowerUp */
 TrelloPowerUp.initialize(
   {
     "card-badges": async (t) => {
+      initLocale(t);
       try {
         const timerData = await StorageService.getTimerData(t);
         const badges = [];
 
-        // Check if any timer is running (global or checklist)
-        const isGlobalRunning = timerData.state === TIMER_STATE.RUNNING;
-        const runningCheckItem = getRunningCheckItem(timerData);
-        const isAnyTimerRunning = isGlobalRunning || runningCheckItem.isRunning;
+        // Members timing this card, on the card or on a checklist item
+        const { running, paused } = TimerService.getActiveTimers(timerData);
 
-        // Show play icon badge when a timer is running
-        if (isAnyTimerRunning) {
+        // Timers running for longer than the member's threshold, or since an
+        // earlier day, were probably left running by accident
+        const preferences = await StorageService.getUserPreferences(t);
+        const forgotten = TimerService.getForgottenTimers(
+          timerData,
+          preferences.forgottenTimerThreshold ??
+            DEFAULTS.USER_PREFERENCES.forgottenTimerThreshold,
+        );
+
+        // End of the latest focus break taken on the card
+        const breakEnd = FocusService.getLatestBreakEnd(timerData);
+
+        // Flag the longest forgotten timer; otherwise show a play icon badge
+        // when a timer is running, with a count when several members are
+        // timing the card at once
+        if (forgotten.length > 0) {
+          const longest = Date.now() - forgotten[0].startTime;
           badges.push({
-            text: "▶︎",
+            text: `⚠ ${formatDuration(longest, { compact: true, showSeconds: false })}`,
+            color: BADGE_COLORS.FORGOTTEN,
+          });
+        } else if (running.length > 0) {
+          badges.push({
+            text: running.length > 1 ? `▶︎ ${running.length}` : "▶︎",
             color: "green",
           });
+        } else if (paused.length > 0) {
+          // Paused timers get their own badge so they aren't mistaken for idle
+          badges.push({
+            text: "❚❚",
+            color: BADGE_COLORS.PAUSED,
+          });
+        } else if (breakEnd) {
+          // Focus breaks count down on the card until they are over
+          badges.push({
+            dynamic: () => {
+              const remaining = breakEnd - Date.now();
+              return remaining > 0
+                ? {
+                    text: `☕ ${formatDuration(remaining, { compact: true, showSeconds: false })}`,
+                    color: BADGE_COLORS.BREAK,
+                    refresh: 30,
+                  }
+                : { text: "" };
+            },
+          });
         }
 
         // Show remaining time if estimate is set
@@ -54,16 +102,32 @@ TrelloPowerUp.initialize(
           timerData.estimatedTime,
         );
         if (remainingInfo) {
+          // Counted in the board's working days, like the estimate
+          const { workSchedule } = await StorageService.getBoardSettings(t);
+          const estimateOptions = {
+            compact: true,
+            showSeconds: false,
+            workSchedule: workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule,
+          };
           let color = BADGE_COLORS.DEFAULT;
           let text = "";
           if (remainingInfo.isOverBudget) {
             color = BADGE_COLORS.OVER_BUDGET;
-            text = `${formatDuration(Math.abs(remainingInfo.remaining), { compact: true, showSeconds: false })} over`;
+            text = translate("estimate.over", {
+              time: formatDuration(
+                Math.abs(remainingInfo.remaining),
+                estimateOptions,
+              ),
+            });
           } else if (remainingInfo.percentComplete >= 80) {
             color = BADGE_COLORS.WARNING;
-            text = `${formatDuration(remainingInfo.remaining, { compact: true, showSeconds: false })} left`;
+            text = translate("estimate.left", {
+              time: formatDuration(remainingInfo.remaining, estimateOptions),
+            });
           } else {
-            text = `${formatDuration(remainingInfo.remaining, { compact: true, showSeconds: false })} left`;
+            text = translate("estimate.left", {
+              time: formatDuration(remainingInfo.remaining, estimateOptions),
+            });
           }
           badges.push({ text, color });
         }
@@ -75,6 +139,7 @@ TrelloPowerUp.initialize(
     },
 
     "card-detail-badges": async (t) => {
+      initLocale(t);
       try {
         const timerData = await StorageService.getTimerData(t);
 
@@ -83,22 +148,95 @@ TrelloPowerUp.initialize(
           return [];
         }
 
-        return [
+        const preferences = await StorageService.getUserPreferences(t);
+        const badges = [
           {
-            title: "Total Time",
-            text: formatDuration(timerData.totalTime, { compact: true }),
+            title: translate("badge.totalTime"),
+            text: formatDuration(timerData.totalTime, {
+              ...getFormatOptions(preferences),
+              compact: true,
+            }),
             color: null,
           },
         ];
+
+        // Cost of the tracked time, when the board sets hourly rates
+        const settings = await StorageService.getBoardSettings(t);
+        const cost = await BillingService.getCardCost(t, timerData, settings);
+        if (cost !== null) {
+          badges.push({
+            title: translate("badge.cost"),
+            text: formatCurrency(cost, settings.currency),
+            color: null,
+          });
+        }
+
+        return badges;
       } catch (error) {
         return [];
       }
     },
 
+    // Member preferences: time display and starting timers on open
+    "card-buttons": async (t) => {
+      initLocale(t);
+      return [
+        {
+          icon: ICON_TIMER,
+          text: translate("button.preferences"),
+          callback: (t) =>
+            t.popup({
+              title: translate("button.preferences"),
+              url: "./views/preferences.html",
+              height: 220,
+            }),
+        },
+      ];
+    },
+
+    // Board-wide time report and the member's weekly timesheet
+    "board-buttons": async (t) => {
+      initLocale(t);
+      return [
+        {
+          icon: ICON_TIMER,
+          text: translate("button.report"),
+          callback: (t) =>
+            t.modal({
+              url: "./views/board-report.html",
+              title: translate("button.report"),
+              fullscreen: false,
+            }),
+        },
+        {
+          icon: ICON_TIMER,
+          text: translate("button.timesheet"),
+          callback: (t) =>
+            t.modal({
+              url: "./views/timesheet.html",
+              title: translate("button.timesheet"),
+              fullscreen: false,
+            }),
+        },
+      ];
+    },
+
+    // Board settings: billing, rounding, categories, Custom Field sync,
+    // comment log and work week
+    "show-settings": (t) => {
+      initLocale(t);
+      return t.popup({
+        title: translate("popup.settings"),
+        url: "./views/settings.html",
+        height: 900,
+      });
+    },
+
     // Embed timer section directly inside the card
     "card-back-section": async (t) => {
+      initLocale(t);
       return {
-        title: "Time Tracker",
+        title: translate("section.title"),
         icon: ICON_TIMER,
         content: {
           type: "iframe",
@@ -0,0 +1,167 @@
+/**
+ * TimeUp - Billing Service
+ * Calculates the cost of tracked time from the board's hourly rates
+ */
+
+import {
+  DEFAULTS,
+  ROUNDING_MODES,
+  ROUNDING_INCREMENTS,
+  TIME,
+} from "../utils/constants.js";
+import CategoryService from "./CategoryService.js";
+import StorageService from "./StorageService.js";
+
+/**
+ * Checks whether the board bills time at all.
+ * @param {Object|null} settings - Board settings
+ * @returns {boolean} True if a default rate or any member rate is set
+ */
+export const hasRates = (settings) =>
+  settings?.hourlyRate != null ||
+  Object.keys(settings?.memberRates ?? {}).length > 0;
+
+/**
+ * Gets the hourly rate time of a member is billed at: their own rate if the
+ * board sets one, otherwise the default rate.
+ * @param {Object|null} settings - Board settings
+ * @param {string|null} memberId - Member ID; null for unassigned time
+ * @returns {number|null} Hourly rate, or null if the time isn't billed
+ */
+export const getMemberRate = (settings, memberId) =>
+  (memberId ? settings?.memberRates?.[memberId] : null) ??
+  settings?.hourlyRate ??
+  null;
+
+/**
+ * Gets the board's rounding rules, with values out of range replaced by
+ * the defaults.
+ * @param {Object|null} settings - Board settings
+ * @returns {{mode: string, increment: number, minimum: number}} Rounding rules
+ */
+export const getRounding = (settings) => {
+  const defaults = DEFAULTS.BOARD_SETTINGS.rounding;
+  const { mode, increment, minimum } = settings?.rounding ?? {};
+  return {
+    mode: Object.values(ROUNDING_MODES).includes(mode) ? mode : defaults.mode,
+    increment: ROUNDING_INCREMENTS.includes(increment)
+      ? increment
+      : defaults.increment,
+    minimum:
+      Number.isFinite(minimum) && minimum > 0 ? minimum : defaults.minimum,
+  };
+};
+
+/**
+ * Checks whether the board bills time other than as tracked.
+ * @param {Object|null} settings - Board settings
+ * @returns {boolean} True if entries are rounded or have a minimum
+ */
+export const isRounded = (settings) => {
+  const { mode, minimum } = getRounding(settings);
+  return mode !== ROUNDING_MODES.NONE || minimum > 0;
+};
+
+/**
+ * Rounds one entry's duration by the board's rules. Entries without time
+ * are left at zero, so the minimum doesn't bill empty entries.
+ * @param {number} ms - Tracked duration in milliseconds
+ * @param {Object|null} settings - Board settings
+ * @returns {number} Billed duration in milliseconds
+ * @example
+ * // 7 minutes rounded up to 6-minute steps: 12 minutes
+ * roundDuration(420000, { rounding: { mode: "up", increment: 360000 } }) // 720000
+ */
+export const roundDuration = (ms, settings) => {
+  if (!(ms > 0)) return 0;
+  const { mode, increment, minimum } = getRounding(settings);
+
+  let billed = ms;
+  if (mode === ROUNDING_MODES.UP) {
+    billed = Math.ceil(ms / increment) * increment;
+  } else if (mode === ROUNDING_MODES.NEAREST) {
+    billed = Math.round(ms / increment) * increment;
+  }
+  return Math.max(billed, minimum);
+};
+
+/**
+ * Calculates the billed time of a card or list: its tracked time with each
+ * entry rounded by the board's rules. Time tracked without an entry, such
+ * as time from before entries were kept, is counted as tracked.
+ * @param {number} totalTime - Tracked time in milliseconds
+ * @param {Array} entries - Time entries the tracked time is made of
+ * @param {Object|null} settings - Board settings
+ * @returns {number} Billed time in milliseconds
+ */
+export const getBilledTime = (totalTime, entries, settings) => {
+  if (!isRounded(settings)) return totalTime;
+  return entries.reduce(
+    (sum, entry) =>
+      sum +
+      roundDuration(entry.duration || 0, settings) -
+      (entry.duration || 0),
+    totalTime,
+  );
+};
+
+/**
+ * Calculates the cost of one time entry, from its duration rounded by the
+ * board's rules. Entries in a non-billable category cost nothing.
+ * @param {Object} entry - Time entry
+ * @param {Object|null} settings - Board settings
+ * @returns {number} Cost in currency units; 0 if the entry isn't billed
+ */
+export const calculateEntryCost = (entry, settings) => {
+  if (!CategoryService.isBillable(settings, entry.categoryId)) return 0;
+  const rate = getMemberRate(settings, entry.memberId ?? null);
+  return rate === null
+    ? 0
+    : (roundDuration(entry.duration || 0, settings) / TIME.HOUR) * rate;
+};
+
+/**
+ * Calculates the cost of time entries.
+ * @param {Array} entries - Time entries
+ * @param {Object|null} settings - Board settings
+ * @returns {number|null} Cost in currency units, or null if the board sets no rates
+ */
+export const calculateCost = (entries, settings) => {
+  if (!hasRates(settings)) return null;
+  return entries.reduce(
+    (sum, entry) => sum + calculateEntryCost(entry, settings),
+    0,
+  );
+};
+
+/**
+ * Calculates the cost of all time saved on a card, including the entries
+ * moved to its entry history.
+ * @param {Object} t - Trello client
+ * @param {Object} timerData - The card's timer data
+ * @param {Object|null} settings - Board settings
+ * @returns {Promise<number|null>} Cost in currency units, or null if the board sets no rates
+ */
+export const getCardCost = async (t, timerData, settings) => {
+  if (!hasRates(settings)) return null;
+
+  const history =
+    timerData.archivedCount > 0 ? await StorageService.getEntryHistory(t) : [];
+  return calculateCost(
+    [...(timerData.recentEntries || []), ...history],
+    settings,
+  );
+};
+
+const BillingService = {
+  hasRates,
+  getMemberRate,
+  getRounding,
+  isRounded,
+  roundDuration,
+  getBilledTime,
+  calculateEntryCost,
+  calculateCost,
+  getCardCost,
+};
+export default BillingService;
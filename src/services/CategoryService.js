@@ -0,0 +1,88 @@
+/**
+ * TimeUp - Category Service
+ * Activity types, such as Development or Meeting, that entries are tagged with
+ */
+
+import { CATEGORY_COLORS } from "../utils/constants.js";
+
+/** Name shown for time without a category */
+export const UNCATEGORIZED = "Uncategorized";
+
+/**
+ * Gets the board's categories.
+ * @param {Object|null} settings - Board settings
+ * @returns {Array<{id: string, name: string, color: string, billable: boolean}>} Categories
+ */
+export const getCategories = (settings) => settings?.categories ?? [];
+
+/**
+ * Finds a category of the board.
+ * @param {Object|null} settings - Board settings
+ * @param {string|null|undefined} categoryId - Category ID
+ * @returns {Object|null} Category, or null if unset or since deleted
+ */
+export const findCategory = (settings, categoryId) =>
+  (categoryId &&
+    getCategories(settings).find((category) => category.id === categoryId)) ||
+  null;
+
+/**
+ * Checks whether time in a category is billed. Time without a category, or
+ * in a category that was deleted, is billed.
+ * @param {Object|null} settings - Board settings
+ * @param {string|null|undefined} categoryId - Category ID
+ * @returns {boolean} True if the time is billable
+ */
+export const isBillable = (settings, categoryId) =>
+  findCategory(settings, categoryId)?.billable !== false;
+
+/**
+ * Creates a new billable category, colored after the ones already defined.
+ * @param {string} name - Category name
+ * @param {Array} [existing=[]] - Categories already defined
+ * @returns {{id: string, name: string, color: string, billable: boolean}} Category
+ */
+export const createCategory = (name, existing = []) => ({
+  id: `cat_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`,
+  name,
+  color: CATEGORY_COLORS[existing.length % CATEGORY_COLORS.length],
+  billable: true,
+});
+
+/**
+ * Sums tracked time per category, in the board's category order.
+ * Time without a known category is summed under UNCATEGORIZED, last.
+ * @param {Array} entries - Time entries
+ * @param {Array} categories - The board's categories
+ * @returns {Array<{id: string|null, name: string, color: string|null, totalTime: number}>} Subtotals with time tracked
+ */
+export const summarizeByCategory = (entries, categories) => {
+  const rows = new Map(
+    categories.map(({ id, name, color }) => [
+      id,
+      { id, name, color, totalTime: 0 },
+    ]),
+  );
+  const uncategorized = {
+    id: null,
+    name: UNCATEGORIZED,
+    color: null,
+    totalTime: 0,
+  };
+
+  for (const entry of entries) {
+    const row = rows.get(entry.categoryId) ?? uncategorized;
+    row.totalTime += entry.duration || 0;
+  }
+
+  return [...rows.values(), uncategorized].filter((row) => row.totalTime > 0);
+};
+
+const CategoryService = {
+  getCategories,
+  findCategory,
+  isBillable,
+  createCategory,
+  summarizeByCategory,
+};
+export default CategoryService;
@@ -4,44 +4,51 @@
  */
 
 import { TIMER_STATE } from "../utils/constants.js";
-import { AppConfig } from "../config/AppConfig.js";
+import RestApiService from "./RestApiService.js";
 
 /**
- * Fetches all checklists for the current card.
+ * Fetches checklists from the Trello REST API.
  * @param {Object} t - Trello Power-Up client
+ * @param {string|undefined} path - API path of the card or board, or nothing
+ *   when the context lacks it
  * @returns {Promise<Array|null>} Array of checklists if successful/empty, or null if not authorized
  */
-export const getChecklists = async (t) => {
+const fetchChecklists = async (t, path) => {
   try {
-    const context = t.getContext();
-    const cardId = context.card;
-
-    const restApi = t.getRestApi();
-    const isAuthorized = await restApi.isAuthorized();
-
-    if (!isAuthorized) {
-      return null;
-    }
-
-    const token = await restApi.getToken();
-    if (!token) {
+    if (!path) {
       return [];
     }
 
-    if (!cardId) {
-      return [];
-    }
-
-    // Fetch directly from Trello API
-    const response = await fetch(
-      `https://api.trello.com/1/cards/${cardId}/checklists?key=${AppConfig.APP_KEY}&token=${token}`,
-    );
+    const checklists = await RestApiService.callApi(t, `${path}/checklists`);
+    return checklists === null ? null : checklists || [];
+  } catch (error) {
+    return [];
+  }
+};
 
-    if (!response.ok) {
-      throw new Error(`API Error ${response.status}: ${response.statusText}`);
-    }
+/**
+ * Fetches all checklists for the current card.
+ * @param {Object} t - Trello Power-Up client
+ * @returns {Promise<Array|null>} Array of checklists if successful/empty, or null if not authorized
+ */
+export const getChecklists = async (t) => {
+  try {
+    const cardId = t.getContext().card;
+    return await fetchChecklists(t, cardId && `cards/${cardId}`);
+  } catch (error) {
+    return [];
+  }
+};
 
-    return (await response.json()) || [];
+/**
+ * Fetches the checklists of every card on the current board.
+ * @param {Object} t - Trello Power-Up client
+ * @returns {Promise<Array|null>} Array of checklists if successful/empty, or null if not authorized
+ */
+export const getBoardChecklists = async (t) => {
+  try {
+    const boardId = t.getContext().board;
+    return await fetchChecklists(t, boardId && `boards/${boardId}`);
   } catch (error) {
     return [];
   }
@@ -141,14 +148,57 @@ export const getRunningCheckItem = (timerData) => {
     : { isRunning: false, itemId: null };
 };
 
+/**
+ * Checks if any checklist item has a paused timer.
+ * @param {Object} timerData - Timer data
+ * @returns {{isPaused: boolean, itemId: string|null}}
+ */
+export const getPausedCheckItem = (timerData) => {
+  const checklistTotals = timerData?.checklistTotals || {};
+  const found = Object.entries(checklistTotals).find(
+    ([_, data]) => data.state === TIMER_STATE.PAUSED,
+  );
+
+  return found
+    ? { isPaused: true, itemId: found[0] }
+    : { isPaused: false, itemId: null };
+};
+
+/**
+ * Finds checklist items that have time data but are no longer on the card's
+ * checklists, such as items deleted in Trello.
+ * @param {Object} timerData - Timer data
+ * @param {Array|null} checklists - Checklists from Trello, or null if they
+ *   couldn't be read
+ * @returns {Array<{id: string, totalTime: number, entryCount: number, estimatedTime: number|null, isActive: boolean}>}
+ *   Orphaned items; empty when the checklists are unknown
+ */
+export const getOrphanedItems = (timerData, checklists) => {
+  if (!Array.isArray(checklists)) return [];
+
+  const itemIds = new Set(getAllCheckItems(checklists).map((item) => item.id));
+  return Object.entries(timerData?.checklistTotals || {})
+    .filter(([id]) => !itemIds.has(id))
+    .map(([id, data]) => ({
+      id,
+      totalTime: data.totalTime || 0,
+      entryCount: data.entryCount || 0,
+      estimatedTime: data.estimatedTime ?? null,
+      isActive: Boolean(data.currentEntry),
+    }));
+};
+
 const ChecklistService = {
   getChecklists,
+  getBoardChecklists,
   getAllCheckItems,
   calculateChecklistEstimate,
   getEffectiveEstimate,
   getCheckItemData,
   getCheckItemTotalTime,
   getRunningCheckItem,
+  getPausedCheckItem,
+  getOrphanedItems,
 };
 
 export default ChecklistService;
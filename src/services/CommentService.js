@@ -0,0 +1,145 @@
+/**
+ * TimeUp - Comment Service
+ * Posts a comment on the card for each completed time entry, when the board
+ * keeps a comment log, so time can be audited from the card's activity
+ */
+
+import { DEFAULTS, ERROR_CODES, TIME } from "../utils/constants.js";
+import { formatDuration } from "../utils/formatTime.js";
+import ChecklistService from "./ChecklistService.js";
+import RestApiService from "./RestApiService.js";
+import StorageService from "./StorageService.js";
+import TrelloService from "./TrelloService.js";
+
+/** Placeholders a comment template may use */
+export const TEMPLATE_PLACEHOLDERS = [
+  "duration",
+  "member",
+  "description",
+  "item",
+];
+
+/**
+ * Checks whether the board posts a comment for each entry.
+ * @param {Object|null} settings - Board settings
+ * @returns {boolean} True if the comment log is on
+ */
+export const isEnabled = (settings) => settings?.commentLog?.enabled === true;
+
+/**
+ * Fills in a comment template. Placeholders without a value are left empty,
+ * and separators they leave dangling at the end are dropped, so
+ * "{duration} – {description}" reads "1h 20m" for an entry without one.
+ * @param {string} template - Template with {placeholders}
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} Comment text
+ * @example
+ * formatComment("⏱ {duration} logged by {member}", { duration: "1h 20m", member: "Ana" })
+ * // "⏱ 1h 20m logged by Ana"
+ */
+export const formatComment = (template, values) =>
+  template
+    .replace(/\{(\w+)\}/g, (placeholder, name) =>
+      TEMPLATE_PLACEHOLDERS.includes(name) ? (values[name] ?? "") : placeholder,
+    )
+    .replace(/\s+/g, " ")
+    .replace(/[\s–—:,-]+$/, "")
+    .trim();
+
+/**
+ * Gets the name of the checklist item an entry was timed on.
+ * @param {Object} t - Trello client
+ * @param {string} checkItemId - Checklist item ID
+ * @returns {Promise<string>} Item name, or "" if it can't be read
+ */
+const getItemName = async (t, checkItemId) => {
+  const checklists = await ChecklistService.getChecklists(t);
+  const item = ChecklistService.getAllCheckItems(checklists ?? []).find(
+    (checkItem) => checkItem.id === checkItemId,
+  );
+  return item?.name ?? "";
+};
+
+/**
+ * Builds the comment for a time entry.
+ * @param {Object} t - Trello client
+ * @param {Object} entry - Completed time entry
+ * @param {string} template - Comment template
+ * @returns {Promise<string>} Comment text
+ */
+const buildComment = async (t, entry, template) => {
+  const member = await TrelloService.getMember(t);
+  const needsItem =
+    Boolean(entry.checklistItemId) && template.includes("{item}");
+
+  return formatComment(template, {
+    duration: formatDuration(entry.duration, {
+      compact: true,
+      // Entries shorter than a minute would read "0m"
+      showSeconds: entry.duration < TIME.MINUTE,
+    }),
+    member: member?.fullName || member?.username || "",
+    description: entry.description,
+    item: needsItem ? await getItemName(t, entry.checklistItemId) : "",
+  });
+};
+
+/**
+ * Posts a comment summarising a completed time entry on its card, when the
+ * board keeps a comment log. Failed posts are retried by RestApiService.
+ * @param {Object} t - Trello client, possibly scoped to another card (see
+ *   TrelloService.forCard)
+ * @param {Object} entry - Entry returned by stopTimer or stopItemTimer
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Board settings; read when left out
+ * @returns {Promise<{success: boolean, posted?: boolean, needsWriteAccess?: boolean, error?: string}>}
+ *   `posted` is false when the board keeps no comment log; `needsWriteAccess`
+ *   is set when the member has to authorize TimeUp to post comments
+ */
+export const logEntry = async (t, entry, { settings } = {}) => {
+  try {
+    const boardSettings =
+      settings ?? (await StorageService.getBoardSettings(t));
+    if (!entry || !isEnabled(boardSettings)) {
+      return { success: true, posted: false };
+    }
+
+    const card = await TrelloService.getCard(t);
+    if (!card) return { success: false, error: ERROR_CODES.CARD_UNAVAILABLE };
+
+    const text = await buildComment(
+      t,
+      entry,
+      boardSettings.commentLog.template ||
+        DEFAULTS.BOARD_SETTINGS.commentLog.template,
+    );
+
+    const comment = await RestApiService.callApi(
+      t,
+      `cards/${card.id}/actions/comments`,
+      { method: "POST", body: { text } },
+    );
+    if (comment === null) {
+      return {
+        success: false,
+        needsWriteAccess: true,
+        error: ERROR_CODES.NOT_AUTHORIZED,
+      };
+    }
+    return { success: true, posted: true };
+  } catch (error) {
+    return {
+      success: false,
+      // Read-only tokens are refused with 401
+      needsWriteAccess: error.status === 401 || error.status === 403,
+      error: error.message,
+    };
+  }
+};
+
+const CommentService = {
+  isEnabled,
+  formatComment,
+  logEntry,
+};
+export default CommentService;
@@ -0,0 +1,140 @@
+/**
+ * TimeUp - Custom Field Service
+ * Writes a card's tracked time and estimate to the board's Number Custom
+ * Fields, so Trello filters, Butler rules and other Power-Ups can use them
+ */
+
+import { ERROR_CODES, TIME } from "../utils/constants.js";
+import ChecklistService from "./ChecklistService.js";
+import RestApiService from "./RestApiService.js";
+import StorageService from "./StorageService.js";
+import TrelloService from "./TrelloService.js";
+
+/** Keys of `customFields` in the board settings, each naming a field to sync to */
+export const SYNCED_FIELDS = ["trackedFieldId", "estimateFieldId"];
+
+/**
+ * Checks whether the board syncs any value to a Custom Field.
+ * @param {Object|null} settings - Board settings
+ * @returns {boolean} True if a tracked time or estimate field is chosen
+ */
+export const isSyncEnabled = (settings) =>
+  SYNCED_FIELDS.some((key) => Boolean(settings?.customFields?.[key]));
+
+/**
+ * Converts milliseconds to the hours written to a Custom Field, rounded to
+ * hundredths.
+ * @param {number} ms - Time in milliseconds
+ * @returns {number} Hours
+ */
+export const toFieldHours = (ms) => Math.round((ms / TIME.HOUR) * 100) / 100;
+
+/**
+ * Gets the board's Number Custom Fields, the ones time can be synced to.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, data?: Array<{id: string, name: string}>|null, error?: string}>}
+ *   Data is null if TimeUp isn't authorized to read the board
+ */
+export const getNumberFields = async (t) => {
+  try {
+    const boardId = t.getContext().board;
+    const fields = await RestApiService.callApi(
+      t,
+      `boards/${boardId}/customFields`,
+    );
+    return {
+      success: true,
+      data:
+        fields &&
+        fields
+          .filter((field) => field.type === "number")
+          .map(({ id, name }) => ({ id, name })),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Writes a card's tracked hours and effective estimate to the Custom Fields
+ * chosen in the board settings. Fields already holding the value are left
+ * alone, so the card's activity only records actual changes.
+ * @param {Object} t - Trello client, possibly scoped to another card (see
+ *   TrelloService.forCard)
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Board settings; read when left out
+ * @param {Array|null} [options.checklists] - The card's checklists, for the
+ *   effective estimate; leave out to only sync tracked time
+ * @returns {Promise<{success: boolean, synced?: number, needsWriteAccess?: boolean, error?: string}>}
+ *   `synced` counts the fields written; `needsWriteAccess` is set when the
+ *   member has to authorize TimeUp to write to the board
+ */
+export const syncCard = async (t, { settings, checklists } = {}) => {
+  try {
+    const boardSettings =
+      settings ?? (await StorageService.getBoardSettings(t));
+    if (!isSyncEnabled(boardSettings)) return { success: true, synced: 0 };
+
+    const { trackedFieldId, estimateFieldId } = boardSettings.customFields;
+    const timerData = await StorageService.getTimerData(t);
+    const values = new Map();
+    if (trackedFieldId) {
+      values.set(trackedFieldId, toFieldHours(timerData.totalTime));
+    }
+    if (estimateFieldId && checklists !== undefined) {
+      const estimate = ChecklistService.getEffectiveEstimate(
+        timerData,
+        checklists ?? [],
+      );
+      values.set(estimateFieldId, estimate ? toFieldHours(estimate) : null);
+    }
+
+    const card = await TrelloService.getCard(t);
+    if (!card) return { success: false, error: ERROR_CODES.CARD_UNAVAILABLE };
+
+    const items = await RestApiService.callApi(
+      t,
+      `cards/${card.id}/customFieldItems`,
+    );
+    if (items === null) {
+      return {
+        success: false,
+        needsWriteAccess: true,
+        error: ERROR_CODES.NOT_AUTHORIZED,
+      };
+    }
+
+    let synced = 0;
+    for (const [fieldId, hours] of values) {
+      const current = items.find((item) => item.idCustomField === fieldId);
+      const currentHours = current ? Number(current.value?.number) : null;
+      if (currentHours === hours) continue;
+
+      await RestApiService.callApi(
+        t,
+        `cards/${card.id}/customField/${fieldId}/item`,
+        {
+          method: "PUT",
+          body: { value: hours === null ? "" : { number: String(hours) } },
+        },
+      );
+      synced += 1;
+    }
+    return { success: true, synced };
+  } catch (error) {
+    return {
+      success: false,
+      // Read-only tokens are refused with 401
+      needsWriteAccess: error.status === 401 || error.status === 403,
+      error: error.message,
+    };
+  }
+};
+
+const CustomFieldService = {
+  isSyncEnabled,
+  toFieldHours,
+  getNumberFields,
+  syncCard,
+};
+export default CustomFieldService;
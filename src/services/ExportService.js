@@ -0,0 +1,242 @@
+/**
+ * TimeUp - Export Service
+ * Serializes time entries of a card, list or whole board to CSV (RFC 4180)
+ */
+
+import { ERROR_CODES, TIME } from "../utils/constants.js";
+import { formatDecimalHours, formatInputDate } from "../utils/formatTime.js";
+import BillingService from "./BillingService.js";
+import ChecklistService from "./ChecklistService.js";
+import ReportService from "./ReportService.js";
+import StorageService from "./StorageService.js";
+import TrelloService from "./TrelloService.js";
+
+/**
+ * Header row of exported CSV files. Hours are decimal and rounded by the
+ * board's rules, as billed. Boards that bill time get an extra Cost column,
+ * in the board's currency.
+ * @type {string[]}
+ */
+export const CSV_COLUMNS = [
+  "Card",
+  "Card URL",
+  "List",
+  "Member",
+  "Checklist item",
+  "Start",
+  "End",
+  "Duration (h:mm)",
+  "Hours",
+  "Description",
+];
+
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+/**
+ * Prefixes values a spreadsheet would run as a formula with a quote, so
+ * descriptions such as `=HYPERLINK(...)` are shown as text.
+ * @param {string} value - Cell value
+ * @returns {string} Value safe to open in a spreadsheet
+ */
+const neutralizeFormula = (value) =>
+  FORMULA_PREFIXES.some((prefix) => value.startsWith(prefix))
+    ? `'${value}`
+    : value;
+
+/**
+ * Serializes one CSV field, quoting it when it holds a comma, quote or
+ * line break and doubling embedded quotes.
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} CSV field
+ */
+export const escapeCsvField = (value) => {
+  const field = neutralizeFormula(value == null ? "" : String(value));
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Serializes rows to CSV with CRLF line endings, as RFC 4180 specifies.
+ * @param {Array<Array>} rows - Rows of field values, header first
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * Formats a duration as hours and minutes for spreadsheets.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "1:05"
+ * @example
+ * formatCsvDuration(3900000) // "1:05"
+ */
+export const formatCsvDuration = (ms) => {
+  const totalMinutes = Math.round((ms || 0) / TIME.MINUTE);
+  const minutes = String(totalMinutes % 60).padStart(2, "0");
+  return `${Math.floor(totalMinutes / 60)}:${minutes}`;
+};
+
+/**
+ * Formats a timestamp as a local date and time spreadsheets recognize.
+ * @param {number|null} timestamp - Timestamp in milliseconds
+ * @returns {string} Date such as "2024-01-27 14:30", or empty
+ */
+const formatCsvDate = (timestamp) =>
+  timestamp
+    ? formatInputDate(timestamp, { showTime: true }).replace("T", " ")
+    : "";
+
+/**
+ * Builds one CSV row per time entry, oldest first.
+ * @param {Array} cards - Cards with entries, from ReportService.getBoardCardTimes
+ * @param {Object} [context]
+ * @param {Array} [context.lists=[]] - Board lists
+ * @param {Array} [context.members=[]] - Board members
+ * @param {Array} [context.checkItems=[]] - Check items from ChecklistService.getAllCheckItems
+ * @param {Object|null} [context.settings=null] - Board settings, for costs
+ *   and rounding
+ * @returns {Array<Array>} Rows including the header
+ */
+export const buildEntryRows = (
+  cards,
+  { lists = [], members = [], checkItems = [], settings = null } = {},
+) => {
+  const billed = BillingService.hasRates(settings);
+  const listNames = new Map(lists.map((list) => [list.id, list.name]));
+  const memberNames = new Map(
+    members.map((member) => [member.id, member.fullName || member.username]),
+  );
+  const itemNames = new Map(checkItems.map((item) => [item.id, item.name]));
+
+  const rows = cards
+    .flatMap((card) => (card.entries || []).map((entry) => ({ card, entry })))
+    .sort((a, b) => a.entry.startTime - b.entry.startTime)
+    .map(({ card, entry }) => [
+      card.name,
+      card.url,
+      listNames.get(card.idList) ?? "",
+      entry.memberId
+        ? (memberNames.get(entry.memberId) ?? "Former member")
+        : "",
+      entry.checklistItemId ? (itemNames.get(entry.checklistItemId) ?? "") : "",
+      formatCsvDate(entry.startTime),
+      formatCsvDate(entry.endTime),
+      formatCsvDuration(entry.duration),
+      formatDecimalHours(
+        BillingService.roundDuration(entry.duration, settings),
+      ),
+      entry.description,
+      ...(billed
+        ? [BillingService.calculateEntryCost(entry, settings).toFixed(2)]
+        : []),
+    ]);
+
+  const header = billed
+    ? [...CSV_COLUMNS, `Cost (${settings.currency})`]
+    : CSV_COLUMNS;
+  return [header, ...rows];
+};
+
+/**
+ * Turns a name into a lowercase file name segment.
+ * @param {string} name - Card, list or board name
+ * @returns {string} Slug such as "website-redesign"
+ */
+const slugify = (name) =>
+  (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "export";
+
+/**
+ * Reads the selected cards' entries and serializes them.
+ * @param {Object} t - Trello client
+ * @param {Object} options
+ * @param {function(Object): boolean} options.filter - Selects the cards to export
+ * @param {Array|null} options.checklists - Checklists naming the entries' items
+ * @param {string} options.name - Name of what is exported, for the file name
+ * @returns {Promise<{csv: string, filename: string, entryCount: number}>}
+ */
+const exportEntries = async (t, { filter, checklists, name }) => {
+  const [{ cards, lists, members }, settings] = await Promise.all([
+    ReportService.getBoardCardTimes(t, { filter }),
+    StorageService.getBoardSettings(t),
+  ]);
+  const rows = buildEntryRows(cards, {
+    lists,
+    members,
+    checkItems: ChecklistService.getAllCheckItems(checklists),
+    settings,
+  });
+  const date = formatInputDate(Date.now());
+
+  return {
+    csv: toCsv(rows),
+    filename: `timeup-${slugify(name)}-${date}.csv`,
+    entryCount: rows.length - 1,
+  };
+};
+
+/**
+ * Exports every time entry of the current card.
+ * Checklist item names are only filled in once Trello access is authorized.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, data?: {csv: string, filename: string, entryCount: number}, error?: string}>}
+ */
+export const exportCardCsv = async (t) => {
+  try {
+    const card = await TrelloService.getCard(t);
+    if (!card) {
+      return { success: false, error: ERROR_CODES.CARD_UNAVAILABLE };
+    }
+
+    const data = await exportEntries(t, {
+      filter: ({ id }) => id === card.id,
+      checklists: await ChecklistService.getChecklists(t),
+      name: card.name,
+    });
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Exports the time entries of a list, or of the whole board.
+ * Checklist item names are only filled in once Trello access is authorized.
+ * @param {Object} t - Trello client
+ * @param {Object} [options]
+ * @param {string|null} [options.listId=null] - List to export; the whole board if omitted
+ * @returns {Promise<{success: boolean, data?: {csv: string, filename: string, entryCount: number}, error?: string}>}
+ */
+export const exportBoardCsv = async (t, { listId = null } = {}) => {
+  try {
+    let name;
+    if (listId) {
+      const lists = await TrelloService.getBoardLists(t);
+      name = lists.find((list) => list.id === listId)?.name;
+    } else {
+      name = (await TrelloService.getBoard(t))?.name;
+    }
+
+    const data = await exportEntries(t, {
+      filter: (card) => !listId || card.idList === listId,
+      checklists: await ChecklistService.getBoardChecklists(t),
+      name,
+    });
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const ExportService = {
+  CSV_COLUMNS,
+  escapeCsvField,
+  toCsv,
+  formatCsvDuration,
+  buildEntryRows,
+  exportCardCsv,
+  exportBoardCsv,
+};
+export default ExportService;
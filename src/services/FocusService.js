@@ -0,0 +1,139 @@
+/**
+ * TimeUp - Focus Service
+ * Focus mode: the card timer runs in work intervals, each followed by a
+ * break, with a long break after every few intervals. Only work intervals
+ * become entries; breaks and cycle counts live in the card's focusSessions.
+ */
+
+import {
+  DEFAULTS,
+  SHARED_TIMER_KEY,
+  TIME,
+  VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Time past its end after which a focus interval is taken to have ended
+ * while nobody had the card open
+ */
+const OVERRUN_GRACE = TIME.MINUTE;
+
+/**
+ * Checks whether a value is a usable interval or break length.
+ * @param {*} ms - Length in milliseconds
+ * @returns {boolean} True if positive and within VALIDATION.MAX_FOCUS_INTERVAL
+ */
+const isLength = (ms) =>
+  Number.isFinite(ms) && ms > 0 && ms <= VALIDATION.MAX_FOCUS_INTERVAL;
+
+/**
+ * Gets the board's focus mode settings, with values out of range replaced
+ * by the defaults.
+ * @param {Object|null} settings - Board settings
+ * @returns {{enabled: boolean, workLength: number, shortBreak: number, longBreak: number, longBreakEvery: number}} Focus settings
+ */
+export const getFocusSettings = (settings) => {
+  const defaults = DEFAULTS.BOARD_SETTINGS.focus;
+  const focus = settings?.focus ?? {};
+  const pick = (key) => (isLength(focus[key]) ? focus[key] : defaults[key]);
+  return {
+    enabled: focus.enabled === true,
+    workLength: pick("workLength"),
+    shortBreak: pick("shortBreak"),
+    longBreak: pick("longBreak"),
+    longBreakEvery:
+      Number.isInteger(focus.longBreakEvery) &&
+      focus.longBreakEvery >= 1 &&
+      focus.longBreakEvery <= VALIDATION.MAX_FOCUS_CYCLES
+        ? focus.longBreakEvery
+        : defaults.longBreakEvery,
+  };
+};
+
+/**
+ * Gets the break that follows a work interval: a long one after every
+ * `longBreakEvery` intervals, a short one otherwise.
+ * @param {Object} focus - Focus settings (see getFocusSettings)
+ * @param {number} cycles - Work intervals completed, including the one
+ *   just finished
+ * @returns {{length: number, longBreak: boolean}} Break length in ms
+ * @example
+ * // Fourth pomodoro of 25/5 with a 15-minute break every 4
+ * getBreakLength(focus, 4) // { length: 900000, longBreak: true }
+ */
+export const getBreakLength = (focus, cycles) => {
+  const longBreak = cycles > 0 && cycles % focus.longBreakEvery === 0;
+  return {
+    length: longBreak ? focus.longBreak : focus.shortBreak,
+    longBreak,
+  };
+};
+
+/**
+ * Gets the time a work interval ran past its end while nobody had the card
+ * open to end it.
+ * @param {Object} focus - Focus settings (see getFocusSettings)
+ * @param {number} elapsed - Active time of the timer in ms
+ * @returns {number} Time past the interval in ms; 0 within a minute of its end
+ * @example
+ * // A 25-minute interval found after 95 minutes
+ * getOverrun(focus, 5700000) // 4200000
+ */
+export const getOverrun = (focus, elapsed) => {
+  const overrun = elapsed - focus.workLength;
+  return overrun > OVERRUN_GRACE ? overrun : 0;
+};
+
+/**
+ * Gets a member's focus record on a card.
+ * @param {Object} timerData - Timer data
+ * @param {string|null} memberId - Member ID; null for the shared timer
+ * @returns {{cycles: number, breakEnd: number|null, longBreak: boolean}} Focus record
+ */
+export const getFocusSession = (timerData, memberId) => {
+  const session = timerData?.focusSessions?.[memberId || SHARED_TIMER_KEY];
+  return {
+    cycles: session?.cycles ?? 0,
+    breakEnd: session?.breakEnd ?? null,
+    longBreak: session?.longBreak === true,
+  };
+};
+
+/**
+ * Gets the break a member is taking on a card.
+ * @param {Object} timerData - Timer data
+ * @param {string|null} memberId - Member ID; null for the shared timer
+ * @param {number} [now=Date.now()] - Reference timestamp
+ * @returns {{breakEnd: number, remaining: number, longBreak: boolean}|null}
+ *   Break and the time left of it, or null once it is over
+ */
+export const getBreak = (timerData, memberId, now = Date.now()) => {
+  const { breakEnd, longBreak } = getFocusSession(timerData, memberId);
+  return breakEnd > now
+    ? { breakEnd, remaining: breakEnd - now, longBreak }
+    : null;
+};
+
+/**
+ * Gets the end of the latest break anyone is taking on a card.
+ * @param {Object} timerData - Timer data
+ * @param {number} [now=Date.now()] - Reference timestamp
+ * @returns {number|null} Timestamp the break ends at, or null if nobody is
+ *   on a break
+ */
+export const getLatestBreakEnd = (timerData, now = Date.now()) => {
+  const ends = Object.values(timerData?.focusSessions ?? {})
+    .map((session) => session.breakEnd)
+    .filter((breakEnd) => breakEnd > now);
+  return ends.length ? Math.max(...ends) : null;
+};
+
+const FocusService = {
+  getFocusSettings,
+  getBreakLength,
+  getOverrun,
+  getFocusSession,
+  getBreak,
+  getLatestBreakEnd,
+};
+export default FocusService;
@@ -0,0 +1,191 @@
+/**
+ * TimeUp - Migration Service
+ * Upgrades stored timer data to the current schema version.
+ *
+ * Every change to the stored shape adds one step to MIGRATIONS. Steps run in
+ * order on read, each taking the payload from `version - 1` to `version`.
+ * The upgraded payload is only persisted by the next regular save, so merely
+ * viewing a card never writes to it.
+ */
+
+import {
+  SCHEMA_VERSION,
+  SHARED_TIMER_KEY,
+  TIMER_STATE,
+} from "../utils/constants.js";
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Fills fields that entries written by older versions may lack.
+ * @param {Object} entry - Stored time entry
+ * @returns {Object} Entry with every current field present
+ */
+const normalizeEntry = (entry) => ({
+  ...entry,
+  description: entry.description ?? "",
+  createdAt: entry.createdAt ?? entry.endTime ?? null,
+  checklistItemId: entry.checklistItemId ?? null,
+  memberId: entry.memberId ?? null,
+});
+
+/**
+ * Fills fields that an in-progress session may lack.
+ * @param {Object|null} currentEntry - Stored current entry
+ * @returns {Object|null} Current entry with pause bookkeeping present
+ */
+const normalizeCurrentEntry = (currentEntry) =>
+  isPlainObject(currentEntry) && isFiniteNumber(currentEntry.startTime)
+    ? { pausedDuration: 0, ...currentEntry }
+    : null;
+
+/**
+ * Derives a timer state from a possibly missing or unknown stored value.
+ * @param {*} state - Stored state
+ * @param {Object|null} currentEntry - Normalized current entry
+ * @returns {string} A TIMER_STATE value
+ */
+const normalizeState = (state, currentEntry) => {
+  if (!currentEntry) return TIMER_STATE.IDLE;
+  return state === TIMER_STATE.PAUSED
+    ? TIMER_STATE.PAUSED
+    : TIMER_STATE.RUNNING;
+};
+
+/**
+ * Fills fields that a checklist item total may lack.
+ * @param {Object} item - Stored checklist item total
+ * @returns {Object} Item total with every current field present
+ */
+const normalizeItemTotal = (item) => {
+  const currentEntry = normalizeCurrentEntry(item.currentEntry);
+  return {
+    ...item,
+    totalTime: isFiniteNumber(item.totalTime) ? item.totalTime : 0,
+    entryCount: Number.isInteger(item.entryCount) ? item.entryCount : 0,
+    estimatedTime: isFiniteNumber(item.estimatedTime)
+      ? item.estimatedTime
+      : null,
+    state: normalizeState(item.state, currentEntry),
+    currentEntry,
+  };
+};
+
+/**
+ * Ordered registry of schema migrations.
+ * `migrate` receives the payload at `version - 1` and returns it at `version`.
+ * @type {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      "Normalize unversioned data: entry fields, pause bookkeeping, checklist totals",
+    migrate: (data) => {
+      const recentEntries = Array.isArray(data.recentEntries)
+        ? data.recentEntries.filter(isPlainObject).map(normalizeEntry)
+        : [];
+      const currentEntry = normalizeCurrentEntry(data.currentEntry);
+      const checklistTotals = {};
+      if (isPlainObject(data.checklistTotals)) {
+        for (const [id, item] of Object.entries(data.checklistTotals)) {
+          if (isPlainObject(item))
+            checklistTotals[id] = normalizeItemTotal(item);
+        }
+      }
+
+      return {
+        ...data,
+        state: normalizeState(data.state, currentEntry),
+        currentEntry,
+        estimatedTime: isFiniteNumber(data.estimatedTime)
+          ? data.estimatedTime
+          : null,
+        manualEstimateSet: data.manualEstimateSet === true,
+        totalTime: isFiniteNumber(data.totalTime)
+          ? data.totalTime
+          : recentEntries.reduce((sum, e) => sum + (e.duration || 0), 0),
+        recentEntries,
+        archivedCount: Number.isInteger(data.archivedCount)
+          ? data.archivedCount
+          : 0,
+        checklistTotals,
+      };
+    },
+  },
+  {
+    version: 2,
+    description:
+      "Move the card timer session into memberTimers, shared by all members",
+    migrate: ({ state, currentEntry, ...data }) => ({
+      ...data,
+      memberTimers: currentEntry
+        ? { [SHARED_TIMER_KEY]: { state, currentEntry } }
+        : {},
+    }),
+  },
+  {
+    version: 3,
+    description:
+      "Store checklist totals as compact tuples, so older clients stop writing them",
+    // The tuples are decoded as the timer data is read, so the data itself
+    // is unchanged; the version only keeps older clients from overwriting them
+    migrate: (data) => data,
+  },
+];
+
+/**
+ * Reads the schema version of a stored payload.
+ * Data written before versioning was introduced counts as version 0.
+ * @param {Object|null} data - Stored timer data
+ * @returns {number} Schema version
+ */
+export const getSchemaVersion = (data) =>
+  Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+
+/**
+ * Upgrades timer data to SCHEMA_VERSION by running every pending migration.
+ * Data from a newer schema is returned untouched so it is never downgraded.
+ * @param {Object|null} data - Stored timer data
+ * @param {Array} [migrations=MIGRATIONS] - Migration registry
+ * @returns {{data: Object, fromVersion: number, migrated: boolean}}
+ * @throws {Error} If a migration step is missing from the registry
+ */
+export const migrateTimerData = (data, migrations = MIGRATIONS) => {
+  const fromVersion = getSchemaVersion(data);
+  const target = Math.max(0, ...migrations.map((m) => m.version));
+  let migrated = isPlainObject(data) ? data : {};
+
+  if (fromVersion >= target) {
+    return { data: migrated, fromVersion, migrated: false };
+  }
+
+  for (let version = fromVersion + 1; version <= target; version++) {
+    const step = migrations.find((m) => m.version === version);
+    if (!step) {
+      throw new Error(`Missing migration to schema version ${version}`);
+    }
+    migrated = { ...step.migrate(migrated), schemaVersion: version };
+  }
+
+  return { data: migrated, fromVersion, migrated: true };
+};
+
+/**
+ * Checks whether data was written by a newer version of TimeUp.
+ * Such data must not be overwritten by this version.
+ * @param {Object|null} data - Stored timer data
+ * @returns {boolean} True if the schema is newer than SCHEMA_VERSION
+ */
+export const isNewerSchema = (data) => getSchemaVersion(data) > SCHEMA_VERSION;
+
+export default {
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateTimerData,
+  isNewerSchema,
+};
@@ -0,0 +1,236 @@
+/**
+ * TimeUp - Report Service
+ * Aggregates tracked time across every card of the board
+ */
+
+import BillingService from "./BillingService.js";
+import StorageService from "./StorageService.js";
+import TrelloService from "./TrelloService.js";
+
+/**
+ * Reads the tracked time of one card, including its archived entries so
+ * member totals cover the card's whole history.
+ * @param {Object} t - Trello client
+ * @param {Object} card - Card from TrelloService.getBoardCards
+ * @returns {Promise<Object>} Card with totalTime, estimatedTime and entries
+ */
+const readCardTime = async (t, card) => {
+  const cardT = TrelloService.forCard(t, card.id);
+  const timerData = await StorageService.getTimerData(cardT);
+  const history =
+    timerData.archivedCount > 0
+      ? await StorageService.getEntryHistory(cardT)
+      : [];
+
+  return {
+    ...card,
+    totalTime: timerData.totalTime,
+    estimatedTime: timerData.estimatedTime,
+    entries: [...timerData.recentEntries, ...history],
+  };
+};
+
+/**
+ * Adds one nullable amount to another; null only while both are null.
+ * @param {number|null} sum - Running sum
+ * @param {number|null} amount - Amount to add
+ * @returns {number|null} New sum
+ */
+const addNullable = (sum, amount) =>
+  amount === null ? sum : (sum ?? 0) + amount;
+
+/**
+ * Adds tracked and billed time, estimate and cost to a row or to the board
+ * totals. Estimates and costs stay null until a contribution has one.
+ * @param {Object} target - Row or totals to add to
+ * @param {Object} amounts
+ * @param {number} amounts.totalTime - Tracked time to add
+ * @param {number} amounts.billedTime - Billed time to add
+ * @param {number|null} [amounts.estimatedTime=null] - Estimate to add
+ * @param {number|null} [amounts.cost=null] - Cost to add
+ */
+const addAmounts = (
+  target,
+  { totalTime, billedTime, estimatedTime = null, cost = null },
+) => {
+  target.totalTime += totalTime;
+  target.billedTime += billedTime;
+  target.estimatedTime = addNullable(target.estimatedTime, estimatedTime);
+  target.cost = addNullable(target.cost, cost);
+};
+
+/**
+ * Adds amounts to a report row, creating the row on first use.
+ * @param {Map} rows - Rows keyed by ID
+ * @param {string|null} id - Row ID
+ * @param {string} name - Row name
+ * @param {Object} amounts - See addAmounts
+ */
+const addToRow = (rows, id, name, amounts) => {
+  if (!rows.has(id)) {
+    rows.set(id, {
+      id,
+      name,
+      totalTime: 0,
+      billedTime: 0,
+      estimatedTime: null,
+      cost: null,
+    });
+  }
+  addAmounts(rows.get(id), amounts);
+};
+
+/**
+ * Sorts rows by tracked time, most time first.
+ * @param {Map} rows - Rows keyed by ID
+ * @returns {Array} Sorted rows
+ */
+const sortRows = (rows) =>
+  [...rows.values()].sort((a, b) => b.totalTime - a.totalTime);
+
+/**
+ * Groups tracked time, estimates and costs per card, list, member and label.
+ * Only cards with tracked time or an estimate are included. Members are
+ * credited with the entries they recorded; estimates aren't attributed to
+ * members, so member rows have no estimate. Billed time is the tracked time
+ * rounded by the board's rules, and costs are null unless the board sets
+ * hourly rates.
+ * @param {Array} cards - Cards with totalTime, estimatedTime and entries
+ * @param {Array} [lists=[]] - Board lists, for list names
+ * @param {Array} [members=[]] - Board members, for member names
+ * @param {Object|null} [settings=null] - Board settings, for rates and currency
+ * @returns {{cards: Array, lists: Array, members: Array, labels: Array, totals: {totalTime: number, billedTime: number, estimatedTime: number|null, cost: number|null}, currency: string|null, rounded: boolean}}
+ *   `rounded` is true when billed time differs from tracked time by rule
+ */
+export const summarizeBoard = (
+  cards,
+  lists = [],
+  members = [],
+  settings = null,
+) => {
+  const listNames = new Map(lists.map((list) => [list.id, list.name]));
+  const memberNames = new Map(
+    members.map((member) => [member.id, member.fullName || member.username]),
+  );
+  const billed = BillingService.hasRates(settings);
+
+  const rows = {
+    cards: new Map(),
+    lists: new Map(),
+    members: new Map(),
+    labels: new Map(),
+  };
+  const totals = {
+    totalTime: 0,
+    billedTime: 0,
+    estimatedTime: null,
+    cost: null,
+  };
+
+  for (const card of cards) {
+    const { totalTime = 0, estimatedTime = null, entries = [] } = card;
+    if (totalTime === 0 && estimatedTime === null) continue;
+
+    const amounts = {
+      totalTime,
+      billedTime: BillingService.getBilledTime(totalTime, entries, settings),
+      estimatedTime,
+      cost: BillingService.calculateCost(entries, settings),
+    };
+    rows.cards.set(card.id, {
+      id: card.id,
+      name: card.name,
+      url: card.url ?? null,
+      ...amounts,
+    });
+    addToRow(
+      rows.lists,
+      card.idList ?? null,
+      listNames.get(card.idList) ?? "Unknown list",
+      amounts,
+    );
+    for (const label of card.labels || []) {
+      addToRow(
+        rows.labels,
+        label.id,
+        label.name || label.color || "Unnamed label",
+        amounts,
+      );
+    }
+    for (const entry of entries) {
+      const memberId = entry.memberId ?? null;
+      const name =
+        memberId === null
+          ? "Unassigned"
+          : (memberNames.get(memberId) ?? "Former member");
+      addToRow(rows.members, memberId, name, {
+        totalTime: entry.duration || 0,
+        billedTime: BillingService.roundDuration(entry.duration, settings),
+        cost: billed
+          ? BillingService.calculateEntryCost(entry, settings)
+          : null,
+      });
+    }
+    addAmounts(totals, amounts);
+  }
+
+  return {
+    cards: sortRows(rows.cards),
+    lists: sortRows(rows.lists),
+    members: sortRows(rows.members),
+    labels: sortRows(rows.labels),
+    totals,
+    currency: billed ? settings.currency : null,
+    rounded: BillingService.isRounded(settings),
+  };
+};
+
+/**
+ * Reads the tracked time of the board's cards, along with the board lists
+ * and members needed to name them.
+ * @param {Object} t - Trello client
+ * @param {Object} [options]
+ * @param {function(Object): boolean} [options.filter] - Selects the cards to read
+ * @returns {Promise<{cards: Array, lists: Array, members: Array}>} Cards with
+ *   totalTime, estimatedTime and entries
+ */
+export const getBoardCardTimes = async (t, { filter = () => true } = {}) => {
+  const [cards, lists, members] = await Promise.all([
+    TrelloService.getBoardCards(t),
+    TrelloService.getBoardLists(t),
+    TrelloService.getBoardMembers(t),
+  ]);
+  const cardTimes = await Promise.all(
+    cards.filter(filter).map((card) => readCardTime(t, card)),
+  );
+
+  return { cards: cardTimes, lists, members };
+};
+
+/**
+ * Builds the board-wide time report from every card's stored timer data.
+ * Totals are saved time only; sessions still running aren't counted.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const getBoardReport = async (t) => {
+  try {
+    const [{ cards, lists, members }, settings] = await Promise.all([
+      getBoardCardTimes(t),
+      StorageService.getBoardSettings(t),
+    ]);
+    return {
+      success: true,
+      data: summarizeBoard(cards, lists, members, settings),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const ReportService = {
+  summarizeBoard,
+  getBoardCardTimes,
+  getBoardReport,
+};
+export default ReportService;
@@ -0,0 +1,100 @@
+/**
+ * TimeUp - REST API Service
+ * Calls the Trello REST API with the member's token, so every service
+ * authorizes, reports errors and retries the same way
+ */
+
+import { TIME } from "../utils/constants.js";
+import { AppConfig } from "../config/AppConfig.js";
+
+const API_URL = "https://api.trello.com/1";
+
+/** Attempts made per call, the first one included */
+export const MAX_ATTEMPTS = 3;
+
+/** Wait before the first retry; doubled after each failed attempt */
+export const RETRY_DELAY = 2 * TIME.SECOND;
+
+/**
+ * Checks whether a failed call may succeed when tried again: network
+ * errors, rate limiting and server errors. Other client errors won't.
+ * @param {Error} error - Error thrown by a call
+ * @returns {boolean} True if the call should be retried
+ */
+export const isRetryable = (error) =>
+  error.status === undefined || error.status === 429 || error.status >= 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Gets the member's token.
+ * @param {Object} t - Trello client
+ * @returns {Promise<string|null>} Token, or null if TimeUp isn't authorized
+ */
+const getToken = async (t) => {
+  const restApi = t.getRestApi();
+  if (!(await restApi.isAuthorized())) return null;
+  return (await restApi.getToken()) || null;
+};
+
+/**
+ * Sends one request.
+ * @param {string} path - API path, without the version prefix
+ * @param {string} token - Member's token
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<*>} Response JSON
+ * @throws {Error} If the API answers with an error, with its HTTP `status`
+ */
+const send = async (path, token, method, body) => {
+  const response = await fetch(
+    `${API_URL}/${path}?key=${AppConfig.APP_KEY}&token=${token}`,
+    body
+      ? {
+          method,
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        }
+      : { method },
+  );
+  if (!response.ok) {
+    throw Object.assign(
+      new Error(`API Error ${response.status}: ${response.statusText}`),
+      { status: response.status },
+    );
+  }
+  return response.json();
+};
+
+/**
+ * Calls the Trello REST API with the member's token. Failed calls are
+ * retried up to MAX_ATTEMPTS times, waiting longer after each attempt.
+ * @param {Object} t - Trello client
+ * @param {string} path - API path, without the version prefix
+ * @param {Object} [options]
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {Object} [options.body] - JSON request body
+ * @returns {Promise<*|null>} Response JSON, or null if TimeUp isn't authorized
+ * @throws {Error} If the API answers with an error, with its HTTP `status`
+ * @example
+ * await callApi(t, `cards/${cardId}/actions/comments`, { method: "POST", body: { text } })
+ */
+export const callApi = async (t, path, { method = "GET", body } = {}) => {
+  const token = await getToken(t);
+  if (!token) return null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send(path, token, method, body);
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) throw error;
+      await wait(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+};
+
+const RestApiService = {
+  isRetryable,
+  callApi,
+};
+export default RestApiService;
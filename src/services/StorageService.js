@@ -1,6 +1,20 @@
-import { STORAGE_KEYS, STORAGE_SCOPES, DEFAULTS } from "../utils/constants.js";
+import {
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  DEFAULTS,
+  SCHEMA_VERSION,
+  TIMER_STATE,
+  ERROR_CODES,
+} from "../utils/constants.js";
+import { migrateTimerData, isNewerSchema } from "./MigrationService.js";
 
-const STORAGE_LIMIT = 4096; // Trello's per-key character limit
+// Trello's character limit for one scope and visibility of an object. It
+// covers all of its keys together: they are stored as one JSON document.
+const STORAGE_LIMIT = 4096;
+
+// Size each shard key is packed to. Shards share the limit above, so they
+// don't add room; they keep every key small however far a section grows.
+const SHARD_LIMIT = STORAGE_LIMIT / 4;
 
 /**
  * Gets data from Trello storage with error handling.
@@ -29,7 +43,8 @@ export const getData = async (
 };
 
 /**
- * Saves data to Trello storage with size limit validation.
+ * Saves data to Trello storage with size limit validation. Only the value
+ * itself is measured; keys sharing a scope are written with setBatchData.
  * @param {Object} t - Trello Power-Up client instance
  * @param {string} scope - Storage scope ('card' | 'board' | 'member')
  * @param {string} visibility - Visibility ('shared' | 'private')
@@ -47,7 +62,7 @@ export const setData = async (t, scope, visibility, key, value) => {
     if (jsonString.length > STORAGE_LIMIT) {
       return {
         success: false,
-        error: "LIMIT_EXCEEDED",
+        error: ERROR_CODES.LIMIT_EXCEEDED,
         size: jsonString.length,
       };
     }
@@ -60,6 +75,33 @@ export const setData = async (t, scope, visibility, key, value) => {
   }
 };
 
+/**
+ * Saves several keys with a single Trello call (t.set with an object).
+ * The values are validated together against the limit before anything is
+ * written, so pass every key the scope holds.
+ * @param {Object} t - Trello Power-Up client instance
+ * @param {string} scope - Storage scope ('card' | 'board' | 'member')
+ * @param {string} visibility - Visibility ('shared' | 'private')
+ * @param {Object} values - Map of storage key to value
+ * @returns {Promise<{success: boolean, size?: number, error?: string}>} Result object
+ * @example
+ * await setBatchData(t, 'card', 'shared', { timerData, entryHistory });
+ */
+export const setBatchData = async (t, scope, visibility, values) => {
+  try {
+    const size = JSON.stringify(values).length;
+    if (size > STORAGE_LIMIT) {
+      return { success: false, error: ERROR_CODES.LIMIT_EXCEEDED, size };
+    }
+
+    await t.set(scope, visibility, values);
+
+    return { success: true, size };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Calculates current storage usage percentage for a key.
  * @param {*} value - The value being stored
@@ -75,6 +117,37 @@ export const calculateUsage = (value) => {
   };
 };
 
+/**
+ * Splits items into consecutive chunks whose JSON size fits the shard limit.
+ * @param {Array} items - Items to chunk
+ * @param {function(*): number} [sizeOf] - Serialized size of one item
+ * @param {number} [limit=SHARD_LIMIT] - Size each chunk must fit
+ * @returns {Array<Array>} Chunks of items, in order
+ */
+const chunkBySize = (
+  items,
+  sizeOf = (item) => JSON.stringify(item).length,
+  limit = SHARD_LIMIT,
+) => {
+  const chunks = [];
+  let current = [];
+  let currentSize = 2; // "[]" or "{}"
+
+  for (const item of items) {
+    const itemSize = sizeOf(item) + 1; // +1 for the comma
+    if (current.length && currentSize + itemSize > limit) {
+      chunks.push(current);
+      current = [];
+      currentSize = 2;
+    }
+    current.push(item);
+    currentSize += itemSize;
+  }
+
+  if (current.length) chunks.push(current);
+  return chunks;
+};
+
 /**
  * Removes data from Trello storage.
  * @param {Object} t - Trello Power-Up client instance
@@ -92,23 +165,740 @@ export const removeData = async (t, scope, visibility, key) => {
   }
 };
 
+// =============================================================================
+// COMPACT ENTRY ENCODING
+// =============================================================================
+
+/** Current version of the compact entry encoding */
+const ENTRY_CODEC_VERSION = 1;
+
+/** Short keys used by the compact entry encoding */
+const ENTRY_KEYS = {
+  id: "i",
+  startTime: "s",
+  endTime: "e",
+  duration: "d",
+  description: "t",
+  checklistItemId: "c",
+  memberId: "m",
+  createdAt: "a",
+};
+
+/** Fields whose repeated values are worth moving into a dictionary */
+const DICTIONARY_FIELDS = ["checklistItemId", "memberId"];
+
+const toBase36 = (num) => num.toString(36);
+const fromBase36 = (str) => parseInt(str, 36);
+
+/**
+ * Checks whether an entry's numbers can be stored as base36 integers.
+ * Anything else is kept verbatim so no data is ever lost in encoding.
+ * @param {Object} entry - Time entry
+ * @returns {boolean} True if the entry can be compacted
+ */
+const isCompactable = (entry) =>
+  entry &&
+  typeof entry === "object" &&
+  Number.isInteger(entry.startTime) &&
+  Number.isInteger(entry.endTime) &&
+  Number.isInteger(entry.duration) &&
+  (entry.createdAt === undefined || Number.isInteger(entry.createdAt));
+
+/**
+ * Encodes time entries into the versioned compact format.
+ * Timestamps become base36 offsets (start from a shared base, end from start),
+ * derivable values are omitted, and repeated item/member IDs can be replaced
+ * by indexes into a dictionary.
+ * @param {Array} entries - Time entries
+ * @param {Object} [options={}] - Encoding options
+ * @param {boolean} [options.dictionary=true] - Use dictionary compression for repeated IDs
+ * @returns {{v: number, b: string, d?: Array<string>, e: Array<Object>}} Encoded entries
+ * @example
+ * encodeEntries([{ id: "e1", startTime: 1706367600000, endTime: 1706371200000, duration: 3600000, createdAt: 1706371200000 }])
+ * // { v: 1, b: "lrw9ewg0", e: [{ i: "e1", s: "0", e: "2n9c" }] }
+ */
+export const encodeEntries = (entries, { dictionary = true } = {}) => {
+  const compactable = entries.filter(isCompactable);
+  const base = compactable.length
+    ? Math.min(...compactable.map((e) => e.startTime))
+    : 0;
+
+  // Count repeated values so only IDs that occur more than once are indexed
+  const counts = new Map();
+  if (dictionary) {
+    for (const entry of compactable) {
+      for (const field of DICTIONARY_FIELDS) {
+        const value = entry[field];
+        if (typeof value === "string") {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      }
+    }
+  }
+  const dict = [...counts.keys()].filter((value) => counts.get(value) > 1);
+  const dictIndex = new Map(dict.map((value, i) => [value, i]));
+
+  const encoded = entries.map((entry) => {
+    if (!isCompactable(entry)) return { r: entry };
+
+    const {
+      id,
+      startTime,
+      endTime,
+      duration,
+      description,
+      checklistItemId,
+      memberId,
+      createdAt,
+      ...rest
+    } = entry;
+
+    const out = {
+      [ENTRY_KEYS.id]: id,
+      [ENTRY_KEYS.startTime]: toBase36(startTime - base),
+      [ENTRY_KEYS.endTime]: toBase36(endTime - startTime),
+    };
+    if (duration !== endTime - startTime) {
+      out[ENTRY_KEYS.duration] = toBase36(duration);
+    }
+    if (description) out[ENTRY_KEYS.description] = description;
+    for (const [field, value] of [
+      ["checklistItemId", checklistItemId],
+      ["memberId", memberId],
+    ]) {
+      if (value === null || value === undefined) continue;
+      out[ENTRY_KEYS[field]] = dictIndex.has(value)
+        ? dictIndex.get(value)
+        : value;
+    }
+    if (createdAt !== undefined && createdAt !== endTime) {
+      out[ENTRY_KEYS.createdAt] = toBase36(createdAt - endTime);
+    }
+
+    // Unknown fields are carried over untouched
+    return { ...rest, ...out };
+  });
+
+  const result = { v: ENTRY_CODEC_VERSION, b: toBase36(base), e: encoded };
+  if (dict.length) result.d = dict;
+  return result;
+};
+
+/**
+ * Decodes entries stored with encodeEntries.
+ * Plain arrays (the original uncompressed format) are returned unchanged.
+ * @param {Object|Array} stored - Encoded entries or legacy entry array
+ * @returns {Array} Time entries
+ * @throws {Error} If the payload uses an unknown encoding version
+ */
+export const decodeEntries = (stored) => {
+  if (Array.isArray(stored)) return stored;
+  if (!stored || typeof stored !== "object") return [];
+  if (stored.v !== ENTRY_CODEC_VERSION) {
+    throw new Error(`Unsupported entry encoding version: ${stored.v}`);
+  }
+
+  const base = fromBase36(stored.b);
+  const dict = stored.d || [];
+  const lookup = (value) =>
+    typeof value === "number" ? dict[value] : (value ?? null);
+
+  return (stored.e || []).map((encoded) => {
+    if ("r" in encoded) return encoded.r;
+
+    const { i, s, e, d, t, c, m, a, ...rest } = encoded;
+    const startTime = base + fromBase36(s);
+    const endTime = startTime + fromBase36(e);
+
+    return {
+      ...rest,
+      id: i,
+      startTime,
+      endTime,
+      duration: d === undefined ? endTime - startTime : fromBase36(d),
+      description: t || "",
+      createdAt: a === undefined ? endTime : endTime + fromBase36(a),
+      checklistItemId: lookup(c),
+      memberId: lookup(m),
+    };
+  });
+};
+
+/**
+ * Splits entries into encoded chunks that each fit the shard limit.
+ * Sizes are measured on the encoded form, so compaction buys more entries
+ * per key.
+ * @param {Array} entries - Time entries
+ * @returns {Array<Object>} Encoded chunks, in order
+ */
+const chunkEntries = (entries) => {
+  const chunks = [];
+  let current = [];
+
+  for (const entry of entries) {
+    const candidate = [...current, entry];
+    if (
+      current.length &&
+      JSON.stringify(encodeEntries(candidate)).length > SHARD_LIMIT
+    ) {
+      chunks.push(encodeEntries(current));
+      current = [entry];
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current.length) chunks.push(encodeEntries(current));
+  return chunks;
+};
+
+// =============================================================================
+// COMPACT CHECKLIST TOTAL ENCODING
+// =============================================================================
+
+/** Current version of the compact checklist total encoding */
+const ITEM_CODEC_VERSION = 1;
+
+/** Single-character codes for item timer states; idle is left empty */
+const STATE_CODES = {
+  [TIMER_STATE.IDLE]: "",
+  [TIMER_STATE.RUNNING]: "r",
+  [TIMER_STATE.PAUSED]: "p",
+};
+
+const ITEM_FIELDS = [
+  "totalTime",
+  "entryCount",
+  "estimatedTime",
+  "state",
+  "currentEntry",
+];
+const ITEM_SESSION_FIELDS = [
+  "startTime",
+  "pausedDuration",
+  "pausedAt",
+  "memberId",
+  "pauses",
+];
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const isPause = (pause) =>
+  pause !== null &&
+  typeof pause === "object" &&
+  hasOnly(pause, ["start", "end"]) &&
+  isCount(pause.start) &&
+  isCount(pause.end);
+
+const hasOnly = (obj, fields) =>
+  Object.keys(obj).every((key) => fields.includes(key));
+
+/**
+ * Checks whether a checklist item total fits the tuple encoding.
+ * Anything else is kept verbatim so no data is ever lost in encoding.
+ * @param {Object} item - Checklist item total
+ * @returns {boolean} True if the item can be compacted
+ */
+const isCompactableItem = (item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) return false;
+  if (!hasOnly(item, ITEM_FIELDS)) return false;
+  if (!isCount(item.totalTime) || !isCount(item.entryCount)) return false;
+  if (item.estimatedTime !== null && !isCount(item.estimatedTime)) {
+    return false;
+  }
+  if (!(item.state in STATE_CODES)) return false;
+
+  const session = item.currentEntry;
+  if (session === null) return true;
+  return (
+    typeof session === "object" &&
+    hasOnly(session, ITEM_SESSION_FIELDS) &&
+    isCount(session.startTime) &&
+    isCount(session.pausedDuration) &&
+    (session.pausedAt == null || isCount(session.pausedAt)) &&
+    (session.pauses === undefined ||
+      (Array.isArray(session.pauses) && session.pauses.every(isPause))) &&
+    (session.memberId === undefined ||
+      session.memberId === null ||
+      typeof session.memberId === "string")
+  );
+};
+
+/**
+ * Encodes a checklist item total as a tuple of base36 numbers:
+ * [totalTime, entryCount, estimatedTime, state, startTime, pausedDuration,
+ * pausedAt, memberId, pauses], with empty strings for missing values and
+ * trailing empty values dropped. Pauses are "start.end" pairs joined by
+ * commas; no pauses are stored as none. Items that don't fit stay objects.
+ * @param {Object} item - Checklist item total
+ * @returns {Array<string>|Object} Encoded item
+ * @example
+ * encodeItemTotal({ totalTime: 3600000, entryCount: 2, estimatedTime: null, state: "idle", currentEntry: null })
+ * // ["255s0", "2"]
+ */
+const encodeItemTotal = (item) => {
+  if (!isCompactableItem(item)) return item;
+
+  const { totalTime, entryCount, estimatedTime, state, currentEntry } = item;
+  const tuple = [
+    toBase36(totalTime),
+    toBase36(entryCount),
+    estimatedTime === null ? "" : toBase36(estimatedTime),
+    STATE_CODES[state],
+  ];
+  if (currentEntry) {
+    const {
+      startTime,
+      pausedDuration,
+      pausedAt,
+      memberId,
+      pauses = [],
+    } = currentEntry;
+    tuple.push(
+      toBase36(startTime),
+      toBase36(pausedDuration),
+      pausedAt == null ? "" : toBase36(pausedAt),
+      memberId ?? "",
+      pauses
+        .map(({ start, end }) => `${toBase36(start)}.${toBase36(end)}`)
+        .join(","),
+    );
+  }
+
+  while (tuple.at(-1) === "") tuple.pop();
+  return tuple;
+};
+
+/**
+ * Decodes the pauses of an item session stored with encodeItemTotal.
+ * @param {string} encoded - "start.end" pairs joined by commas
+ * @returns {Array<{start: number, end: number}>} Pauses
+ */
+const decodePauses = (encoded) =>
+  encoded.split(",").map((pause) => {
+    const [start, end] = pause.split(".");
+    return { start: fromBase36(start), end: fromBase36(end) };
+  });
+
+/**
+ * Decodes a checklist item total stored with encodeItemTotal.
+ * @param {Array<string>|Object} encoded - Encoded item
+ * @returns {Object} Checklist item total
+ */
+const decodeItemTotal = (encoded) => {
+  if (!Array.isArray(encoded)) return encoded;
+
+  const [
+    totalTime,
+    entryCount,
+    estimatedTime = "",
+    stateCode = "",
+    startTime = "",
+    pausedDuration,
+    pausedAt = "",
+    memberId = "",
+    pauses = "",
+  ] = encoded;
+  const state =
+    Object.keys(STATE_CODES).find((key) => STATE_CODES[key] === stateCode) ??
+    TIMER_STATE.IDLE;
+
+  return {
+    totalTime: fromBase36(totalTime),
+    entryCount: fromBase36(entryCount),
+    estimatedTime: estimatedTime === "" ? null : fromBase36(estimatedTime),
+    state,
+    currentEntry:
+      startTime === ""
+        ? null
+        : {
+            startTime: fromBase36(startTime),
+            pausedDuration: fromBase36(pausedDuration),
+            ...(pausedAt === "" ? {} : { pausedAt: fromBase36(pausedAt) }),
+            memberId: memberId || null,
+            ...(pauses === "" ? {} : { pauses: decodePauses(pauses) }),
+          },
+  };
+};
+
+/**
+ * Encodes checklist item totals into the versioned compact format.
+ * @param {Object} checklistTotals - Item totals by checklist item ID
+ * @returns {{v: number, i: Object}} Encoded item totals
+ */
+export const encodeItemTotals = (checklistTotals) => ({
+  v: ITEM_CODEC_VERSION,
+  i: Object.fromEntries(
+    Object.entries(checklistTotals).map(([id, item]) => [
+      id,
+      encodeItemTotal(item),
+    ]),
+  ),
+});
+
+/**
+ * Decodes checklist item totals stored with encodeItemTotals.
+ * Objects without a version (the original uncompressed format) are returned
+ * unchanged.
+ * @param {Object} stored - Encoded or legacy item totals
+ * @returns {Object} Item totals by checklist item ID
+ * @throws {Error} If the payload uses an unknown encoding version
+ */
+export const decodeItemTotals = (stored) => {
+  if (!stored || typeof stored !== "object") return {};
+  if (stored.v === undefined) return stored;
+  if (stored.v !== ITEM_CODEC_VERSION) {
+    throw new Error(`Unsupported checklist encoding version: ${stored.v}`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(stored.i || {}).map(([id, encoded]) => [
+      id,
+      decodeItemTotal(encoded),
+    ]),
+  );
+};
+
+/**
+ * Splits checklist item totals into encoded chunks that each fit the shard
+ * limit. Sizes are measured on the encoded form.
+ * @param {Object} checklistTotals - Item totals by checklist item ID
+ * @returns {Array<Object>} Encoded chunks
+ */
+const chunkItemTotals = (checklistTotals) => {
+  const { v, i: encoded } = encodeItemTotals(checklistTotals);
+  // Room taken by the {"v":1,"i":…} wrapper around each chunk
+  const wrapperSize = JSON.stringify({ v, i: {} }).length - 2;
+
+  return chunkBySize(
+    Object.entries(encoded),
+    ([id, item]) => JSON.stringify(id).length + 1 + JSON.stringify(item).length,
+    SHARD_LIMIT - wrapperSize,
+  ).map((chunk) => ({ v, i: Object.fromEntries(chunk) }));
+};
+
+// =============================================================================
+// CONCURRENT WRITE MERGING
+// =============================================================================
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Top-level timer data fields that accumulate, merged by applying each side's
+ * delta instead of picking one value.
+ */
+const TIMER_DATA_COUNTERS = ["totalTime", "archivedCount"];
+
+/** Checklist item fields that accumulate */
+const ITEM_COUNTERS = ["totalTime", "entryCount"];
+
+/** Fields describing one timer session; they only make sense together */
+const SESSION_FIELDS = ["state", "currentEntry"];
+
+/** Bookkeeping fields that always come from the stored (newest) side */
+const STORED_FIELDS = ["revision", "writeId", "schemaVersion"];
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Three-way merges a plain value: our change wins, otherwise theirs is kept.
+ * @param {*} base - Value both sides started from
+ * @param {*} ours - Our value
+ * @param {*} theirs - Value saved concurrently
+ * @returns {*} Merged value
+ */
+const mergeValue = (base, ours, theirs) => (isSame(base, ours) ? theirs : ours);
+
+/**
+ * Three-way merges a counter by adding our delta to their value.
+ * @param {number} [base=0] - Value both sides started from
+ * @param {number} [ours=0] - Our value
+ * @param {number} [theirs=0] - Value saved concurrently
+ * @returns {number} Merged value (never negative)
+ */
+const mergeCounter = (base = 0, ours = 0, theirs = 0) =>
+  Math.max(0, theirs + (ours - base));
+
+/**
+ * Three-way merges two records field by field.
+ * @param {Object} base - Record both sides started from
+ * @param {Object} ours - Our record
+ * @param {Object} theirs - Record saved concurrently
+ * @param {Object} rules - { counters: string[], stored?: string[], fields?: Object<string, Function> }
+ * @returns {Object} Merged record
+ */
+const mergeRecord = (base, ours, theirs, rules) => {
+  const { counters, stored = [], fields = {} } = rules;
+  const pick = (record, keys) => keys.map((key) => record[key]);
+  const keys = new Set([
+    ...Object.keys(base),
+    ...Object.keys(ours),
+    ...Object.keys(theirs),
+  ]);
+  const merged = {};
+
+  // The session fields move as one unit so state and currentEntry never mix
+  const session = isSame(pick(base, SESSION_FIELDS), pick(ours, SESSION_FIELDS))
+    ? theirs
+    : ours;
+
+  for (const key of keys) {
+    let value;
+    if (stored.includes(key)) value = theirs[key];
+    else if (SESSION_FIELDS.includes(key)) value = session[key];
+    else if (counters.includes(key))
+      value = mergeCounter(base[key], ours[key], theirs[key]);
+    else if (fields[key])
+      value = fields[key](base[key], ours[key], theirs[key]);
+    else value = mergeValue(base[key], ours[key], theirs[key]);
+
+    if (value !== undefined) merged[key] = value;
+  }
+
+  return merged;
+};
+
+/**
+ * Three-way merges entry lists by ID. Entries added on either side are kept,
+ * entries removed on one side (deleted or archived) stay removed unless the
+ * other side edited them, and edits to the same entry go field by field.
+ * @param {Array} [base=[]] - Entries both sides started from
+ * @param {Array} [ours=[]] - Our entries
+ * @param {Array} [theirs=[]] - Entries saved concurrently
+ * @returns {Array} Merged entries, newest first
+ */
+const mergeEntries = (base = [], ours = [], theirs = []) => {
+  const byId = (entries) => new Map(entries.map((e) => [e.id, e]));
+  const baseById = byId(base);
+  const oursById = byId(ours);
+  const theirsById = byId(theirs);
+  const ids = new Set([...oursById.keys(), ...theirsById.keys()]);
+  const merged = [];
+
+  for (const id of ids) {
+    const b = baseById.get(id);
+    const o = oursById.get(id);
+    const th = theirsById.get(id);
+
+    if (o && th) {
+      merged.push(b ? mergeRecord(b, o, th, { counters: [] }) : o);
+    } else if (o) {
+      // Missing on their side: new on ours, or removed by them
+      if (!b || !isSame(b, o)) merged.push(o);
+    } else if (!b || !isSame(b, th)) {
+      merged.push(th);
+    }
+  }
+
+  const newest = (e) => e.createdAt ?? e.endTime ?? 0;
+  return merged.sort((a, b) => newest(b) - newest(a));
+};
+
+/**
+ * Creates a three-way merge for a map of records (checklist item totals,
+ * member timers, focus sessions) that merges key by key and field by field.
+ * @param {string[]} counters - Record fields that accumulate
+ * @returns {function(Object=, Object=, Object=): Object} Merge function
+ */
+const mergeKeyedRecords =
+  (counters) =>
+  (base = {}, ours = {}, theirs = {}) => {
+    const merged = {};
+    const ids = new Set([...Object.keys(ours), ...Object.keys(theirs)]);
+
+    for (const id of ids) {
+      const b = base[id];
+      const o = ours[id];
+      const th = theirs[id];
+
+      if (o && th) {
+        merged[id] = mergeRecord(b || {}, o, th, { counters });
+      } else if (o) {
+        if (!b || !isSame(b, o)) merged[id] = o;
+      } else if (!b || !isSame(b, th)) {
+        merged[id] = th;
+      }
+    }
+
+    return merged;
+  };
+
+/**
+ * Merges our change into timer data that was saved concurrently.
+ * Counters combine both deltas; entries, checklist totals, member timers
+ * and focus sessions merge by ID and field; session fields move together; any other field takes
+ * our value only if we changed it. The result carries their revision.
+ * @param {Object} base - Timer data our change was computed from
+ * @param {Object} ours - Timer data with our change
+ * @param {Object} theirs - Timer data currently stored
+ * @returns {Object} Merged timer data
+ */
+export const mergeTimerData = (base, ours, theirs) =>
+  mergeRecord(base, ours, theirs, {
+    counters: TIMER_DATA_COUNTERS,
+    stored: STORED_FIELDS,
+    fields: {
+      recentEntries: mergeEntries,
+      checklistTotals: mergeKeyedRecords(ITEM_COUNTERS),
+      memberTimers: mergeKeyedRecords([]),
+      focusSessions: mergeKeyedRecords(["cycles"]),
+    },
+  });
+
+/**
+ * Creates a token identifying one save, used to detect a save that landed on
+ * top of ours with the same revision.
+ * @returns {string} Write token
+ */
+const createWriteId = () =>
+  `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
 // =============================================================================
 // CARD-SPECIFIC OPERATIONS
 // =============================================================================
 
 /**
- * Gets timer data from card storage.
+ * Timer data sections that are stored in their own shard keys.
+ * Everything else (member timers, totals, estimates) stays in the header.
+ * @type {Object<string, {name: string, empty: function(): *, chunk: function(*): Array, join: function(Array): *}>}
+ */
+const TIMER_DATA_SECTIONS = {
+  recentEntries: {
+    name: "entries",
+    empty: () => [],
+    chunk: chunkEntries,
+    join: (chunks) => chunks.flatMap(decodeEntries),
+  },
+  checklistTotals: {
+    name: "checklist",
+    empty: () => ({}),
+    chunk: chunkItemTotals,
+    join: (chunks) => Object.assign({}, ...chunks.map(decodeItemTotals)),
+  },
+};
+
+/**
+ * Builds the storage key for a timer data shard.
+ * @param {string} section - Section name (e.g. "entries")
+ * @param {number} index - Shard index
+ * @returns {string} Storage key, e.g. "timerData_entries_0"
+ */
+const getShardKey = (section, index) =>
+  `${STORAGE_KEYS.TIMER_DATA}_${section}_${index}`;
+
+/**
+ * Lists the shard keys a stored timer data header refers to.
+ * @param {Object|null} header - Stored timerData value
+ * @returns {string[]} Shard keys; none for a legacy single-key payload
+ */
+const getShardKeys = (header) =>
+  Object.values(TIMER_DATA_SECTIONS).flatMap((section) =>
+    Array.from({ length: header?.shards?.[section.name] || 0 }, (_, i) =>
+      getShardKey(section.name, i),
+    ),
+  );
+
+/**
+ * Splits timer data into a header plus section shards.
+ * The header records how many shards each section has in `shards`.
+ * @param {Object} timerData - Complete timer data
+ * @returns {Object} Map of storage key to value
+ */
+const splitTimerData = (timerData) => {
+  const header = { ...timerData, shards: {} };
+  const values = {};
+
+  for (const [field, section] of Object.entries(TIMER_DATA_SECTIONS)) {
+    const chunks = section.chunk(timerData[field] ?? section.empty());
+    delete header[field];
+    header.shards[section.name] = chunks.length;
+    chunks.forEach((chunk, i) => {
+      values[getShardKey(section.name, i)] = chunk;
+    });
+  }
+
+  return { [STORAGE_KEYS.TIMER_DATA]: header, ...values };
+};
+
+/**
+ * Reads the shards of a stored timer data header and reassembles them.
+ * Headers without a shard manifest are legacy single-key payloads, with
+ * their sections inline in compact or plain form.
+ * @param {Object} t - Trello Power-Up client instance
+ * @param {Object} header - Stored timerData value
+ * @returns {Promise<Object>} Reassembled timer data
+ */
+const joinTimerData = async (t, header) => {
+  if (!header?.shards) {
+    return {
+      ...header,
+      recentEntries: decodeEntries(header.recentEntries),
+      checklistTotals: decodeItemTotals(header.checklistTotals),
+    };
+  }
+
+  const { shards, ...timerData } = header;
+
+  await Promise.all(
+    Object.entries(TIMER_DATA_SECTIONS).map(async ([field, section]) => {
+      const keys = Array.from({ length: shards[section.name] || 0 }, (_, i) =>
+        getShardKey(section.name, i),
+      );
+      const chunks = await Promise.all(
+        keys.map((key) =>
+          getData(t, "card", STORAGE_SCOPES.CARD_SHARED, key, section.empty()),
+        ),
+      );
+      timerData[field] = section.join(chunks);
+    }),
+  );
+
+  return timerData;
+};
+
+/**
+ * Overwrites keys of a previous save that the new one no longer uses with
+ * null, so they stop counting towards the limit in the same write.
+ * @param {Object} values - Map of storage key to value about to be written
+ * @param {string[]} previousKeys - Keys the previous save used
+ * @returns {Object} The values, with stale keys set to null
+ */
+const clearStaleKeys = (values, previousKeys) => ({
+  ...Object.fromEntries(
+    previousKeys.filter((key) => !(key in values)).map((key) => [key, null]),
+  ),
+  ...values,
+});
+
+/**
+ * Removes the keys clearStaleKeys set to null once the write has landed.
+ * @param {Object} t - Trello client
+ * @param {Object} values - Map of storage key to value that was written
+ */
+const removeStaleKeys = async (t, values) => {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null) {
+      await removeData(t, "card", STORAGE_SCOPES.CARD_SHARED, key);
+    }
+  }
+};
+
+/**
+ * Gets timer data from card storage, reassembling it from its shards.
+ * Data from an older schema is migrated in memory; the upgraded shape is
+ * written back by the next setTimerData.
  * @param {Object} t - Trello Power-Up client instance
  * @returns {Promise<Object>} Timer data
  */
 export const getTimerData = async (t) => {
-  const timerData = await getData(
+  const header = await getData(
     t,
     "card",
     STORAGE_SCOPES.CARD_SHARED,
     STORAGE_KEYS.TIMER_DATA,
     DEFAULTS.TIMER_DATA,
   );
+  const { data: timerData } = migrateTimerData(await joinTimerData(t, header));
 
   // Ensure structure is valid
   return {
@@ -119,18 +909,245 @@ export const getTimerData = async (t) => {
 
 /**
  * Saves timer data to card storage.
+ * The data is split into a header and section shards (see
+ * TIMER_DATA_SECTIONS) and written in one batch with the pages of the entry
+ * history, which shares the card's storage limit. Entries passed in
+ * `archive` join the entry history in the same write. Nothing is ever
+ * dropped to make room: a save that doesn't fit fails with LIMIT_EXCEEDED.
+ * Keys left over from a larger previous save are cleared in the batch and
+ * removed afterwards.
+ * Saves are stamped with the current SCHEMA_VERSION and refused when the
+ * card holds data from a newer schema, so an outdated client cannot
+ * overwrite fields it does not know about.
+ *
+ * Every save increments `revision`. When `base` (the data the change was
+ * computed from) is given, the save is optimistic: if the stored revision
+ * moved on since `base` was read, or another save lands on top of this one,
+ * the change is merged into the stored data (see mergeTimerData) and written
+ * again, up to MAX_WRITE_ATTEMPTS times. Without `base` the last write wins.
  * @param {Object} t - Trello client
  * @param {Object} timerData - Complete timer data to save
+ * @param {Object} [base=null] - Timer data as read before the change
+ * @param {Object} [options={}] - Save options
+ * @param {Array} [options.archive=[]] - Entries to move into the entry
+ *   history, newest first; `timerData.archivedCount` already counts them
+ * @returns {Promise<{success: boolean, data?: Object, size?: number, error?: string}>}
+ */
+export const setTimerData = async (
+  t,
+  timerData,
+  base = null,
+  { archive = [] } = {},
+) => {
+  let ours = timerData;
+  let ancestor = base;
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const previous = await getData(
+      t,
+      "card",
+      STORAGE_SCOPES.CARD_SHARED,
+      STORAGE_KEYS.TIMER_DATA,
+      null,
+    );
+    if (isNewerSchema(previous)) {
+      return { success: false, error: ERROR_CODES.SCHEMA_TOO_NEW };
+    }
+
+    const revision = previous?.revision ?? 0;
+    if (ancestor && revision !== (ours.revision ?? 0)) {
+      const theirs = await getTimerData(t);
+      ours = mergeTimerData(ancestor, ours, theirs);
+      ancestor = theirs;
+    }
+
+    const data = {
+      ...ours,
+      schemaVersion: SCHEMA_VERSION,
+      revision: revision + 1,
+      writeId: createWriteId(),
+    };
+    const { index, entries: history } = await readEntryHistory(t);
+    const known = new Set(history.map((e) => e.id));
+    const entries = [...archive.filter((e) => !known.has(e.id)), ...history];
+    const values = clearStaleKeys(
+      {
+        ...splitTimerData(data),
+        ...(index === null && !entries.length
+          ? {}
+          : splitEntryHistory(entries)),
+      },
+      [...getShardKeys(previous), ...getHistoryPageKeys(index)],
+    );
+
+    const result = await setBatchData(
+      t,
+      "card",
+      STORAGE_SCOPES.CARD_SHARED,
+      values,
+    );
+    if (!result.success) return result;
+
+    const written = ancestor
+      ? await getData(
+          t,
+          "card",
+          STORAGE_SCOPES.CARD_SHARED,
+          STORAGE_KEYS.TIMER_DATA,
+          null,
+        )
+      : values[STORAGE_KEYS.TIMER_DATA];
+
+    // A save with a higher revision was computed on top of ours; one with the
+    // same revision but another writeId overwrote ours and needs merging.
+    const overwritten =
+      written?.writeId !== data.writeId &&
+      (written?.revision ?? 0) <= data.revision;
+    if (!overwritten) {
+      if (written?.writeId === data.writeId) await removeStaleKeys(t, values);
+      return { ...result, data };
+    }
+    ours = { ...ours, revision };
+  }
+
+  return { success: false, error: ERROR_CODES.WRITE_CONFLICT };
+};
+
+/**
+ * Calculates how much of the card's storage timer data and its entry
+ * history take, as they would be stored. The top-level fields cover the
+ * whole card, which is what the limit applies to; `shards` breaks it down
+ * by storage key.
+ * @param {Object} timerData - Complete timer data
+ * @param {Array} [history=[]] - Entry history, newest first
+ * @returns {Object} { size, limit, percent, isNearLimit, shards: { [key]: usage } }
+ */
+export const calculateShardUsage = (timerData, history = []) => {
+  const values = {
+    ...splitTimerData(timerData),
+    ...(history.length ? splitEntryHistory(history) : {}),
+  };
+
+  return {
+    ...calculateUsage(values),
+    shards: Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [
+        key,
+        calculateUsage(value),
+      ]),
+    ),
+  };
+};
+
+// =============================================================================
+// ENTRY HISTORY (ARCHIVED ENTRIES)
+// =============================================================================
+
+/**
+ * Builds the storage key for an entry history page.
+ * @param {number} index - Page index (0 = oldest)
+ * @returns {string} Storage key, e.g. "entryHistory_0"
+ */
+const getHistoryPageKey = (index) => `${STORAGE_KEYS.ENTRY_HISTORY}_${index}`;
+
+/**
+ * Lists the page keys a stored entry history index refers to.
+ * @param {Object|Array|null} index - Stored entryHistory value
+ * @returns {string[]} Page keys; none for a legacy single-key history
+ */
+const getHistoryPageKeys = (index) =>
+  Array.from({ length: index?.pages || 0 }, (_, i) => getHistoryPageKey(i));
+
+/**
+ * Splits the entry history into an index and numbered pages, packed oldest
+ * first so archiving more entries only changes the last pages.
+ * @param {Array} entries - Archived entries, newest first
+ * @returns {Object} Map of storage key to value
+ */
+const splitEntryHistory = (entries) => {
+  const pages = chunkEntries([...entries].reverse());
+  return {
+    [STORAGE_KEYS.ENTRY_HISTORY]: { pages: pages.length },
+    ...Object.fromEntries(pages.map((page, i) => [getHistoryPageKey(i), page])),
+  };
+};
+
+/**
+ * Reads the entry history index and every entry its pages hold.
+ * A history stored before it had pages is one key of encoded or plain
+ * entries, read as it is.
+ * @param {Object} t - Trello Power-Up client instance
+ * @returns {Promise<{index: Object|Array|null, entries: Array}>} Stored
+ *   index (null when there is no history) and entries, newest first
+ */
+const readEntryHistory = async (t) => {
+  const index = await getData(
+    t,
+    "card",
+    STORAGE_SCOPES.CARD_SHARED,
+    STORAGE_KEYS.ENTRY_HISTORY,
+    null,
+  );
+  if (!Number.isInteger(index?.pages)) {
+    return { index, entries: decodeEntries(index) };
+  }
+
+  const pages = await Promise.all(
+    getHistoryPageKeys(index).map((key) =>
+      getData(t, "card", STORAGE_SCOPES.CARD_SHARED, key, []),
+    ),
+  );
+  return { index, entries: pages.flatMap(decodeEntries).reverse() };
+};
+
+/**
+ * Gets every archived entry from the card's entry history.
+ * @param {Object} t - Trello Power-Up client instance
+ * @returns {Promise<Array>} Archived entries, newest first
+ */
+export const getEntryHistory = async (t) => (await readEntryHistory(t)).entries;
+
+/**
+ * Replaces the card's entry history, as when an archived entry is edited or
+ * deleted. Its pages are written in one batch, measured together with the
+ * stored timer data they share the card's storage with; pages the history
+ * no longer needs are cleared and removed.
+ * @param {Object} t - Trello Power-Up client instance
+ * @param {Array} entries - Complete archived entries, newest first
  * @returns {Promise<{success: boolean, size?: number, error?: string}>}
  */
-export const setTimerData = async (t, timerData) => {
-  return await setData(
+export const setEntryHistory = async (t, entries) => {
+  const header = await getData(
     t,
     "card",
     STORAGE_SCOPES.CARD_SHARED,
     STORAGE_KEYS.TIMER_DATA,
-    timerData,
   );
+  const stored = {};
+  if (header) {
+    stored[STORAGE_KEYS.TIMER_DATA] = header;
+    for (const key of getShardKeys(header)) {
+      stored[key] = await getData(t, "card", STORAGE_SCOPES.CARD_SHARED, key);
+    }
+  }
+  const { index } = await readEntryHistory(t);
+  const values = clearStaleKeys(
+    splitEntryHistory(entries),
+    getHistoryPageKeys(index),
+  );
+
+  const size = JSON.stringify({ ...stored, ...values }).length;
+  if (size > STORAGE_LIMIT) {
+    return { success: false, error: ERROR_CODES.LIMIT_EXCEEDED, size };
+  }
+
+  try {
+    await t.set("card", STORAGE_SCOPES.CARD_SHARED, values);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  await removeStaleKeys(t, values);
+  return { success: true, size };
 };
 
 // =============================================================================
@@ -203,20 +1220,68 @@ export const setUserPreferences = async (t, preferences) => {
   );
 };
 
+/**
+ * Gets the member's running timer on a board (see TimerService).
+ * Kept in member storage so that every card on the board can see it.
+ * @param {Object} t - Trello Power-Up client instance
+ * @param {string} boardId - Board ID
+ * @returns {Promise<{cardId: string, checklistItemId: string|null, startedAt: number}|null>}
+ */
+export const getRunningTimer = async (t, boardId) => {
+  const timers = await getData(
+    t,
+    "member",
+    STORAGE_SCOPES.CARD_PRIVATE,
+    STORAGE_KEYS.RUNNING_TIMER,
+    {},
+  );
+  return timers[boardId] ?? null;
+};
+
+/**
+ * Records or clears the member's running timer on a board.
+ * @param {Object} t - Trello Power-Up client instance
+ * @param {string} boardId - Board ID
+ * @param {Object|null} runningTimer - Running timer, or null to clear it
+ * @returns {Promise<{success: boolean, error?: string}>} Result object
+ */
+export const setRunningTimer = async (t, boardId, runningTimer) => {
+  const { [boardId]: _, ...others } = await getData(
+    t,
+    "member",
+    STORAGE_SCOPES.CARD_PRIVATE,
+    STORAGE_KEYS.RUNNING_TIMER,
+    {},
+  );
+  return setData(
+    t,
+    "member",
+    STORAGE_SCOPES.CARD_PRIVATE,
+    STORAGE_KEYS.RUNNING_TIMER,
+    runningTimer ? { ...others, [boardId]: runningTimer } : others,
+  );
+};
+
 /**
  * StorageService default export - provides all storage operations
  */
 const StorageService = {
   getData,
   setData,
+  setBatchData,
   removeData,
   getTimerData,
   setTimerData,
+  getEntryHistory,
+  setEntryHistory,
   calculateUsage,
+  calculateShardUsage,
   getBoardSettings,
   setBoardSettings,
   getUserPreferences,
   setUserPreferences,
+  getRunningTimer,
+  setRunningTimer,
 };
 
 export default StorageService;
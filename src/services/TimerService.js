@@ -3,8 +3,16 @@
  * Business logic for timer operations using aggregated totals
  */
 
-import { TIMER_STATE, DEFAULTS, VALIDATION } from "../utils/constants.js";
+import {
+  TIMER_STATE,
+  DEFAULTS,
+  VALIDATION,
+  SHARED_TIMER_KEY,
+  ERROR_CODES,
+} from "../utils/constants.js";
 import { getElapsedTime } from "../utils/formatTime.js";
+import { isValidEntry } from "../utils/validators.js";
+import FocusService from "./FocusService.js";
 import StorageService from "./StorageService.js";
 import TrelloService from "./TrelloService.js";
 
@@ -17,6 +25,7 @@ const MAX_RECENT_ENTRIES = 5;
  * @param {string} [description=''] - Description
  * @param {string} [checklistItemId=null] - Optional checklist item ID
  * @param {string} [memberId=null] - ID of member who created the entry
+ * @param {string} [categoryId=null] - Optional category ID (see BOARD_SETTINGS.categories)
  * @returns {Object} Time entry
  */
 const createEntry = (
@@ -25,6 +34,7 @@ const createEntry = (
   description = "",
   checklistItemId = null,
   memberId = null,
+  categoryId = null,
 ) => {
   const truncatedDescription = (description || "").substring(
     0,
@@ -40,18 +50,144 @@ const createEntry = (
     createdAt: endTime,
     checklistItemId,
     memberId,
+    // Only stored when set, so uncategorized entries take no extra space
+    ...(categoryId ? { categoryId } : {}),
   };
 };
 
 /**
- * Adds an entry to recent entries (max 5, newest first).
+ * Adds an entry to recent entries (newest first).
+ * Entries beyond MAX_RECENT_ENTRIES are spilled to the entry history on save.
  * @param {Array} recentEntries - Current recent entries
  * @param {Object} newEntry - New entry to add
  * @returns {Array} Updated recent entries
  */
 const addToRecentEntries = (recentEntries, newEntry) => {
-  const updated = [newEntry, ...recentEntries];
-  return updated.slice(0, MAX_RECENT_ENTRIES);
+  return [newEntry, ...recentEntries];
+};
+
+/**
+ * Saves timer data, moving entries past MAX_RECENT_ENTRIES into the entry
+ * history in the same write. No entry is dropped for lack of room: when the
+ * card's storage is full the save fails with LIMIT_EXCEEDED.
+ * `base` is the data the change was computed from; StorageService merges the
+ * change into anything a teammate saved in the meantime, so `data` in the
+ * result may include their changes as well.
+ * @param {Object} t - Trello client
+ * @param {Object} timerData - Timer data to save
+ * @param {Object} base - Timer data as read before the change
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+const saveTimerData = async (t, timerData, base) => {
+  const archive = timerData.recentEntries.slice(MAX_RECENT_ENTRIES);
+  const data = archive.length
+    ? {
+        ...timerData,
+        recentEntries: timerData.recentEntries.slice(0, MAX_RECENT_ENTRIES),
+        archivedCount: (timerData.archivedCount || 0) + archive.length,
+      }
+    : timerData;
+
+  const result = await StorageService.setTimerData(t, data, base, { archive });
+  return result.success
+    ? { success: true, data: result.data ?? data }
+    : { success: false, error: result.error };
+};
+
+/**
+ * Calculates the active (non-paused) duration of a running or paused entry.
+ * A paused entry is frozen at its `pausedAt` timestamp.
+ * @param {Object} currentEntry - Entry with startTime, pausedDuration and
+ *   optional pausedAt and pauses
+ * @param {number} [now=Date.now()] - Reference timestamp
+ * @returns {number} Active duration in ms
+ */
+const getActiveDuration = (currentEntry, now = Date.now()) => {
+  const {
+    startTime,
+    pausedDuration = 0,
+    pausedAt = null,
+    pauses = [],
+  } = currentEntry;
+  // A timer trimmed to an earlier stop time may have been paused after it
+  const end = Math.min(pausedAt ?? now, now);
+  // Only pauses recorded by endPause are known; older ones count in full
+  const pausedAfterEnd = pauses.reduce(
+    (sum, pause) => sum + Math.max(0, pause.end - Math.max(pause.start, end)),
+    0,
+  );
+  return Math.max(0, end - startTime - (pausedDuration - pausedAfterEnd));
+};
+
+/**
+ * Ends the pause of a paused entry, adding it to pausedDuration and to the
+ * entry's pauses, so trimming the timer to an earlier stop time only
+ * subtracts the pauses before it.
+ * @param {Object} currentEntry - Paused entry
+ * @param {number} now - Resume timestamp
+ * @returns {Object} Running entry, without pausedAt
+ */
+const endPause = (currentEntry, now) => {
+  const { pausedAt, ...running } = currentEntry;
+  const { pausedDuration = 0, pauses = [] } = running;
+  const start = pausedAt ?? now;
+  return {
+    ...running,
+    pausedDuration: pausedDuration + (now - start),
+    pauses: [...pauses, { start, end: now }],
+  };
+};
+
+/**
+ * Picks the time a timer stops at: now, or an earlier `endTime` chosen to
+ * trim a forgotten timer.
+ * @param {Object} currentEntry - Open session of the timer
+ * @param {number} [endTime] - Requested stop time
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {number|null} Stop timestamp, or null if endTime is outside the session
+ */
+const getStopTime = (currentEntry, endTime, now = Date.now()) => {
+  if (endTime === undefined) return now;
+  return endTime > currentEntry.startTime && endTime <= now ? endTime : null;
+};
+
+/**
+ * Checks whether a running or paused timer belongs to a member.
+ * Timers without an owner (started before timers were per member) belong to
+ * everyone.
+ * @param {Object} currentEntry - Open session of the timer
+ * @param {string|null} memberId - Member ID
+ * @returns {boolean} True if the member may stop the timer
+ */
+const isOwnedBy = (currentEntry, memberId) =>
+  !currentEntry.memberId || currentEntry.memberId === memberId;
+
+/**
+ * Closes a member's running or paused checklist item timers, crediting their time.
+ * @param {Object} checklistTotals - Current checklist totals
+ * @param {number} now - Timestamp to stop at
+ * @param {string|null} memberId - Member whose timers are closed
+ * @returns {Object} Updated checklist totals
+ */
+const closeItemTimers = (checklistTotals, now, memberId) => {
+  const updated = { ...checklistTotals };
+  for (const [itemId, itemTotal] of Object.entries(checklistTotals)) {
+    if (
+      itemTotal.state !== TIMER_STATE.IDLE &&
+      itemTotal.currentEntry &&
+      isOwnedBy(itemTotal.currentEntry, memberId)
+    ) {
+      const duration = getActiveDuration(itemTotal.currentEntry, now);
+      updated[itemId] = {
+        ...itemTotal,
+        totalTime: (itemTotal.totalTime || 0) + duration,
+        entryCount: (itemTotal.entryCount || 0) + 1,
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+      };
+    }
+  }
+  return updated;
 };
 
 /**
@@ -64,53 +200,438 @@ const validateTimerData = (data) => ({
   ...data,
   recentEntries: Array.isArray(data?.recentEntries) ? data.recentEntries : [],
   checklistTotals: data?.checklistTotals ?? {},
+  memberTimers: data?.memberTimers ?? {},
+  focusSessions: data?.focusSessions ?? {},
 });
 
 /**
- * Starts the global timer.
- * Stops any running checklist item timers first (single timer constraint).
+ * Gets the ID of the member using the Power-Up.
  * @param {Object} t - Trello client
- * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ * @returns {Promise<string|null>} Member ID, or null if unavailable
+ */
+const getMemberId = async (t) => {
+  const member = await TrelloService.getMember(t);
+  return member?.id || null;
+};
+
+/**
+ * Finds the card timer session a member controls: their own, or else the
+ * shared one (see SHARED_TIMER_KEY).
+ * @param {Object} timerData - Timer data
+ * @param {string|null} memberId - Member ID
+ * @returns {{key: string, session: Object|null}} memberTimers key and session
+ */
+const findSession = (timerData, memberId) => {
+  const ownKey = memberId || SHARED_TIMER_KEY;
+  for (const key of [ownKey, SHARED_TIMER_KEY]) {
+    const session = timerData?.memberTimers?.[key];
+    if (session?.currentEntry) return { key, session };
+  }
+  return { key: ownKey, session: null };
+};
+
+/**
+ * Returns timer data with one member's session replaced or removed.
+ * @param {Object} timerData - Timer data
+ * @param {string} key - memberTimers key
+ * @param {Object|null} session - New session, or null once it is stopped
+ * @returns {Object} Updated timer data
+ */
+const withSession = (timerData, key, session) => {
+  const { [key]: _, ...others } = timerData.memberTimers;
+  return {
+    ...timerData,
+    memberTimers: session ? { ...others, [key]: session } : others,
+  };
+};
+
+/**
+ * Returns timer data with a member's focus break ended early, as they get
+ * back to work. Their completed cycles are kept.
+ * @param {Object} timerData - Timer data
+ * @param {string} key - focusSessions key
+ * @returns {Object} Updated timer data
+ */
+const endBreak = (timerData, key) => {
+  const session = timerData.focusSessions[key];
+  if (!session?.breakEnd) return timerData;
+  return {
+    ...timerData,
+    focusSessions: {
+      ...timerData.focusSessions,
+      [key]: { cycles: session.cycles ?? 0, breakEnd: null },
+    },
+  };
+};
+
+/**
+ * Stops a member's card timer session, if any, recording its entry.
+ * @param {Object} timerData - Timer data
+ * @param {string|null} memberId - Member ID
+ * @param {number} now - Timestamp to stop at
+ * @param {string} [description=''] - Entry description
+ * @param {string|null} [categoryId=null] - Entry category ID
+ * @returns {{data: Object, entry: Object|null}} Updated data and new entry
+ */
+const closeSession = (
+  timerData,
+  memberId,
+  now,
+  description = "",
+  categoryId = null,
+) => {
+  const { key, session } = findSession(timerData, memberId);
+  if (!session) return { data: timerData, entry: null };
+
+  const entry = createEntry(
+    session.currentEntry.startTime,
+    now,
+    description,
+    null,
+    memberId,
+    categoryId,
+  );
+  entry.duration = getActiveDuration(session.currentEntry, now);
+
+  return {
+    data: {
+      ...withSession(timerData, key, null),
+      totalTime: timerData.totalTime + entry.duration,
+      recentEntries: addToRecentEntries(timerData.recentEntries, entry),
+    },
+    entry,
+  };
+};
+
+/**
+ * Gets the IDs of the current card and its board.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{cardId: string, boardId: string}|null>} IDs, or null if unavailable
+ */
+const getCardContext = async (t) => {
+  const [card, board] = await Promise.all([
+    TrelloService.getCard(t),
+    TrelloService.getBoard(t),
+  ]);
+  return card?.id && board?.id ? { cardId: card.id, boardId: board.id } : null;
+};
+
+/**
+ * Finds the timer a member has running on a card: their card timer or one of
+ * their checklist item timers (at most one runs per card).
+ * @param {Object} timerData - Timer data
+ * @param {string} memberId - Member ID
+ * @returns {{checklistItemId: string|null}|null} Running timer, or null
+ */
+const findRunningTimer = (timerData, memberId) => {
+  if (timerData.memberTimers[memberId]?.state === TIMER_STATE.RUNNING) {
+    return { checklistItemId: null };
+  }
+  const checklistItemId = Object.keys(timerData.checklistTotals).find((id) => {
+    const item = timerData.checklistTotals[id];
+    return (
+      item.state === TIMER_STATE.RUNNING &&
+      item.currentEntry?.memberId === memberId
+    );
+  });
+  return checklistItemId ? { checklistItemId } : null;
+};
+
+/**
+ * Reads the member's running timer record for the board, if it points at
+ * another card than the current one.
+ * @param {Object} t - Trello client
+ * @param {string|null} memberId - Member ID
+ * @returns {Promise<{boardId: string, timer: Object}|null>} Board ID and record
+ */
+const findTimerElsewhere = async (t, memberId) => {
+  const context = memberId ? await getCardContext(t) : null;
+  if (!context) return null;
+
+  const timer = await StorageService.getRunningTimer(t, context.boardId);
+  return timer && timer.cardId !== context.cardId
+    ? { boardId: context.boardId, timer }
+    : null;
+};
+
+/**
+ * Brings the member's running timer record for the board in line with a
+ * card they just saved: records the timer running here, or clears a record
+ * that points here once nothing runs here any more.
+ * @param {Object} t - Trello client
+ * @param {Object} timerData - Timer data as saved
+ * @param {string|null} memberId - Member ID
+ * @returns {Promise<void>}
+ */
+const syncRunningTimer = async (t, timerData, memberId) => {
+  const context = memberId ? await getCardContext(t) : null;
+  if (!context) return;
+
+  const recorded = await StorageService.getRunningTimer(t, context.boardId);
+  const running = findRunningTimer(timerData, memberId);
+  const isRecorded =
+    recorded?.cardId === context.cardId &&
+    recorded.checklistItemId === running?.checklistItemId;
+
+  if (running && !isRecorded) {
+    await StorageService.setRunningTimer(t, context.boardId, {
+      cardId: context.cardId,
+      checklistItemId: running.checklistItemId,
+      startedAt: Date.now(),
+    });
+  } else if (!running && recorded?.cardId === context.cardId) {
+    await StorageService.setRunningTimer(t, context.boardId, null);
+  }
+};
+
+/**
+ * Stops the member's running timer on another card of the board, so that a
+ * member has at most one timer running per board.
+ * @param {Object} t - Trello client
+ * @param {string|null} memberId - Member ID
+ * @returns {Promise<{success: boolean, stopped?: {cardId: string, cardName: string|null, entry: Object}|null, error?: string, cause?: string}>}
+ *   `cause` is why the other timer could not be stopped
+ */
+const stopTimerElsewhere = async (t, memberId) => {
+  const elsewhere = await findTimerElsewhere(t, memberId);
+  if (!elsewhere) return { success: true, stopped: null };
+
+  const { cardId } = elsewhere.timer;
+  const cardT = TrelloService.forCard(t, cardId);
+  const running = findRunningTimer(
+    validateTimerData(await StorageService.getTimerData(cardT)),
+    memberId,
+  );
+  if (!running) {
+    // The timer was stopped without updating the record (or the card is gone)
+    await StorageService.setRunningTimer(t, elsewhere.boardId, null);
+    return { success: true, stopped: null };
+  }
+
+  const result = running.checklistItemId
+    ? await stopItemTimer(cardT, running.checklistItemId)
+    : await stopTimer(cardT);
+  if (!result.success) {
+    return {
+      success: false,
+      error: ERROR_CODES.STOP_ELSEWHERE_FAILED,
+      cause: result.error,
+    };
+  }
+
+  const card = await TrelloService.getBoardCard(t, cardId);
+  return {
+    success: true,
+    stopped: { cardId, cardName: card?.name ?? null, entry: result.entry },
+  };
+};
+
+/**
+ * Gets the card timer session shown to a member: their own, or else the
+ * shared one. Pass the result to getCurrentElapsed.
+ * @param {Object} timerData - Timer data
+ * @param {string|null} memberId - Member ID
+ * @returns {{state: string, currentEntry: Object|null}} Timer session
+ */
+export const getMemberTimer = (timerData, memberId) =>
+  findSession(timerData, memberId).session ?? {
+    state: TIMER_STATE.IDLE,
+    currentEntry: null,
+  };
+
+/**
+ * Lists who is timing the card, across card and checklist item timers.
+ * Timers without a known member are counted once under SHARED_TIMER_KEY.
+ * @param {Object} timerData - Timer data
+ * @returns {{running: string[], paused: string[]}} Member IDs per state; a
+ *   member with both a running and a paused timer counts as running
+ */
+export const getActiveTimers = (timerData) => {
+  const running = new Set();
+  const paused = new Set();
+  const track = (owner, timer) => {
+    if (timer?.state === TIMER_STATE.RUNNING) running.add(owner);
+    if (timer?.state === TIMER_STATE.PAUSED) paused.add(owner);
+  };
+
+  for (const [key, session] of Object.entries(timerData?.memberTimers ?? {})) {
+    track(key, session);
+  }
+  for (const item of Object.values(timerData?.checklistTotals ?? {})) {
+    track(item.currentEntry?.memberId || SHARED_TIMER_KEY, item);
+  }
+
+  return {
+    running: [...running],
+    paused: [...paused].filter((id) => !running.has(id)),
+  };
+};
+
+/**
+ * Checks whether a running timer looks forgotten: it has run longer than
+ * `threshold`, or it was started on an earlier day.
+ * @param {Object} timer - Timer session or checklist item total
+ * @param {number} threshold - Running time in ms after which a timer is flagged
+ * @param {number} [now=Date.now()] - Reference timestamp
+ * @returns {boolean} True if the timer looks forgotten
+ */
+export const isForgottenTimer = (timer, threshold, now = Date.now()) => {
+  if (timer?.state !== TIMER_STATE.RUNNING || !timer.currentEntry) return false;
+  const { startTime } = timer.currentEntry;
+  return (
+    now - startTime > threshold ||
+    new Date(startTime).toDateString() !== new Date(now).toDateString()
+  );
+};
+
+/**
+ * Lists the card's running timers that look forgotten (see isForgottenTimer),
+ * oldest first. Timers without a known member are listed under
+ * SHARED_TIMER_KEY.
+ * @param {Object} timerData - Timer data
+ * @param {number} threshold - Running time in ms after which a timer is flagged
+ * @param {number} [now=Date.now()] - Reference timestamp
+ * @returns {Array<{memberId: string, checklistItemId: string|null, startTime: number}>}
+ */
+export const getForgottenTimers = (timerData, threshold, now = Date.now()) => {
+  const forgotten = [];
+
+  for (const [key, session] of Object.entries(timerData?.memberTimers ?? {})) {
+    if (isForgottenTimer(session, threshold, now)) {
+      forgotten.push({
+        memberId: key,
+        checklistItemId: null,
+        startTime: session.currentEntry.startTime,
+      });
+    }
+  }
+  for (const [id, item] of Object.entries(timerData?.checklistTotals ?? {})) {
+    if (isForgottenTimer(item, threshold, now)) {
+      forgotten.push({
+        memberId: item.currentEntry.memberId || SHARED_TIMER_KEY,
+        checklistItemId: id,
+        startTime: item.currentEntry.startTime,
+      });
+    }
+  }
+
+  return forgotten.sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Gets the member's running timer on another card of the board, so the UI
+ * can link back to it.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, data?: {cardId: string, cardName: string, url: string, checklistItemId: string|null, startedAt: number}|null, error?: string}>}
+ */
+export const getTimerElsewhere = async (t) => {
+  try {
+    const elsewhere = await findTimerElsewhere(t, await getMemberId(t));
+    if (!elsewhere) return { success: true, data: null };
+
+    // Cards that were deleted or moved off the board can't be opened
+    const card = await TrelloService.getBoardCard(t, elsewhere.timer.cardId);
+    return {
+      success: true,
+      data: card
+        ? { ...elsewhere.timer, cardName: card.name, url: card.url }
+        : null,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Starts the member's card timer, ending a focus break they are taking.
+ * Stops the member's running checklist item timers first (single timer
+ * constraint), as well as a timer they have running on another card of the
+ * board; other members' timers are left alone.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, data?: Object, stoppedElsewhere?: Object|null, error?: string}>}
  */
 export const startTimer = async (t) => {
   try {
     const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const memberId = await getMemberId(t);
+    const key = memberId || SHARED_TIMER_KEY;
+    const session = timerData.memberTimers[key];
 
-    if (timerData.state === TIMER_STATE.RUNNING) {
+    if (session?.state === TIMER_STATE.RUNNING) {
       return {
         success: false,
-        error: "Timer already running",
+        error: ERROR_CODES.TIMER_RUNNING,
         data: timerData,
       };
     }
 
-    // Stop any running checklist item timers first (single timer constraint)
-    const now = Date.now();
-    for (const [itemId, itemTotal] of Object.entries(
-      timerData.checklistTotals,
-    )) {
-      if (itemTotal.state === TIMER_STATE.RUNNING && itemTotal.currentEntry) {
-        const { startTime, pausedDuration = 0 } = itemTotal.currentEntry;
-        const duration = now - startTime - pausedDuration;
-        timerData.checklistTotals[itemId] = {
-          ...itemTotal,
-          totalTime: (itemTotal.totalTime || 0) + duration,
-          entryCount: (itemTotal.entryCount || 0) + 1,
-          state: TIMER_STATE.IDLE,
-          currentEntry: null,
-        };
-      }
+    if (session?.state === TIMER_STATE.PAUSED) {
+      return {
+        success: false,
+        error: ERROR_CODES.TIMER_PAUSED,
+        data: timerData,
+      };
+    }
+
+    const elsewhere = await stopTimerElsewhere(t, memberId);
+    if (!elsewhere.success) {
+      return { success: false, error: elsewhere.error, cause: elsewhere.cause };
     }
 
+    // Stop the member's checklist item timers first (single timer constraint)
+    const now = Date.now();
+
     const updatedData = {
-      ...timerData,
-      state: TIMER_STATE.RUNNING,
-      currentEntry: { startTime: Date.now(), pausedDuration: 0 },
+      ...withSession(endBreak(timerData, key), key, {
+        state: TIMER_STATE.RUNNING,
+        currentEntry: { startTime: now, pausedDuration: 0 },
+      }),
+      checklistTotals: closeItemTimers(
+        timerData.checklistTotals,
+        now,
+        memberId,
+      ),
     };
 
-    const result = await StorageService.setTimerData(t, updatedData);
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return {
+      success: true,
+      data: result.data,
+      stoppedElsewhere: elsewhere.stopped,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Starts the member's card timer as they open the card (the autoStartOnOpen
+ * preference), unless they already have a timer open or a focus break on
+ * this card, or a timer running on another card of the board.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, started?: boolean, data?: Object, error?: string}>}
+ */
+export const autoStartTimer = async (t) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const memberId = await getMemberId(t);
+
+    const hasTimerHere =
+      Boolean(timerData.memberTimers[memberId || SHARED_TIMER_KEY]) ||
+      Boolean(FocusService.getBreak(timerData, memberId)) ||
+      Object.values(timerData.checklistTotals).some(
+        (item) => item.currentEntry && isOwnedBy(item.currentEntry, memberId),
+      );
+    if (hasTimerHere || (await findTimerElsewhere(t, memberId))) {
+      return { success: true, started: false, data: timerData };
+    }
+
+    const result = await startTimer(t);
     return result.success
-      ? { success: true, data: updatedData }
+      ? { success: true, started: true, data: result.data }
       : { success: false, error: result.error };
   } catch (error) {
     return { success: false, error: error.message };
@@ -118,46 +639,442 @@ export const startTimer = async (t) => {
 };
 
 /**
- * Stops the timer and saves entry.
+ * Pauses the member's running card timer, freezing its elapsed time.
  * @param {Object} t - Trello client
- * @param {string} [description=''] - Entry description
- * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
  */
-export const stopTimer = async (t, description = "") => {
+export const pauseTimer = async (t) => {
   try {
     const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const memberId = await getMemberId(t);
+    const { key, session } = findSession(timerData, memberId);
 
-    if (timerData.state === TIMER_STATE.IDLE || !timerData.currentEntry) {
-      return { success: false, error: "No active timer", data: timerData };
+    if (session?.state !== TIMER_STATE.RUNNING) {
+      return {
+        success: false,
+        error: ERROR_CODES.NO_RUNNING_TIMER,
+        data: timerData,
+      };
+    }
+
+    const updatedData = withSession(timerData, key, {
+      state: TIMER_STATE.PAUSED,
+      currentEntry: { ...session.currentEntry, pausedAt: Date.now() },
+    });
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return { success: true, data: result.data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resumes the member's paused card timer, recording the pause with endPause.
+ * Stops the member's running checklist item timers first (single timer
+ * constraint), as well as a timer they have running on another card.
+ * @param {Object} t - Trello client
+ * @returns {Promise<{success: boolean, data?: Object, stoppedElsewhere?: Object|null, error?: string}>}
+ */
+export const resumeTimer = async (t) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const memberId = await getMemberId(t);
+    const { key, session } = findSession(timerData, memberId);
+
+    if (session?.state !== TIMER_STATE.PAUSED) {
+      return { success: false, error: ERROR_CODES.NOT_PAUSED, data: timerData };
+    }
+
+    const elsewhere = await stopTimerElsewhere(t, memberId);
+    if (!elsewhere.success) {
+      return { success: false, error: elsewhere.error, cause: elsewhere.cause };
     }
 
     const now = Date.now();
-    const { startTime, pausedDuration = 0 } = timerData.currentEntry;
+    const updatedData = {
+      ...withSession(timerData, key, {
+        state: TIMER_STATE.RUNNING,
+        currentEntry: endPause(session.currentEntry, now),
+      }),
+      checklistTotals: closeItemTimers(
+        timerData.checklistTotals,
+        now,
+        memberId,
+      ),
+    };
 
-    // Get current member for attribution
-    const member = await TrelloService.getMember(t);
-    const memberId = member?.id || null;
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
 
-    const newEntry = createEntry(
-      startTime,
-      now,
+    await syncRunningTimer(t, result.data, memberId);
+    return {
+      success: true,
+      data: result.data,
+      stoppedElsewhere: elsewhere.stopped,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Stops the member's card timer and saves its entry, credited to the member.
+ * Other members' timers keep running.
+ * @param {Object} t - Trello client
+ * @param {string} [description=''] - Entry description
+ * @param {Object} [options={}] - Stop options
+ * @param {number} [options.endTime] - Earlier time to stop at, trimming a forgotten timer
+ * @param {string|null} [options.categoryId=null] - Category of the entry
+ * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
+ */
+export const stopTimer = async (
+  t,
+  description = "",
+  { endTime, categoryId = null } = {},
+) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const memberId = await getMemberId(t);
+
+    const { session } = findSession(timerData, memberId);
+    if (!session) {
+      return {
+        success: false,
+        error: ERROR_CODES.NO_ACTIVE_TIMER,
+        data: timerData,
+      };
+    }
+
+    const stopTime = getStopTime(session.currentEntry, endTime);
+    if (stopTime === null) {
+      return { success: false, error: ERROR_CODES.INVALID_STOP_TIME };
+    }
+
+    const { data: updatedData, entry: newEntry } = closeSession(
+      timerData,
+      memberId,
+      stopTime,
       description,
-      null,
+      categoryId,
+    );
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return { success: true, data: result.data, entry: newEntry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Ends the member's focus work interval once it has run its length: saves
+ * it as an entry, like stopping the timer at the moment the interval ended,
+ * and starts the break that follows. Each completed interval adds a cycle
+ * to the member's count on the card.
+ * Intervals only end while the card is open, so one can end unseen: its
+ * entry then lasts the interval, unless the member confirmed keeping the
+ * time tracked since, and the break starts now.
+ * @param {Object} t - Trello client
+ * @param {string} [description=''] - Entry description
+ * @param {Object} [options={}] - Entry options
+ * @param {string|null} [options.categoryId=null] - Category of the entry
+ * @param {boolean} [options.keepOverrun=false] - Keep the time tracked after
+ *   an unseen end in the entry
+ * @returns {Promise<{success: boolean, data?: Object, entry?: Object, focusBreak?: {breakEnd: number, longBreak: boolean, cycles: number}, overrun?: number, error?: string}>}
+ *   `overrun` is the time tracked after the interval ended, in ms
+ */
+export const completeFocusInterval = async (
+  t,
+  description = "",
+  { categoryId = null, keepOverrun = false } = {},
+) => {
+  try {
+    const focus = FocusService.getFocusSettings(
+      await StorageService.getBoardSettings(t),
+    );
+    if (!focus.enabled) {
+      return { success: false, error: ERROR_CODES.FOCUS_OFF };
+    }
+
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const memberId = await getMemberId(t);
+    const { session } = findSession(timerData, memberId);
+    if (session?.state !== TIMER_STATE.RUNNING) {
+      return {
+        success: false,
+        error: ERROR_CODES.NO_RUNNING_TIMER,
+        data: timerData,
+      };
+    }
+
+    const { startTime, pausedDuration = 0 } = session.currentEntry;
+    const intervalEnd = startTime + pausedDuration + focus.workLength;
+    const now = Date.now();
+    if (intervalEnd > now) {
+      return {
+        success: false,
+        error: ERROR_CODES.FOCUS_NOT_OVER,
+        data: timerData,
+      };
+    }
+    const overrun = FocusService.getOverrun(
+      focus,
+      now - startTime - pausedDuration,
+    );
+    const breakStart = intervalEnd + overrun;
+    const endTime = keepOverrun ? breakStart : intervalEnd;
+
+    const { data: closedData, entry: newEntry } = closeSession(
+      timerData,
       memberId,
+      endTime,
+      description,
+      categoryId,
     );
-    newEntry.duration = now - startTime - pausedDuration;
+    const cycles = FocusService.getFocusSession(timerData, memberId).cycles + 1;
+    const { length, longBreak } = FocusService.getBreakLength(focus, cycles);
+    const focusBreak = { breakEnd: breakStart + length, longBreak, cycles };
 
+    const updatedData = {
+      ...closedData,
+      focusSessions: {
+        ...closedData.focusSessions,
+        [memberId || SHARED_TIMER_KEY]: {
+          cycles,
+          breakEnd: focusBreak.breakEnd,
+          // Only stored when set, like entry categories
+          ...(longBreak ? { longBreak } : {}),
+        },
+      },
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return {
+      success: true,
+      data: result.data,
+      entry: newEntry,
+      focusBreak,
+      overrun,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Gets current elapsed time for a timer session (see getMemberTimer).
+ * @param {Object} timer - Timer session with state and currentEntry
+ * @returns {number} Elapsed ms
+ */
+export const getCurrentElapsed = (timer) => {
+  if (!timer?.currentEntry) return 0;
+  const { startTime, pausedDuration = 0, pausedAt } = timer.currentEntry;
+  if (timer.state === TIMER_STATE.RUNNING)
+    return getElapsedTime(startTime) - pausedDuration;
+  // Paused timers stay frozen at the moment they were paused
+  if (timer.state === TIMER_STATE.PAUSED && pausedAt)
+    return getActiveDuration(timer.currentEntry);
+  return 0;
+};
+
+/**
+ * Sets the time estimate for a card.
+ * @param {Object} t - Trello client
+ * @param {number|null} estimatedTimeMs - Estimated time in milliseconds
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const setEstimate = async (t, estimatedTimeMs) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
     const updatedData = {
       ...timerData,
+      estimatedTime: estimatedTimeMs,
+      manualEstimateSet: estimatedTimeMs !== null && estimatedTimeMs > 0,
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    return result.success
+      ? { success: true, data: result.data }
+      : { success: false, error: result.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Deletes an entry by ID, whether it is recent or archived in the entry history.
+ * @param {Object} t - Trello client
+ * @param {string} entryId - ID of the entry to delete
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const deleteEntry = async (t, entryId) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const entry = timerData.recentEntries.find((e) => e.id === entryId);
+
+    if (!entry) {
+      return deleteArchivedEntry(t, timerData, entryId);
+    }
+
+    const updatedData = {
+      ...timerData,
+      recentEntries: timerData.recentEntries.filter((e) => e.id !== entryId),
+      totalTime: Math.max(0, timerData.totalTime - entry.duration),
+      checklistTotals: recountItemTotals(
+        timerData.checklistTotals,
+        entry,
+        null,
+      ),
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    return result.success
+      ? { success: true, data: result.data }
+      : { success: false, error: result.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Deletes an entry from the entry history and adjusts totals.
+ * @param {Object} t - Trello client
+ * @param {Object} timerData - Current (validated) timer data
+ * @param {string} entryId - ID of the entry to delete
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+const deleteArchivedEntry = async (t, timerData, entryId) => {
+  const history = await StorageService.getEntryHistory(t);
+  const entry = history.find((e) => e.id === entryId);
+
+  if (!entry) {
+    return { success: false, error: ERROR_CODES.ENTRY_NOT_FOUND };
+  }
+
+  const archived = await StorageService.setEntryHistory(
+    t,
+    history.filter((e) => e.id !== entryId),
+  );
+  if (!archived.success) {
+    return { success: false, error: archived.error };
+  }
+
+  const updatedData = {
+    ...timerData,
+    totalTime: Math.max(0, timerData.totalTime - entry.duration),
+    archivedCount: Math.max(0, (timerData.archivedCount || 0) - 1),
+    checklistTotals: recountItemTotals(timerData.checklistTotals, entry, null),
+  };
+
+  const result = await saveTimerData(t, updatedData, timerData);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, error: result.error };
+};
+
+/**
+ * Moves an entry's time and count between checklist item totals, as when it
+ * is added, deleted, edited or linked to another item. An item whose total
+ * is gone (reassigned or dropped) has nothing to take the entry back from.
+ * @param {Object} checklistTotals - Item totals by checklist item ID
+ * @param {Object|null} oldEntry - Entry as counted so far; null for a new one
+ * @param {Object|null} newEntry - Entry as it should count; null once deleted
+ * @returns {Object} Updated item totals
+ */
+const recountItemTotals = (checklistTotals, oldEntry, newEntry) => {
+  const totals = { ...checklistTotals };
+
+  const oldItemId = oldEntry?.checklistItemId;
+  if (oldItemId && totals[oldItemId]) {
+    const itemTotal = totals[oldItemId];
+    totals[oldItemId] = {
+      ...itemTotal,
+      totalTime: Math.max(0, itemTotal.totalTime - oldEntry.duration),
+      entryCount: Math.max(0, itemTotal.entryCount - 1),
+    };
+  }
+
+  const newItemId = newEntry?.checklistItemId;
+  if (newItemId) {
+    const itemTotal = totals[newItemId] || {
+      totalTime: 0,
+      entryCount: 0,
+      estimatedTime: null,
       state: TIMER_STATE.IDLE,
       currentEntry: null,
-      totalTime: timerData.totalTime + newEntry.duration,
-      recentEntries: addToRecentEntries(timerData.recentEntries, newEntry),
+    };
+    totals[newItemId] = {
+      ...itemTotal,
+      totalTime: itemTotal.totalTime + newEntry.duration,
+      entryCount: itemTotal.entryCount + 1,
+    };
+  }
+
+  return totals;
+};
+
+/**
+ * Applies edits to an entry. Clearing the category drops the field, as
+ * entries only store a category when they have one.
+ * @param {Object} entry - Entry to edit
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updated entry
+ */
+const applyEntryUpdates = (entry, updates) => {
+  const { categoryId, ...updated } = { ...entry, ...updates };
+  return categoryId ? { ...updated, categoryId } : updated;
+};
+
+/**
+ * Updates an entry, whether it is recent or archived in the entry history.
+ * @param {Object} t - Trello client
+ * @param {string} entryId - Entry ID to update
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
+ */
+export const updateEntry = async (t, entryId, updates) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const entryIndex = timerData.recentEntries.findIndex(
+      (e) => e.id === entryId,
+    );
+
+    if (entryIndex === -1) {
+      return updateArchivedEntry(t, timerData, entryId, updates);
+    }
+
+    const oldEntry = timerData.recentEntries[entryIndex];
+    const updatedEntry = applyEntryUpdates(oldEntry, updates);
+
+    // Adjust totalTime if duration changed
+    const durationDelta =
+      (updates.duration || oldEntry.duration) - oldEntry.duration;
+
+    const updatedData = {
+      ...timerData,
+      recentEntries: timerData.recentEntries.map((e, i) =>
+        i === entryIndex ? updatedEntry : e,
+      ),
+      totalTime: timerData.totalTime + durationDelta,
+      checklistTotals: recountItemTotals(
+        timerData.checklistTotals,
+        oldEntry,
+        updatedEntry,
+      ),
     };
 
-    const result = await StorageService.setTimerData(t, updatedData);
+    const result = await saveTimerData(t, updatedData, timerData);
     return result.success
-      ? { success: true, data: updatedData, entry: newEntry }
+      ? { success: true, data: result.data, entry: updatedEntry }
       : { success: false, error: result.error };
   } catch (error) {
     return { success: false, error: error.message };
@@ -165,66 +1082,121 @@ export const stopTimer = async (t, description = "") => {
 };
 
 /**
- * Gets current elapsed time for running timer.
- * @param {Object} timerData - Timer data
- * @returns {number} Elapsed ms
- */
-export const getCurrentElapsed = (timerData) => {
-  if (!timerData?.currentEntry) return 0;
-  const { startTime, pausedDuration = 0 } = timerData.currentEntry;
-  if (timerData.state === TIMER_STATE.RUNNING)
-    return getElapsedTime(startTime) - pausedDuration;
-  return 0;
-};
-
-/**
- * Sets the time estimate for a card.
+ * Updates an entry in the entry history and adjusts totals.
  * @param {Object} t - Trello client
- * @param {number|null} estimatedTimeMs - Estimated time in milliseconds
- * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ * @param {Object} timerData - Current (validated) timer data
+ * @param {string} entryId - Entry ID to update
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
  */
-export const setEstimate = async (t, estimatedTimeMs) => {
-  try {
-    const timerData = validateTimerData(await StorageService.getTimerData(t));
-    const updatedData = {
-      ...timerData,
-      estimatedTime: estimatedTimeMs,
-      manualEstimateSet: estimatedTimeMs !== null && estimatedTimeMs > 0,
-    };
+const updateArchivedEntry = async (t, timerData, entryId, updates) => {
+  const history = await StorageService.getEntryHistory(t);
+  const oldEntry = history.find((e) => e.id === entryId);
 
-    const result = await StorageService.setTimerData(t, updatedData);
-    return result.success
-      ? { success: true, data: updatedData }
-      : { success: false, error: result.error };
-  } catch (error) {
-    return { success: false, error: error.message };
+  if (!oldEntry) {
+    return { success: false, error: ERROR_CODES.ENTRY_NOT_FOUND };
+  }
+
+  const updatedEntry = applyEntryUpdates(oldEntry, updates);
+  const archived = await StorageService.setEntryHistory(
+    t,
+    history.map((e) => (e.id === entryId ? updatedEntry : e)),
+  );
+  if (!archived.success) {
+    return { success: false, error: archived.error };
+  }
+
+  const durationDelta =
+    (updates.duration || oldEntry.duration) - oldEntry.duration;
+  if (
+    durationDelta === 0 &&
+    updatedEntry.checklistItemId === oldEntry.checklistItemId
+  ) {
+    return { success: true, data: timerData, entry: updatedEntry };
   }
+
+  const updatedData = {
+    ...timerData,
+    totalTime: timerData.totalTime + durationDelta,
+    checklistTotals: recountItemTotals(
+      timerData.checklistTotals,
+      oldEntry,
+      updatedEntry,
+    ),
+  };
+
+  const result = await saveTimerData(t, updatedData, timerData);
+  return result.success
+    ? { success: true, data: result.data, entry: updatedEntry }
+    : { success: false, error: result.error };
 };
 
 /**
- * Deletes a recent entry by ID.
+ * Records time worked away from the card as a new entry.
+ * The end is given either as `endTime` or as a `duration` from `startTime`.
+ * The entry counts towards the card total and, when linked to a checklist
+ * item, towards that item's total as well.
  * @param {Object} t - Trello client
- * @param {string} entryId - ID of the entry to delete
- * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ * @param {Object} fields - Entry fields
+ * @param {number} fields.startTime - Start timestamp
+ * @param {number} [fields.endTime] - End timestamp
+ * @param {number} [fields.duration] - Duration in ms, used when endTime is not given
+ * @param {string} [fields.description=''] - Description
+ * @param {string|null} [fields.checklistItemId=null] - Checklist item ID
+ * @param {string|null} [fields.memberId] - Member credited with the entry; defaults to the current member
+ * @param {string|null} [fields.categoryId=null] - Category ID
+ * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
  */
-export const deleteEntry = async (t, entryId) => {
+export const addManualEntry = async (
+  t,
+  {
+    startTime,
+    endTime,
+    duration,
+    description = "",
+    checklistItemId = null,
+    memberId,
+    categoryId = null,
+  },
+) => {
   try {
+    const end = endTime ?? startTime + duration;
+    if (!isValidEntry({ startTime, endTime: end })) {
+      return { success: false, error: ERROR_CODES.END_BEFORE_START };
+    }
+    if (end > Date.now()) {
+      return { success: false, error: ERROR_CODES.END_IN_FUTURE };
+    }
+
     const timerData = validateTimerData(await StorageService.getTimerData(t));
-    const entry = timerData.recentEntries.find((e) => e.id === entryId);
 
-    if (!entry) {
-      return { success: false, error: "Entry not found in recent entries" };
-    }
+    const newEntry = {
+      ...createEntry(
+        startTime,
+        end,
+        description,
+        checklistItemId,
+        memberId === undefined ? await getMemberId(t) : memberId,
+        categoryId,
+      ),
+      // Listed with the entries recorded now, not where its start time falls
+      createdAt: Date.now(),
+    };
 
     const updatedData = {
       ...timerData,
-      recentEntries: timerData.recentEntries.filter((e) => e.id !== entryId),
-      totalTime: Math.max(0, timerData.totalTime - entry.duration),
+      totalTime: timerData.totalTime + newEntry.duration,
+      recentEntries: addToRecentEntries(timerData.recentEntries, newEntry),
+      checklistTotals: recountItemTotals(
+        timerData.checklistTotals,
+        null,
+        newEntry,
+      ),
     };
 
-    const result = await StorageService.setTimerData(t, updatedData);
+    const result = await saveTimerData(t, updatedData, timerData);
     return result.success
-      ? { success: true, data: updatedData }
+      ? { success: true, data: result.data, entry: newEntry }
       : { success: false, error: result.error };
   } catch (error) {
     return { success: false, error: error.message };
@@ -232,93 +1204,77 @@ export const deleteEntry = async (t, entryId) => {
 };
 
 /**
- * Updates a recent entry.
+ * Gets a page of the card's complete entry history.
+ * Page 0 holds the recent entries; each following page holds `pageSize`
+ * archived entries, newest first.
  * @param {Object} t - Trello client
- * @param {string} entryId - Entry ID to update
- * @param {Object} updates - Fields to update
- * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
+ * @param {Object} [options={}] - Paging options
+ * @param {number} [options.page=0] - Zero-based page index (0 = recent entries)
+ * @param {number} [options.pageSize=5] - Archived entries per page
+ * @returns {Promise<{success: boolean, data?: {entries: Array, page: number, pageSize: number, total: number, totalPages: number}, error?: string}>}
  */
-export const updateEntry = async (t, entryId, updates) => {
+export const getEntryHistory = async (
+  t,
+  { page = 0, pageSize = MAX_RECENT_ENTRIES } = {},
+) => {
   try {
     const timerData = validateTimerData(await StorageService.getTimerData(t));
-    const entryIndex = timerData.recentEntries.findIndex(
-      (e) => e.id === entryId,
-    );
-
-    if (entryIndex === -1) {
-      return { success: false, error: "Entry not found in recent entries" };
-    }
+    const history = await StorageService.getEntryHistory(t);
 
-    const oldEntry = timerData.recentEntries[entryIndex];
-    const updatedEntry = { ...oldEntry, ...updates };
+    // An entry may briefly exist in both places if a save was interrupted
+    const recentIds = new Set(timerData.recentEntries.map((e) => e.id));
+    const archived = history.filter((e) => !recentIds.has(e.id));
 
-    // Adjust totalTime if duration changed
-    const durationDelta =
-      (updates.duration || oldEntry.duration) - oldEntry.duration;
+    const start = (page - 1) * pageSize;
+    const entries =
+      page === 0
+        ? timerData.recentEntries
+        : archived.slice(start, start + pageSize);
 
-    const updatedData = {
-      ...timerData,
-      recentEntries: timerData.recentEntries.map((e, i) =>
-        i === entryIndex ? updatedEntry : e,
-      ),
-      totalTime: timerData.totalTime + durationDelta,
+    return {
+      success: true,
+      data: {
+        entries,
+        page,
+        pageSize,
+        total: timerData.recentEntries.length + archived.length,
+        totalPages: 1 + Math.ceil(archived.length / pageSize),
+      },
     };
-
-    const result = await StorageService.setTimerData(t, updatedData);
-    return result.success
-      ? { success: true, data: updatedData, entry: updatedEntry }
-      : { success: false, error: result.error };
   } catch (error) {
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Gets every entry saved on the card: its recent entries followed by its
+ * entry history, which is only read if entries were archived.
+ * @param {Object} t - Trello client
+ * @param {Object} timerData - The card's timer data
+ * @returns {Promise<Array>} All entries of the card
+ */
+export const getAllEntries = async (t, timerData) => {
+  const history =
+    timerData.archivedCount > 0 ? await StorageService.getEntryHistory(t) : [];
+  return [...(timerData.recentEntries || []), ...history];
+};
+
 // =============================================================================
 // CHECKLIST ITEM TIMER OPERATIONS
 // =============================================================================
 
 /**
- * Starts timer for a specific checklist item.
+ * Starts timer for a specific checklist item, owned by the current member.
+ * Stops the member's card timer first (single timer constraint), as well as
+ * a timer they have running on another card of the board.
  * @param {Object} t - Trello client
  * @param {string} checkItemId - Checklist item ID
- * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, data?: Object, stoppedElsewhere?: Object|null, error?: string}>}
  */
 export const startItemTimer = async (t, checkItemId) => {
   try {
     const timerData = validateTimerData(await StorageService.getTimerData(t));
 
-    // Check if adding a new checklist item would exceed the limit
-    const existingItems = Object.keys(timerData.checklistTotals);
-    const isNewItem = !existingItems.includes(checkItemId);
-    if (isNewItem && existingItems.length >= VALIDATION.MAX_CHECKLIST_ITEMS) {
-      return {
-        success: false,
-        error: `Maximum ${VALIDATION.MAX_CHECKLIST_ITEMS} checklist items can have time tracking. Remove estimates from unused items first.`,
-      };
-    }
-
-    // Stop global timer if running
-    if (timerData.state === TIMER_STATE.RUNNING && timerData.currentEntry) {
-      const now = Date.now();
-      const { startTime, pausedDuration = 0 } = timerData.currentEntry;
-      const duration = now - startTime - pausedDuration;
-
-      // Get current member for attribution
-      const member = await TrelloService.getMember(t);
-      const memberId = member?.id || null;
-
-      const newEntry = createEntry(startTime, now, "", null, memberId);
-      newEntry.duration = duration;
-
-      timerData.totalTime += duration;
-      timerData.recentEntries = addToRecentEntries(
-        timerData.recentEntries,
-        newEntry,
-      );
-      timerData.state = TIMER_STATE.IDLE;
-      timerData.currentEntry = null;
-    }
-
     // Get or initialize checklist item total
     const itemTotal = timerData.checklistTotals[checkItemId] || {
       totalTime: 0,
@@ -328,22 +1284,47 @@ export const startItemTimer = async (t, checkItemId) => {
       currentEntry: null,
     };
 
+    const memberId = await getMemberId(t);
+    if (
+      itemTotal.currentEntry &&
+      !isOwnedBy(itemTotal.currentEntry, memberId)
+    ) {
+      return {
+        success: false,
+        error: ERROR_CODES.ITEM_TIMED_BY_OTHER,
+      };
+    }
+
+    const elsewhere = await stopTimerElsewhere(t, memberId);
+    if (!elsewhere.success) {
+      return { success: false, error: elsewhere.error, cause: elsewhere.cause };
+    }
+
+    // Stop the member's card timer if running or paused
+    const now = Date.now();
+    const { data: stoppedData } = closeSession(timerData, memberId, now);
+
     const updatedData = {
-      ...timerData,
+      ...stoppedData,
       checklistTotals: {
         ...timerData.checklistTotals,
         [checkItemId]: {
           ...itemTotal,
           state: TIMER_STATE.RUNNING,
-          currentEntry: { startTime: Date.now(), pausedDuration: 0 },
+          currentEntry: { startTime: now, pausedDuration: 0, memberId },
         },
       },
     };
 
-    const result = await StorageService.setTimerData(t, updatedData);
-    return result.success
-      ? { success: true, data: updatedData }
-      : { success: false, error: result.error };
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return {
+      success: true,
+      data: result.data,
+      stoppedElsewhere: elsewhere.stopped,
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -351,27 +1332,40 @@ export const startItemTimer = async (t, checkItemId) => {
 
 /**
  * Stops timer for a specific checklist item.
+ * Only the member who started it can stop it; the entry is credited to them.
  * @param {Object} t - Trello client
  * @param {string} checkItemId - Checklist item ID
  * @param {string} [description=''] - Entry description
+ * @param {Object} [options={}] - Stop options
+ * @param {number} [options.endTime] - Earlier time to stop at, trimming a forgotten timer
+ * @param {string|null} [options.categoryId=null] - Category of the entry
  * @returns {Promise<{success: boolean, data?: Object, entry?: Object, error?: string}>}
  */
-export const stopItemTimer = async (t, checkItemId, description = "") => {
+export const stopItemTimer = async (
+  t,
+  checkItemId,
+  description = "",
+  { endTime, categoryId = null } = {},
+) => {
   try {
     const timerData = validateTimerData(await StorageService.getTimerData(t));
     const itemTotal = timerData.checklistTotals[checkItemId];
 
     if (!itemTotal?.currentEntry) {
-      return { success: false, error: "No active timer for this item" };
+      return { success: false, error: ERROR_CODES.NO_ACTIVE_ITEM_TIMER };
     }
 
-    const now = Date.now();
-    const { startTime, pausedDuration = 0 } = itemTotal.currentEntry;
-    const duration = now - startTime - pausedDuration;
+    const memberId = await getMemberId(t);
+    if (!isOwnedBy(itemTotal.currentEntry, memberId)) {
+      return { success: false, error: ERROR_CODES.ITEM_TIMED_BY_OTHER };
+    }
 
-    // Get current member for attribution
-    const member = await TrelloService.getMember(t);
-    const memberId = member?.id || null;
+    const now = getStopTime(itemTotal.currentEntry, endTime);
+    if (now === null) {
+      return { success: false, error: ERROR_CODES.INVALID_STOP_TIME };
+    }
+    const { startTime } = itemTotal.currentEntry;
+    const duration = getActiveDuration(itemTotal.currentEntry, now);
 
     const newEntry = createEntry(
       startTime,
@@ -379,6 +1373,7 @@ export const stopItemTimer = async (t, checkItemId, description = "") => {
       description,
       checkItemId,
       memberId,
+      categoryId,
     );
     newEntry.duration = duration;
 
@@ -398,10 +1393,111 @@ export const stopItemTimer = async (t, checkItemId, description = "") => {
       },
     };
 
-    const result = await StorageService.setTimerData(t, updatedData);
-    return result.success
-      ? { success: true, data: updatedData, entry: newEntry }
-      : { success: false, error: result.error };
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return { success: true, data: result.data, entry: newEntry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Pauses a running checklist item timer.
+ * @param {Object} t - Trello client
+ * @param {string} checkItemId - Checklist item ID
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const pauseItemTimer = async (t, checkItemId) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const itemTotal = timerData.checklistTotals[checkItemId];
+
+    if (itemTotal?.state !== TIMER_STATE.RUNNING || !itemTotal.currentEntry) {
+      return { success: false, error: ERROR_CODES.NO_RUNNING_ITEM_TIMER };
+    }
+
+    const memberId = await getMemberId(t);
+    if (!isOwnedBy(itemTotal.currentEntry, memberId)) {
+      return { success: false, error: ERROR_CODES.ITEM_TIMED_BY_OTHER };
+    }
+
+    const updatedData = {
+      ...timerData,
+      checklistTotals: {
+        ...timerData.checklistTotals,
+        [checkItemId]: {
+          ...itemTotal,
+          state: TIMER_STATE.PAUSED,
+          currentEntry: { ...itemTotal.currentEntry, pausedAt: Date.now() },
+        },
+      },
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return { success: true, data: result.data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resumes a paused checklist item timer.
+ * Stops the member's card timer and other item timers first (single timer
+ * constraint), as well as a timer they have running on another card.
+ * @param {Object} t - Trello client
+ * @param {string} checkItemId - Checklist item ID
+ * @returns {Promise<{success: boolean, data?: Object, stoppedElsewhere?: Object|null, error?: string}>}
+ */
+export const resumeItemTimer = async (t, checkItemId) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const itemTotal = timerData.checklistTotals[checkItemId];
+
+    if (itemTotal?.state !== TIMER_STATE.PAUSED || !itemTotal.currentEntry) {
+      return { success: false, error: ERROR_CODES.ITEM_NOT_PAUSED };
+    }
+
+    const memberId = await getMemberId(t);
+    if (!isOwnedBy(itemTotal.currentEntry, memberId)) {
+      return { success: false, error: ERROR_CODES.ITEM_TIMED_BY_OTHER };
+    }
+
+    const elsewhere = await stopTimerElsewhere(t, memberId);
+    if (!elsewhere.success) {
+      return { success: false, error: elsewhere.error, cause: elsewhere.cause };
+    }
+
+    // Stop the member's card timer if running or paused
+    const now = Date.now();
+    const { data: stoppedData } = closeSession(timerData, memberId, now);
+
+    const { [checkItemId]: _, ...otherItems } = timerData.checklistTotals;
+    const updatedData = {
+      ...stoppedData,
+      checklistTotals: {
+        ...closeItemTimers(otherItems, now, memberId),
+        [checkItemId]: {
+          ...itemTotal,
+          state: TIMER_STATE.RUNNING,
+          currentEntry: endPause(itemTotal.currentEntry, now),
+        },
+      },
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    if (!result.success) return { success: false, error: result.error };
+
+    await syncRunningTimer(t, result.data, memberId);
+    return {
+      success: true,
+      data: result.data,
+      stoppedElsewhere: elsewhere.stopped,
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -418,16 +1514,6 @@ export const setItemEstimate = async (t, checkItemId, estimatedTimeMs) => {
   try {
     const timerData = validateTimerData(await StorageService.getTimerData(t));
 
-    // Check if adding a new checklist item would exceed the limit
-    const existingItems = Object.keys(timerData.checklistTotals);
-    const isNewItem = !existingItems.includes(checkItemId);
-    if (isNewItem && existingItems.length >= VALIDATION.MAX_CHECKLIST_ITEMS) {
-      return {
-        success: false,
-        error: `Maximum ${VALIDATION.MAX_CHECKLIST_ITEMS} checklist items can have estimates. Remove estimates from unused items first.`,
-      };
-    }
-
     const itemTotal = timerData.checklistTotals[checkItemId] || {
       totalTime: 0,
       entryCount: 0,
@@ -447,9 +1533,163 @@ export const setItemEstimate = async (t, checkItemId, estimatedTimeMs) => {
       },
     };
 
-    const result = await StorageService.setTimerData(t, updatedData);
+    const result = await saveTimerData(t, updatedData, timerData);
+    return result.success
+      ? { success: true, data: result.data }
+      : { success: false, error: result.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Applies a change to the entry history, writing it only if it changed.
+ * @param {Object} t - Trello client
+ * @param {function(Array): Array} change - Maps the entries to their new list
+ * @returns {Promise<{success: boolean, removed?: Array, error?: string}>}
+ *   `removed` lists the entries the change dropped
+ */
+const changeEntryHistory = async (t, change) => {
+  const history = await StorageService.getEntryHistory(t);
+  const updated = change(history);
+  if (
+    updated.length === history.length &&
+    updated.every((entry, i) => entry === history[i])
+  ) {
+    return { success: true, removed: [] };
+  }
+
+  const archived = await StorageService.setEntryHistory(t, updated);
+  if (!archived.success) return { success: false, error: archived.error };
+
+  const kept = new Set(updated.map((entry) => entry.id));
+  return {
+    success: true,
+    removed: history.filter((entry) => !kept.has(entry.id)),
+  };
+};
+
+/**
+ * Looks up a checklist item whose time is about to be moved or dropped.
+ * @param {Object} timerData - Timer data
+ * @param {string} checkItemId - Checklist item ID
+ * @returns {{itemTotal?: Object, error?: string}} The item's totals, or why
+ *   its time can't be changed
+ */
+const getSettledItem = (timerData, checkItemId) => {
+  const itemTotal = timerData.checklistTotals[checkItemId];
+  if (!itemTotal) return { error: ERROR_CODES.NO_ITEM_TIME };
+  if (itemTotal.currentEntry) return { error: ERROR_CODES.ITEM_TIMER_OPEN };
+  return { itemTotal };
+};
+
+/**
+ * Moves the time tracked on a checklist item to another item, or to the card
+ * itself, such as when the item was deleted from its checklist. Its entries
+ * are relinked and its totals added to the other item's. The card total
+ * already includes the item's time, so it is unchanged.
+ * @param {Object} t - Trello client
+ * @param {string} checkItemId - Checklist item ID to move the time from
+ * @param {string|null} [targetItemId=null] - Item to move it to, or null for the card
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export const reassignItemTime = async (t, checkItemId, targetItemId = null) => {
+  try {
+    if (checkItemId === targetItemId) {
+      return { success: false, error: ERROR_CODES.SAME_ITEM };
+    }
+
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const { itemTotal, error } = getSettledItem(timerData, checkItemId);
+    if (error) return { success: false, error };
+
+    const relink = (entry) =>
+      entry.checklistItemId === checkItemId
+        ? { ...entry, checklistItemId: targetItemId }
+        : entry;
+    const relinked = await changeEntryHistory(t, (history) =>
+      history.map(relink),
+    );
+    if (!relinked.success) return { success: false, error: relinked.error };
+
+    const { [checkItemId]: _, ...otherItems } = timerData.checklistTotals;
+    if (targetItemId) {
+      const target = otherItems[targetItemId] || {
+        totalTime: 0,
+        entryCount: 0,
+        estimatedTime: null,
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+      };
+      otherItems[targetItemId] = {
+        ...target,
+        totalTime: target.totalTime + itemTotal.totalTime,
+        entryCount: target.entryCount + itemTotal.entryCount,
+      };
+    }
+
+    const updatedData = {
+      ...timerData,
+      recentEntries: timerData.recentEntries.map(relink),
+      checklistTotals: otherItems,
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
+    return result.success
+      ? { success: true, data: result.data }
+      : { success: false, error: result.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Drops the time tracked on a checklist item: its entries are deleted, as
+ * deleteEntry would, and their time taken off the card total. Time the item
+ * recorded without entries stays in the card total.
+ * @param {Object} t - Trello client
+ * @param {string} checkItemId - Checklist item ID
+ * @returns {Promise<{success: boolean, data?: Object, removed?: number, error?: string}>}
+ *   `removed` counts the deleted entries
+ */
+export const dropItemTime = async (t, checkItemId) => {
+  try {
+    const timerData = validateTimerData(await StorageService.getTimerData(t));
+    const { error } = getSettledItem(timerData, checkItemId);
+    if (error) return { success: false, error };
+
+    const isItemEntry = (entry) => entry.checklistItemId === checkItemId;
+    const archived = await changeEntryHistory(t, (history) =>
+      history.filter((entry) => !isItemEntry(entry)),
+    );
+    if (!archived.success) return { success: false, error: archived.error };
+
+    const removed = [
+      ...timerData.recentEntries.filter(isItemEntry),
+      ...archived.removed,
+    ];
+    const removedTime = removed.reduce(
+      (sum, entry) => sum + (entry.duration || 0),
+      0,
+    );
+    const { [checkItemId]: _, ...otherItems } = timerData.checklistTotals;
+
+    const updatedData = {
+      ...timerData,
+      recentEntries: timerData.recentEntries.filter(
+        (entry) => !isItemEntry(entry),
+      ),
+      totalTime: Math.max(0, timerData.totalTime - removedTime),
+      archivedCount: Math.max(
+        0,
+        (timerData.archivedCount || 0) - archived.removed.length,
+      ),
+      checklistTotals: otherItems,
+    };
+
+    const result = await saveTimerData(t, updatedData, timerData);
     return result.success
-      ? { success: true, data: updatedData }
+      ? { success: true, data: result.data, removed: removed.length }
       : { success: false, error: result.error };
   } catch (error) {
     return { success: false, error: error.message };
@@ -463,29 +1703,48 @@ export const setItemEstimate = async (t, checkItemId, estimatedTimeMs) => {
  */
 export const getItemCurrentElapsed = (itemTotal) => {
   if (!itemTotal?.currentEntry) return 0;
-  const { startTime, pausedDuration = 0 } = itemTotal.currentEntry;
+  const { startTime, pausedDuration = 0, pausedAt } = itemTotal.currentEntry;
+  if (pausedAt) return getActiveDuration(itemTotal.currentEntry);
   return getElapsedTime(startTime) - pausedDuration;
 };
 
 /**
- * Gets storage usage stats.
+ * Gets storage usage stats of the card, which its timer data and entry
+ * history share, broken down by shard.
  * @param {Object} timerData - Current timer data
+ * @param {Array} [history=[]] - Entry history, newest first
  * @returns {Object} Usage stats
  */
-export const getStorageUsage = (timerData) => {
-  return StorageService.calculateUsage(timerData);
+export const getStorageUsage = (timerData, history = []) => {
+  return StorageService.calculateShardUsage(timerData, history);
 };
 
 const TimerService = {
   startTimer,
+  autoStartTimer,
   stopTimer,
+  pauseTimer,
+  resumeTimer,
+  completeFocusInterval,
   getCurrentElapsed,
+  getMemberTimer,
+  getActiveTimers,
+  isForgottenTimer,
+  getForgottenTimers,
+  getTimerElsewhere,
   setEstimate,
   deleteEntry,
   updateEntry,
+  addManualEntry,
+  getEntryHistory,
+  getAllEntries,
   startItemTimer,
   stopItemTimer,
+  pauseItemTimer,
+  resumeItemTimer,
   setItemEstimate,
+  reassignItemTime,
+  dropItemTime,
   getItemCurrentElapsed,
   getStorageUsage,
 };
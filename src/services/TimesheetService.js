@@ -0,0 +1,152 @@
+/**
+ * TimeUp - Timesheet Service
+ * Lays out a member's tracked time on the board as a week of days per card
+ */
+
+import { ERROR_CODES } from "../utils/constants.js";
+import ReportService from "./ReportService.js";
+import TrelloService from "./TrelloService.js";
+
+export const DAYS_PER_WEEK = 7;
+
+/**
+ * Gets the local midnight of the day a number of days from a timestamp.
+ * Days are counted on the calendar, so weeks that change to or from
+ * daylight saving time stay aligned.
+ * @param {number} timestamp - Timestamp to count from
+ * @param {number} days - Days to move; negative to go back
+ * @returns {number} Midnight of the other day
+ */
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + days,
+  ).getTime();
+};
+
+/**
+ * Gets the start of the week a timestamp falls in: Monday at local midnight.
+ * @param {number} [timestamp=Date.now()] - Timestamp in the week
+ * @returns {number} Timestamp of Monday 00:00
+ */
+export const getWeekStart = (timestamp = Date.now()) => {
+  // getDay() counts from Sunday; weeks here start on Monday
+  const daysSinceMonday =
+    (new Date(timestamp).getDay() + DAYS_PER_WEEK - 1) % DAYS_PER_WEEK;
+  return addDays(timestamp, -daysSinceMonday);
+};
+
+/**
+ * Gets the midnight of each day of a week.
+ * @param {number} weekStart - Start of the week (see getWeekStart)
+ * @returns {number[]} Timestamps of the days' midnights
+ */
+export const getWeekDays = (weekStart) =>
+  Array.from({ length: DAYS_PER_WEEK }, (_, i) => addDays(weekStart, i));
+
+/**
+ * Moves a week start by whole weeks.
+ * @param {number} weekStart - Start of the week
+ * @param {number} weeks - Weeks to move; negative to go back
+ * @returns {number} Start of the other week
+ */
+export const shiftWeek = (weekStart, weeks) =>
+  addDays(weekStart, weeks * DAYS_PER_WEEK);
+
+/**
+ * Builds a member's timesheet for one week. Entries count towards the day
+ * they started on, so work past midnight stays on the day it began.
+ * @param {Array} cards - Cards with entries (see ReportService.getBoardCardTimes)
+ * @param {string|null} memberId - Member whose entries are laid out
+ * @param {number} weekStart - Start of the week (see getWeekStart)
+ * @returns {{weekStart: number, days: number[], rows: Array, dayTotals: number[], totalTime: number}}
+ *   Rows hold a card's id, name, url, totalTime and per-day
+ *   `{totalTime, entries}` cells, sorted by card name
+ */
+export const buildTimesheet = (cards, memberId, weekStart) => {
+  const days = getWeekDays(weekStart);
+  const weekEnd = shiftWeek(weekStart, 1);
+  const dayTotals = days.map(() => 0);
+  const rows = [];
+
+  for (const card of cards) {
+    const cells = days.map(() => ({ totalTime: 0, entries: [] }));
+    let totalTime = 0;
+
+    for (const entry of card.entries ?? []) {
+      if (entry.memberId !== memberId) continue;
+      if (entry.startTime < weekStart || entry.startTime >= weekEnd) continue;
+
+      const day = days.findLastIndex((midnight) => entry.startTime >= midnight);
+      cells[day].entries.push(entry);
+      cells[day].totalTime += entry.duration;
+      dayTotals[day] += entry.duration;
+      totalTime += entry.duration;
+    }
+
+    if (cells.some((cell) => cell.entries.length > 0)) {
+      for (const cell of cells) {
+        cell.entries.sort((a, b) => a.startTime - b.startTime);
+      }
+      rows.push({
+        id: card.id,
+        name: card.name,
+        url: card.url,
+        days: cells,
+        totalTime,
+      });
+    }
+  }
+
+  rows.sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    weekStart,
+    days,
+    rows,
+    dayTotals,
+    totalTime: dayTotals.reduce((sum, time) => sum + time, 0),
+  };
+};
+
+/**
+ * Gets the current member's timesheet for a week, read from every card of
+ * the board.
+ * @param {Object} t - Trello client
+ * @param {Object} [options]
+ * @param {number} [options.weekStart=getWeekStart()] - Start of the week
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>} Data
+ *   is the timesheet (see buildTimesheet) plus `cards`, the id and name of
+ *   every open card, for adding time to cards without any yet
+ */
+export const getTimesheet = async (t, { weekStart = getWeekStart() } = {}) => {
+  try {
+    const member = await TrelloService.getMember(t);
+    if (!member) {
+      return { success: false, error: ERROR_CODES.MEMBER_UNAVAILABLE };
+    }
+
+    const { cards } = await ReportService.getBoardCardTimes(t);
+    return {
+      success: true,
+      data: {
+        ...buildTimesheet(cards, member.id, weekStart),
+        cards: cards
+          .map(({ id, name }) => ({ id, name }))
+          .sort((a, b) => a.name.localeCompare(b.name)),
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const TimesheetService = {
+  getWeekStart,
+  getWeekDays,
+  shiftWeek,
+  buildTimesheet,
+  getTimesheet,
+};
+export default TimesheetService;
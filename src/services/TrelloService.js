@@ -56,6 +56,71 @@ export const getBoardMembers = async (t) => {
   }
 };
 
+/**
+ * Gets a card on the current board by ID.
+ * @param {Object} t - Trello client
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object|null>} Card data or null if not on the board
+ */
+export const getBoardCard = async (t, cardId) => {
+  try {
+    const cards = await t.cards("id", "name", "url");
+    return cards.find((card) => card.id === cardId) ?? null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Gets every open card on the current board with all of its fields,
+ * including its list, labels and members.
+ * @param {Object} t - Trello client
+ * @returns {Promise<Array>} Array of cards or empty array
+ */
+export const getBoardCards = async (t) => {
+  try {
+    return (await t.cards("all")) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Gets the open lists of the current board.
+ * @param {Object} t - Trello client
+ * @returns {Promise<Array>} Array of lists or empty array
+ */
+export const getBoardLists = async (t) => {
+  try {
+    return (await t.lists("id", "name")) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Returns a Trello client whose card storage and context are those of another
+ * card on the board, so services can read and save its data from the current
+ * card. Trello accepts a card ID wherever the "card" scope is expected.
+ * @param {Object} t - Trello client
+ * @param {string} cardId - ID of the card to target
+ * @returns {Object} Trello client scoped to the card
+ */
+export const forCard = (t, cardId) => {
+  const scoped =
+    (method) =>
+    (scope, ...args) =>
+      t[method](scope === "card" ? cardId : scope, ...args);
+
+  return Object.assign(Object.create(t), {
+    get: scoped("get"),
+    set: scoped("set"),
+    remove: scoped("remove"),
+    card: async () => ({ id: cardId }),
+    getContext: () => ({ ...t.getContext(), card: cardId }),
+  });
+};
+
 /**
  * Closes the current popup.
  * @param {Object} t - Trello client
@@ -74,6 +139,10 @@ const TrelloService = {
   getBoard,
   getMember,
   getBoardMembers,
+  getBoardCard,
+  getBoardCards,
+  getBoardLists,
+  forCard,
   closePopup,
 };
 export default TrelloService;
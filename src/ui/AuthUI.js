@@ -3,12 +3,32 @@
  * Handles the Trello Authorization UI state and interactions
  */
 
+import { translate } from "../utils/i18n.js";
+
+/**
+ * Token scopes TimeUp asks for. Writing is only needed to sync time to
+ * Custom Fields and to post entries as card comments.
+ * @readonly
+ * @enum {string}
+ */
+export const AUTH_SCOPES = {
+  READ: "read",
+  WRITE: "read,write",
+};
+
 export class AuthUI {
-  constructor(t, { authContainerId, btnAuthorizeId, onAuthorized }) {
+  constructor(
+    t,
+    { authContainerId, btnAuthorizeId, onAuthorized, scope = AUTH_SCOPES.READ },
+  ) {
     this.t = t;
     this.authContainer = document.getElementById(authContainerId);
     this.btnAuthorize = document.getElementById(btnAuthorizeId);
+    this.authText = this.authContainer?.querySelector(".auth-text") ?? null;
+    // The page's own text, read when first replaced so it is already translated
+    this.defaultText = null;
     this.onAuthorized = onAuthorized;
+    this.scope = scope;
 
     this._initListeners();
   }
@@ -17,7 +37,7 @@ export class AuthUI {
     if (this.btnAuthorize) {
       this.btnAuthorize.addEventListener("click", async () => {
         try {
-          await this.t.getRestApi().authorize({ scope: "read" });
+          await this.t.getRestApi().authorize({ scope: this.scope });
           this.hide();
           if (this.onAuthorized) this.onAuthorized();
         } catch (e) {
@@ -27,7 +47,30 @@ export class AuthUI {
     }
   }
 
+  /**
+   * Sets the scope asked for when the member authorizes TimeUp.
+   * @param {string} scope - One of AUTH_SCOPES
+   */
+  setScope(scope) {
+    this.scope = scope;
+  }
+
   show() {
+    if (this.authText && this.defaultText !== null) {
+      this.authText.textContent = this.defaultText;
+    }
+    if (this.authContainer) this.authContainer.hidden = false;
+  }
+
+  /**
+   * Asks a member whose token can only read to authorize writing as well.
+   */
+  requestWriteAccess() {
+    this.scope = AUTH_SCOPES.WRITE;
+    if (this.authText) {
+      this.defaultText ??= this.authText.textContent;
+      this.authText.textContent = translate("auth.write");
+    }
     if (this.authContainer) this.authContainer.hidden = false;
   }
 
@@ -0,0 +1,215 @@
+/**
+ * BoardReportUI.js
+ * Renders the board-wide time report: tracked time against estimates per
+ * card, list, member and label
+ */
+
+import { escapeHtml } from "../utils/escapeHtml.js";
+import { translate, translateError } from "../utils/i18n.js";
+import { formatDuration, getFormatOptions } from "../utils/formatTime.js";
+import { formatCurrency } from "../utils/formatCurrency.js";
+import ReportService from "../services/ReportService.js";
+import StorageService from "../services/StorageService.js";
+import ExportService from "../services/ExportService.js";
+import { downloadExport } from "./ExportUI.js";
+
+/** Report groups, with the message keys of their titles */
+const SECTIONS = [
+  { key: "cards", title: "report.cards" },
+  { key: "lists", title: "report.lists" },
+  { key: "members", title: "report.members" },
+  { key: "labels", title: "report.labels" },
+];
+
+/**
+ * Gets a message in the current locale, escaped for HTML.
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values by placeholder name
+ * @returns {string} Escaped message
+ */
+const text = (key, params) => escapeHtml(translate(key, params));
+
+export class BoardReportUI {
+  constructor(t, elements) {
+    this.t = t;
+    this.elements = elements;
+    this.formatOptions = getFormatOptions();
+    // Expected elements: status, content, btnRefresh, exportScope, btnExport
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    if (this.elements.btnRefresh) {
+      this.elements.btnRefresh.addEventListener("click", () => this.load());
+    }
+
+    if (this.elements.btnExport) {
+      this.elements.btnExport.addEventListener("click", () =>
+        this._handleExport(),
+      );
+    }
+
+    // Card names open the card
+    this.elements.content.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-card-id]");
+      if (button) this.t.showCard(button.dataset.cardId);
+    });
+  }
+
+  async load() {
+    this.elements.status.textContent = translate("report.loading");
+    this.elements.status.hidden = false;
+
+    const [preferences, result] = await Promise.all([
+      StorageService.getUserPreferences(this.t),
+      ReportService.getBoardReport(this.t),
+    ]);
+    this.formatOptions = getFormatOptions(preferences);
+    if (!result.success) {
+      this.elements.status.textContent = translate("report.loadFailed", {
+        error: translateError(result.error),
+      });
+      return;
+    }
+    this.render(result.data);
+  }
+
+  render(report) {
+    const { status, content } = this.elements;
+    this._renderExportScope(report.lists);
+
+    if (report.cards.length === 0) {
+      status.textContent = translate("report.empty");
+      status.hidden = false;
+      content.innerHTML = "";
+      return;
+    }
+
+    status.hidden = true;
+    content.innerHTML = `
+      <div class="report-summary">
+        <span class="report-summary__label">${text("report.boardTotal")}</span>
+        <span class="report-summary__value">${this._formatTime(report.totals.totalTime)}</span>
+        ${
+          report.rounded
+            ? `<span class="report-summary__label">${text("report.billed")}</span>
+               <span class="report-summary__value">${this._formatTime(report.totals.billedTime)}</span>`
+            : ""
+        }
+        ${
+          report.totals.estimatedTime !== null
+            ? `<span class="report-summary__label">${text("report.estimated")}</span>
+               <span class="report-summary__value">${this._formatTime(report.totals.estimatedTime)}</span>`
+            : ""
+        }
+        ${
+          report.currency
+            ? `<span class="report-summary__label">${text("report.cost")}</span>
+               <span class="report-summary__value">${formatCurrency(report.totals.cost ?? 0, report.currency)}</span>`
+            : ""
+        }
+      </div>
+      ${SECTIONS.filter(({ key }) => report[key].length > 0)
+        .map(({ key, title }) =>
+          this._renderTable(title, key, report[key], report),
+        )
+        .join("")}
+    `;
+  }
+
+  /**
+   * Offers the whole board and every list with tracked time for export.
+   * @param {Array} lists - List rows of the report
+   */
+  _renderExportScope(lists) {
+    const { exportScope } = this.elements;
+    if (!exportScope) return;
+
+    const selected = exportScope.value;
+    exportScope.innerHTML = `
+      <option value="">${text("report.wholeBoard")}</option>
+      ${lists
+        .filter((list) => list.id)
+        .map(
+          (list) =>
+            `<option value="${escapeHtml(list.id)}">${escapeHtml(list.name)}</option>`,
+        )
+        .join("")}
+    `;
+    if ([...exportScope.options].some((o) => o.value === selected)) {
+      exportScope.value = selected;
+    }
+  }
+
+  async _handleExport() {
+    const listId = this.elements.exportScope?.value || null;
+    this.elements.btnExport.disabled = true;
+    await downloadExport(ExportService.exportBoardCsv(this.t, { listId }));
+    this.elements.btnExport.disabled = false;
+  }
+
+  /**
+   * Renders one group of the report.
+   * @param {string} title - Message key of the section title
+   * @param {string} key - Report group
+   * @param {Array} rows - Report rows
+   * @param {Object} options
+   * @param {string|null} options.currency - Currency of the Cost column; no column if null
+   * @param {boolean} options.rounded - Whether to add a Billed column
+   */
+  _renderTable(title, key, rows, { currency, rounded }) {
+    const rowsHtml = rows
+      .map((row) => {
+        const name =
+          key === "cards"
+            ? `<button class="report-table__link" data-card-id="${escapeHtml(row.id)}">${escapeHtml(row.name)}</button>`
+            : escapeHtml(row.name);
+        return `
+          <tr>
+            <td>${name}</td>
+            <td class="report-table__time">${this._formatTime(row.totalTime)}</td>
+            ${rounded ? `<td class="report-table__time">${this._formatTime(row.billedTime)}</td>` : ""}
+            <td class="report-table__time">${row.estimatedTime !== null ? this._formatTime(row.estimatedTime) : "—"}</td>
+            ${this._renderDifference(row)}
+            ${currency ? `<td class="report-table__time">${formatCurrency(row.cost ?? 0, currency)}</td>` : ""}
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <section class="report-section">
+        <h2 class="report-section__title">${text(title)}</h2>
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th>${text("report.name")}</th>
+              <th>${text("report.tracked")}</th>
+              ${rounded ? `<th>${text("report.billed")}</th>` : ""}
+              <th>${text("report.estimate")}</th>
+              <th>${text("report.difference")}</th>
+              ${currency ? `<th>${text("report.cost")}</th>` : ""}
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  _formatTime(ms) {
+    return formatDuration(ms, { ...this.formatOptions, compact: true });
+  }
+
+  _renderDifference({ totalTime, estimatedTime }) {
+    if (estimatedTime === null) {
+      return `<td class="report-table__time">—</td>`;
+    }
+    const remaining = estimatedTime - totalTime;
+    if (remaining < 0) {
+      return `<td class="report-table__time report-table__time--over">${text("estimate.over", { time: this._formatTime(-remaining) })}</td>`;
+    }
+    return `<td class="report-table__time">${text("estimate.left", { time: this._formatTime(remaining) })}</td>`;
+  }
+}
@@ -3,16 +3,24 @@
  * DOM manipulation for the timer popup view
  */
 
-import { TIMER_STATE } from "../utils/constants.js";
+import { DEFAULTS, TIMER_STATE } from "../utils/constants.js";
 import {
   formatDuration,
+  formatTimestamp,
+  getFormatOptions,
   sumDurations,
   getRemainingTime,
-  parseTimeString,
+  parseDuration,
 } from "../utils/formatTime.js";
 import { escapeHtml } from "../utils/escapeHtml.js";
+import { initLocale, translate, translateError } from "../utils/i18n.js";
+import ChecklistService from "../services/ChecklistService.js";
+import CustomFieldService from "../services/CustomFieldService.js";
 import StorageService from "../services/StorageService.js";
 import TimerService from "../services/TimerService.js";
+import TrelloService from "../services/TrelloService.js";
+import { logEntryComment } from "./CommentLogUI.js";
+import { notifyStoppedElsewhere } from "./RunningTimerUI.js";
 
 // DOM Elements
 const timerDisplay = document.getElementById("timer-display");
@@ -28,16 +36,23 @@ const estimateDisplay = document.getElementById("estimate-display");
 const remainingText = document.getElementById("remaining-text");
 
 let updateInterval = null;
+// Member viewing the popup; only their card timer is shown
+let memberId = null;
+// Display preferences of that member (seconds, clock format)
+let formatOptions = getFormatOptions();
+// Board's working day and week, which estimates in days count in
+let workSchedule = DEFAULTS.BOARD_SETTINGS.workSchedule;
 
 /**
  * Updates the timer display with current elapsed time.
  * @param {Object} timerData - Current timer data
  */
 const updateDisplay = (timerData) => {
-  const elapsed = TimerService.getCurrentElapsed(timerData);
-  timerDisplay.textContent = formatDuration(elapsed);
+  const timer = TimerService.getMemberTimer(timerData, memberId);
+  const elapsed = TimerService.getCurrentElapsed(timer);
+  timerDisplay.textContent = formatDuration(elapsed, formatOptions);
 
-  const isRunning = timerData.state === TIMER_STATE.RUNNING;
+  const isRunning = timer.state === TIMER_STATE.RUNNING;
   timerDisplay.classList.toggle("timer__display--running", isRunning);
   btnStart.hidden = isRunning;
   btnStop.hidden = !isRunning;
@@ -51,13 +66,14 @@ const updateEstimateUI = (timerData) => {
   const hasEstimate = timerData.estimatedTime && timerData.estimatedTime > 0;
 
   if (hasEstimate) {
+    const estimateOptions = { compact: true, showSeconds: false, workSchedule };
     estimateInput.hidden = true;
     btnSetEstimate.hidden = true;
     estimateDisplay.hidden = false;
-    estimateDisplay.textContent = formatDuration(timerData.estimatedTime, {
-      compact: true,
-      showSeconds: false,
-    });
+    estimateDisplay.textContent = formatDuration(
+      timerData.estimatedTime,
+      estimateOptions,
+    );
     btnClearEstimate.hidden = false;
 
     // Show remaining time
@@ -71,13 +87,22 @@ const updateEstimateUI = (timerData) => {
 
       if (remainingInfo.isOverBudget) {
         remainingText.classList.add("remaining-text--over");
-        remainingText.textContent = `${formatDuration(Math.abs(remainingInfo.remaining), { compact: true, showSeconds: false })} over`;
+        remainingText.textContent = translate("estimate.over", {
+          time: formatDuration(
+            Math.abs(remainingInfo.remaining),
+            estimateOptions,
+          ),
+        });
       } else if (remainingInfo.percentComplete >= 80) {
         remainingText.classList.add("remaining-text--warning");
-        remainingText.textContent = `${formatDuration(remainingInfo.remaining, { compact: true, showSeconds: false })} left`;
+        remainingText.textContent = translate("estimate.left", {
+          time: formatDuration(remainingInfo.remaining, estimateOptions),
+        });
       } else {
         remainingText.classList.add("remaining-text--normal");
-        remainingText.textContent = `${formatDuration(remainingInfo.remaining, { compact: true, showSeconds: false })} left`;
+        remainingText.textContent = translate("estimate.left", {
+          time: formatDuration(remainingInfo.remaining, estimateOptions),
+        });
       }
     }
   } else {
@@ -89,18 +114,32 @@ const updateEstimateUI = (timerData) => {
   }
 };
 
+/**
+ * Writes the card's tracked hours and estimate to the board's Custom Fields
+ * after the member changes them.
+ */
+const syncCustomFields = async () => {
+  const checklists = await ChecklistService.getChecklists(t);
+  await CustomFieldService.syncCard(t, { checklists });
+};
+
 /**
  * Handles deleting a time entry.
  * @param {string} entryId - ID of entry to delete
  */
 const handleDeleteEntry = async (entryId) => {
-  if (!confirm("Delete this time entry?")) return;
+  if (!confirm(translate("entries.confirmDelete"))) return;
   const result = await TimerService.deleteEntry(t, entryId);
   if (result.success) {
     renderEntries(result.data.recentEntries || []);
     updateEstimateUI(result.data);
+    syncCustomFields();
   } else {
-    alert(`Failed to delete entry: ${result.error}`);
+    alert(
+      translate("entries.deleteFailed", {
+        error: translateError(result.error),
+      }),
+    );
   }
 };
 
@@ -110,8 +149,7 @@ const handleDeleteEntry = async (entryId) => {
  */
 const renderEntries = (entries) => {
   if (!entries.length) {
-    entriesList.innerHTML =
-      '<p class="empty-state__description">No entries yet</p>';
+    entriesList.innerHTML = `<p class="empty-state__description">${escapeHtml(translate("entries.emptyShort"))}</p>`;
     totalTime.hidden = true;
     return;
   }
@@ -121,12 +159,12 @@ const renderEntries = (entries) => {
       (entry) => `
     <div class="timer__entry">
       <div class="timer__entry-left">
-        <span class="timer__entry-time">${escapeHtml(new Date(entry.startTime).toLocaleTimeString())}</span>
+        <span class="timer__entry-time">${escapeHtml(formatTimestamp(entry.startTime, formatOptions))}</span>
         ${entry.description ? `<span class="timer__entry-description">${escapeHtml(entry.description)}</span>` : ""}
       </div>
       <div class="timer__entry-right">
-        <span class="timer__entry-duration">${escapeHtml(formatDuration(entry.duration, { compact: true }))}</span>
-        <button class="btn-delete-entry" data-id="${escapeHtml(entry.id)}" title="Delete entry">×</button>
+        <span class="timer__entry-duration">${escapeHtml(formatDuration(entry.duration, { ...formatOptions, compact: true }))}</span>
+        <button class="btn-delete-entry" data-id="${escapeHtml(entry.id)}" title="${escapeHtml(translate("entries.deleteTitle"))}">×</button>
       </div>
     </div>
   `,
@@ -139,7 +177,10 @@ const renderEntries = (entries) => {
   });
 
   const total = sumDurations(entries);
-  totalValue.textContent = formatDuration(total, { compact: true });
+  totalValue.textContent = formatDuration(total, {
+    ...formatOptions,
+    compact: true,
+  });
   totalTime.hidden = false;
 };
 
@@ -160,6 +201,12 @@ const init = async (t) => {
     }
 
     // Fetch fresh timer data
+    memberId = (await TrelloService.getMember(t))?.id ?? null;
+    formatOptions = getFormatOptions(
+      await StorageService.getUserPreferences(t),
+    );
+    workSchedule =
+      (await StorageService.getBoardSettings(t)).workSchedule ?? workSchedule;
     const timerData = await StorageService.getTimerData(t);
 
     // Update UI with current state
@@ -168,7 +215,8 @@ const init = async (t) => {
     updateEstimateUI(timerData);
 
     // Start update loop if timer is running
-    if (timerData.state === TIMER_STATE.RUNNING) {
+    const timer = TimerService.getMemberTimer(timerData, memberId);
+    if (timer.state === TIMER_STATE.RUNNING) {
       startUpdateLoop(t);
     }
   } catch (error) {
@@ -207,7 +255,10 @@ const stopUpdateLoop = () => {
 /* global TrelloPowerUp */
 const t = TrelloPowerUp.iframe();
 
-t.render(() => init(t));
+t.render(() => {
+  initLocale(t);
+  return init(t);
+});
 
 // Event Listeners
 btnStart.addEventListener("click", async () => {
@@ -216,11 +267,16 @@ btnStart.addEventListener("click", async () => {
 
   const result = await TimerService.startTimer(t);
   if (result.success) {
+    notifyStoppedElsewhere(t, result.stoppedElsewhere);
     updateDisplay(result.data);
     startUpdateLoop(t);
   } else {
     // Show error to user
-    alert(`Failed to start timer: ${result.error}`);
+    alert(
+      translate("timer.startFailed", {
+        error: translateError(result.error, result.cause),
+      }),
+    );
   }
 
   btnStart.disabled = false;
@@ -236,24 +292,40 @@ btnStop.addEventListener("click", async () => {
     updateDisplay(result.data);
     renderEntries(result.data.recentEntries || []);
     updateEstimateUI(result.data);
+    syncCustomFields();
+    await logEntryComment(t, result.entry);
   } else {
-    alert(`Failed to stop timer: ${result.error}`);
+    alert(
+      translate("timer.stopFailed", {
+        error: translateError(result.error, result.cause),
+      }),
+    );
   }
 
   btnStop.disabled = false;
 });
 
 btnSetEstimate.addEventListener("click", async () => {
-  const value = estimateInput.value.trim();
-  const ms = parseTimeString(value);
-  if (ms) {
-    const result = await TimerService.setEstimate(t, ms);
+  const parsed = parseDuration(estimateInput.value, { workSchedule });
+  if (parsed.success && parsed.data) {
+    const result = await TimerService.setEstimate(t, parsed.data);
     if (result.success) {
       estimateInput.value = "";
       updateEstimateUI(result.data);
+      syncCustomFields();
+    } else {
+      alert(
+        translate("estimate.setFailed", {
+          error: translateError(result.error),
+        }),
+      );
     }
   } else {
-    alert("Invalid time format. Try: 2h 30m, 1.5h, or 90 (minutes)");
+    alert(
+      parsed.success
+        ? translate("estimate.invalid")
+        : translate("estimate.invalidReason", { error: parsed.error }),
+    );
   }
 });
 
@@ -267,5 +339,12 @@ btnClearEstimate.addEventListener("click", async () => {
   const result = await TimerService.setEstimate(t, null);
   if (result.success) {
     updateEstimateUI(result.data);
+    syncCustomFields();
+  } else {
+    alert(
+      translate("estimate.clearFailed", {
+        error: translateError(result.error),
+      }),
+    );
   }
 });
@@ -3,22 +3,70 @@
  * Handles rendering of checklists with embedded timer controls
  */
 
-import { TIMER_STATE } from "../utils/constants.js";
-import { formatDuration, parseTimeString } from "../utils/formatTime.js";
+import { DEFAULTS, TIMER_STATE } from "../utils/constants.js";
+import {
+  formatDuration,
+  getFormatOptions,
+  parseTimeString,
+} from "../utils/formatTime.js";
+import { translate, translateError } from "../utils/i18n.js";
 import TimerService from "../services/TimerService.js";
+import { logEntryComment } from "./CommentLogUI.js";
+import { notifyStoppedElsewhere } from "./RunningTimerUI.js";
+
+const ICON_PAUSE =
+  '<svg viewBox="0 0 24 24"><path d="M6 5h4v14H6zM14 5h4v14h-4z"/></svg>';
+const ICON_RESUME = '<svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>';
 
 export class ChecklistUI {
-  constructor(t, containerId, { onRefresh, timePicker }) {
+  constructor(
+    t,
+    containerId,
+    { onRefresh, onWriteAccessNeeded, timePicker, preferences, workSchedule },
+  ) {
     this.t = t;
     this.container = document.getElementById(containerId);
     this.onRefresh = onRefresh;
+    // Called when entries stopped from the checklist can't be commented
+    // on their cards
+    this.onWriteAccessNeeded = onWriteAccessNeeded;
     this.timePicker = timePicker;
+    this.formatOptions = getFormatOptions(preferences);
+    // Board's working day and week, which item estimates in days count in
+    this.workSchedule = workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule;
 
     // Track rendered IDs to avoid expensive DOM trashing if possible
     // But for "Gold Standard" readability, we'll start with full re-render
     // unless performance dictates otherwise.
   }
 
+  /**
+   * Applies the member's display preferences (seconds, clock format).
+   * @param {Object} preferences - User preferences
+   */
+  setPreferences(preferences) {
+    this.formatOptions = getFormatOptions(preferences);
+  }
+
+  /**
+   * Sets the board's working day and week, used to read and show item
+   * estimates in days and weeks.
+   * @param {Object} workSchedule - Board work schedule
+   */
+  setWorkSchedule(workSchedule) {
+    this.workSchedule = workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule;
+  }
+
+  _formatEstimate(estimate) {
+    return estimate > 0
+      ? formatDuration(estimate, {
+          compact: true,
+          showSeconds: false,
+          workSchedule: this.workSchedule,
+        })
+      : "";
+  }
+
   // Main render loop
   render(timerData, checklists) {
     if (!checklists || checklists.length === 0) {
@@ -65,8 +113,8 @@ export class ChecklistUI {
             <span class="checklist-panel__title">${this._escape(checklist.name)}</span>
           </div>
           <div class="checklist-panel__cols">
-            <span class="col-header col-est">Estimate</span>
-            <span class="col-header col-time">Tracked</span>
+            <span class="col-header col-est">${this._escape(translate("checklist.estimate"))}</span>
+            <span class="col-header col-time">${this._escape(translate("checklist.tracked"))}</span>
           </div>
         </div>
         <div class="checklist-table">
@@ -78,7 +126,9 @@ export class ChecklistUI {
 
   _renderItem(item, timerData) {
     const itemData = timerData.checklistTotals?.[item.id];
-    const isRunning = itemData?.state === TIMER_STATE.RUNNING;
+    const isPaused = itemData?.state === TIMER_STATE.PAUSED;
+    // Paused items keep their session open, so they render with Stop as well
+    const isRunning = itemData?.state === TIMER_STATE.RUNNING || isPaused;
     let totalTime = itemData?.totalTime || 0;
 
     if (isRunning && itemData) {
@@ -106,9 +156,15 @@ export class ChecklistUI {
         <div class="col-action">
           <button class="btn-item-toggle ${isRunning ? "btn-item-toggle--running" : ""}"
                   data-action="toggle" data-id="${item.id}"
-                  title="${isRunning ? "Stop task timer" : "Start task timer"}">
+                  title="${this._escape(translate(isRunning ? "checklist.stopTitle" : "checklist.startTitle"))}">
             ${icon}
           </button>
+          <button class="btn-item-pause ${isPaused ? "btn-item-pause--paused" : ""}"
+                  data-action="pause" data-id="${item.id}"
+                  title="${this._escape(translate(isPaused ? "checklist.resumeTitle" : "checklist.pauseTitle"))}"
+                  ${isRunning ? "" : "hidden"}>
+            ${isPaused ? ICON_RESUME : ICON_PAUSE}
+          </button>
         </div>
         <div class="col-task">
           <div class="task-name" title="${this._escape(item.name)}">${this._escape(item.name)}</div>
@@ -116,19 +172,20 @@ export class ChecklistUI {
             <div class="progress-bar__fill ${isOver ? "progress-bar__fill--over" : ""} item-progress-fill"
                  style="width: ${progressPercent}%" id="progress-fill-${item.id}"></div>
 </div>
-          ${isRunning ? '<span class="status-badge status-badge--running">Running</span>' : ""}
-          ${isOver ? '<span class="status-badge status-badge--over">Over</span>' : ""}
+          ${isRunning && !isPaused ? `<span class="status-badge status-badge--running">${this._escape(translate("checklist.running"))}</span>` : ""}
+          ${isPaused ? `<span class="status-badge status-badge--paused">${this._escape(translate("checklist.paused"))}</span>` : ""}
+          ${isOver ? `<span class="status-badge status-badge--over">${this._escape(translate("checklist.over"))}</span>` : ""}
         </div>
         <div class="col-est">
           <div class="input-wrapper">
             <input type="text" class="input-tiny"
-                  value="${estimate > 0 ? formatDuration(estimate, { compact: true, showSeconds: false }) : ""}"
+                  value="${this._formatEstimate(estimate)}"
                   placeholder="-"
                   data-action="estimate" data-id="${item.id}">
           </div>
         </div>
         <div class="col-time ${isOver ? "text-over" : ""}">
-          <span class="time-value item-time-value" id="time-value-${item.id}">${formatDuration(totalTime, { compact: true })}</span>
+          <span class="time-value item-time-value" id="time-value-${item.id}">${formatDuration(totalTime, { ...this.formatOptions, compact: true })}</span>
         </div>
       </div>
     `;
@@ -140,7 +197,8 @@ export class ChecklistUI {
     this.container.querySelectorAll(".checklist-row").forEach((row) => {
       const itemId = row.dataset.id;
       const itemData = timerData.checklistTotals?.[itemId];
-      const isRunning = itemData?.state === TIMER_STATE.RUNNING;
+      const isPaused = itemData?.state === TIMER_STATE.PAUSED;
+      const isRunning = itemData?.state === TIMER_STATE.RUNNING || isPaused;
 
       // Use totalTime from checklistTotals directly
       let totalTime = itemData?.totalTime || 0;
@@ -158,7 +216,10 @@ export class ChecklistUI {
       // 1. Update Tracked Time
       const timeSpan = row.querySelector(".item-time-value");
       if (timeSpan) {
-        const newTime = formatDuration(totalTime, { compact: true });
+        const newTime = formatDuration(totalTime, {
+          ...this.formatOptions,
+          compact: true,
+        });
         if (timeSpan.textContent !== newTime) {
           timeSpan.textContent = newTime;
         }
@@ -190,44 +251,35 @@ export class ChecklistUI {
           toggleBtn.innerHTML = isRunning
             ? '<svg viewBox="0 0 24 24"><path d="M6 6h12v12H6z"/></svg>'
             : '<svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>';
-          // Also toggle badge visibility by just finding it or we skip for now as badge might be better managed by a total render
-          // but we can try to find and update
-          const taskCol = row.querySelector(".col-task");
-          if (taskCol) {
-            let runningBadge = taskCol.querySelector(".status-badge--running");
-            if (isRunning && !runningBadge) {
-              const badge = document.createElement("span");
-              badge.className = "status-badge status-badge--running";
-              badge.textContent = "Running";
-              taskCol.appendChild(badge);
-            } else if (!isRunning && runningBadge) {
-              runningBadge.remove();
-            }
-          }
         }
       }
 
-      // Update Over Budget badge
+      // Update Pause Button and Running/Paused badges
+      const pauseBtn = row.querySelector(".btn-item-pause");
+      if (pauseBtn) {
+        const wasPaused = pauseBtn.classList.contains("btn-item-pause--paused");
+        pauseBtn.hidden = !isRunning;
+        if (wasPaused !== isPaused) {
+          pauseBtn.classList.toggle("btn-item-pause--paused", isPaused);
+          pauseBtn.innerHTML = isPaused ? ICON_RESUME : ICON_PAUSE;
+          pauseBtn.title = translate(
+            isPaused ? "checklist.resumeTitle" : "checklist.pauseTitle",
+          );
+        }
+      }
+
+      // Update Running/Paused/Over badges
       const taskCol = row.querySelector(".col-task");
       if (taskCol) {
-        let overBadge = taskCol.querySelector(".status-badge--over");
-        if (isOver && !overBadge) {
-          const badge = document.createElement("span");
-          badge.className = "status-badge status-badge--over";
-          badge.textContent = "Over";
-          taskCol.appendChild(badge);
-        } else if (!isOver && overBadge) {
-          overBadge.remove();
-        }
+        this._toggleBadge(taskCol, "running", isRunning && !isPaused);
+        this._toggleBadge(taskCol, "paused", isPaused);
+        this._toggleBadge(taskCol, "over", isOver);
       }
 
       // 5. Update Estimate Input only if it's NOT focused
       const estInput = row.querySelector('[data-action="estimate"]');
       if (estInput && estInput !== active) {
-        const estValue =
-          estimate > 0
-            ? formatDuration(estimate, { compact: true, showSeconds: false })
-            : "";
+        const estValue = this._formatEstimate(estimate);
         if (estInput.value !== estValue) {
           estInput.value = estValue;
         }
@@ -235,6 +287,23 @@ export class ChecklistUI {
     });
   }
 
+  /**
+   * Adds or removes a status badge in a task column. Its label is the
+   * `checklist.<modifier>` message.
+   * @private
+   */
+  _toggleBadge(taskCol, modifier, show) {
+    const existing = taskCol.querySelector(`.status-badge--${modifier}`);
+    if (show && !existing) {
+      const badge = document.createElement("span");
+      badge.className = `status-badge status-badge--${modifier}`;
+      badge.textContent = translate(`checklist.${modifier}`);
+      taskCol.appendChild(badge);
+    } else if (!show && existing) {
+      existing.remove();
+    }
+  }
+
   _attachListeners() {
     // Delegate events for efficiency
     this.container.querySelectorAll('[data-action="toggle"]').forEach((btn) => {
@@ -243,12 +312,21 @@ export class ChecklistUI {
       );
     });
 
+    this.container.querySelectorAll('[data-action="pause"]').forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this._handlePause(e.currentTarget.dataset.id),
+      );
+    });
+
     this.container
       .querySelectorAll('[data-action="estimate"]')
       .forEach((input) => {
         input.addEventListener("click", () => {
           this.timePicker.show(input, (ms) => {
-            input.value = formatDuration(ms, { compact: true });
+            input.value = formatDuration(ms, {
+              compact: true,
+              workSchedule: this.workSchedule,
+            });
             this._handleEstimate(input.dataset.id, input.value);
           });
         });
@@ -273,25 +351,64 @@ export class ChecklistUI {
 
     // We'll trust the button class state in DOM for this quick action to decide intent
     // (A bit simplified, but effective for UI controllers)
-    const btn = this.container.querySelector(`button[data-id="${itemId}"]`);
+    const btn = this.container.querySelector(
+      `button[data-action="toggle"][data-id="${itemId}"]`,
+    );
     const isRunning = btn.classList.contains("btn-item-toggle--running");
 
     let result;
     if (isRunning) {
       result = await TimerService.stopItemTimer(this.t, itemId);
+      if (result.success) {
+        await logEntryComment(this.t, result.entry, {
+          onWriteAccessNeeded: this.onWriteAccessNeeded,
+        });
+      }
     } else {
       result = await TimerService.startItemTimer(this.t, itemId);
     }
 
     if (result.success) {
+      notifyStoppedElsewhere(this.t, result.stoppedElsewhere, {
+        onWriteAccessNeeded: this.onWriteAccessNeeded,
+      });
       if (this.onRefresh) this.onRefresh();
     } else {
-      alert(`Failed to toggle timer: ${result.error}`);
+      alert(
+        translate("checklist.toggleFailed", {
+          error: translateError(result.error, result.cause),
+        }),
+      );
+    }
+  }
+
+  async _handlePause(itemId) {
+    const btn = this.container.querySelector(
+      `button[data-action="pause"][data-id="${itemId}"]`,
+    );
+    const isPaused = btn.classList.contains("btn-item-pause--paused");
+
+    const result = isPaused
+      ? await TimerService.resumeItemTimer(this.t, itemId)
+      : await TimerService.pauseItemTimer(this.t, itemId);
+
+    if (result.success) {
+      notifyStoppedElsewhere(this.t, result.stoppedElsewhere, {
+        onWriteAccessNeeded: this.onWriteAccessNeeded,
+      });
+      if (this.onRefresh) this.onRefresh();
+    } else {
+      alert(
+        translate(
+          isPaused ? "checklist.resumeFailed" : "checklist.pauseFailed",
+          { error: translateError(result.error, result.cause) },
+        ),
+      );
     }
   }
 
   async _handleEstimate(itemId, value) {
-    const ms = parseTimeString(value);
+    const ms = parseTimeString(value, { workSchedule: this.workSchedule });
     if (ms || value === "") {
       // If empty string, we might want to clear it? Service handles null/0 usu.
       const result = await TimerService.setItemEstimate(
@@ -302,7 +419,11 @@ export class ChecklistUI {
       if (result.success) {
         if (this.onRefresh) this.onRefresh();
       } else {
-        alert(`Failed to set estimate: ${result.error}`);
+        alert(
+          translate("estimate.setFailed", {
+            error: translateError(result.error, result.cause),
+          }),
+        );
       }
     }
   }
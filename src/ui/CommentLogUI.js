@@ -0,0 +1,43 @@
+/**
+ * CommentLogUI.js
+ * Posts the comment log entry for a stopped timer and tells the member when
+ * it couldn't be posted
+ */
+
+import CommentService from "../services/CommentService.js";
+import { translate, translateError } from "../utils/i18n.js";
+
+/**
+ * Logs a completed entry as a comment on its card. The entry is already
+ * saved, so a failed post only raises a notice; a token that may only read
+ * asks the member for write access instead.
+ * @param {Object} t - Trello client, possibly scoped to another card (see
+ *   TrelloService.forCard)
+ * @param {Object} entry - Entry returned by a stop operation
+ * @param {Object} [options]
+ * @param {Function} [options.onWriteAccessNeeded] - Called when the member
+ *   has to authorize TimeUp to post comments
+ * @returns {Promise<{success: boolean, posted?: boolean, needsWriteAccess?: boolean, error?: string}>}
+ *   Result of CommentService.logEntry
+ */
+export const logEntryComment = async (
+  t,
+  entry,
+  { onWriteAccessNeeded } = {},
+) => {
+  const result = await CommentService.logEntry(t, entry);
+  if (result.success) return result;
+
+  if (result.needsWriteAccess && onWriteAccessNeeded) {
+    onWriteAccessNeeded();
+  } else {
+    t.alert({
+      message: translate("commentLog.failed", {
+        error: translateError(result.error),
+      }),
+      duration: 10,
+      display: "error",
+    });
+  }
+  return result;
+};
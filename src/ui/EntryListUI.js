@@ -6,28 +6,85 @@
 import {
   formatDuration,
   formatTimestamp,
+  formatInputDate,
+  getFormatOptions,
   parseTimeString,
 } from "../utils/formatTime.js";
 import TimerService from "../services/TimerService.js";
-import { VALIDATION } from "../utils/constants.js";
+import ExportService from "../services/ExportService.js";
+import { downloadExport } from "./ExportUI.js";
+import { DEFAULTS, VALIDATION } from "../utils/constants.js";
 import { escapeHtml } from "../utils/escapeHtml.js";
+import { isValidColor } from "../utils/validators.js";
+import { translate, translateError } from "../utils/i18n.js";
+
+const DEFAULT_PAGE_SIZE = 5;
+
+/**
+ * Gets a message in the current locale, escaped for HTML.
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values by placeholder name
+ * @returns {string} Escaped message
+ */
+const text = (key, params) => escapeHtml(translate(key, params));
 
 export class EntryListUI {
-  constructor(t, containerId, { onRefresh, getChecklists, getBoardMembers }) {
+  constructor(
+    t,
+    containerId,
+    {
+      onRefresh,
+      getChecklists,
+      getBoardMembers,
+      getCategories,
+      preferences,
+      workSchedule,
+      pageSize = DEFAULT_PAGE_SIZE,
+    },
+  ) {
     this.t = t;
     this.container = document.getElementById(containerId);
     this.onRefresh = onRefresh;
     this.getChecklists = getChecklists; // Function to get current checklists for dropdowns
     this.getBoardMembers = getBoardMembers; // Function to get board members for assignment
+    this.getCategories = getCategories; // Function to get the board's categories
+    this.pageSize = pageSize;
+    this.formatOptions = getFormatOptions(preferences);
+    // Board's working day and week, which durations typed in days count in
+    this.workSchedule = workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule;
 
     this.editingId = null;
+    this.isAdding = false; // Whether the manual entry form is open
     this.currentEntries = [];
+    this.recentEntries = []; // Latest entries pushed by the refresh loop (page 0)
+    this.archivedCount = 0;
+    this.page = 0; // 0 = newest page, higher pages are loaded from the entry history
+    this.total = 0;
+    this.totalPages = 1;
     this.itemNameCache = null; // Cache for O(1) checklist item lookups
     this.memberCache = null; // Cache for O(1) member lookups
+    this.categoryCache = null; // Cache for O(1) category lookups
 
     // No global listeners here, we attach per render for simplicity with the list items
   }
 
+  /**
+   * Applies the member's display preferences (seconds, clock format).
+   * @param {Object} preferences - User preferences
+   */
+  setPreferences(preferences) {
+    this.formatOptions = getFormatOptions(preferences);
+  }
+
+  /**
+   * Sets the board's working day and week, used to read durations typed in
+   * days and weeks.
+   * @param {Object} workSchedule - Board work schedule
+   */
+  setWorkSchedule(workSchedule) {
+    this.workSchedule = workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule;
+  }
+
   /**
    * Builds a Map of memberId -> member for O(1) lookups.
    * @private
@@ -41,6 +98,17 @@ export class EntryListUI {
     }
   }
 
+  /**
+   * Builds a Map of categoryId -> category for O(1) lookups.
+   * @private
+   */
+  _buildCategoryCache() {
+    const categories = this.getCategories ? this.getCategories() : [];
+    this.categoryCache = new Map(
+      categories.map((category) => [category.id, category]),
+    );
+  }
+
   /**
    * Builds a Map of checklistItemId -> itemName for O(1) lookups.
    * @private
@@ -56,18 +124,83 @@ export class EntryListUI {
     }
   }
 
-  render(entries) {
-    this.currentEntries = entries || [];
+  /**
+   * Renders the newest page of entries.
+   * While an older history page or the add form is open, refreshes are
+   * ignored so the periodic refresh loop doesn't yank the user back to page
+   * one or wipe what they are typing.
+   * @param {Array} entries - Recent entries (newest first)
+   * @param {Object} [options={}] - Render options
+   * @param {number} [options.archivedCount=0] - Number of entries in the entry history
+   */
+  render(entries, { archivedCount = 0 } = {}) {
+    this.recentEntries = entries || [];
+    this.archivedCount = archivedCount;
+
+    if (this.page > 0 || this.isAdding) return;
+
+    this.currentEntries = this.recentEntries;
+    this.total = this.recentEntries.length + archivedCount;
+    this.totalPages = 1 + Math.ceil(archivedCount / this.pageSize);
+    this._draw();
+  }
 
-    if (!this.currentEntries.length) {
-      this.container.innerHTML =
-        '<div class="empty-msg">No time entries yet</div>';
+  /**
+   * Loads and shows a page of the full entry history.
+   * @param {number} page - Zero-based page index (0 = newest)
+   */
+  async goToPage(page) {
+    if (page <= 0) {
+      this.page = 0;
+      this.editingId = null;
+      this.render(this.recentEntries, { archivedCount: this.archivedCount });
+      return;
+    }
+
+    const result = await TimerService.getEntryHistory(this.t, {
+      page,
+      pageSize: this.pageSize,
+    });
+    if (!result.success) {
+      alert(
+        translate("entries.loadFailed", {
+          error: translateError(result.error),
+        }),
+      );
+      return;
+    }
+
+    const { entries, total, totalPages } = result.data;
+    if (page >= totalPages) {
+      // The page emptied out (e.g. last entry deleted), step back
+      await this.goToPage(totalPages - 1);
+      return;
+    }
+
+    this.page = page;
+    this.editingId = null;
+    this.currentEntries = entries;
+    this.total = total;
+    this.totalPages = totalPages;
+    this._draw();
+  }
+
+  _draw() {
+    const addHtml = this.isAdding ? this._renderAdd() : "";
+
+    if (!this.total) {
+      this.container.innerHTML = `
+        ${this._renderHeader()}
+        ${addHtml || `<div class="empty-msg">${text("entries.empty")}</div>`}
+      `;
+      this._attachListeners();
       return;
     }
 
     // Build caches for O(1) lookups
     this._buildItemNameCache();
     this._buildMemberCache();
+    this._buildCategoryCache();
 
     const sorted = [...this.currentEntries].reverse();
     const entriesHtml = sorted
@@ -80,7 +213,8 @@ export class EntryListUI {
       .join("");
 
     const html = `
-      <div class="entries-header">Recent History (last 5)</div>
+      ${this._renderHeader()}
+      ${addHtml}
       ${entriesHtml}
     `;
 
@@ -88,6 +222,30 @@ export class EntryListUI {
     this._attachListeners();
   }
 
+  _renderHeader() {
+    return `
+      <div class="entries-header">
+        <span>${text("entries.history", { count: this.total })}</span>
+        <div class="entries-header__actions">
+          ${this._renderPager()}
+          <button class="btn-export-entries" id="btn-export-entries" title="${text("entries.exportTitle")}" ${this.total === 0 ? "disabled" : ""}>${text("entries.export")}</button>
+          <button class="btn-add-entry" id="btn-add-entry" title="${text("entries.addTitle")}" ${this.isAdding ? "disabled" : ""}>${text("entries.add")}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderPager() {
+    if (this.totalPages <= 1) return "";
+    return `
+        <div class="entries-pager">
+          <button class="btn-page" data-page="${this.page - 1}" ${this.page === 0 ? "disabled" : ""} title="${text("entries.newer")}">‹</button>
+          <span class="entries-pager__label">${this.page + 1} / ${this.totalPages}</span>
+          <button class="btn-page" data-page="${this.page + 1}" ${this.page >= this.totalPages - 1 ? "disabled" : ""} title="${text("entries.older")}">›</button>
+        </div>
+    `;
+  }
+
   _renderView(entry) {
     // O(1) lookup using pre-built caches
     const itemName =
@@ -100,6 +258,11 @@ export class EntryListUI {
         ? this.memberCache.get(entry.memberId)
         : null;
 
+    const category =
+      entry.categoryId && this.categoryCache
+        ? this.categoryCache.get(entry.categoryId)
+        : null;
+
     const labelHtml = itemName
       ? `<span class="entry__label">☑ ${this._escape(itemName)}</span>`
       : "";
@@ -107,21 +270,26 @@ export class EntryListUI {
       ? `<span class="entry__desc">${this._escape(entry.description)}</span>`
       : "";
     const memberHtml = member
-      ? `<span class="entry__member" title="${this._escape(member.fullName)}">👤 ${this._escape(member.fullName)}</span>`
+      ? `<span class="entry__member" title="${this._escape(member.fullName || member.username)}">👤 ${this._escape(member.fullName || member.username)}</span>`
+      : "";
+
+    const categoryHtml = category
+      ? `<span class="entry__category" style="border-color: ${isValidColor(category.color) ? category.color : "currentColor"}">${this._escape(category.name)}</span>`
       : "";
 
     return `
             <div class="entry ${itemName ? "entry--linked" : ""}"
                  data-id="${this._escape(entry.id)}" role="button" tabindex="0">
                 <div class="entry__info">
-                    <span class="entry__time">${this._escape(formatTimestamp(entry.startTime, { showDate: true }))}</span>
+                    <span class="entry__time">${this._escape(formatTimestamp(entry.startTime, { ...this.formatOptions, showDate: true }))}</span>
                     ${memberHtml}
+                    ${categoryHtml}
                     ${labelHtml}
                     ${descHtml}
                 </div>
                 <div class="entry__right">
-                    <span class="entry__duration">${this._escape(formatDuration(entry.duration, { compact: true }))}</span>
-                    <button class="btn-delete" data-id="${this._escape(entry.id)}">×</button>
+                    <span class="entry__duration">${this._escape(formatDuration(entry.duration, { ...this.formatOptions, compact: true }))}</span>
+                    <button class="btn-delete" data-id="${this._escape(entry.id)}" title="${text("entries.deleteTitle")}">×</button>
                 </div>
             </div>
         `;
@@ -144,44 +312,160 @@ export class EntryListUI {
     // Build member options
     const memberOptions = members.map(
       (m) =>
-        `<option value="${this._escape(m.id)}" ${entry.memberId === m.id ? "selected" : ""}>${this._escape(m.fullName)}</option>`,
+        `<option value="${this._escape(m.id)}" ${entry.memberId === m.id ? "selected" : ""}>${this._escape(m.fullName || m.username)}</option>`,
     );
 
     return `
             <div class="entry entry--editing" data-id="${this._escape(entry.id)}">
                  <div class="entry__edit-row">
-                    <span class="entry__edit-label">Duration:</span>
-                    <input type="text" class="entry__edit-input" id="edit-duration-input" value="${this._escape(formatDuration(entry.duration, { compact: true }))}">
+                    <span class="entry__edit-label">${text("entries.duration")}</span>
+                    <input type="text" class="entry__edit-input" id="edit-duration-input" value="${this._escape(formatDuration(entry.duration, { ...this.formatOptions, compact: true }))}">
                  </div>
                  <div class="entry__edit-row">
-                    <span class="entry__edit-label">Member:</span>
+                    <span class="entry__edit-label">${text("entries.member")}</span>
                     <select class="entry__edit-select" id="edit-member-select">
-                        <option value="">— Unknown —</option>
+                        <option value="">${text("entries.unknownMember")}</option>
                         ${memberOptions.join("")}
                     </select>
                  </div>
+                 ${this._renderCategoryRow("edit-category-select", entry.categoryId)}
                  <div class="entry__edit-row">
-                    <span class="entry__edit-label">Checklist:</span>
+                    <span class="entry__edit-label">${text("entries.checklist")}</span>
                     <select class="entry__edit-select" id="edit-checklist-select">
-                        <option value="">— None —</option>
+                        <option value="">${text("entries.none")}</option>
                         ${checklistOptions.join("")}
                     </select>
                  </div>
                  <div class="entry__edit-row">
-                    <span class="entry__edit-label">Desc:</span>
+                    <span class="entry__edit-label">${text("entries.description")}</span>
                     <input type="text" class="entry__edit-input" id="edit-desc-input"
                            maxlength="${VALIDATION.MAX_DESCRIPTION_LENGTH}"
                            value="${this._escape(entry.description || "")}">
                  </div>
                  <div class="entry__edit-actions">
-                    <button class="btn-cancel" id="btn-cancel-edit">Cancel</button>
-                    <button class="btn-save" id="btn-save-edit">Save</button>
+                    <button class="btn-cancel" id="btn-cancel-edit">${text("entries.cancel")}</button>
+                    <button class="btn-save" id="btn-save-edit">${text("entries.save")}</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * Builds the category picker of the edit and add forms; empty if the board
+   * has no categories.
+   * @param {string} id - ID of the select
+   * @param {string|null} [selectedId=null] - Category to preselect
+   * @returns {string} Row HTML
+   * @private
+   */
+  _renderCategoryRow(id, selectedId = null) {
+    const categories = this.getCategories ? this.getCategories() : [];
+    if (!categories.length) return "";
+
+    const options = categories.map(
+      (category) =>
+        `<option value="${this._escape(category.id)}" ${selectedId === category.id ? "selected" : ""}>${this._escape(category.name)}</option>`,
+    );
+    return `
+                 <div class="entry__edit-row">
+                    <span class="entry__edit-label">${text("entries.category")}</span>
+                    <select class="entry__edit-select" id="${id}">
+                        <option value="">${text("entries.none")}</option>
+                        ${options.join("")}
+                    </select>
+                 </div>`;
+  }
+
+  _renderAdd() {
+    const checklists = this.getChecklists ? this.getChecklists() : [];
+    const members = this.getBoardMembers ? this.getBoardMembers() : [];
+
+    const checklistOptions = checklists.flatMap((cl) =>
+      (cl.checkItems || []).map(
+        (item) =>
+          `<option value="${this._escape(item.id)}">${this._escape(item.name)}</option>`,
+      ),
+    );
+    const memberOptions = members.map(
+      (m) =>
+        `<option value="${this._escape(m.id)}">${this._escape(m.fullName || m.username)}</option>`,
+    );
+
+    return `
+            <div class="entry-form" id="add-entry-form">
+                 <div class="entry__edit-row">
+                    <span class="entry__edit-label">${text("entries.start")}</span>
+                    <input type="date" class="entry__edit-input" id="add-date-input" value="${formatInputDate(Date.now())}">
+                    <input type="time" class="entry__edit-input" id="add-start-input">
+                 </div>
+                 <div class="entry__edit-row">
+                    <span class="entry__edit-label">${text("entries.duration")}</span>
+                    <input type="text" class="entry__edit-input" id="add-duration-input" placeholder="${text("entries.durationPlaceholder")}">
+                    <span class="entry__edit-label">${text("entries.orEnd")}</span>
+                    <input type="time" class="entry__edit-input" id="add-end-input">
+                 </div>
+                 <div class="entry__edit-row">
+                    <span class="entry__edit-label">${text("entries.member")}</span>
+                    <select class="entry__edit-select" id="add-member-select">
+                        <option value="">${text("entries.me")}</option>
+                        ${memberOptions.join("")}
+                    </select>
+                 </div>
+                 ${this._renderCategoryRow("add-category-select")}
+                 <div class="entry__edit-row">
+                    <span class="entry__edit-label">${text("entries.checklist")}</span>
+                    <select class="entry__edit-select" id="add-checklist-select">
+                        <option value="">${text("entries.none")}</option>
+                        ${checklistOptions.join("")}
+                    </select>
+                 </div>
+                 <div class="entry__edit-row">
+                    <span class="entry__edit-label">${text("entries.description")}</span>
+                    <input type="text" class="entry__edit-input" id="add-desc-input"
+                           maxlength="${VALIDATION.MAX_DESCRIPTION_LENGTH}">
+                 </div>
+                 <div class="entry__edit-actions">
+                    <button class="btn-cancel" id="btn-cancel-add">${text("entries.cancel")}</button>
+                    <button class="btn-save" id="btn-save-add">${text("entries.addButton")}</button>
                 </div>
             </div>
         `;
   }
 
   _attachListeners() {
+    const exportBtn = this.container.querySelector("#btn-export-entries");
+    if (exportBtn)
+      exportBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        downloadExport(ExportService.exportCardCsv(this.t));
+      });
+
+    // Add Entry Listeners
+    const addBtn = this.container.querySelector("#btn-add-entry");
+    if (addBtn)
+      addBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.isAdding = true;
+        this.editingId = null;
+        this._draw();
+      });
+
+    if (this.isAdding) {
+      const saveAddBtn = this.container.querySelector("#btn-save-add");
+      const cancelAddBtn = this.container.querySelector("#btn-cancel-add");
+
+      if (saveAddBtn)
+        saveAddBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this._handleAdd();
+        });
+      if (cancelAddBtn)
+        cancelAddBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this._closeAddForm();
+        });
+    }
+
     // Edit Mode Listeners
     if (this.editingId) {
       const saveBtn = this.container.querySelector("#btn-save-edit");
@@ -196,10 +480,18 @@ export class EntryListUI {
         cancelBtn.addEventListener("click", (e) => {
           e.stopPropagation();
           this.editingId = null;
-          this.render(this.currentEntries);
+          this._draw();
         });
     }
 
+    // Pager Listeners
+    this.container.querySelectorAll(".btn-page").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.goToPage(parseInt(btn.dataset.page, 10));
+      });
+    });
+
     // View Mode Listeners (Click to edit)
     this.container
       .querySelectorAll(".entry:not(.entry--editing)")
@@ -207,8 +499,9 @@ export class EntryListUI {
         el.addEventListener("click", (e) => {
           // Ignore if delete button clicked
           if (e.target.classList.contains("btn-delete")) return;
+          this.isAdding = false;
           this.editingId = el.dataset.id;
-          this.render(this.currentEntries);
+          this._draw();
         });
       });
 
@@ -216,12 +509,17 @@ export class EntryListUI {
     this.container.querySelectorAll(".btn-delete").forEach((btn) => {
       btn.addEventListener("click", async (e) => {
         e.stopPropagation();
-        if (confirm("Delete this entry?")) {
+        if (confirm(translate("entries.confirmDelete"))) {
           const result = await TimerService.deleteEntry(this.t, btn.dataset.id);
           if (!result.success) {
-            alert(`Failed to delete entry: ${result.error}`);
+            alert(
+              translate("entries.deleteFailed", {
+                error: translateError(result.error),
+              }),
+            );
             return;
           }
+          if (this.page > 0) await this.goToPage(this.page);
           if (this.onRefresh) this.onRefresh();
         }
       });
@@ -235,19 +533,29 @@ export class EntryListUI {
       "#edit-checklist-select",
     );
     const memberSelect = this.container.querySelector("#edit-member-select");
-
-    const ms = parseTimeString(durationInput.value);
-    if (!ms) {
-      alert("Invalid duration");
-      return;
-    }
+    const categorySelect = this.container.querySelector(
+      "#edit-category-select",
+    );
 
     const updates = {
-      duration: ms,
       description: descInput.value,
       checklistItemId: checklistSelect.value || null,
       memberId: memberSelect.value || null,
     };
+    // The field shows the duration as the member's preferences round it;
+    // left as it is, the entry keeps its exact duration
+    if (durationInput.value !== durationInput.defaultValue) {
+      const ms = parseTimeString(durationInput.value, {
+        workSchedule: this.workSchedule,
+      });
+      if (!ms) {
+        alert(translate("entries.invalidDuration"));
+        return;
+      }
+      updates.duration = ms;
+    }
+    // Without categories on the board, the entry keeps the one it has
+    if (categorySelect) updates.categoryId = categorySelect.value || null;
 
     const result = await TimerService.updateEntry(
       this.t,
@@ -256,9 +564,69 @@ export class EntryListUI {
     );
     if (result.success) {
       this.editingId = null;
+      if (this.page > 0) await this.goToPage(this.page);
       if (this.onRefresh) this.onRefresh();
     } else {
-      alert("Update failed");
+      alert(translate("entries.updateFailed"));
+    }
+  }
+
+  async _handleAdd() {
+    const value = (id) => this.container.querySelector(`#${id}`).value;
+
+    const date = value("add-date-input");
+    const start = value("add-start-input");
+    if (!date || !start) {
+      alert(translate("entries.enterStart"));
+      return;
+    }
+
+    const fields = {
+      startTime: new Date(`${date}T${start}`).getTime(),
+      description: value("add-desc-input"),
+      checklistItemId: value("add-checklist-select") || null,
+      // Left blank, the entry is credited to the current member
+      memberId: value("add-member-select") || undefined,
+      categoryId:
+        this.container.querySelector("#add-category-select")?.value || null,
+    };
+
+    const end = value("add-end-input");
+    if (end) {
+      fields.endTime = new Date(`${date}T${end}`).getTime();
+    } else {
+      const ms = parseTimeString(value("add-duration-input"), {
+        workSchedule: this.workSchedule,
+      });
+      if (!ms) {
+        alert(translate("entries.enterDuration"));
+        return;
+      }
+      fields.duration = ms;
+    }
+
+    const result = await TimerService.addManualEntry(this.t, fields);
+    if (!result.success) {
+      alert(
+        translate("entries.addFailed", { error: translateError(result.error) }),
+      );
+      return;
+    }
+
+    this._closeAddForm();
+    if (this.onRefresh) this.onRefresh();
+  }
+
+  /**
+   * Closes the add form and catches up on refreshes skipped while it was open.
+   * @private
+   */
+  _closeAddForm() {
+    this.isAdding = false;
+    if (this.page > 0) {
+      this._draw();
+    } else {
+      this.render(this.recentEntries, { archivedCount: this.archivedCount });
     }
   }
 
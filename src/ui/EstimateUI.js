@@ -3,11 +3,13 @@
  * Handles estimate input, setting manual values, and displaying project status
  */
 
+import { DEFAULTS } from "../utils/constants.js";
 import {
   formatDuration,
-  parseTimeString,
+  parseDuration,
   getRemainingTime,
 } from "../utils/formatTime.js";
+import { translate, translateError } from "../utils/i18n.js";
 import TimerService from "../services/TimerService.js";
 import ChecklistService from "../services/ChecklistService.js";
 import { TimePickerUI } from "./TimePickerUI.js";
@@ -21,6 +23,9 @@ export class EstimateUI {
 
     this.cachedChecklists = [];
     this.timePicker = options.timePicker;
+    // Board's working day and week, which estimates in days count in
+    this.workSchedule =
+      options.workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule;
 
     this._initListeners();
   }
@@ -37,7 +42,10 @@ export class EstimateUI {
     if (this.elements.input) {
       this.elements.input.addEventListener("click", (e) => {
         this.timePicker.show(this.elements.input, (ms) => {
-          this.elements.input.value = formatDuration(ms, { compact: true });
+          this.elements.input.value = formatDuration(ms, {
+            compact: true,
+            workSchedule: this.workSchedule,
+          });
           this._handleSet(); // Auto-save after picker
         });
       });
@@ -55,18 +63,47 @@ export class EstimateUI {
     this.cachedChecklists = checklists || [];
   }
 
+  /**
+   * Sets the board's working day and week, used to read and show estimates
+   * in days and weeks.
+   * @param {Object} workSchedule - Board work schedule
+   */
+  setWorkSchedule(workSchedule) {
+    this.workSchedule = workSchedule ?? DEFAULTS.BOARD_SETTINGS.workSchedule;
+  }
+
   async _handleSet() {
-    const value = this.elements.input.value.trim();
-    const ms = parseTimeString(value);
-    if (ms) {
-      const result = await TimerService.setEstimate(this.t, ms);
-      if (result.success && this.onRefresh) {
-        this.onRefresh();
-      } else if (!result.success) {
-        alert(`Failed to set estimate: ${result.error}`);
+    const { input } = this.elements;
+    if (!input.value.trim()) return;
+
+    const parsed = parseDuration(input.value, {
+      workSchedule: this.workSchedule,
+    });
+    if (!parsed.success || !parsed.data) {
+      // Select the part that couldn't be read, for the member to fix
+      if (!parsed.success) {
+        input.setSelectionRange(
+          parsed.position,
+          parsed.position + parsed.length,
+        );
       }
-    } else if (value) {
-      alert('Invalid time format. Try "2h" or "30m".');
+      alert(
+        parsed.success
+          ? translate("estimate.invalid")
+          : translate("estimate.invalidReason", { error: parsed.error }),
+      );
+      return;
+    }
+
+    const result = await TimerService.setEstimate(this.t, parsed.data);
+    if (result.success && this.onRefresh) {
+      this.onRefresh();
+    } else if (!result.success) {
+      alert(
+        translate("estimate.setFailed", {
+          error: translateError(result.error),
+        }),
+      );
     }
   }
 
@@ -75,7 +112,11 @@ export class EstimateUI {
     if (result.success && this.onRefresh) {
       this.onRefresh();
     } else if (!result.success) {
-      alert(`Failed to clear estimate: ${result.error}`);
+      alert(
+        translate("estimate.clearFailed", {
+          error: translateError(result.error),
+        }),
+      );
     }
   }
 
@@ -99,6 +140,7 @@ export class EstimateUI {
       this.elements.display.textContent = formatDuration(effectiveEstimate, {
         compact: true,
         showSeconds: false,
+        workSchedule: this.workSchedule,
       });
 
       // Progress Logic
@@ -115,6 +157,11 @@ export class EstimateUI {
   _renderProgress(info) {
     const fill = this.elements.progressFill;
     const text = this.elements.remaining;
+    const formatOptions = {
+      compact: true,
+      showSeconds: false,
+      workSchedule: this.workSchedule,
+    };
 
     fill.style.width = `${info.percentComplete}%`;
 
@@ -125,13 +172,19 @@ export class EstimateUI {
     if (info.isOverBudget) {
       fill.classList.add("progress-bar__fill--over");
       text.classList.add("timer-remaining--over");
-      text.textContent = `${formatDuration(Math.abs(info.remaining), { compact: true, showSeconds: false })} over`;
+      text.textContent = translate("estimate.over", {
+        time: formatDuration(Math.abs(info.remaining), formatOptions),
+      });
     } else if (info.percentComplete >= 80) {
       fill.classList.add("progress-bar__fill--warning");
       text.classList.add("timer-remaining--warning");
-      text.textContent = `${formatDuration(info.remaining, { compact: true, showSeconds: false })} left`;
+      text.textContent = translate("estimate.left", {
+        time: formatDuration(info.remaining, formatOptions),
+      });
     } else {
-      text.textContent = `${formatDuration(info.remaining, { compact: true, showSeconds: false })} left`;
+      text.textContent = translate("estimate.left", {
+        time: formatDuration(info.remaining, formatOptions),
+      });
     }
   }
 }
@@ -0,0 +1,54 @@
+/**
+ * ExportUI.js
+ * Downloads CSV exports from the card section and the board report
+ */
+
+import { translate, translateError } from "../utils/i18n.js";
+
+/**
+ * Saves CSV text as a file download.
+ * The byte order mark lets spreadsheet apps detect UTF-8.
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} csv - CSV text
+ */
+export const downloadCsv = (filename, csv) => {
+  const blob = new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url));
+};
+
+/**
+ * Waits for an export and downloads its file, alerting when it fails or
+ * has no entries.
+ * @param {Promise<Object>} exportResult - Result of an ExportService export
+ * @returns {Promise<boolean>} True if a file was downloaded
+ */
+export const downloadExport = async (exportResult) => {
+  try {
+    const result = await exportResult;
+    if (!result.success) {
+      alert(
+        translate("export.failed", { error: translateError(result.error) }),
+      );
+      return false;
+    }
+    if (result.data.entryCount === 0) {
+      alert(translate("export.empty"));
+      return false;
+    }
+
+    downloadCsv(result.data.filename, result.data.csv);
+    return true;
+  } catch (error) {
+    alert(translate("export.error", { error: error.message }));
+    return false;
+  }
+};
@@ -0,0 +1,171 @@
+/**
+ * ForgottenTimerUI.js
+ * Warns about a timer that looks forgotten and offers to stop it at an
+ * earlier time, so the entry only covers the time actually worked
+ */
+
+import { DEFAULTS, SHARED_TIMER_KEY, TIME } from "../utils/constants.js";
+import {
+  formatDuration,
+  formatTimestamp,
+  formatInputDate,
+  getFormatOptions,
+} from "../utils/formatTime.js";
+import { translate, translateError } from "../utils/i18n.js";
+import TimerService from "../services/TimerService.js";
+import { logEntryComment } from "./CommentLogUI.js";
+
+/**
+ * Identifies a forgotten timer across refreshes.
+ * @param {Object} timer - Entry from TimerService.getForgottenTimers
+ * @returns {string} Timer key
+ */
+const keyOf = (timer) =>
+  `${timer.checklistItemId ?? "card"}:${timer.startTime}`;
+
+export class ForgottenTimerUI {
+  constructor(t, elements, options = {}) {
+    this.t = t;
+    this.elements = elements;
+    this.onRefresh = options.onRefresh;
+    // Asks the member for write access when the trimmed entry can't be
+    // posted to the comment log
+    this.onWriteAccessNeeded = options.onWriteAccessNeeded;
+    // Read the card timer's description and category, so trimming doesn't lose them
+    this.getDescription = options.getDescription;
+    this.getCategoryId = options.getCategoryId;
+    this.memberId = options.memberId ?? null;
+    this.threshold =
+      options.threshold ?? DEFAULTS.USER_PREFERENCES.forgottenTimerThreshold;
+    this.formatOptions = getFormatOptions(options.preferences);
+    this.timer = null; // Forgotten timer currently shown
+    this.dismissed = new Set(); // Timers the member chose to keep running
+    // Expected elements: container, text, input, btnStop, btnKeep
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    if (this.elements.btnStop) {
+      this.elements.btnStop.addEventListener("click", () => this._handleStop());
+    }
+    if (this.elements.btnKeep) {
+      this.elements.btnKeep.addEventListener("click", () => this._handleKeep());
+    }
+  }
+
+  setMemberId(memberId) {
+    this.memberId = memberId;
+  }
+
+  setThreshold(threshold) {
+    this.threshold = threshold;
+  }
+
+  /**
+   * Applies the member's preferences: the forgotten timer threshold and the
+   * clock format.
+   * @param {Object} preferences - User preferences
+   */
+  setPreferences(preferences) {
+    this.setThreshold(
+      preferences.forgottenTimerThreshold ??
+        DEFAULTS.USER_PREFERENCES.forgottenTimerThreshold,
+    );
+    this.formatOptions = getFormatOptions(preferences);
+  }
+
+  /**
+   * Shows the member's oldest forgotten timer, if any.
+   * The form is only rebuilt when another timer needs attention, so the
+   * refresh loop doesn't reset a stop time being picked.
+   * @param {Object} timerData - Current timer data
+   */
+  update(timerData) {
+    const timer =
+      TimerService.getForgottenTimers(timerData, this.threshold).find(
+        (f) =>
+          (f.memberId === this.memberId || f.memberId === SHARED_TIMER_KEY) &&
+          !this.dismissed.has(keyOf(f)),
+      ) ?? null;
+
+    const key = timer && keyOf(timer);
+    if (key === (this.timer && keyOf(this.timer))) return;
+
+    this.timer = timer;
+    this.elements.container.hidden = !timer;
+    if (!timer) return;
+
+    const now = Date.now();
+    const running = formatDuration(now - timer.startTime, {
+      ...this.formatOptions,
+      compact: true,
+    });
+    this.elements.text.textContent = translate("forgotten.text", {
+      time: running,
+      start: formatTimestamp(timer.startTime, {
+        ...this.formatOptions,
+        showDate: true,
+      }),
+    });
+
+    // Suggest stopping where the timer would have become suspicious
+    const suggested = Math.min(now, timer.startTime + this.threshold);
+    const { input } = this.elements;
+    input.min = formatInputDate(timer.startTime + TIME.MINUTE, {
+      showTime: true,
+    });
+    input.max = formatInputDate(now, { showTime: true });
+    input.value = formatInputDate(suggested, { showTime: true });
+  }
+
+  async _handleStop() {
+    if (!this.timer) return;
+
+    const endTime = new Date(this.elements.input.value).getTime();
+    if (!Number.isFinite(endTime)) {
+      alert(translate("forgotten.chooseTime"));
+      return;
+    }
+
+    try {
+      const { checklistItemId } = this.timer;
+      const result = checklistItemId
+        ? await TimerService.stopItemTimer(this.t, checklistItemId, "", {
+            endTime,
+          })
+        : await TimerService.stopTimer(
+            this.t,
+            this.getDescription ? this.getDescription() : "",
+            {
+              endTime,
+              categoryId: this.getCategoryId ? this.getCategoryId() : null,
+            },
+          );
+
+      if (result.success) {
+        this.timer = null;
+        this.elements.container.hidden = true;
+        await logEntryComment(this.t, result.entry, {
+          onWriteAccessNeeded: this.onWriteAccessNeeded,
+        });
+        if (this.onRefresh) this.onRefresh();
+      } else {
+        alert(
+          translate("timer.stopFailed", {
+            error: translateError(result.error),
+          }),
+        );
+      }
+    } catch (error) {
+      alert(translate("timer.error", { error: error.message }));
+    }
+  }
+
+  _handleKeep() {
+    if (!this.timer) return;
+    this.dismissed.add(keyOf(this.timer));
+    this.timer = null;
+    this.elements.container.hidden = true;
+  }
+}
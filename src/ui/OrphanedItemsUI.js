@@ -0,0 +1,158 @@
+/**
+ * OrphanedItemsUI.js
+ * Lists time tracked on checklist items that were deleted from the card,
+ * and lets the member move it to the card or another item, or drop it
+ */
+
+import { formatDuration, getFormatOptions } from "../utils/formatTime.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+import { translate, translateError } from "../utils/i18n.js";
+import ChecklistService from "../services/ChecklistService.js";
+import TimerService from "../services/TimerService.js";
+import { logEntryComment } from "./CommentLogUI.js";
+
+/** Value of the option that moves the time to the card itself */
+const CARD_TARGET = "";
+
+export class OrphanedItemsUI {
+  constructor(t, elements, options = {}) {
+    this.t = t;
+    this.elements = elements;
+    this.onRefresh = options.onRefresh;
+    // Asks the member for write access when an item's stopped entry can't
+    // be posted to the comment log
+    this.onWriteAccessNeeded = options.onWriteAccessNeeded;
+    this.formatOptions = getFormatOptions(options.preferences);
+    this.renderedKey = null; // Orphans and targets currently shown
+    // Expected elements: container, list
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    this.elements.list.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button) return;
+      const row = button.closest(".orphaned-item");
+      this._handleAction(button.dataset.action, row);
+    });
+  }
+
+  /**
+   * Applies the member's display preferences (seconds, clock format).
+   * @param {Object} preferences - User preferences
+   */
+  setPreferences(preferences) {
+    this.formatOptions = getFormatOptions(preferences);
+    this.renderedKey = null;
+  }
+
+  /**
+   * Shows the items with tracked time that are no longer on the card's
+   * checklists. The list is only rebuilt when it changes, so the refresh
+   * loop doesn't reset a target being picked.
+   * @param {Object} timerData - Current timer data
+   * @param {Array|null} checklists - Card checklists, or null if they
+   *   couldn't be read
+   */
+  update(timerData, checklists) {
+    const orphans = ChecklistService.getOrphanedItems(timerData, checklists);
+    const items = orphans.length
+      ? ChecklistService.getAllCheckItems(checklists)
+      : [];
+
+    const key = JSON.stringify([
+      orphans,
+      items.map((item) => [item.id, item.name]),
+    ]);
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+
+    this.elements.container.hidden = orphans.length === 0;
+    this.elements.list.innerHTML = orphans
+      .map((orphan) => this._renderOrphan(orphan, items))
+      .join("");
+  }
+
+  _renderOrphan(orphan, items) {
+    const time = formatDuration(orphan.totalTime, {
+      ...this.formatOptions,
+      compact: true,
+    });
+    const entries = translate("entries.count", { count: orphan.entryCount });
+    const summary = `
+      <span class="orphaned-item__label">${escapeHtml(translate("orphaned.item"))}</span>
+      <span class="orphaned-item__time">${escapeHtml(time)} · ${escapeHtml(entries)}</span>`;
+
+    if (orphan.isActive) {
+      return `
+        <div class="orphaned-item" data-id="${escapeHtml(orphan.id)}">
+          ${summary}
+          <div class="orphaned-item__actions">
+            <span class="orphaned-item__hint">${escapeHtml(translate("orphaned.stillRunning"))}</span>
+            <button class="btn-small" data-action="stop">${escapeHtml(translate("timer.stop"))}</button>
+          </div>
+        </div>`;
+    }
+
+    const options = [
+      `<option value="${CARD_TARGET}">${escapeHtml(translate("orphaned.card"))}</option>`,
+      ...items.map(
+        (item) =>
+          `<option value="${escapeHtml(item.id)}">${escapeHtml(item.name)}</option>`,
+      ),
+    ].join("");
+
+    return `
+      <div class="orphaned-item" data-id="${escapeHtml(orphan.id)}" data-entries="${orphan.entryCount}">
+        ${summary}
+        <div class="orphaned-item__actions">
+          <select class="orphaned-item__target" aria-label="${escapeHtml(translate("orphaned.target"))}">${options}</select>
+          <button class="btn-small" data-action="move">${escapeHtml(translate("orphaned.move"))}</button>
+          <button class="btn-small btn-small--clear" data-action="drop">${escapeHtml(translate("orphaned.drop"))}</button>
+        </div>
+      </div>`;
+  }
+
+  async _handleAction(action, row) {
+    const checkItemId = row.dataset.id;
+
+    try {
+      let result;
+      if (action === "stop") {
+        result = await TimerService.stopItemTimer(this.t, checkItemId);
+        if (result.success) {
+          await logEntryComment(this.t, result.entry, {
+            onWriteAccessNeeded: this.onWriteAccessNeeded,
+          });
+        }
+      } else if (action === "move") {
+        const target = row.querySelector(".orphaned-item__target").value;
+        result = await TimerService.reassignItemTime(
+          this.t,
+          checkItemId,
+          target === CARD_TARGET ? null : target,
+        );
+      } else {
+        const count = Number(row.dataset.entries);
+        if (
+          count > 0 &&
+          !confirm(translate("orphaned.confirmDrop", { count }))
+        ) {
+          return;
+        }
+        result = await TimerService.dropItemTime(this.t, checkItemId);
+      }
+
+      if (result.success) {
+        if (this.onRefresh) this.onRefresh();
+      } else {
+        alert(
+          translate("orphaned.failed", { error: translateError(result.error) }),
+        );
+      }
+    } catch (error) {
+      alert(translate("timer.error", { error: error.message }));
+    }
+  }
+}
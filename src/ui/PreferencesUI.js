@@ -0,0 +1,65 @@
+/**
+ * PreferencesUI.js
+ * Member preferences popup: time display and starting timers on open
+ */
+
+import { DEFAULTS } from "../utils/constants.js";
+import { translate, translateError } from "../utils/i18n.js";
+import StorageService from "../services/StorageService.js";
+import TrelloService from "../services/TrelloService.js";
+
+/** Preferences set with a checkbox each, keyed by element name */
+const TOGGLES = [
+  "showSeconds",
+  "use24HourFormat",
+  "decimalHours",
+  "autoStartOnOpen",
+];
+
+export class PreferencesUI {
+  constructor(t, elements) {
+    this.t = t;
+    this.elements = elements;
+    this.preferences = { ...DEFAULTS.USER_PREFERENCES };
+    // Expected elements: showSeconds, use24HourFormat, decimalHours,
+    // autoStartOnOpen, btnSave
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    this.elements.btnSave.addEventListener("click", () => this._handleSave());
+  }
+
+  async load() {
+    const preferences = await StorageService.getUserPreferences(this.t);
+    this.preferences = { ...DEFAULTS.USER_PREFERENCES, ...preferences };
+    this.render();
+  }
+
+  render() {
+    for (const key of TOGGLES) {
+      this.elements[key].checked = Boolean(this.preferences[key]);
+    }
+  }
+
+  async _handleSave() {
+    const preferences = { ...this.preferences };
+    for (const key of TOGGLES) {
+      preferences[key] = this.elements[key].checked;
+    }
+
+    const result = await StorageService.setUserPreferences(this.t, preferences);
+    if (!result.success) {
+      alert(
+        translate("preferences.saveFailed", {
+          error: translateError(result.error),
+        }),
+      );
+      return;
+    }
+
+    this.preferences = preferences;
+    await TrelloService.closePopup(this.t);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * RunningTimerUI.js
+ * Shows a notice when the member's timer runs on another card of the board,
+ * with a button that opens that card
+ */
+
+import CustomFieldService from "../services/CustomFieldService.js";
+import TimerService from "../services/TimerService.js";
+import TrelloService from "../services/TrelloService.js";
+import { translate } from "../utils/i18n.js";
+import { logEntryComment } from "./CommentLogUI.js";
+
+/**
+ * Tells the member that starting a timer stopped their timer on another card,
+ * writes that card's new tracked hours to the board's Custom Fields and logs
+ * the stopped entry as a comment on it.
+ * @param {Object} t - Trello client
+ * @param {Object|null} stopped - `stoppedElsewhere` from a TimerService result
+ * @param {Object} [options]
+ * @param {Function} [options.onWriteAccessNeeded] - Called when the member
+ *   has to authorize TimeUp to write the Custom Fields or post the comment
+ * @returns {Promise<void>}
+ */
+export const notifyStoppedElsewhere = async (
+  t,
+  stopped,
+  { onWriteAccessNeeded } = {},
+) => {
+  if (!stopped) return;
+  const message = stopped.cardName
+    ? translate("elsewhere.stopped", { card: stopped.cardName })
+    : translate("elsewhere.stoppedUnnamed");
+  t.alert({ message, duration: 5 });
+  const cardT = TrelloService.forCard(t, stopped.cardId);
+  const [synced] = await Promise.all([
+    CustomFieldService.syncCard(cardT),
+    logEntryComment(cardT, stopped.entry, { onWriteAccessNeeded }),
+  ]);
+  if (synced.needsWriteAccess && onWriteAccessNeeded) onWriteAccessNeeded();
+};
+
+export class RunningTimerUI {
+  constructor(t, elements) {
+    this.t = t;
+    this.elements = elements;
+    this.cardId = null;
+    // Expected elements: container, text, btnOpen
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    if (this.elements.btnOpen) {
+      this.elements.btnOpen.addEventListener("click", () => {
+        if (this.cardId) this.t.showCard(this.cardId);
+      });
+    }
+  }
+
+  async update() {
+    const result = await TimerService.getTimerElsewhere(this.t);
+    this.render(result.success ? result.data : null);
+  }
+
+  render(runningTimer) {
+    this.cardId = runningTimer?.cardId ?? null;
+    this.elements.container.hidden = !runningTimer;
+    if (runningTimer) {
+      this.elements.text.textContent = translate("elsewhere.running", {
+        card: runningTimer.cardName,
+      });
+    }
+  }
+}
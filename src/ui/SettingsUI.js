@@ -0,0 +1,454 @@
+/**
+ * SettingsUI.js
+ * Board settings popup: default hourly rate, per-member rates, currency,
+ * rounding of billed time, categories, the Custom Fields time is synced to,
+ * the comment log, the work schedule estimates in days count in and focus
+ * mode
+ */
+
+import {
+  DEFAULTS,
+  ROUNDING_INCREMENTS,
+  ROUNDING_MODES,
+  TIME,
+  VALIDATION,
+} from "../utils/constants.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+import { translate, translateError } from "../utils/i18n.js";
+import { isValidColor, isValidCurrency } from "../utils/validators.js";
+import BillingService from "../services/BillingService.js";
+import CategoryService from "../services/CategoryService.js";
+import CustomFieldService from "../services/CustomFieldService.js";
+import FocusService from "../services/FocusService.js";
+import StorageService from "../services/StorageService.js";
+import TrelloService from "../services/TrelloService.js";
+
+/**
+ * Reads an hourly rate from an input value.
+ * @param {string} value - Input value
+ * @returns {number|null} Rate, null if left empty, or NaN if invalid
+ */
+const parseRate = (value) => {
+  const trimmed = value.trim();
+  if (trimmed === "") return null;
+  const rate = Number(trimmed);
+  return Number.isFinite(rate) && rate >= 0 ? rate : NaN;
+};
+
+/**
+ * Gets a message in the current locale, escaped for HTML.
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values by placeholder name
+ * @returns {string} Escaped message
+ */
+const text = (key, params) => escapeHtml(translate(key, params));
+
+/** Message keys of the rounding modes, in the order they are offered */
+const ROUNDING_LABELS = {
+  [ROUNDING_MODES.NONE]: "settings.roundingNone",
+  [ROUNDING_MODES.UP]: "settings.roundingUp",
+  [ROUNDING_MODES.NEAREST]: "settings.roundingNearest",
+};
+
+export class SettingsUI {
+  constructor(t, elements) {
+    this.t = t;
+    this.elements = elements;
+    this.settings = { ...DEFAULTS.BOARD_SETTINGS };
+    this.members = [];
+    // Number Custom Fields of the board; null until TimeUp may read them
+    this.numberFields = null;
+    // Expected elements: currency, hourlyRate, memberRates, categories,
+    // roundingMode, roundingIncrement, minimumBilled, btnAddCategory,
+    // trackedField, estimateField, customFieldsHint, commentLog,
+    // commentTemplate, hoursPerDay, daysPerWeek, focusEnabled, focusWork,
+    // focusShortBreak, focusLongBreak, focusLongBreakEvery, btnSave
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    this.elements.btnSave.addEventListener("click", () => this._handleSave());
+    this.elements.btnAddCategory.addEventListener("click", () =>
+      this._handleAddCategory(),
+    );
+    this.elements.categories.addEventListener("click", (e) => {
+      if (e.target.classList.contains("btn-remove-category")) {
+        e.target.closest(".settings-category").remove();
+      }
+    });
+  }
+
+  async load() {
+    const [settings, members, numberFields] = await Promise.all([
+      StorageService.getBoardSettings(this.t),
+      TrelloService.getBoardMembers(this.t),
+      CustomFieldService.getNumberFields(this.t),
+    ]);
+    this.settings = { ...DEFAULTS.BOARD_SETTINGS, ...settings };
+    this.members = members;
+    this.numberFields = numberFields.success ? numberFields.data : null;
+    this.render();
+  }
+
+  render() {
+    const { currency, hourlyRate, memberRates } = this.elements;
+    currency.value = this.settings.currency;
+    hourlyRate.value = this.settings.hourlyRate ?? "";
+
+    const rates = this.settings.memberRates || {};
+    memberRates.innerHTML = this.members
+      .map(
+        (member) => `
+          <label class="settings-member">
+            <span class="settings-member__name">${escapeHtml(member.fullName || member.username)}</span>
+            <input
+              type="number"
+              class="settings-input settings-member__rate"
+              data-member-id="${escapeHtml(member.id)}"
+              min="0"
+              step="0.01"
+              placeholder="${text("settings.defaultRate")}"
+              value="${rates[member.id] ?? ""}"
+            />
+          </label>
+        `,
+      )
+      .join("");
+
+    this._renderRounding();
+    this._renderCategories(this.settings.categories || []);
+    this._renderCustomFields();
+
+    const commentLog = {
+      ...DEFAULTS.BOARD_SETTINGS.commentLog,
+      ...this.settings.commentLog,
+    };
+    this.elements.commentLog.checked = commentLog.enabled;
+    this.elements.commentTemplate.maxLength =
+      VALIDATION.MAX_COMMENT_TEMPLATE_LENGTH;
+    this.elements.commentTemplate.value = commentLog.template;
+
+    const workSchedule = {
+      ...DEFAULTS.BOARD_SETTINGS.workSchedule,
+      ...this.settings.workSchedule,
+    };
+    this.elements.hoursPerDay.max = VALIDATION.MAX_HOURS_PER_DAY;
+    this.elements.hoursPerDay.value = workSchedule.hoursPerDay;
+    this.elements.daysPerWeek.max = VALIDATION.MAX_DAYS_PER_WEEK;
+    this.elements.daysPerWeek.value = workSchedule.daysPerWeek;
+
+    this._renderFocus();
+  }
+
+  /**
+   * Shows the board's focus mode settings, lengths in minutes.
+   * @private
+   */
+  _renderFocus() {
+    const focus = FocusService.getFocusSettings(this.settings);
+    const maxMinutes = VALIDATION.MAX_FOCUS_INTERVAL / TIME.MINUTE;
+    this.elements.focusEnabled.checked = focus.enabled;
+    for (const [input, length] of [
+      [this.elements.focusWork, focus.workLength],
+      [this.elements.focusShortBreak, focus.shortBreak],
+      [this.elements.focusLongBreak, focus.longBreak],
+    ]) {
+      input.max = maxMinutes;
+      input.value = length / TIME.MINUTE;
+    }
+    this.elements.focusLongBreakEvery.max = VALIDATION.MAX_FOCUS_CYCLES;
+    this.elements.focusLongBreakEvery.value = focus.longBreakEvery;
+  }
+
+  /**
+   * Shows the board's rounding rules.
+   * @private
+   */
+  _renderRounding() {
+    const { roundingMode, roundingIncrement, minimumBilled } = this.elements;
+    const rounding = BillingService.getRounding(this.settings);
+
+    roundingMode.innerHTML = Object.entries(ROUNDING_LABELS)
+      .map(([mode, key]) => `<option value="${mode}">${text(key)}</option>`)
+      .join("");
+    roundingMode.value = rounding.mode;
+
+    roundingIncrement.innerHTML = ROUNDING_INCREMENTS.map(
+      (increment) =>
+        `<option value="${increment}">${text("settings.minutes", { count: increment / TIME.MINUTE })}</option>`,
+    ).join("");
+    roundingIncrement.value = String(rounding.increment);
+
+    minimumBilled.max = VALIDATION.MAX_MINIMUM_BILLED / TIME.MINUTE;
+    minimumBilled.value = rounding.minimum / TIME.MINUTE;
+  }
+
+  /**
+   * Fills the Custom Field pickers with the board's Number fields.
+   * @private
+   */
+  _renderCustomFields() {
+    const { trackedField, estimateField, customFieldsHint } = this.elements;
+    const fields = this.numberFields ?? [];
+    const chosen = this.settings.customFields ?? {};
+
+    for (const [select, key] of [
+      [trackedField, "trackedFieldId"],
+      [estimateField, "estimateFieldId"],
+    ]) {
+      select.innerHTML = `
+        <option value="">${text("settings.dontSync")}</option>
+        ${fields
+          .map(
+            (field) =>
+              `<option value="${escapeHtml(field.id)}" ${chosen[key] === field.id ? "selected" : ""}>${escapeHtml(field.name)}</option>`,
+          )
+          .join("")}
+      `;
+      select.disabled = this.numberFields === null;
+    }
+
+    if (this.numberFields === null) {
+      customFieldsHint.textContent = translate("settings.authorizeFields");
+    } else if (fields.length === 0) {
+      customFieldsHint.textContent = translate("settings.noNumberFields");
+    }
+    customFieldsHint.hidden = fields.length > 0;
+  }
+
+  /**
+   * Reads the chosen Custom Fields, keeping the saved ones while the board's
+   * fields can't be read.
+   * @returns {{trackedFieldId: string|null, estimateFieldId: string|null}} Custom Field settings
+   * @private
+   */
+  _readCustomFields() {
+    if (this.numberFields === null) {
+      return {
+        ...DEFAULTS.BOARD_SETTINGS.customFields,
+        ...this.settings.customFields,
+      };
+    }
+    return {
+      trackedFieldId: this.elements.trackedField.value || null,
+      estimateFieldId: this.elements.estimateField.value || null,
+    };
+  }
+
+  /**
+   * Renders the category editor rows.
+   * @param {Array} categories - Categories to edit
+   * @private
+   */
+  _renderCategories(categories) {
+    this.elements.categories.innerHTML = categories
+      .map(
+        (category) => `
+          <div class="settings-category" data-category-id="${escapeHtml(category.id)}">
+            <input
+              type="color"
+              class="settings-category__color"
+              aria-label="${text("settings.categoryColor")}"
+              value="${isValidColor(category.color) ? category.color : "#000000"}"
+            />
+            <input
+              type="text"
+              class="settings-input settings-category__name"
+              aria-label="${text("settings.categoryName")}"
+              placeholder="${text("settings.categoryName")}"
+              maxlength="${VALIDATION.MAX_CATEGORY_NAME_LENGTH}"
+              value="${escapeHtml(category.name)}"
+            />
+            <label class="settings-category__billable">
+              <input type="checkbox" ${category.billable === false ? "" : "checked"} />
+              ${text("settings.billable")}
+            </label>
+            <button class="btn-remove-category" title="${text("settings.removeCategory")}">×</button>
+          </div>
+        `,
+      )
+      .join("");
+  }
+
+  /**
+   * Reads the categories as currently edited.
+   * @returns {Array<{id: string, name: string, color: string, billable: boolean}>} Categories
+   * @private
+   */
+  _readCategories() {
+    return [
+      ...this.elements.categories.querySelectorAll(".settings-category"),
+    ].map((row) => ({
+      id: row.dataset.categoryId,
+      name: row.querySelector(".settings-category__name").value.trim(),
+      color: row.querySelector(".settings-category__color").value,
+      billable: row.querySelector("input[type=checkbox]").checked,
+    }));
+  }
+
+  _handleAddCategory() {
+    const categories = this._readCategories();
+    categories.push(CategoryService.createCategory("", categories));
+    this._renderCategories(categories);
+    const names = this.elements.categories.querySelectorAll(
+      ".settings-category__name",
+    );
+    names[names.length - 1].focus();
+  }
+
+  async _handleSave() {
+    const currency = this.elements.currency.value.trim().toUpperCase();
+    if (!isValidCurrency(currency)) {
+      alert(translate("settings.invalidCurrency"));
+      return;
+    }
+
+    const hourlyRate = parseRate(this.elements.hourlyRate.value);
+
+    // Rates of members who left the board are kept, in case they return
+    const boardMemberIds = new Set(this.members.map((member) => member.id));
+    const memberRates = Object.fromEntries(
+      Object.entries(this.settings.memberRates || {}).filter(
+        ([memberId]) => !boardMemberIds.has(memberId),
+      ),
+    );
+    for (const input of this.elements.memberRates.querySelectorAll(
+      "[data-member-id]",
+    )) {
+      const rate = parseRate(input.value);
+      if (rate !== null) memberRates[input.dataset.memberId] = rate;
+    }
+
+    if ([hourlyRate, ...Object.values(memberRates)].some(Number.isNaN)) {
+      alert(translate("settings.invalidRate"));
+      return;
+    }
+
+    const minimumBilled = Number(this.elements.minimumBilled.value);
+    if (
+      !Number.isInteger(minimumBilled) ||
+      minimumBilled < 0 ||
+      minimumBilled * TIME.MINUTE > VALIDATION.MAX_MINIMUM_BILLED
+    ) {
+      alert(
+        translate("settings.invalidMinimum", {
+          max: VALIDATION.MAX_MINIMUM_BILLED / TIME.MINUTE,
+        }),
+      );
+      return;
+    }
+    const rounding = {
+      mode: this.elements.roundingMode.value,
+      increment: Number(this.elements.roundingIncrement.value),
+      minimum: minimumBilled * TIME.MINUTE,
+    };
+
+    const categories = this._readCategories();
+    if (categories.some((category) => !category.name)) {
+      alert(translate("settings.unnamedCategory"));
+      return;
+    }
+    const names = categories.map((category) => category.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      alert(translate("settings.duplicateCategory"));
+      return;
+    }
+
+    const customFields = this._readCustomFields();
+    if (
+      customFields.trackedFieldId &&
+      customFields.trackedFieldId === customFields.estimateFieldId
+    ) {
+      alert(translate("settings.sameField"));
+      return;
+    }
+
+    // An emptied template falls back to the default one
+    const commentLog = {
+      enabled: this.elements.commentLog.checked,
+      template:
+        this.elements.commentTemplate.value
+          .trim()
+          .substring(0, VALIDATION.MAX_COMMENT_TEMPLATE_LENGTH) ||
+        DEFAULTS.BOARD_SETTINGS.commentLog.template,
+    };
+
+    const workSchedule = {
+      hoursPerDay: Number(this.elements.hoursPerDay.value),
+      daysPerWeek: Number(this.elements.daysPerWeek.value),
+    };
+    if (
+      !(workSchedule.hoursPerDay > 0) ||
+      workSchedule.hoursPerDay > VALIDATION.MAX_HOURS_PER_DAY ||
+      !Number.isInteger(workSchedule.daysPerWeek) ||
+      workSchedule.daysPerWeek < 1 ||
+      workSchedule.daysPerWeek > VALIDATION.MAX_DAYS_PER_WEEK
+    ) {
+      alert(
+        translate("settings.invalidWorkWeek", {
+          hours: VALIDATION.MAX_HOURS_PER_DAY,
+          days: VALIDATION.MAX_DAYS_PER_WEEK,
+        }),
+      );
+      return;
+    }
+
+    const [workLength, shortBreak, longBreak] = [
+      this.elements.focusWork,
+      this.elements.focusShortBreak,
+      this.elements.focusLongBreak,
+    ].map((input) => Number(input.value) * TIME.MINUTE);
+    const focus = {
+      enabled: this.elements.focusEnabled.checked,
+      workLength,
+      shortBreak,
+      longBreak,
+      longBreakEvery: Number(this.elements.focusLongBreakEvery.value),
+    };
+    if (
+      [workLength, shortBreak, longBreak].some(
+        (length) =>
+          !Number.isInteger(length / TIME.MINUTE) ||
+          length < TIME.MINUTE ||
+          length > VALIDATION.MAX_FOCUS_INTERVAL,
+      ) ||
+      !Number.isInteger(focus.longBreakEvery) ||
+      focus.longBreakEvery < 1 ||
+      focus.longBreakEvery > VALIDATION.MAX_FOCUS_CYCLES
+    ) {
+      alert(
+        translate("settings.invalidFocus", {
+          minutes: VALIDATION.MAX_FOCUS_INTERVAL / TIME.MINUTE,
+          cycles: VALIDATION.MAX_FOCUS_CYCLES,
+        }),
+      );
+      return;
+    }
+
+    const settings = {
+      ...this.settings,
+      currency,
+      hourlyRate,
+      memberRates,
+      rounding,
+      categories,
+      customFields,
+      commentLog,
+      workSchedule,
+      focus,
+    };
+    const result = await StorageService.setBoardSettings(this.t, settings);
+    if (!result.success) {
+      alert(
+        translate("settings.saveFailed", {
+          error: translateError(result.error),
+        }),
+      );
+      return;
+    }
+
+    this.settings = settings;
+    await TrelloService.closePopup(this.t);
+  }
+}
@@ -3,7 +3,12 @@
  * A popover component for selecting time durations (presets + sliders)
  */
 
-import { formatDuration, parseTimeString } from "../utils/formatTime.js";
+import {
+  formatDuration,
+  parseDuration,
+  parseTimeString,
+} from "../utils/formatTime.js";
+import { translate } from "../utils/i18n.js";
 
 export class TimePickerUI {
   constructor({ containerId, onSelect, onClose }) {
@@ -11,6 +16,8 @@ export class TimePickerUI {
     this.onSelect = onSelect;
     this.onClose = onClose;
     this.targetInput = null;
+    // Length of the "d" and "w" units typed in the manual input
+    this.workSchedule = undefined;
 
     this.state = {
       hours: 0,
@@ -29,17 +36,18 @@ export class TimePickerUI {
       return;
     }
 
+    // Keys let translatePage relabel a picker built before the locale is known
     this.container.innerHTML = `
             <div class="time-picker__overlay" data-action="close"></div>
             <div class="time-picker__content">
                 <div class="time-picker__header">
-                    <span class="time-picker__title">Set Duration</span>
+                    <span class="time-picker__title" data-i18n="picker.title">${translate("picker.title")}</span>
                     <button class="time-picker__close" data-action="close">×</button>
                 </div>
 
                 <div class="time-picker__manual">
-                    <input type="text" id="tp-manual-input" class="time-picker__manual-input" placeholder="e.g. 7:00, 1h 30m, 45m" autocomplete="off">
-                    <span class="time-picker__manual-hint">Format: MM:SS, HH:MM:SS, or 1h 30m</span>
+                    <input type="text" id="tp-manual-input" class="time-picker__manual-input" placeholder="${translate("picker.placeholder")}" data-i18n-placeholder="picker.placeholder" autocomplete="off">
+                    <span class="time-picker__manual-hint" id="tp-manual-hint">${translate("picker.hint")}</span>
                 </div>
 
                 <div class="time-picker__presets">
@@ -51,17 +59,17 @@ export class TimePickerUI {
 
                 <div class="time-picker__sliders">
                     <div class="time-picker__row">
-                        <label>Hours <span class="time-picker__val" id="tp-hours-val">0h</span></label>
+                        <label><span data-i18n="picker.hours">${translate("picker.hours")}</span> <span class="time-picker__val" id="tp-hours-val">0h</span></label>
                         <input type="range" min="0" max="12" step="0.5" id="tp-hours-range" data-action="slider-h">
                     </div>
                     <div class="time-picker__row">
-                        <label>Minutes <span class="time-picker__val" id="tp-mins-val">0m</span></label>
+                        <label><span data-i18n="picker.minutes">${translate("picker.minutes")}</span> <span class="time-picker__val" id="tp-mins-val">0m</span></label>
                         <input type="range" min="0" max="59" step="1" id="tp-mins-range" data-action="slider-m">
                     </div>
                 </div>
 
                 <div class="time-picker__actions">
-                    <button class="btn-apply" id="tp-apply" data-action="apply">Set Duration</button>
+                    <button class="btn-apply" id="tp-apply" data-action="apply" data-i18n="picker.apply">${translate("picker.apply")}</button>
                 </div>
             </div>
         `;
@@ -79,7 +87,9 @@ export class TimePickerUI {
       if (action === "close") {
         this.hide();
       } else if (action === "preset") {
-        const ms = parseTimeString(actionBtn.dataset.value);
+        const ms = parseTimeString(actionBtn.dataset.value, {
+          workSchedule: this.workSchedule,
+        });
         this._updateStateFromMs(ms);
         this._updateManualInput();
         this._updateInput();
@@ -109,12 +119,17 @@ export class TimePickerUI {
       this._updateInput();
     };
 
-    // Manual input listener
+    // Manual input listener; explains why a duration can't be read
     manualInput.oninput = (e) => {
-      const ms = parseTimeString(e.target.value);
-      if (ms !== null && ms >= 0) {
-        this._updateStateFromMs(ms);
+      const result = parseDuration(e.target.value, {
+        workSchedule: this.workSchedule,
+      });
+      if (result.success) {
+        this._updateStateFromMs(result.data);
       }
+      this._showManualError(
+        result.success || !e.target.value.trim() ? null : result,
+      );
     };
 
     // Apply on Enter key in manual input
@@ -126,6 +141,28 @@ export class TimePickerUI {
     };
   }
 
+  /**
+   * Shows why the typed duration can't be read, or the format hint.
+   * @param {{error: string, position: number}|null} failure - Failed parse
+   *   of the manual input, or null if it reads
+   * @private
+   */
+  _showManualError(failure) {
+    const manualInput = this.container.querySelector("#tp-manual-input");
+    const hint = this.container.querySelector("#tp-manual-hint");
+    manualInput.classList.toggle(
+      "time-picker__manual-input--invalid",
+      Boolean(failure),
+    );
+    hint.classList.toggle("time-picker__manual-hint--error", Boolean(failure));
+    hint.textContent = failure
+      ? translate("picker.errorAt", {
+          error: failure.error,
+          position: failure.position + 1,
+        })
+      : translate("picker.hint");
+  }
+
   _handleApply() {
     const ms = this.state.hours * 3600000 + this.state.minutes * 60000;
     if (this.currentSelectCallback) {
@@ -176,14 +213,25 @@ export class TimePickerUI {
     this.targetInput.value = (h + m).trim();
   }
 
+  /**
+   * Sets the board's working day and week, which "2d" or "1w" count in.
+   * @param {Object} workSchedule - Board work schedule
+   */
+  setWorkSchedule(workSchedule) {
+    this.workSchedule = workSchedule;
+  }
+
   show(targetInput, onSelect) {
     this.targetInput = targetInput;
     this.currentSelectCallback = onSelect;
     this.container.style.display = "flex";
     this.container.hidden = false;
 
-    const currentMs = parseTimeString(targetInput.value);
+    const currentMs = parseTimeString(targetInput.value, {
+      workSchedule: this.workSchedule,
+    });
     this._updateStateFromMs(currentMs || 0);
+    this._showManualError(null);
   }
 
   hide() {
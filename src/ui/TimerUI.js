@@ -1,20 +1,39 @@
 /**
  * TimerUI.js
- * Handles the main timer interface (display, start/stop, description)
+ * Handles the main timer interface (display, start/stop, pause/resume, description)
  */
 
 import { TIMER_STATE } from "../utils/constants.js";
-import { formatDuration } from "../utils/formatTime.js";
+import { formatDuration, getFormatOptions } from "../utils/formatTime.js";
+import { formatCurrency } from "../utils/formatCurrency.js";
+import { translate, translateError } from "../utils/i18n.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+import { isValidColor } from "../utils/validators.js";
+import FocusService from "../services/FocusService.js";
 import TimerService from "../services/TimerService.js";
+import { logEntryComment } from "./CommentLogUI.js";
+import { notifyStoppedElsewhere } from "./RunningTimerUI.js";
 
 export class TimerUI {
   constructor(t, elements, options = {}) {
     this.t = t;
     this.elements = elements;
     this.onRefresh = options.onRefresh;
+    // Called when the stopped entry, or one stopped on another card, can't be
+    // posted to the comment log without write access
+    this.onWriteAccessNeeded = options.onWriteAccessNeeded;
+    // Member whose card timer is shown; other members' timers are not
+    this.memberId = options.memberId ?? null;
+    this.categories = [];
+    this.formatOptions = getFormatOptions(options.preferences);
+    // Board's focus mode; off unless set with setFocus
+    this.focus = options.focus ?? FocusService.getFocusSettings(null);
+    this.isCompletingFocus = false; // Until the ended interval is saved
+    this.breakEnd = null; // End of the member's break last shown
     // Expected elements:
-    // display, btnToggle, btnText, iconPlay, iconStop, description, total,
-    // storageStatus, storageFill, storageText
+    // display, btnToggle, btnText, iconPlay, iconStop, description, category,
+    // total, cost, categoryTotals, btnPause, focus, storageStatus,
+    // storageFill, storageText
 
     this._initListeners();
   }
@@ -25,6 +44,121 @@ export class TimerUI {
         this._handleToggle(),
       );
     }
+    if (this.elements.btnPause) {
+      this.elements.btnPause.addEventListener("click", () =>
+        this._handlePause(),
+      );
+    }
+  }
+
+  setMemberId(memberId) {
+    this.memberId = memberId;
+  }
+
+  /**
+   * Applies the member's display preferences (seconds, clock format).
+   * @param {Object} preferences - User preferences
+   */
+  setPreferences(preferences) {
+    this.formatOptions = getFormatOptions(preferences);
+  }
+
+  /**
+   * Applies the board's focus mode: work intervals end on their own and a
+   * break counts down in the display.
+   * @param {Object} focus - Focus settings (see FocusService.getFocusSettings)
+   */
+  setFocus(focus) {
+    this.focus = focus;
+  }
+
+  /**
+   * Sets the categories offered when stopping the timer.
+   * A category already picked stays selected while it still exists.
+   * @param {Array} categories - The board's categories
+   */
+  setCategories(categories) {
+    this.categories = categories;
+    const select = this.elements.category;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = `
+      <option value="">${escapeHtml(translate("timer.noCategory"))}</option>
+      ${categories
+        .map(
+          (category) =>
+            `<option value="${escapeHtml(category.id)}">${escapeHtml(category.name)}</option>`,
+        )
+        .join("")}
+    `;
+    select.value = categories.some((category) => category.id === selected)
+      ? selected
+      : "";
+  }
+
+  /**
+   * Shows how the time saved on the card splits across categories.
+   * Hidden while no time is in a category.
+   * @param {Array} totals - Subtotals from CategoryService.summarizeByCategory
+   */
+  setCategoryTotals(totals) {
+    const container = this.elements.categoryTotals;
+    if (!container) return;
+
+    container.hidden = !totals.some((row) => row.id !== null);
+    container.innerHTML = totals
+      .map((row) => {
+        const color = isValidColor(row.color) ? row.color : "transparent";
+        return `
+          <span class="category-total">
+            <span class="category-total__dot" style="background: ${color}"></span>
+            <span class="category-total__name">${escapeHtml(row.name)}</span>
+            <span class="category-total__time">${escapeHtml(formatDuration(row.totalTime, { ...this.formatOptions, compact: true }))}</span>
+          </span>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Shows the cost of the time saved on the card.
+   * @param {number|null} cost - Cost in currency units; null hides it
+   * @param {string} currency - ISO 4217 currency code
+   */
+  setCost(cost, currency) {
+    if (!this.elements.cost) return;
+    this.elements.cost.hidden = cost === null;
+    if (cost !== null) {
+      this.elements.cost.textContent = formatCurrency(cost, currency);
+    }
+  }
+
+  async _handlePause() {
+    const isPaused =
+      this.elements.btnPause.classList.contains("btn-pause--paused");
+    try {
+      const result = isPaused
+        ? await TimerService.resumeTimer(this.t)
+        : await TimerService.pauseTimer(this.t);
+
+      if (result.success) {
+        notifyStoppedElsewhere(this.t, result.stoppedElsewhere, {
+          onWriteAccessNeeded: this.onWriteAccessNeeded,
+        });
+      }
+      if (result.success && this.onRefresh) {
+        this.onRefresh();
+      } else if (!result.success) {
+        alert(
+          translate("timer.actionFailed", {
+            error: translateError(result.error, result.cause),
+          }),
+        );
+      }
+    } catch (error) {
+      alert(translate("timer.error", { error: error.message }));
+    }
   }
 
   async _handleToggle() {
@@ -35,52 +169,217 @@ export class TimerUI {
       let result;
       if (isRunning) {
         const description = this.elements.description.value.trim();
-        result = await TimerService.stopTimer(this.t, description);
+        const categoryId = this.elements.category?.value || null;
+        result = await TimerService.stopTimer(this.t, description, {
+          categoryId,
+        });
         if (result.success) {
           this.elements.description.value = "";
+          if (this.elements.category) this.elements.category.value = "";
+          await logEntryComment(this.t, result.entry, {
+            onWriteAccessNeeded: this.onWriteAccessNeeded,
+          });
         }
       } else {
         result = await TimerService.startTimer(this.t);
+        if (result.success) {
+          notifyStoppedElsewhere(this.t, result.stoppedElsewhere, {
+            onWriteAccessNeeded: this.onWriteAccessNeeded,
+          });
+        }
       }
 
       if (result.success && this.onRefresh) {
         this.onRefresh();
       } else if (!result.success) {
-        alert(`Timer action failed: ${result.error}`);
+        alert(
+          translate("timer.actionFailed", {
+            error: translateError(result.error, result.cause),
+          }),
+        );
+      }
+    } catch (error) {
+      alert(translate("timer.error", { error: error.message }));
+    }
+  }
+
+  /**
+   * Saves the member's focus interval once it has run its length, and
+   * starts their break. If it ended with the card closed, the member says
+   * whether the time tracked since goes in the entry.
+   * @param {number} elapsed - Active time of the timer in ms
+   * @private
+   */
+  async _completeFocusInterval(elapsed) {
+    if (this.isCompletingFocus) return;
+    this.isCompletingFocus = true;
+    try {
+      const compact = { ...this.formatOptions, compact: true };
+      const overrun = FocusService.getOverrun(this.focus, elapsed);
+      const keepOverrun =
+        overrun > 0 &&
+        confirm(
+          translate("focus.confirmOverrun", {
+            overrun: formatDuration(overrun, compact),
+          }),
+        );
+      const result = await TimerService.completeFocusInterval(
+        this.t,
+        this.elements.description.value.trim(),
+        { categoryId: this.elements.category?.value || null, keepOverrun },
+      );
+      if (!result.success) {
+        this.isCompletingFocus = false;
+        alert(
+          translate("focus.failed", {
+            error: translateError(result.error, result.cause),
+          }),
+        );
+        return;
       }
+
+      this.elements.description.value = "";
+      if (this.elements.category) this.elements.category.value = "";
+      await logEntryComment(this.t, result.entry, {
+        onWriteAccessNeeded: this.onWriteAccessNeeded,
+      });
+      const { length } = FocusService.getBreakLength(
+        this.focus,
+        result.focusBreak.cycles,
+      );
+      const time = formatDuration(length, compact);
+      if (result.overrun) {
+        // The interval ended while the card was closed
+        this.t.alert({
+          message: translate(
+            keepOverrun ? "focus.overrun" : "focus.overrunLeftOut",
+            {
+              overrun: formatDuration(result.overrun, compact),
+              time,
+            },
+          ),
+          duration: 15,
+        });
+      } else {
+        this.t.alert({
+          message: translate("focus.breakStarted", { time }),
+          duration: 5,
+        });
+      }
+      if (this.onRefresh) this.onRefresh();
     } catch (error) {
-      alert(`Timer error: ${error.message}`);
+      this.isCompletingFocus = false;
+      alert(translate("timer.error", { error: error.message }));
+    }
+  }
+
+  /**
+   * Shows where the member is in focus mode: the interval they work in and
+   * the time left of it, or the break they take. Tells them when the break
+   * is over.
+   * @param {Object} timerData - Current timer data
+   * @param {boolean} isRunning - Whether the member's timer is open
+   * @param {number} elapsed - Active time of the open timer in ms
+   * @param {Object|null} focusBreak - Break from FocusService.getBreak
+   * @private
+   */
+  _renderFocus(timerData, isRunning, elapsed, focusBreak) {
+    const label = this.elements.focus;
+    if (label) {
+      label.hidden = !this.focus.enabled || (!isRunning && !focusBreak);
+      if (focusBreak) {
+        label.textContent = translate(
+          focusBreak.longBreak ? "focus.longBreak" : "focus.shortBreak",
+        );
+      } else if (isRunning) {
+        const { cycles } = FocusService.getFocusSession(
+          timerData,
+          this.memberId,
+        );
+        label.textContent = translate("focus.work", {
+          cycle: cycles + 1,
+          time: formatDuration(Math.max(0, this.focus.workLength - elapsed), {
+            ...this.formatOptions,
+            compact: true,
+          }),
+        });
+      }
+    }
+
+    if (this.breakEnd && !focusBreak && !isRunning) {
+      this.t.alert({ message: translate("focus.breakOver"), duration: 5 });
     }
+    this.breakEnd = focusBreak?.breakEnd ?? null;
   }
 
   update(timerData) {
-    const isRunning = timerData.state === TIMER_STATE.RUNNING;
-    const elapsed = TimerService.getCurrentElapsed(timerData);
+    const timer = TimerService.getMemberTimer(timerData, this.memberId);
+    const isPaused = timer.state === TIMER_STATE.PAUSED;
+    // A paused session is still open: it shows Stop and keeps its description
+    const isRunning = timer.state === TIMER_STATE.RUNNING || isPaused;
+    const elapsed = TimerService.getCurrentElapsed(timer);
+    const focusBreak =
+      this.focus.enabled && !isRunning
+        ? FocusService.getBreak(timerData, this.memberId)
+        : null;
 
-    // Update Display
-    this.elements.display.textContent = formatDuration(elapsed);
-    this.elements.display.className = `timer-display timer-display--${isRunning ? "running" : "idle"}`;
+    // A focus interval that has run its length becomes an entry
+    if (timer.state !== TIMER_STATE.RUNNING) {
+      this.isCompletingFocus = false;
+    } else if (this.focus.enabled && elapsed >= this.focus.workLength) {
+      this._completeFocusInterval(elapsed);
+    }
+
+    // Update Display; a break counts down
+    this.elements.display.textContent = formatDuration(
+      focusBreak ? focusBreak.remaining : elapsed,
+      this.formatOptions,
+    );
+    this.elements.display.className = `timer-display timer-display--${focusBreak ? "break" : isPaused ? "paused" : isRunning ? "running" : "idle"}`;
+    this._renderFocus(timerData, isRunning, elapsed, focusBreak);
 
     // Update Total
     if (this.elements.total) {
       const totalMs = timerData.totalTime || 0;
-      this.elements.total.textContent = `Total: ${formatDuration(totalMs + (isRunning ? elapsed : 0), { compact: true })}`;
+      this.elements.total.textContent = translate("timer.total", {
+        time: formatDuration(totalMs + (isRunning ? elapsed : 0), {
+          ...this.formatOptions,
+          compact: true,
+        }),
+      });
     }
 
     // Update Buttons
-    this.elements.btnText.textContent = isRunning ? "Stop" : "Start";
+    this.elements.btnText.textContent = translate(
+      isRunning ? "timer.stop" : "timer.start",
+    );
     this.elements.btnToggle.className = `btn-toggle${isRunning ? " btn-toggle--running" : ""}`;
-    this.elements.btnToggle.title = isRunning ? "Stop Timer" : "Start Timer";
+    this.elements.btnToggle.title = translate(
+      isRunning ? "timer.stopTitle" : "timer.startTitle",
+    );
 
     this.elements.iconPlay.hidden = isRunning;
     this.elements.iconStop.hidden = !isRunning;
 
-    // Update Description
+    if (this.elements.btnPause) {
+      this.elements.btnPause.hidden = !isRunning;
+      this.elements.btnPause.textContent = translate(
+        isPaused ? "timer.resume" : "timer.pause",
+      );
+      this.elements.btnPause.className = `btn-pause${isPaused ? " btn-pause--paused" : ""}`;
+      this.elements.btnPause.title = translate(
+        isPaused ? "timer.resumeTitle" : "timer.pauseTitle",
+      );
+    }
+
+    // Update Description and Category
     this.elements.description.hidden = !isRunning;
-    if (isRunning && timerData.currentEntry) {
+    if (this.elements.category) {
+      this.elements.category.hidden = !isRunning || !this.categories.length;
+    }
+    if (isRunning && timer.currentEntry) {
       if (document.activeElement !== this.elements.description) {
-        this.elements.description.value =
-          timerData.currentEntry.description || "";
+        this.elements.description.value = timer.currentEntry.description || "";
       }
     }
   }
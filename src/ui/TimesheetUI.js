@@ -0,0 +1,470 @@
+/**
+ * TimesheetUI.js
+ * Renders the current member's weekly timesheet: tracked time per card and
+ * day, with an editor for the entries behind each cell
+ */
+
+import { VALIDATION } from "../utils/constants.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+import { translate, translateError, getLocale } from "../utils/i18n.js";
+import {
+  formatDuration,
+  formatInputDate,
+  formatTimestamp,
+  getFormatOptions,
+  parseTimeString,
+} from "../utils/formatTime.js";
+import CustomFieldService from "../services/CustomFieldService.js";
+import StorageService from "../services/StorageService.js";
+import TimerService from "../services/TimerService.js";
+import TimesheetService from "../services/TimesheetService.js";
+import TrelloService from "../services/TrelloService.js";
+
+/**
+ * Gets a message in the current locale, escaped for HTML.
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values by placeholder name
+ * @returns {string} Escaped message
+ */
+const text = (key, params) => escapeHtml(translate(key, params));
+
+export class TimesheetUI {
+  constructor(t, elements, options = {}) {
+    this.t = t;
+    this.elements = elements;
+    // Called when an edited card's Custom Fields can't be updated
+    this.onWriteAccessNeeded = options.onWriteAccessNeeded;
+    this.weekStart = TimesheetService.getWeekStart();
+    this.timesheet = null;
+    // Cards added to the grid this week that have no time on it yet
+    this.addedCardIds = [];
+    // Cell whose entries are being edited: {cardId, day}
+    this.selected = null;
+    this.formatOptions = getFormatOptions();
+    // Expected elements: weekLabel, btnPrevWeek, btnNextWeek, btnThisWeek,
+    // status, content, addCard, editor
+
+    this._initListeners();
+  }
+
+  _initListeners() {
+    const { btnPrevWeek, btnNextWeek, btnThisWeek, addCard } = this.elements;
+    btnPrevWeek.addEventListener("click", () =>
+      this.goToWeek(TimesheetService.shiftWeek(this.weekStart, -1)),
+    );
+    btnNextWeek.addEventListener("click", () =>
+      this.goToWeek(TimesheetService.shiftWeek(this.weekStart, 1)),
+    );
+    btnThisWeek.addEventListener("click", () =>
+      this.goToWeek(TimesheetService.getWeekStart()),
+    );
+
+    addCard.addEventListener("change", () => {
+      if (!addCard.value) return;
+      this.addedCardIds.push(addCard.value);
+      this.render();
+    });
+
+    this.elements.content.addEventListener("click", (e) => {
+      const cell = e.target.closest(".timesheet__cell");
+      if (cell) {
+        this.selected = {
+          cardId: cell.dataset.cardId,
+          day: Number(cell.dataset.day),
+        };
+        this.render();
+        return;
+      }
+      const card = e.target.closest(".timesheet__card");
+      if (card) this.t.showCard(card.dataset.cardId);
+    });
+
+    this.elements.editor.addEventListener("click", (e) => {
+      const entry = e.target.closest(".timesheet-entry");
+      if (e.target.classList.contains("btn-save-entry")) {
+        this._handleSaveEntry(entry);
+      } else if (e.target.classList.contains("btn-delete-entry")) {
+        this._handleDeleteEntry(entry.dataset.entryId);
+      } else if (e.target.id === "btn-add-timesheet-entry") {
+        this._handleAddEntry();
+      } else if (e.target.id === "btn-close-editor") {
+        this.selected = null;
+        this.render();
+      }
+    });
+  }
+
+  async load() {
+    const preferences = await StorageService.getUserPreferences(this.t);
+    this.formatOptions = getFormatOptions(preferences);
+    await this.refresh();
+  }
+
+  /**
+   * Shows another week, closing the cell editor.
+   * @param {number} weekStart - Start of the week (see TimesheetService.getWeekStart)
+   */
+  async goToWeek(weekStart) {
+    this.weekStart = weekStart;
+    this.addedCardIds = [];
+    this.selected = null;
+    await this.refresh();
+  }
+
+  /**
+   * Reloads the timesheet of the week shown.
+   */
+  async refresh() {
+    const { status } = this.elements;
+    status.textContent = translate("timesheet.loading");
+    status.hidden = false;
+
+    const result = await TimesheetService.getTimesheet(this.t, {
+      weekStart: this.weekStart,
+    });
+    if (!result.success) {
+      status.textContent = translate("timesheet.loadFailed", {
+        error: translateError(result.error),
+      });
+      return;
+    }
+    this.timesheet = result.data;
+    this.render();
+  }
+
+  render() {
+    if (!this.timesheet) return;
+    const { status, content, weekLabel } = this.elements;
+    const { days } = this.timesheet;
+    const rows = this._getRows();
+
+    weekLabel.textContent = `${this._formatDay(days[0])} – ${this._formatDay(days.at(-1), { year: "numeric" })}`;
+    this._renderAddCard(rows);
+
+    if (rows.length === 0) {
+      status.textContent = translate("timesheet.empty");
+      status.hidden = false;
+      content.innerHTML = "";
+    } else {
+      status.hidden = true;
+      content.innerHTML = this._renderGrid(rows);
+    }
+
+    this._renderEditor(rows);
+  }
+
+  /**
+   * Gets the grid rows: cards with time this week, then cards added to it.
+   * @returns {Array} Timesheet rows
+   * @private
+   */
+  _getRows() {
+    const { rows, cards, days } = this.timesheet;
+    const added = this.addedCardIds
+      .filter((id) => !rows.some((row) => row.id === id))
+      .map((id) => cards.find((card) => card.id === id))
+      .filter(Boolean)
+      .map((card) => ({
+        ...card,
+        days: days.map(() => ({ totalTime: 0, entries: [] })),
+        totalTime: 0,
+      }));
+    return [...rows, ...added];
+  }
+
+  _formatDay(timestamp, options = {}) {
+    return new Date(timestamp).toLocaleDateString(getLocale(), {
+      month: "short",
+      day: "numeric",
+      ...options,
+    });
+  }
+
+  _formatTime(ms) {
+    return ms > 0
+      ? formatDuration(ms, { ...this.formatOptions, compact: true })
+      : "";
+  }
+
+  /**
+   * Offers the cards not yet in the grid, to add time to them.
+   * @param {Array} rows - Grid rows
+   * @private
+   */
+  _renderAddCard(rows) {
+    const cards = this.timesheet.cards.filter(
+      (card) => !rows.some((row) => row.id === card.id),
+    );
+    this.elements.addCard.innerHTML = `
+      <option value="">${text("timesheet.addCard")}</option>
+      ${cards
+        .map(
+          (card) =>
+            `<option value="${escapeHtml(card.id)}">${escapeHtml(card.name)}</option>`,
+        )
+        .join("")}
+    `;
+    this.elements.addCard.hidden = cards.length === 0;
+  }
+
+  /**
+   * Renders the card × day grid with daily and weekly totals.
+   * @param {Array} rows - Grid rows
+   * @returns {string} Grid HTML
+   * @private
+   */
+  _renderGrid(rows) {
+    const { days, dayTotals, totalTime } = this.timesheet;
+    const today = new Date().setHours(0, 0, 0, 0);
+
+    const headers = days
+      .map(
+        (day) => `
+          <th class="timesheet__day ${day === today ? "timesheet__day--today" : ""}">
+            ${escapeHtml(new Date(day).toLocaleDateString(getLocale(), { weekday: "short" }))}
+            <span class="timesheet__date">${escapeHtml(this._formatDay(day))}</span>
+          </th>
+        `,
+      )
+      .join("");
+
+    const body = rows
+      .map((row) => {
+        const cells = row.days
+          .map((cell, day) => {
+            const selected =
+              this.selected?.cardId === row.id && this.selected.day === day;
+            return `
+              <td>
+                <button
+                  class="timesheet__cell ${selected ? "timesheet__cell--selected" : ""}"
+                  data-card-id="${escapeHtml(row.id)}"
+                  data-day="${day}"
+                  aria-label="${escapeHtml(`${row.name}, ${this._formatDay(days[day])}`)}"
+                >${this._formatTime(cell.totalTime)}</button>
+              </td>
+            `;
+          })
+          .join("");
+        return `
+          <tr>
+            <th class="timesheet__row-name">
+              <button class="timesheet__card" data-card-id="${escapeHtml(row.id)}">${escapeHtml(row.name)}</button>
+            </th>
+            ${cells}
+            <td class="timesheet__total">${this._formatTime(row.totalTime)}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <table class="timesheet">
+        <thead>
+          <tr>
+            <th>${text("timesheet.card")}</th>
+            ${headers}
+            <th class="timesheet__total">${text("timesheet.total")}</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+        <tfoot>
+          <tr>
+            <th>${text("timesheet.total")}</th>
+            ${dayTotals.map((time) => `<td class="timesheet__total">${this._formatTime(time)}</td>`).join("")}
+            <td class="timesheet__total timesheet__total--week">${this._formatTime(totalTime)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    `;
+  }
+
+  /**
+   * Renders the entries of the selected cell with forms to edit them and
+   * to add another.
+   * @param {Array} rows - Grid rows
+   * @private
+   */
+  _renderEditor(rows) {
+    const { editor } = this.elements;
+    const row = rows.find((r) => r.id === this.selected?.cardId);
+    if (!row) {
+      this.selected = null;
+      editor.hidden = true;
+      editor.innerHTML = "";
+      return;
+    }
+
+    const { day } = this.selected;
+    const entries = row.days[day].entries
+      .map(
+        (entry) => `
+          <div class="timesheet-entry" data-entry-id="${escapeHtml(entry.id)}">
+            <span class="timesheet-entry__time">${escapeHtml(formatTimestamp(entry.startTime, this.formatOptions))}</span>
+            <input
+              type="text"
+              class="timesheet-input timesheet-entry__duration"
+              aria-label="${text("timesheet.duration")}"
+              value="${escapeHtml(
+                formatDuration(entry.duration, {
+                  ...this.formatOptions,
+                  compact: true,
+                }),
+              )}"
+            />
+            <input
+              type="text"
+              class="timesheet-input timesheet-entry__description"
+              aria-label="${text("timesheet.description")}"
+              placeholder="${text("timesheet.description")}"
+              maxlength="${VALIDATION.MAX_DESCRIPTION_LENGTH}"
+              value="${escapeHtml(entry.description ?? "")}"
+            />
+            <button class="btn-small btn-save-entry">${text("entries.save")}</button>
+            <button class="btn-small btn-small--danger btn-delete-entry">${text("timesheet.delete")}</button>
+          </div>
+        `,
+      )
+      .join("");
+
+    editor.hidden = false;
+    editor.innerHTML = `
+      <div class="timesheet-editor__header">
+        <h2 class="timesheet-editor__title">
+          ${escapeHtml(row.name)} ·
+          ${escapeHtml(this._formatDay(this.timesheet.days[day], { weekday: "long" }))}
+        </h2>
+        <button class="btn-small" id="btn-close-editor">${text("timesheet.close")}</button>
+      </div>
+      ${entries}
+      <div class="timesheet-entry timesheet-entry--new">
+        <input
+          type="time"
+          class="timesheet-input"
+          id="timesheet-add-start"
+          aria-label="${text("timesheet.startTime")}"
+        />
+        <input
+          type="text"
+          class="timesheet-input timesheet-entry__duration"
+          id="timesheet-add-duration"
+          aria-label="${text("timesheet.duration")}"
+          placeholder="${text("entries.durationPlaceholder")}"
+        />
+        <input
+          type="text"
+          class="timesheet-input timesheet-entry__description"
+          id="timesheet-add-desc"
+          aria-label="${text("timesheet.description")}"
+          placeholder="${text("timesheet.description")}"
+          maxlength="${VALIDATION.MAX_DESCRIPTION_LENGTH}"
+        />
+        <button class="btn-small" id="btn-add-timesheet-entry">${text("entries.addButton")}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Gets a Trello client for the card of the selected cell.
+   * @returns {Object} Trello client scoped to the card
+   * @private
+   */
+  _selectedCardT() {
+    return TrelloService.forCard(this.t, this.selected.cardId);
+  }
+
+  /**
+   * Reloads the week after an entry changed, and writes the card's new
+   * tracked hours to the board's Custom Fields, asking for write access if
+   * the member's token can only read.
+   * @private
+   */
+  async _afterEntryChange() {
+    const [, synced] = await Promise.all([
+      this.refresh(),
+      CustomFieldService.syncCard(this._selectedCardT()),
+    ]);
+    if (synced.needsWriteAccess && this.onWriteAccessNeeded) {
+      this.onWriteAccessNeeded();
+    }
+  }
+
+  async _handleSaveEntry(entryEl) {
+    const durationInput = entryEl.querySelector(".timesheet-entry__duration");
+    const updates = {
+      description: entryEl.querySelector(".timesheet-entry__description").value,
+    };
+    // Durations are shown rounded to the member's preferences; an untouched
+    // one is not saved back
+    if (durationInput.value !== durationInput.defaultValue) {
+      const ms = parseTimeString(durationInput.value);
+      if (!ms) {
+        alert(translate("entries.invalidDuration"));
+        return;
+      }
+      updates.duration = ms;
+    }
+
+    const result = await TimerService.updateEntry(
+      this._selectedCardT(),
+      entryEl.dataset.entryId,
+      updates,
+    );
+    if (!result.success) {
+      alert(
+        translate("timesheet.updateFailed", {
+          error: translateError(result.error),
+        }),
+      );
+      return;
+    }
+    await this._afterEntryChange();
+  }
+
+  async _handleDeleteEntry(entryId) {
+    if (!confirm(translate("entries.confirmDelete"))) return;
+
+    const result = await TimerService.deleteEntry(
+      this._selectedCardT(),
+      entryId,
+    );
+    if (!result.success) {
+      alert(
+        translate("entries.deleteFailed", {
+          error: translateError(result.error),
+        }),
+      );
+      return;
+    }
+    await this._afterEntryChange();
+  }
+
+  async _handleAddEntry() {
+    const value = (id) => this.elements.editor.querySelector(`#${id}`).value;
+
+    const start = value("timesheet-add-start");
+    if (!start) {
+      alert(translate("timesheet.enterStart"));
+      return;
+    }
+    const ms = parseTimeString(value("timesheet-add-duration"));
+    if (!ms) {
+      alert(translate("duration.empty"));
+      return;
+    }
+
+    const date = formatInputDate(this.timesheet.days[this.selected.day]);
+    const result = await TimerService.addManualEntry(this._selectedCardT(), {
+      startTime: new Date(`${date}T${start}`).getTime(),
+      duration: ms,
+      description: value("timesheet-add-desc"),
+    });
+    if (!result.success) {
+      alert(
+        translate("entries.addFailed", { error: translateError(result.error) }),
+      );
+      return;
+    }
+    await this._afterEntryChange();
+  }
+}
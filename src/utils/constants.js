@@ -9,12 +9,16 @@
  * @enum {string}
  */
 export const STORAGE_KEYS = {
-  /** Timer data stored on each card (state, totalTime, recentEntries, checklistTotals) */
+  /** Header of the timer data stored on each card; recentEntries and checklistTotals go in shard keys (timerData_entries_0, …) */
   TIMER_DATA: "timerData",
+  /** Index of a card's archived entries, stored oldest first in numbered pages (entryHistory_0, …) beside the timerData shards */
+  ENTRY_HISTORY: "entryHistory",
   /** Board-wide settings (hourly rate, categories) */
   BOARD_SETTINGS: "boardSettings",
   /** User preferences (display format, notifications) */
   USER_PREFERENCES: "userPreferences",
+  /** Member's running timer per board ({ [boardId]: { cardId, checklistItemId, startedAt } }) */
+  RUNNING_TIMER: "runningTimer",
 };
 
 /**
@@ -29,6 +33,46 @@ export const STORAGE_SCOPES = {
   CARD_PRIVATE: "private",
 };
 
+/**
+ * Codes services return as `error` for failures the member can act on. The
+ * UI shows them in the member's language with translateError.
+ * @readonly
+ * @enum {string}
+ */
+export const ERROR_CODES = {
+  // Storage
+  LIMIT_EXCEEDED: "LIMIT_EXCEEDED",
+  SCHEMA_TOO_NEW: "SCHEMA_TOO_NEW",
+  WRITE_CONFLICT: "WRITE_CONFLICT",
+  // Card timer
+  TIMER_RUNNING: "TIMER_RUNNING",
+  TIMER_PAUSED: "TIMER_PAUSED",
+  NO_RUNNING_TIMER: "NO_RUNNING_TIMER",
+  NOT_PAUSED: "NOT_PAUSED",
+  NO_ACTIVE_TIMER: "NO_ACTIVE_TIMER",
+  INVALID_STOP_TIME: "INVALID_STOP_TIME",
+  STOP_ELSEWHERE_FAILED: "STOP_ELSEWHERE_FAILED",
+  // Focus mode
+  FOCUS_OFF: "FOCUS_OFF",
+  FOCUS_NOT_OVER: "FOCUS_NOT_OVER",
+  // Entries
+  ENTRY_NOT_FOUND: "ENTRY_NOT_FOUND",
+  END_BEFORE_START: "END_BEFORE_START",
+  END_IN_FUTURE: "END_IN_FUTURE",
+  // Checklist item timers
+  ITEM_TIMED_BY_OTHER: "ITEM_TIMED_BY_OTHER",
+  NO_ACTIVE_ITEM_TIMER: "NO_ACTIVE_ITEM_TIMER",
+  NO_RUNNING_ITEM_TIMER: "NO_RUNNING_ITEM_TIMER",
+  ITEM_NOT_PAUSED: "ITEM_NOT_PAUSED",
+  NO_ITEM_TIME: "NO_ITEM_TIME",
+  ITEM_TIMER_OPEN: "ITEM_TIMER_OPEN",
+  SAME_ITEM: "SAME_ITEM",
+  // Trello
+  CARD_UNAVAILABLE: "CARD_UNAVAILABLE",
+  MEMBER_UNAVAILABLE: "MEMBER_UNAVAILABLE",
+  NOT_AUTHORIZED: "NOT_AUTHORIZED",
+};
+
 /**
  * Timer states
  * @readonly
@@ -40,6 +84,12 @@ export const TIMER_STATE = {
   PAUSED: "paused",
 };
 
+/**
+ * memberTimers key for a card timer without a known member, such as one
+ * started before timers were tracked per member. Any member can stop it.
+ */
+export const SHARED_TIMER_KEY = "shared";
+
 /**
  * Time constants in milliseconds
  * @readonly
@@ -51,6 +101,28 @@ export const TIME = {
   DAY: 24 * 60 * 60 * 1000,
 };
 
+/**
+ * How billed time is rounded
+ * @readonly
+ * @enum {string}
+ */
+export const ROUNDING_MODES = {
+  /** Bill the time as tracked */
+  NONE: "none",
+  /** Round each entry up to the next increment */
+  UP: "up",
+  /** Round each entry to the nearest increment */
+  NEAREST: "nearest",
+};
+
+/**
+ * Increments billed time can be rounded to, in milliseconds
+ * @readonly
+ */
+export const ROUNDING_INCREMENTS = [1, 5, 6, 10, 15, 30, 60].map(
+  (minutes) => minutes * TIME.MINUTE,
+);
+
 /**
  * Application metadata
  * @readonly
@@ -61,35 +133,82 @@ export const APP_INFO = {
   POWER_UP_NAME: "TimeUp - Time Tracker",
 };
 
+/**
+ * Current timer data schema version.
+ * Bump this together with a new step in MigrationService's registry.
+ */
+export const SCHEMA_VERSION = 3;
+
 /**
  * Default values for timer data
  * @readonly
  */
 export const DEFAULTS = {
   TIMER_DATA: {
-    state: TIMER_STATE.IDLE,
-    currentEntry: null,
+    schemaVersion: SCHEMA_VERSION,
+    revision: 0, // Incremented by every save; used to detect concurrent writes
+    // Running or paused card timers: { [memberId]: { state, currentEntry } }
+    memberTimers: {},
     estimatedTime: null, // Estimated time in milliseconds (manual override)
     manualEstimateSet: false, // true = user set manually, false = calculated from checklists
 
     // Aggregated total time - ONE number for all time tracked
     totalTime: 0,
 
-    // Only keep last 5 entries for display/editing
+    // Only keep last 5 entries inline; older ones spill into the entry history
     recentEntries: [],
+    archivedCount: 0, // Number of entries in the entry history
 
     // Checklist item totals (aggregated, not individual entries)
     checklistTotals: {}, // { [checkItemId]: { totalTime, entryCount, estimatedTime } }
+
+    // Focus mode per member: { [memberId]: { cycles, breakEnd, longBreak } },
+    // where cycles counts the work intervals completed on the card
+    focusSessions: {},
   },
   BOARD_SETTINGS: {
-    hourlyRate: null,
-    currency: "USD",
+    hourlyRate: null, // Default hourly rate, in currency units
+    memberRates: {}, // Hourly rates overriding the default: { [memberId]: rate }
+    currency: "USD", // ISO 4217 currency code
+    // Activity types entries can be tagged with: [{ id, name, color, billable }]
     categories: [],
+    // Number Custom Fields that tracked hours and the estimate are written to
+    customFields: { trackedFieldId: null, estimateFieldId: null },
+    // Comment posted on the card for each completed time entry (see
+    // CommentService.formatComment for the placeholders)
+    commentLog: {
+      enabled: false,
+      template: "⏱ {duration} logged by {member} – {description}",
+    },
+    // Length of a working day and week, which the "d" and "w" units of
+    // estimates count in
+    workSchedule: { hoursPerDay: 8, daysPerWeek: 5 },
+    // How each entry's time is rounded for costs, reports and exports;
+    // entries shorter than the minimum are billed as the minimum
+    rounding: {
+      mode: ROUNDING_MODES.NONE,
+      increment: 15 * TIME.MINUTE,
+      minimum: 0,
+    },
+    // Focus mode: the card timer runs in work intervals followed by a break,
+    // and a long break after every `longBreakEvery` intervals
+    focus: {
+      enabled: false,
+      workLength: 25 * TIME.MINUTE,
+      shortBreak: 5 * TIME.MINUTE,
+      longBreak: 15 * TIME.MINUTE,
+      longBreakEvery: 4,
+    },
   },
   USER_PREFERENCES: {
     showSeconds: true,
     use24HourFormat: true,
     autoStartOnOpen: false,
+    // Running timers older than this, or started on an earlier day, are
+    // flagged as possibly forgotten
+    forgottenTimerThreshold: 8 * TIME.HOUR,
+    // Show totals as decimal hours ("1.25 h") instead of "1h 15m"
+    decimalHours: false,
   },
 };
 
@@ -100,16 +219,37 @@ export const DEFAULTS = {
 export const BADGE_COLORS = {
   DEFAULT: "light-gray",
   RUNNING: "green",
+  PAUSED: "orange",
   WARNING: "yellow",
   OVER_BUDGET: "red",
+  FORGOTTEN: "red",
+  BREAK: "blue",
 };
 
+/**
+ * Colors offered to new categories, in turn
+ * @readonly
+ */
+export const CATEGORY_COLORS = [
+  "#4bce97",
+  "#579dff",
+  "#f5cd47",
+  "#fea362",
+  "#f87168",
+  "#9f8fef",
+];
+
 /**
  * Validation constraints
  * @readonly
  */
 export const VALIDATION = {
   MAX_DESCRIPTION_LENGTH: 120,
-  /** Maximum checklist items that can have time data (estimates/timers) due to storage limits */
-  MAX_CHECKLIST_ITEMS: 15,
+  MAX_CATEGORY_NAME_LENGTH: 30,
+  MAX_COMMENT_TEMPLATE_LENGTH: 200,
+  MAX_HOURS_PER_DAY: 24,
+  MAX_DAYS_PER_WEEK: 7,
+  MAX_MINIMUM_BILLED: 4 * TIME.HOUR,
+  MAX_FOCUS_INTERVAL: 4 * TIME.HOUR,
+  MAX_FOCUS_CYCLES: 12,
 };
@@ -0,0 +1,36 @@
+/**
+ * TimeUp - Currency Formatting Utilities
+ * Pure functions for formatting money values
+ */
+
+import { getLocale } from "./i18n.js";
+
+/**
+ * Formats an amount in a currency for the user's locale.
+ * @param {number} amount - Amount in currency units
+ * @param {string} [currency="USD"] - ISO 4217 currency code
+ * @param {string} [locale] - BCP 47 locale; the current locale (see
+ *   i18n.getLocale) if omitted
+ * @returns {string} Formatted amount
+ * @example
+ * formatCurrency(1234.5, "USD", "en-US") // "$1,234.50"
+ * formatCurrency(1234.5, "EUR", "de-DE") // "1.234,50 €"
+ */
+export const formatCurrency = (
+  amount,
+  currency = "USD",
+  locale = getLocale(),
+) => {
+  const value = Number.isFinite(amount) ? amount : 0;
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+    }).format(value);
+  } catch (error) {
+    // Malformed currency code: show the plain amount
+    return `${value.toFixed(2)} ${currency}`;
+  }
+};
+
+export default formatCurrency;
@@ -3,7 +3,8 @@
  * Pure functions for formatting time values
  */
 
-import { TIME } from "./constants.js";
+import { DEFAULTS, TIME, VALIDATION } from "./constants.js";
+import { getLocale, translate } from "./i18n.js";
 
 /**
  * Pads a number with leading zeros to reach the desired length.
@@ -18,6 +19,70 @@ export const padZero = (num, length = 2) => {
   return String(Math.floor(num)).padStart(length, "0");
 };
 
+/**
+ * Picks the formatting options a member set in their preferences, to pass to
+ * formatDuration and formatTimestamp.
+ * @param {Object} [preferences={}] - User preferences
+ * @returns {{showSeconds: boolean, use24Hour: boolean, decimalHours: boolean}} Formatting options
+ * @example
+ * formatDuration(ms, { ...getFormatOptions(preferences), compact: true })
+ */
+export const getFormatOptions = (preferences = {}) => ({
+  showSeconds: preferences.showSeconds ?? DEFAULTS.USER_PREFERENCES.showSeconds,
+  use24Hour:
+    preferences.use24HourFormat ?? DEFAULTS.USER_PREFERENCES.use24HourFormat,
+  decimalHours:
+    preferences.decimalHours ?? DEFAULTS.USER_PREFERENCES.decimalHours,
+});
+
+/**
+ * Formats milliseconds as hours with two decimals, as billing systems
+ * expect them.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Hours such as "1.25"; "0.00" for invalid input
+ * @example
+ * formatDecimalHours(4500000) // "1.25"
+ */
+export const formatDecimalHours = (ms) =>
+  (typeof ms === "number" && ms > 0 && Number.isFinite(ms)
+    ? ms / TIME.HOUR
+    : 0
+  ).toFixed(2);
+
+/**
+ * Gets the length of a working day and week. Values out of range fall back
+ * to the defaults.
+ * @param {Object} [workSchedule] - Board work schedule
+ * @param {number} [workSchedule.hoursPerDay] - Working hours in a day
+ * @param {number} [workSchedule.daysPerWeek] - Working days in a week
+ * @returns {{day: number, week: number, daysPerWeek: number}} Day and week
+ *   lengths in milliseconds, and the days in a week
+ * @example
+ * getWorkUnits({ hoursPerDay: 8, daysPerWeek: 5 }) // { day: 28800000, week: 144000000, daysPerWeek: 5 }
+ */
+export const getWorkUnits = (workSchedule = {}) => {
+  const defaults = DEFAULTS.BOARD_SETTINGS.workSchedule;
+  const { hoursPerDay, daysPerWeek } = workSchedule ?? {};
+  const hours =
+    typeof hoursPerDay === "number" &&
+    hoursPerDay > 0 &&
+    hoursPerDay <= VALIDATION.MAX_HOURS_PER_DAY
+      ? hoursPerDay
+      : defaults.hoursPerDay;
+  const days =
+    Number.isInteger(daysPerWeek) &&
+    daysPerWeek > 0 &&
+    daysPerWeek <= VALIDATION.MAX_DAYS_PER_WEEK
+      ? daysPerWeek
+      : defaults.daysPerWeek;
+
+  return {
+    day: hours * TIME.HOUR,
+    week: days * hours * TIME.HOUR,
+    daysPerWeek: days,
+  };
+};
+
 /**
  * Formats milliseconds into a human-readable duration string.
  * @param {number} ms - Duration in milliseconds
@@ -25,25 +90,54 @@ export const padZero = (num, length = 2) => {
  * @param {boolean} [options.showSeconds=true] - Include seconds in output
  * @param {boolean} [options.compact=false] - Use compact format (1h 30m vs 01:30:00)
  * @param {boolean} [options.showDays=false] - Show days for long durations
+ * @param {Object} [options.workSchedule] - Count days, and weeks in compact
+ *   format, in working time (see getWorkUnits), as estimates are entered.
+ *   Implies showDays; without it days last 24 hours
+ * @param {boolean} [options.decimalHours=false] - Show compact durations as
+ *   decimal hours (1.25 h); clock format is left as is
  * @returns {string} Formatted duration string
  * @example
  * formatDuration(8130000) // "02:15:30"
  * formatDuration(8130000, { compact: true }) // "2h 15m 30s"
- * formatDuration(90061000, { showDays: true }) // "1d 1h 1m 1s"
+ * formatDuration(90061000, { showDays: true }) // "1d 01:01:01"
+ * formatDuration(86400000, { compact: true, workSchedule: { hoursPerDay: 8, daysPerWeek: 5 } }) // "3d"
+ * formatDuration(4500000, { compact: true, decimalHours: true }) // "1.25 h"
  */
 export const formatDuration = (ms, options = {}) => {
-  const { showSeconds = true, compact = false, showDays = false } = options;
+  const { showSeconds = true, compact = false, workSchedule = null } = options;
+  const showDays = options.showDays ?? Boolean(workSchedule);
+
+  if (compact && options.decimalHours) {
+    return `${formatDecimalHours(ms)} h`;
+  }
 
   if (typeof ms !== "number" || ms < 0 || !Number.isFinite(ms)) {
     return compact ? "0m" : "00:00";
   }
 
+  const units = workSchedule ? getWorkUnits(workSchedule) : null;
+  const daySeconds = (units ? units.day : TIME.DAY) / TIME.SECOND;
   const totalSeconds = Math.floor(ms / TIME.SECOND);
-  const days = Math.floor(totalSeconds / (24 * 60 * 60));
-  const hours = Math.floor((totalSeconds % (24 * 60 * 60)) / (60 * 60));
+  const days = Math.floor(totalSeconds / daySeconds);
+  const hours = Math.floor((totalSeconds % daySeconds) / (60 * 60));
   const minutes = Math.floor((totalSeconds % (60 * 60)) / 60);
   const seconds = totalSeconds % 60;
 
+  // Working days read like the estimate they were entered as: "1w 2d",
+  // not "1w 2d 0h 0m"
+  if (compact && units && showDays && days > 0) {
+    return [
+      [Math.floor(days / units.daysPerWeek), "w"],
+      [days % units.daysPerWeek, "d"],
+      [hours, "h"],
+      [minutes, "m"],
+      [showSeconds ? seconds : 0, "s"],
+    ]
+      .filter(([value]) => value > 0)
+      .map(([value, unit]) => `${value}${unit}`)
+      .join(" ");
+  }
+
   if (compact) {
     const parts = [];
     if (showDays && days > 0) parts.push(`${days}d`);
@@ -60,14 +154,15 @@ export const formatDuration = (ms, options = {}) => {
       : `${days}d ${padZero(hours)}:${padZero(minutes)}`;
   }
 
-  const totalHours = days * 24 + hours;
+  const totalHours = Math.floor(totalSeconds / (60 * 60));
   return showSeconds
     ? `${padZero(totalHours)}:${padZero(minutes)}:${padZero(seconds)}`
     : `${padZero(totalHours)}:${padZero(minutes)}`;
 };
 
 /**
- * Formats a timestamp to a localized time string.
+ * Formats a timestamp as a time string in the current locale (see
+ * i18n.getLocale).
  * @param {number} timestamp - Unix timestamp in milliseconds
  * @param {Object} [options={}] - Formatting options
  * @param {boolean} [options.use24Hour=true] - Use 24-hour format
@@ -102,7 +197,26 @@ export const formatTimestamp = (timestamp, options = {}) => {
     timeOptions.day = "numeric";
   }
 
-  return date.toLocaleString(undefined, timeOptions);
+  return date.toLocaleString(getLocale(), timeOptions);
+};
+
+/**
+ * Formats a timestamp as the local value of a date or datetime-local input.
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.showTime=false] - Include the time (datetime-local)
+ * @returns {string} Input value
+ * @example
+ * formatInputDate(1706367600000) // "2024-01-27"
+ * formatInputDate(1706367600000, { showTime: true }) // "2024-01-27T14:30"
+ */
+export const formatInputDate = (timestamp, options = {}) => {
+  const { showTime = false } = options;
+  const date = new Date(timestamp);
+  const day = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}-${padZero(date.getDate())}`;
+  return showTime
+    ? `${day}T${padZero(date.getHours())}:${padZero(date.getMinutes())}`
+    : day;
 };
 
 /**
@@ -172,66 +286,337 @@ export const getRemainingTime = (totalTime, estimatedTime) => {
 };
 
 /**
- * Parses a time string into milliseconds.
- * Supports formats: "1h 30m", "2h", "45m", "1.5h", "90", "1:30:00", "00:07:00", "7:00"
- * @param {string} timeStr - Time string to parse
- * @returns {number|null} Duration in milliseconds, or null if invalid
- * @example
- * parseTimeString("1h 30m") // 5400000
- * parseTimeString("2h") // 7200000
- * parseTimeString("45m") // 2700000
- * parseTimeString("90") // 5400000 (assumes minutes)
- * parseTimeString("1:30:00") // 5400000 (HH:MM:SS)
- * parseTimeString("7:00") // 420000 (MM:SS or M:SS)
- * parseTimeString("00:07:00") // 420000 (7 minutes)
+ * Unit names a duration may be typed with, in English, Spanish, Portuguese,
+ * French and German, after lowercasing and stripping accents
  */
-export const parseTimeString = (timeStr) => {
-  if (typeof timeStr !== "string" || !timeStr.trim()) {
-    return null;
-  }
+const UNIT_WORDS = {
+  week: "w wk wks week weeks semana semanas semaine semaines woche wochen",
+  day: "d day days dia dias jour jours tag tage tagen",
+  hour: "h hr hrs hour hours hora horas heure heures std stunde stunden",
+  minute: "m min mins minute minutes minuto minutos minuten",
+  second:
+    "s sec secs second seconds seg segundo segundos seconde secondes sek sekunde sekunden",
+};
+
+/** Units from the longest to the shortest */
+const UNIT_ORDER = ["week", "day", "hour", "minute", "second"];
+
+const UNITS_BY_WORD = new Map(
+  Object.entries(UNIT_WORDS).flatMap(([unit, words]) =>
+    words.split(" ").map((word) => [word, unit]),
+  ),
+);
+
+/** Words standing for one ("an hour") */
+const ONE_WORDS = new Set(
+  "a an one un una uno um uma une ein eine einen".split(" "),
+);
+
+/** Words standing for a fraction ("half an hour", "una hora y media") */
+const FRACTION_WORDS = new Map([
+  ..."half medio media meio meia demi demie halb halbe halben"
+    .split(" ")
+    .map((word) => [word, 0.5]),
+  ..."quarter cuarto quarto quart viertel"
+    .split(" ")
+    .map((word) => [word, 0.25]),
+]);
+
+/** Words joining the parts of a duration, which are skipped */
+const JOINING_WORDS = new Set("and y e et und of de d".split(" "));
+
+const OPERATORS = { "+": "+", "-": "-", "*": "×", "×": "×", x: "×" };
 
-  const str = timeStr.trim().toLowerCase();
+// Apostrophes are skipped like spaces, for "un quart d'heure"
+const TOKEN_PATTERN =
+  /[\s'’]+|(\d+:\d{1,2}(?::\d{1,2})?)|(\d*[.,]?\d+)|([+\-*×])|(\p{L}+)|(.)/gu;
 
-  // Try HH:MM:SS or H:MM:SS format first (e.g., "1:30:00", "00:07:00")
-  const hhmmssMatch = str.match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
-  if (hhmmssMatch) {
-    const hours = parseInt(hhmmssMatch[1], 10);
-    const minutes = parseInt(hhmmssMatch[2], 10);
-    const seconds = parseInt(hhmmssMatch[3], 10);
-    if (minutes < 60 && seconds < 60) {
-      return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+/**
+ * Splits a duration into numbers, clock times, words and operators.
+ * @param {string} input - Duration as typed
+ * @returns {Array<{type: string, value: *, text: string, position: number}>}
+ *   Tokens with their position in the input
+ * @throws {Error} On a character no token starts with, as its `token`
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [text, clock, number, operator, word, other] = match;
+    const position = match.index;
+    if (clock) {
+      tokens.push({
+        type: "clock",
+        value: clock.split(":").map(Number),
+        text,
+        position,
+      });
+    } else if (number) {
+      tokens.push({
+        type: "number",
+        value: parseFloat(number.replace(",", ".")),
+        text,
+        position,
+      });
+    } else if (operator) {
+      tokens.push({
+        type: "operator",
+        value: OPERATORS[operator],
+        text,
+        position,
+      });
+    } else if (word) {
+      const value = word.toLowerCase().normalize("NFD").replace(/\p{M}/gu, "");
+      tokens.push(
+        value === "x"
+          ? { type: "operator", value: "×", text, position }
+          : { type: "word", value, text, position },
+      );
+    } else if (other) {
+      throw Object.assign(
+        new Error(translate("duration.unexpected", { text: other })),
+        { token: { text, position } },
+      );
     }
   }
+  return tokens;
+};
 
-  // Try MM:SS or M:SS format (e.g., "7:00", "45:30")
-  const mmssMatch = str.match(/^(\d{1,2}):(\d{1,2})$/);
-  if (mmssMatch) {
-    const minutes = parseInt(mmssMatch[1], 10);
-    const seconds = parseInt(mmssMatch[2], 10);
-    if (seconds < 60) {
-      return (minutes * 60 + seconds) * 1000;
+/**
+ * Reads a tokenized duration. A factor is either a duration (`ms`) or a bare
+ * count (`count`), such as the 3 of "3 × 25m"; a count left on its own is
+ * read as minutes.
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {{day: number, week: number}} units - Working day and week lengths
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} When the duration can't be read, with the offending `token`
+ */
+const readTokens = (tokens, units) => {
+  const unitLength = {
+    week: units.week,
+    day: units.day,
+    hour: TIME.HOUR,
+    minute: TIME.MINUTE,
+    second: TIME.SECOND,
+  };
+  let index = 0;
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw Object.assign(new Error(message), { token });
+  };
+
+  const isUnit = (token) =>
+    token?.type === "word" && UNITS_BY_WORD.has(token.value);
+  const isQuantity = (token) =>
+    token?.type === "number" ||
+    (token?.type === "word" &&
+      (ONE_WORDS.has(token.value) || FRACTION_WORDS.has(token.value)));
+
+  // A number, "an" or "half", along with the words around a fraction:
+  // "a half", "half an hour", "a quarter of an hour"
+  const readQuantity = () => {
+    const token = tokens[index++];
+    if (token.type === "number") return { value: token.value, token };
+    if (ONE_WORDS.has(token.value) && !FRACTION_WORDS.has(peek()?.value)) {
+      return { value: 1, token };
     }
-  }
+    if (ONE_WORDS.has(token.value)) index++;
+    const fraction = FRACTION_WORDS.get(tokens[index - 1].value);
 
-  // Try to match hours, minutes, and seconds with unit suffixes
-  const hourMatch = str.match(/(\d+(?:\.\d+)?)\s*h/);
-  const minMatch = str.match(/(\d+(?:\.\d+)?)\s*m/);
-  const secMatch = str.match(/(\d+(?:\.\d+)?)\s*s/);
+    let next = index;
+    while (JOINING_WORDS.has(tokens[next]?.value)) next++;
+    if (ONE_WORDS.has(tokens[next]?.value)) next++;
+    if (isUnit(tokens[next])) index = next;
+    return { value: fraction, token, isFraction: true };
+  };
+
+  const readClock = () => {
+    const token = tokens[index++];
+    const [first, second, third] = token.value;
+    if (third === undefined) {
+      // MM:SS
+      if (second >= 60) fail(translate("duration.seconds"), token);
+      return (first * 60 + second) * TIME.SECOND;
+    }
+    if (second >= 60 || third >= 60) {
+      fail(translate("duration.minutesSeconds"), token);
+    }
+    return ((first * 60 + second) * 60 + third) * TIME.SECOND;
+  };
+
+  // "1 hour 15 minutes", "1h30", "una hora y media", or a bare count
+  const readDuration = () => {
+    let ms = 0;
+    let lastUnit = null;
+    let count = null;
+
+    for (;;) {
+      const start = index;
+      while (
+        lastUnit &&
+        peek()?.type === "word" &&
+        JOINING_WORDS.has(peek().value)
+      ) {
+        index++;
+      }
+      if (!isQuantity(peek())) {
+        index = start;
+        break;
+      }
+
+      const { value, token, isFraction } = readQuantity();
+      if (isUnit(peek())) {
+        lastUnit = UNITS_BY_WORD.get(tokens[index++].value);
+        ms += value * unitLength[lastUnit];
+      } else if (peek()?.type === "word" && !JOINING_WORDS.has(peek().value)) {
+        fail(translate("duration.unknownUnit", { text: peek().text }));
+      } else if (lastUnit && isFraction) {
+        // "an hour and a half" is half of the unit before
+        ms += value * unitLength[lastUnit];
+      } else if (lastUnit) {
+        // "1h30": a number after a unit counts in the next smaller one
+        const smaller = UNIT_ORDER[UNIT_ORDER.indexOf(lastUnit) + 1];
+        if (!smaller) {
+          fail(translate("duration.addUnit", { text: token.text }), token);
+        }
+        lastUnit = smaller;
+        ms += value * unitLength[smaller];
+      } else if (count === null && !isFraction) {
+        count = value;
+        break;
+      } else {
+        fail(translate("duration.addUnit", { text: token.text }), token);
+      }
+    }
+
+    return lastUnit ? { ms } : { count };
+  };
+
+  const readFactor = () => {
+    const token = peek();
+    if (!token)
+      return fail(translate("duration.expected"), {
+        text: "",
+        position: null,
+      });
+    if (token.type === "clock") return { ms: readClock() };
+    if (isQuantity(token)) return readDuration();
+    if (isUnit(token)) {
+      return fail(translate("duration.numberBefore", { text: token.text }));
+    }
+    if (token.type === "word") {
+      return fail(translate("duration.unknownUnit", { text: token.text }));
+    }
+    return fail(translate("duration.expectedBefore", { text: token.text }));
+  };
 
-  if (hourMatch || minMatch || secMatch) {
-    const hours = hourMatch ? parseFloat(hourMatch[1]) : 0;
-    const minutes = minMatch ? parseFloat(minMatch[1]) : 0;
-    const seconds = secMatch ? parseFloat(secMatch[1]) : 0;
-    return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+  const readTerm = () => {
+    let factor = readFactor();
+    while (peek()?.value === "×") {
+      const operator = tokens[index++];
+      const next = readFactor();
+      if (factor.ms !== undefined && next.ms !== undefined) {
+        fail(translate("duration.twoDurations"), operator);
+      }
+      factor =
+        factor.ms !== undefined || next.ms !== undefined
+          ? { ms: (factor.ms ?? factor.count) * (next.ms ?? next.count) }
+          : { count: factor.count * next.count };
+    }
+    return factor.ms ?? factor.count * TIME.MINUTE;
+  };
+
+  let total = readTerm();
+  while (peek()?.type === "operator" && peek().value !== "×") {
+    const sign = tokens[index++].value === "-" ? -1 : 1;
+    total += sign * readTerm();
+  }
+  if (index < tokens.length) {
+    const token = peek();
+    fail(
+      translate(
+        token.type === "word" && !JOINING_WORDS.has(token.value)
+          ? "duration.unknownUnit"
+          : "duration.unexpected",
+        { text: token.text },
+      ),
+    );
+  }
+  return total;
+};
+
+/**
+ * Parses a duration as people type it: units spelled out in English,
+ * Spanish, Portuguese, French or German, in any plural form, decimal commas,
+ * "an hour" or "half an hour", and sums and products of durations. Days and
+ * weeks count in working time. Errors are in the current locale.
+ * @param {string} input - Duration as typed
+ * @param {Object} [options={}] - Parsing options
+ * @param {Object} [options.workSchedule] - Length of days and weeks (see
+ *   getWorkUnits); the default work schedule when left out
+ * @returns {{success: boolean, data?: number, error?: string, position?: number, length?: number}}
+ *   Duration in milliseconds, or why it can't be read and where in the
+ *   input: the offending text starts at `position` and is `length` long
+ * @example
+ * parseDuration("1,5h") // { success: true, data: 5400000 }
+ * parseDuration("half an hour") // { success: true, data: 1800000 }
+ * parseDuration("3 × 25m") // { success: true, data: 4500000 }
+ * parseDuration("2 hurs") // { success: false, error: 'Unknown unit "hurs"', position: 2, length: 4 }
+ */
+export const parseDuration = (input, { workSchedule } = {}) => {
+  if (typeof input !== "string" || !input.trim()) {
+    return {
+      success: false,
+      error: translate("duration.empty"),
+      position: 0,
+      length: 0,
+    };
   }
 
-  // Try plain number (default to minutes) - only if string contains ONLY digits/decimals
-  if (/^\d+(\.\d+)?$/.test(str)) {
-    const num = parseFloat(str);
-    if (!isNaN(num) && num > 0) {
-      return Math.round(num * 60 * 1000);
+  try {
+    const ms = Math.round(
+      readTokens(tokenize(input), getWorkUnits(workSchedule)),
+    );
+    if (ms < 0) {
+      return {
+        success: false,
+        error: translate("duration.negative"),
+        position: 0,
+        length: input.length,
+      };
     }
+    return { success: true, data: ms };
+  } catch (error) {
+    const { token } = error;
+    return {
+      success: false,
+      error: error.message,
+      position: token.position ?? input.trimEnd().length,
+      length: token.text.length,
+    };
   }
+};
 
-  return null;
+/**
+ * Parses a time string into milliseconds.
+ * Supports the formats of parseDuration: "1w 2d", "1h 30m", "2h", "45m",
+ * "1,5h", "90", "1:30:00", "00:07:00", "7:00", "half an hour", "2h + 30m"
+ * @param {string} timeStr - Time string to parse
+ * @param {Object} [options={}] - Parsing options
+ * @param {Object} [options.workSchedule] - Length of the "d" and "w" units
+ *   (see getWorkUnits); the default work schedule when left out
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ * @example
+ * parseTimeString("2d") // 57600000 (two 8-hour days)
+ * parseTimeString("1w 2d", { workSchedule: { hoursPerDay: 6, daysPerWeek: 4 } }) // 129600000
+ * parseTimeString("1h 30m") // 5400000
+ * parseTimeString("2h") // 7200000
+ * parseTimeString("45m") // 2700000
+ * parseTimeString("90") // 5400000 (assumes minutes)
+ * parseTimeString("1:30:00") // 5400000 (HH:MM:SS)
+ * parseTimeString("7:00") // 420000 (MM:SS or M:SS)
+ * parseTimeString("00:07:00") // 420000 (7 minutes)
+ */
+export const parseTimeString = (timeStr, options = {}) => {
+  const result = parseDuration(timeStr, options);
+  return result.success ? result.data : null;
 };
@@ -0,0 +1,180 @@
+/**
+ * TimeUp - Internationalization
+ * Message catalogs, plural rules and the locale text and times are shown in
+ */
+
+import en from "../i18n/en.js";
+import es from "../i18n/es.js";
+
+/**
+ * Message catalogs by language. English is complete; other languages fall
+ * back to it for keys they lack.
+ * @readonly
+ */
+export const CATALOGS = { en, es };
+
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * Gets the language of a locale.
+ * @param {string} locale - BCP 47 locale, such as "es-AR"
+ * @returns {string} Lowercase language subtag, such as "es"
+ */
+const getLanguageOf = (locale) => locale.toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Picks the first locale TimeUp has messages for.
+ * @param {Array} candidates - Locales in order of preference; empty or
+ *   malformed values are skipped
+ * @returns {string} Supported BCP 47 locale, region kept for formatting
+ *   dates and numbers; DEFAULT_LOCALE if none is supported
+ * @example
+ * resolveLocale(["fr-FR", "es_MX", "en"]) // "es-MX"
+ */
+export const resolveLocale = (candidates) => {
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string" || !candidate.trim()) continue;
+    const locale = candidate.trim().replace(/_/g, "-");
+    if (!CATALOGS[getLanguageOf(locale)]) continue;
+    try {
+      return Intl.getCanonicalLocales(locale)[0];
+    } catch (error) {
+      // Malformed tag: its language alone still reads
+      return getLanguageOf(locale);
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Detects the member's locale: the one Trello is shown in, then the
+ * browser's preferred languages.
+ * @param {Object} [t] - Trello client
+ * @returns {string} Supported BCP 47 locale
+ */
+export const detectLocale = (t) => {
+  let context = null;
+  try {
+    context = t?.getContext?.() ?? null;
+  } catch (error) {
+    // Outside a Trello iframe
+  }
+  const browser = typeof navigator === "undefined" ? {} : navigator;
+  return resolveLocale([
+    context?.locale,
+    ...(browser.languages ?? []),
+    browser.language,
+  ]);
+};
+
+// English until a page switches to the member's locale with initLocale
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Gets the locale text and times are currently shown in.
+ * @returns {string} BCP 47 locale
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Sets the locale text and times are shown in.
+ * @param {string} locale - BCP 47 locale; unsupported ones fall back to
+ *   DEFAULT_LOCALE
+ * @returns {string} Locale now in use
+ */
+export const setLocale = (locale) => {
+  currentLocale = resolveLocale([locale]);
+  return currentLocale;
+};
+
+/**
+ * Switches to the member's locale (see detectLocale).
+ * @param {Object} t - Trello client
+ * @returns {string} Locale now in use
+ */
+export const initLocale = (t) => setLocale(detectLocale(t));
+
+/**
+ * Gets a message in the current locale, filling in its {placeholders}.
+ * Messages with plural forms pick theirs from `params.count`, following the
+ * locale's plural rules.
+ * @param {string} key - Message key
+ * @param {Object} [params={}] - Values by placeholder name
+ * @returns {string} Message; the key itself if no catalog has it
+ * @example
+ * translate("timer.total", { time: "1h 5m" }) // "Total: 1h 5m"
+ * translate("entries.count", { count: 1 }) // "1 entry"
+ */
+export const translate = (key, params = {}) => {
+  let message =
+    CATALOGS[getLanguageOf(currentLocale)]?.[key] ??
+    CATALOGS[DEFAULT_LOCALE][key] ??
+    key;
+
+  if (typeof message === "object") {
+    const category = new Intl.PluralRules(currentLocale).select(
+      params.count ?? 0,
+    );
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name]),
+  );
+};
+
+/**
+ * Gets the message for an error a service returned: one of ERROR_CODES, or
+ * the text of an unexpected error, which is shown as it is.
+ * @param {string} error - Error code or message
+ * @param {string} [cause] - Error a code such as STOP_ELSEWHERE_FAILED wraps
+ * @returns {string} Message in the current locale
+ * @example
+ * translateError("NO_RUNNING_TIMER") // "No running timer"
+ */
+export const translateError = (error, cause) => {
+  const key = `error.${error}`;
+  if (!(key in CATALOGS[DEFAULT_LOCALE])) return String(error ?? "");
+  return translate(key, {
+    cause: cause === undefined ? "" : translateError(cause),
+  });
+};
+
+/** Attributes a page's elements name message keys in, by attribute set */
+const TRANSLATED_ATTRIBUTES = {
+  "data-i18n-title": "title",
+  "data-i18n-placeholder": "placeholder",
+  "data-i18n-aria-label": "aria-label",
+};
+
+/**
+ * Translates the static text of a page: the text of elements with a
+ * `data-i18n` key, and the attributes named by `data-i18n-title`,
+ * `data-i18n-placeholder` and `data-i18n-aria-label`.
+ * @param {Document|Element} root - Page or part of it to translate
+ */
+export const translatePage = (root) => {
+  for (const element of root.querySelectorAll("[data-i18n]")) {
+    element.textContent = translate(element.dataset.i18n);
+  }
+  for (const [source, target] of Object.entries(TRANSLATED_ATTRIBUTES)) {
+    for (const element of root.querySelectorAll(`[${source}]`)) {
+      element.setAttribute(target, translate(element.getAttribute(source)));
+    }
+  }
+  if (root.documentElement) {
+    root.documentElement.lang = getLanguageOf(currentLocale);
+  }
+};
+
+const i18n = {
+  resolveLocale,
+  detectLocale,
+  getLocale,
+  setLocale,
+  initLocale,
+  translate,
+  translateError,
+  translatePage,
+};
+export default i18n;
@@ -35,3 +35,26 @@ export const isValidEntry = (entry) => {
     entry.endTime > entry.startTime
   );
 };
+
+/**
+ * Validates an ISO 4217 currency code.
+ * Where the runtime lists its supported currencies, the code must be one.
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid currency code
+ */
+export const isValidCurrency = (value) => {
+  if (typeof value !== "string" || !/^[A-Z]{3}$/.test(value)) return false;
+  return (
+    typeof Intl.supportedValuesOf !== "function" ||
+    Intl.supportedValuesOf("currency").includes(value)
+  );
+};
+
+/**
+ * Validates a hex color such as "#4bce97".
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid six-digit hex color
+ */
+export const isValidColor = (value) => {
+  return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+};
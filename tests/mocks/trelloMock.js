@@ -4,6 +4,9 @@
 
 import { jest } from "@jest/globals";
 
+/** Characters Trello stores per scope and visibility of one object */
+const STORAGE_LIMIT = 4096;
+
 /**
  * Creates a mock Trello client for testing.
  * @param {Object} overrides - Override default mock implementations
@@ -12,29 +15,41 @@ import { jest } from "@jest/globals";
 export const createTrelloMock = (overrides = {}) => {
   const storage = new Map();
 
+  const getScope = (scope, visibility) => {
+    const result = {};
+    const prefix = `${scope}:${visibility}:`;
+    for (const [sKey, value] of storage.entries()) {
+      if (sKey.startsWith(prefix)) {
+        result[sKey.substring(prefix.length)] = value;
+      }
+    }
+    return result;
+  };
+
   const mockT = {
     // Storage methods
     get: jest.fn(async (scope, visibility, key) => {
       if (key) {
         const storageKey = `${scope}:${visibility}:${key}`;
         return storage.get(storageKey) ?? null;
-      } else {
-        // Return all keys for this scope/visibility
-        const result = {};
-        const prefix = `${scope}:${visibility}:`;
-        for (const [sKey, value] of storage.entries()) {
-          if (sKey.startsWith(prefix)) {
-            const actualKey = sKey.substring(prefix.length);
-            result[actualKey] = value;
-          }
-        }
-        return result;
       }
+      // Return all keys for this scope/visibility
+      return getScope(scope, visibility);
     }),
 
     set: jest.fn(async (scope, visibility, key, value) => {
-      const storageKey = `${scope}:${visibility}:${key}`;
-      storage.set(storageKey, value);
+      // Batch form: t.set(scope, visibility, { key: value, ... })
+      const values = typeof key === "object" ? key : { [key]: value };
+      // Like Trello, the limit covers every key of the scope together
+      const scopeData = { ...getScope(scope, visibility), ...values };
+      if (JSON.stringify(scopeData).length > STORAGE_LIMIT) {
+        throw new Error(
+          `PluginData length of ${STORAGE_LIMIT} characters exceeded`,
+        );
+      }
+      for (const [k, v] of Object.entries(values)) {
+        storage.set(`${scope}:${visibility}:${k}`, v);
+      }
     }),
 
     remove: jest.fn(async (scope, visibility, key) => {
@@ -54,6 +69,11 @@ export const createTrelloMock = (overrides = {}) => {
       { id: "card-2", name: "Card 2" },
     ]),
 
+    lists: jest.fn(async () => [
+      { id: "list-1", name: "To Do" },
+      { id: "list-2", name: "Done" },
+    ]),
+
     // Board methods
     board: jest.fn(async (...fields) => {
       const result = {
@@ -96,6 +116,10 @@ export const createTrelloMock = (overrides = {}) => {
     storage.set(storageKey, value);
   };
 
+  // Helper to measure a scope's storage as Trello counts it against the limit
+  mockT._getStorageSize = (scope, visibility) =>
+    JSON.stringify(getScope(scope, visibility)).length;
+
   // Helper to get storage state
   mockT._getStorage = (scope, visibility, key) => {
     const storageKey = `${scope}:${visibility}:${key}`;
@@ -0,0 +1,267 @@
+/**
+ * Tests for BillingService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import BillingService from "../../src/services/BillingService.js";
+import StorageService from "../../src/services/StorageService.js";
+import { DEFAULTS, TIME } from "../../src/utils/constants.js";
+
+const { HOUR, MINUTE } = TIME;
+
+const settings = {
+  ...DEFAULTS.BOARD_SETTINGS,
+  hourlyRate: 60,
+  memberRates: { "member-2": 90, "member-3": 0 },
+};
+
+describe("BillingService", () => {
+  describe("hasRates", () => {
+    test("is false without rates", () => {
+      expect(BillingService.hasRates(DEFAULTS.BOARD_SETTINGS)).toBe(false);
+      expect(BillingService.hasRates(null)).toBe(false);
+      expect(BillingService.hasRates({ hourlyRate: null })).toBe(false);
+    });
+
+    test("is true with a default or a member rate", () => {
+      expect(BillingService.hasRates({ hourlyRate: 0 })).toBe(true);
+      expect(
+        BillingService.hasRates({
+          hourlyRate: null,
+          memberRates: { "member-1": 10 },
+        }),
+      ).toBe(true);
+    });
+  });
+
+  describe("getMemberRate", () => {
+    test("prefers the member's own rate", () => {
+      expect(BillingService.getMemberRate(settings, "member-2")).toBe(90);
+      expect(BillingService.getMemberRate(settings, "member-3")).toBe(0);
+    });
+
+    test("falls back to the default rate", () => {
+      expect(BillingService.getMemberRate(settings, "member-1")).toBe(60);
+      expect(BillingService.getMemberRate(settings, null)).toBe(60);
+    });
+
+    test("is null when neither is set", () => {
+      expect(
+        BillingService.getMemberRate(
+          { memberRates: { "member-2": 90 } },
+          "member-1",
+        ),
+      ).toBeNull();
+      expect(BillingService.getMemberRate(null, "member-1")).toBeNull();
+    });
+  });
+
+  describe("getRounding", () => {
+    test("reads the board's rules", () => {
+      const rounding = { mode: "up", increment: 6 * MINUTE, minimum: MINUTE };
+
+      expect(BillingService.getRounding({ rounding })).toEqual(rounding);
+    });
+
+    test("falls back to the defaults for missing or invalid rules", () => {
+      expect(BillingService.getRounding(null)).toEqual(
+        DEFAULTS.BOARD_SETTINGS.rounding,
+      );
+      expect(
+        BillingService.getRounding({
+          rounding: { mode: "down", increment: 7 * MINUTE, minimum: -1 },
+        }),
+      ).toEqual(DEFAULTS.BOARD_SETTINGS.rounding);
+    });
+  });
+
+  describe("isRounded", () => {
+    test("is false when time is billed as tracked", () => {
+      expect(BillingService.isRounded(DEFAULTS.BOARD_SETTINGS)).toBe(false);
+      expect(BillingService.isRounded(null)).toBe(false);
+    });
+
+    test("is true with a rounding mode or a minimum", () => {
+      expect(BillingService.isRounded({ rounding: { mode: "nearest" } })).toBe(
+        true,
+      );
+      expect(
+        BillingService.isRounded({
+          rounding: { mode: "none", minimum: MINUTE },
+        }),
+      ).toBe(true);
+    });
+  });
+
+  describe("roundDuration", () => {
+    const rounding = (mode, minimum = 0) => ({
+      rounding: { mode, increment: 15 * MINUTE, minimum },
+    });
+
+    test.each([
+      ["none", 7 * MINUTE, 7 * MINUTE],
+      ["up", 7 * MINUTE, 15 * MINUTE],
+      ["up", 15 * MINUTE, 15 * MINUTE],
+      ["nearest", 7 * MINUTE, 0],
+      ["nearest", 8 * MINUTE, 15 * MINUTE],
+      ["nearest", 37 * MINUTE, 30 * MINUTE],
+    ])("rounds %s: %d ms to %d ms", (mode, ms, expected) => {
+      expect(BillingService.roundDuration(ms, rounding(mode))).toBe(expected);
+    });
+
+    test("bills short entries as the minimum", () => {
+      expect(
+        BillingService.roundDuration(
+          2 * MINUTE,
+          rounding("nearest", 10 * MINUTE),
+        ),
+      ).toBe(10 * MINUTE);
+      expect(
+        BillingService.roundDuration(2 * MINUTE, rounding("none", 10 * MINUTE)),
+      ).toBe(10 * MINUTE);
+    });
+
+    test("leaves entries without time at zero", () => {
+      expect(BillingService.roundDuration(0, rounding("up", MINUTE))).toBe(0);
+      expect(BillingService.roundDuration(undefined, rounding("up"))).toBe(0);
+    });
+  });
+
+  describe("getBilledTime", () => {
+    const entries = [{ duration: 7 * MINUTE }, { duration: 20 * MINUTE }];
+
+    test("rounds each entry of the tracked time", () => {
+      expect(
+        BillingService.getBilledTime(HOUR + 27 * MINUTE, entries, {
+          rounding: { mode: "up", increment: 15 * MINUTE },
+        }),
+      ).toBe(HOUR + 45 * MINUTE);
+    });
+
+    test("is the tracked time without rounding", () => {
+      expect(
+        BillingService.getBilledTime(HOUR, entries, DEFAULTS.BOARD_SETTINGS),
+      ).toBe(HOUR);
+    });
+  });
+
+  describe("calculateEntryCost", () => {
+    test("bills the entry's duration at the member's rate", () => {
+      expect(
+        BillingService.calculateEntryCost(
+          { duration: 30 * MINUTE, memberId: "member-2" },
+          settings,
+        ),
+      ).toBe(45);
+    });
+
+    test("bills the rounded duration", () => {
+      expect(
+        BillingService.calculateEntryCost(
+          { duration: 7 * MINUTE, memberId: "member-1" },
+          {
+            ...settings,
+            rounding: { mode: "up", increment: 6 * MINUTE, minimum: 0 },
+          },
+        ),
+      ).toBe(12);
+    });
+
+    test("is zero for entries in a non-billable category", () => {
+      expect(
+        BillingService.calculateEntryCost(
+          { duration: HOUR, memberId: "member-2", categoryId: "cat_meet" },
+          {
+            ...settings,
+            categories: [{ id: "cat_meet", name: "Meeting", billable: false }],
+          },
+        ),
+      ).toBe(0);
+    });
+
+    test("is zero for entries without a rate", () => {
+      expect(
+        BillingService.calculateEntryCost(
+          { duration: HOUR, memberId: "member-1" },
+          { memberRates: { "member-2": 90 } },
+        ),
+      ).toBe(0);
+    });
+  });
+
+  describe("calculateCost", () => {
+    test("sums the entries' costs", () => {
+      const entries = [
+        { duration: HOUR, memberId: "member-1" },
+        { duration: 2 * HOUR, memberId: "member-2" },
+        { duration: HOUR, memberId: "member-3" },
+        { duration: HOUR },
+      ];
+
+      expect(BillingService.calculateCost(entries, settings)).toBe(300);
+    });
+
+    test("is null when the board sets no rates", () => {
+      expect(
+        BillingService.calculateCost(
+          [{ duration: HOUR }],
+          DEFAULTS.BOARD_SETTINGS,
+        ),
+      ).toBeNull();
+    });
+  });
+
+  describe("getCardCost", () => {
+    let mockT;
+
+    beforeEach(() => {
+      mockT = createTrelloMock();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("includes the card's entry history", async () => {
+      const getEntryHistory = jest
+        .spyOn(StorageService, "getEntryHistory")
+        .mockResolvedValue([{ duration: HOUR, memberId: "member-2" }]);
+
+      const cost = await BillingService.getCardCost(
+        mockT,
+        {
+          recentEntries: [{ duration: HOUR, memberId: "member-1" }],
+          archivedCount: 1,
+        },
+        settings,
+      );
+
+      expect(cost).toBe(150);
+      expect(getEntryHistory).toHaveBeenCalledWith(mockT);
+    });
+
+    test("skips the history when nothing was archived", async () => {
+      const getEntryHistory = jest.spyOn(StorageService, "getEntryHistory");
+
+      const cost = await BillingService.getCardCost(
+        mockT,
+        { recentEntries: [{ duration: HOUR }], archivedCount: 0 },
+        settings,
+      );
+
+      expect(cost).toBe(60);
+      expect(getEntryHistory).not.toHaveBeenCalled();
+    });
+
+    test("is null without rates", async () => {
+      expect(
+        await BillingService.getCardCost(
+          mockT,
+          { recentEntries: [{ duration: HOUR }], archivedCount: 0 },
+          DEFAULTS.BOARD_SETTINGS,
+        ),
+      ).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for CategoryService.js
+ */
+
+import CategoryService, {
+  UNCATEGORIZED,
+} from "../../src/services/CategoryService.js";
+import { CATEGORY_COLORS, TIME } from "../../src/utils/constants.js";
+
+const { HOUR } = TIME;
+
+const categories = [
+  { id: "cat_dev", name: "Development", color: "#4bce97", billable: true },
+  { id: "cat_meet", name: "Meeting", color: "#579dff", billable: false },
+];
+const settings = { categories };
+
+describe("CategoryService", () => {
+  describe("getCategories", () => {
+    test("returns the board's categories", () => {
+      expect(CategoryService.getCategories(settings)).toBe(categories);
+    });
+
+    test("returns an empty list without settings", () => {
+      expect(CategoryService.getCategories(null)).toEqual([]);
+      expect(CategoryService.getCategories({})).toEqual([]);
+    });
+  });
+
+  describe("findCategory", () => {
+    test("finds a category by ID", () => {
+      expect(CategoryService.findCategory(settings, "cat_meet")).toBe(
+        categories[1],
+      );
+    });
+
+    test("returns null for missing or deleted categories", () => {
+      expect(CategoryService.findCategory(settings, undefined)).toBeNull();
+      expect(CategoryService.findCategory(settings, "cat_gone")).toBeNull();
+    });
+  });
+
+  describe("isBillable", () => {
+    test("follows the category's billable flag", () => {
+      expect(CategoryService.isBillable(settings, "cat_dev")).toBe(true);
+      expect(CategoryService.isBillable(settings, "cat_meet")).toBe(false);
+    });
+
+    test("bills time without a known category", () => {
+      expect(CategoryService.isBillable(settings, null)).toBe(true);
+      expect(CategoryService.isBillable(settings, "cat_gone")).toBe(true);
+    });
+  });
+
+  describe("createCategory", () => {
+    test("creates a billable category with a unique ID", () => {
+      const a = CategoryService.createCategory("Review");
+      const b = CategoryService.createCategory("Review");
+
+      expect(a).toMatchObject({
+        name: "Review",
+        color: CATEGORY_COLORS[0],
+        billable: true,
+      });
+      expect(a.id).toMatch(/^cat_/);
+      expect(a.id).not.toBe(b.id);
+    });
+
+    test("picks the next color in turn", () => {
+      expect(CategoryService.createCategory("QA", categories).color).toBe(
+        CATEGORY_COLORS[2],
+      );
+      expect(
+        CategoryService.createCategory("QA", new Array(CATEGORY_COLORS.length))
+          .color,
+      ).toBe(CATEGORY_COLORS[0]);
+    });
+  });
+
+  describe("summarizeByCategory", () => {
+    test("sums time per category in the board's order", () => {
+      const totals = CategoryService.summarizeByCategory(
+        [
+          { duration: HOUR, categoryId: "cat_meet" },
+          { duration: 2 * HOUR, categoryId: "cat_dev" },
+          { duration: HOUR, categoryId: "cat_dev" },
+        ],
+        categories,
+      );
+
+      expect(totals).toEqual([
+        {
+          id: "cat_dev",
+          name: "Development",
+          color: "#4bce97",
+          totalTime: 3 * HOUR,
+        },
+        { id: "cat_meet", name: "Meeting", color: "#579dff", totalTime: HOUR },
+      ]);
+    });
+
+    test("sums time without a known category last", () => {
+      const totals = CategoryService.summarizeByCategory(
+        [
+          { duration: HOUR },
+          { duration: HOUR, categoryId: "cat_gone" },
+          { duration: HOUR, categoryId: "cat_meet" },
+        ],
+        categories,
+      );
+
+      expect(totals.map((row) => [row.name, row.totalTime])).toEqual([
+        ["Meeting", HOUR],
+        [UNCATEGORIZED, 2 * HOUR],
+      ]);
+    });
+
+    test("is empty without entries", () => {
+      expect(CategoryService.summarizeByCategory([], categories)).toEqual([]);
+    });
+  });
+});
@@ -4,14 +4,17 @@
 
 import {
   getChecklists,
+  getBoardChecklists,
   getAllCheckItems,
   calculateChecklistEstimate,
   getEffectiveEstimate,
   getCheckItemData,
   getCheckItemTotalTime,
   getRunningCheckItem,
+  getPausedCheckItem,
+  getOrphanedItems,
 } from "../../src/services/ChecklistService.js";
-import { TIMER_STATE } from "../../src/utils/constants.js";
+import { TIME, TIMER_STATE } from "../../src/utils/constants.js";
 import { jest } from "@jest/globals";
 import { createTrelloMock, createErrorMock } from "../mocks/trelloMock.js";
 
@@ -52,6 +55,7 @@ describe("ChecklistService", () => {
       expect(result).toEqual(mockChecklists);
       expect(global.fetch).toHaveBeenCalledWith(
         expect.stringContaining("api.trello.com"),
+        { method: "GET" },
       );
       expect(mockT.getRestApi).toHaveBeenCalled();
     });
@@ -63,11 +67,11 @@ describe("ChecklistService", () => {
       expect(result).toBeNull();
     });
 
-    test("returns empty array when token missing", async () => {
+    test("returns null when token missing", async () => {
       mockT.getRestApi().getToken.mockResolvedValue(null);
 
       const result = await getChecklists(mockT);
-      expect(result).toEqual([]);
+      expect(result).toBeNull();
     });
 
     test("returns empty array when cardId missing", async () => {
@@ -78,14 +82,69 @@ describe("ChecklistService", () => {
     });
 
     test("returns empty array on API error", async () => {
+      jest.useFakeTimers();
       global.fetch.mockResolvedValue({
         ok: false,
         status: 500,
         statusText: "Error",
       });
 
-      const result = await getChecklists(mockT);
-      expect(result).toEqual([]);
+      const pending = getChecklists(mockT);
+      await jest.advanceTimersByTimeAsync(6 * TIME.SECOND);
+      expect(await pending).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      jest.useRealTimers();
+    });
+  });
+
+  describe("getBoardChecklists", () => {
+    beforeEach(() => {
+      global.fetch = jest.fn();
+
+      mockT.getContext = jest.fn().mockReturnValue({ board: "board123" });
+      mockT.getRestApi = jest.fn().mockReturnValue({
+        isAuthorized: jest.fn().mockResolvedValue(true),
+        getToken: jest.fn().mockResolvedValue("test-token"),
+      });
+    });
+
+    test("returns the checklists of every card on the board", async () => {
+      const mockChecklists = [
+        { id: "cl1", idCard: "card1", name: "Checklist 1", checkItems: [] },
+      ];
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => mockChecklists,
+      });
+
+      const result = await getBoardChecklists(mockT);
+
+      expect(result).toEqual(mockChecklists);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining("api.trello.com/1/boards/board123/checklists"),
+        { method: "GET" },
+      );
+    });
+
+    test("returns null when not authorized", async () => {
+      mockT.getRestApi().isAuthorized.mockResolvedValue(false);
+
+      expect(await getBoardChecklists(mockT)).toBeNull();
+    });
+
+    test("returns empty array when boardId missing", async () => {
+      mockT.getContext = jest.fn().mockReturnValue({});
+
+      expect(await getBoardChecklists(mockT)).toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test("returns empty array when the context is unavailable", async () => {
+      mockT.getContext = jest.fn(() => {
+        throw new Error("No context");
+      });
+
+      expect(await getBoardChecklists(mockT)).toEqual([]);
     });
   });
 
@@ -285,4 +344,79 @@ describe("ChecklistService", () => {
       expect(result.itemId).toBe("item2");
     });
   });
+
+  describe("getPausedCheckItem", () => {
+    test("returns isPaused false when no items paused", () => {
+      const timerData = {
+        checklistTotals: {
+          item1: { state: TIMER_STATE.RUNNING },
+        },
+      };
+
+      const result = getPausedCheckItem(timerData);
+      expect(result.isPaused).toBe(false);
+      expect(result.itemId).toBeNull();
+    });
+
+    test("returns paused item ID", () => {
+      const timerData = {
+        checklistTotals: {
+          item1: { state: TIMER_STATE.IDLE },
+          item2: { state: TIMER_STATE.PAUSED },
+        },
+      };
+
+      const result = getPausedCheckItem(timerData);
+      expect(result.isPaused).toBe(true);
+      expect(result.itemId).toBe("item2");
+    });
+  });
+
+  describe("getOrphanedItems", () => {
+    const checklists = [
+      { id: "cl1", checkItems: [{ id: "item1", name: "A" }] },
+    ];
+
+    test("lists items with time that are no longer on the checklists", () => {
+      const timerData = {
+        checklistTotals: {
+          item1: { totalTime: 1000, entryCount: 1 },
+          gone: {
+            totalTime: 2000,
+            entryCount: 2,
+            estimatedTime: 3000,
+            currentEntry: null,
+          },
+          running: { totalTime: 0, currentEntry: { startTime: 1 } },
+        },
+      };
+
+      expect(getOrphanedItems(timerData, checklists)).toEqual([
+        {
+          id: "gone",
+          totalTime: 2000,
+          entryCount: 2,
+          estimatedTime: 3000,
+          isActive: false,
+        },
+        {
+          id: "running",
+          totalTime: 0,
+          entryCount: 0,
+          estimatedTime: null,
+          isActive: true,
+        },
+      ]);
+    });
+
+    test("finds none when the checklists couldn't be read", () => {
+      const timerData = { checklistTotals: { gone: { totalTime: 1000 } } };
+
+      expect(getOrphanedItems(timerData, null)).toEqual([]);
+    });
+
+    test("handles missing timer data", () => {
+      expect(getOrphanedItems(null, checklists)).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,295 @@
+/**
+ * Tests for CommentService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import CommentService from "../../src/services/CommentService.js";
+import TrelloService from "../../src/services/TrelloService.js";
+import {
+  ERROR_CODES,
+  DEFAULTS,
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  TIME,
+} from "../../src/utils/constants.js";
+
+const { MINUTE, SECOND } = TIME;
+
+const settings = {
+  ...DEFAULTS.BOARD_SETTINGS,
+  commentLog: { ...DEFAULTS.BOARD_SETTINGS.commentLog, enabled: true },
+};
+
+const entry = {
+  id: "e_1",
+  startTime: 0,
+  endTime: 80 * MINUTE,
+  duration: 80 * MINUTE,
+  description: "fixing login bug",
+  checklistItemId: null,
+  memberId: "member-1",
+};
+
+const respond = ({ ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  statusText: ok ? "OK" : "Error",
+  json: async () => ({}),
+});
+
+describe("CommentService", () => {
+  let mockT;
+  let restApi;
+
+  const posted = () =>
+    fetch.mock.calls.map(([url, init]) => [
+      url.split("?")[0],
+      JSON.parse(init.body).text,
+    ]);
+
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue(respond());
+    restApi = {
+      isAuthorized: jest.fn().mockResolvedValue(true),
+      getToken: jest.fn().mockResolvedValue("test-token"),
+    };
+    mockT = createTrelloMock({
+      getRestApi: jest.fn(() => restApi),
+      getContext: jest.fn(() => ({ board: "board-1", card: "card-1" })),
+      card: jest.fn(async () => ({ id: "card-1" })),
+      member: jest.fn(async () => ({
+        id: "member-1",
+        fullName: "Ana",
+        username: "ana",
+      })),
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("isEnabled", () => {
+    test("is true once the board turns the comment log on", () => {
+      expect(CommentService.isEnabled(settings)).toBe(true);
+    });
+
+    test("is false otherwise", () => {
+      expect(CommentService.isEnabled(DEFAULTS.BOARD_SETTINGS)).toBe(false);
+      expect(CommentService.isEnabled({})).toBe(false);
+      expect(CommentService.isEnabled(null)).toBe(false);
+    });
+  });
+
+  describe("formatComment", () => {
+    test("fills in the placeholders", () => {
+      expect(
+        CommentService.formatComment(
+          "⏱ {duration} logged by {member} – {description}",
+          { duration: "1h 20m", member: "Ana", description: "fixing login" },
+        ),
+      ).toBe("⏱ 1h 20m logged by Ana – fixing login");
+    });
+
+    test("drops separators left dangling by empty values", () => {
+      expect(
+        CommentService.formatComment("{duration} by {member} – {description}", {
+          duration: "5m",
+          member: "Ana",
+          description: "",
+        }),
+      ).toBe("5m by Ana");
+    });
+
+    test("leaves unknown placeholders as written", () => {
+      expect(
+        CommentService.formatComment("{duration} {estimate}", {
+          duration: "5m",
+        }),
+      ).toBe("5m {estimate}");
+    });
+  });
+
+  describe("logEntry", () => {
+    test("posts the entry as a comment on the card", async () => {
+      const result = await CommentService.logEntry(mockT, entry, { settings });
+
+      expect(result).toEqual({ success: true, posted: true });
+      expect(posted()).toEqual([
+        [
+          "https://api.trello.com/1/cards/card-1/actions/comments",
+          "⏱ 1h 20m logged by Ana – fixing login bug",
+        ],
+      ]);
+      expect(fetch.mock.calls[0][1].method).toBe("POST");
+    });
+
+    test("uses the board's template", async () => {
+      await CommentService.logEntry(
+        mockT,
+        { ...entry, duration: 45 * SECOND },
+        {
+          settings: {
+            ...settings,
+            commentLog: { enabled: true, template: "{member}: {duration}" },
+          },
+        },
+      );
+
+      expect(posted()[0][1]).toBe("Ana: 0m 45s");
+    });
+
+    test("names the checklist item", async () => {
+      fetch.mockImplementation(async (url) =>
+        url.includes("/checklists")
+          ? {
+              ...respond(),
+              json: async () => [
+                { id: "cl-1", checkItems: [{ id: "item-1", name: "Login" }] },
+              ],
+            }
+          : respond(),
+      );
+
+      await CommentService.logEntry(
+        mockT,
+        { ...entry, checklistItemId: "item-1" },
+        {
+          settings: {
+            ...settings,
+            commentLog: { enabled: true, template: "{duration} on {item}" },
+          },
+        },
+      );
+
+      expect(fetch.mock.calls.at(-1)[0]).toContain("/actions/comments");
+      expect(JSON.parse(fetch.mock.calls.at(-1)[1].body).text).toBe(
+        "1h 20m on Login",
+      );
+    });
+
+    test("names the checklist item of another card of the board", async () => {
+      fetch.mockImplementation(async (url) =>
+        url.includes("/cards/card-2/checklists")
+          ? {
+              ...respond(),
+              json: async () => [
+                { id: "cl-2", checkItems: [{ id: "item-2", name: "Deploy" }] },
+              ],
+            }
+          : respond(),
+      );
+
+      await CommentService.logEntry(
+        TrelloService.forCard(mockT, "card-2"),
+        { ...entry, checklistItemId: "item-2" },
+        {
+          settings: {
+            ...settings,
+            commentLog: { enabled: true, template: "{duration} on {item}" },
+          },
+        },
+      );
+
+      expect(JSON.parse(fetch.mock.calls.at(-1)[1].body).text).toBe(
+        "1h 20m on Deploy",
+      );
+    });
+
+    test("posts on another card of the board", async () => {
+      await CommentService.logEntry(
+        TrelloService.forCard(mockT, "card-2"),
+        entry,
+        { settings },
+      );
+
+      expect(posted()[0][0]).toBe(
+        "https://api.trello.com/1/cards/card-2/actions/comments",
+      );
+    });
+
+    test("reads the board settings when not given", async () => {
+      mockT._setStorage(
+        "board",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.BOARD_SETTINGS,
+        settings,
+      );
+
+      const result = await CommentService.logEntry(mockT, entry);
+
+      expect(result.posted).toBe(true);
+    });
+
+    test("does nothing when the board keeps no comment log", async () => {
+      const result = await CommentService.logEntry(mockT, entry, {
+        settings: DEFAULTS.BOARD_SETTINGS,
+      });
+
+      expect(result).toEqual({ success: true, posted: false });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test("fails when TimeUp isn't authorized", async () => {
+      restApi.isAuthorized.mockResolvedValue(false);
+
+      expect(await CommentService.logEntry(mockT, entry, { settings })).toEqual(
+        {
+          success: false,
+          needsWriteAccess: true,
+          error: ERROR_CODES.NOT_AUTHORIZED,
+        },
+      );
+    });
+
+    test("fails when the card can't be read", async () => {
+      mockT.card = jest.fn(async () => {
+        throw new Error("Card not found");
+      });
+
+      expect(await CommentService.logEntry(mockT, entry, { settings })).toEqual(
+        { success: false, error: ERROR_CODES.CARD_UNAVAILABLE },
+      );
+    });
+
+    test("retries a failed post", async () => {
+      jest.useFakeTimers();
+      fetch
+        .mockRejectedValueOnce(new Error("Network down"))
+        .mockResolvedValueOnce(respond({ ok: false, status: 503 }))
+        .mockResolvedValueOnce(respond());
+
+      const pending = CommentService.logEntry(mockT, entry, { settings });
+      await jest.advanceTimersByTimeAsync(6 * SECOND);
+
+      expect(await pending).toEqual({ success: true, posted: true });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test("gives up after the last attempt", async () => {
+      jest.useFakeTimers();
+      fetch.mockResolvedValue(respond({ ok: false, status: 500 }));
+
+      const pending = CommentService.logEntry(mockT, entry, { settings });
+      await jest.advanceTimersByTimeAsync(6 * SECOND);
+
+      expect(await pending).toEqual({
+        success: false,
+        needsWriteAccess: false,
+        error: "API Error 500: Error",
+      });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test("doesn't retry a refused post", async () => {
+      fetch.mockResolvedValue(respond({ ok: false, status: 401 }));
+
+      const result = await CommentService.logEntry(mockT, entry, { settings });
+
+      expect(result.success).toBe(false);
+      expect(result.needsWriteAccess).toBe(true);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Tests for CustomFieldService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import CustomFieldService from "../../src/services/CustomFieldService.js";
+import TrelloService from "../../src/services/TrelloService.js";
+import {
+  ERROR_CODES,
+  DEFAULTS,
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  TIME,
+} from "../../src/utils/constants.js";
+
+const { HOUR, MINUTE, SECOND } = TIME;
+
+const settings = {
+  ...DEFAULTS.BOARD_SETTINGS,
+  customFields: { trackedFieldId: "cf-hours", estimateFieldId: "cf-estimate" },
+};
+
+const respond = (body, { ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  statusText: ok ? "OK" : "Unauthorized",
+  json: async () => body,
+});
+
+describe("CustomFieldService", () => {
+  let mockT;
+  let restApi;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    restApi = {
+      isAuthorized: jest.fn().mockResolvedValue(true),
+      getToken: jest.fn().mockResolvedValue("test-token"),
+    };
+    mockT = createTrelloMock({
+      getRestApi: jest.fn(() => restApi),
+      getContext: jest.fn(() => ({ board: "board-1", card: "card-1" })),
+      card: jest.fn(async () => ({ id: "card-1" })),
+    });
+    mockT._setStorage(
+      "card",
+      STORAGE_SCOPES.CARD_SHARED,
+      STORAGE_KEYS.TIMER_DATA,
+      {
+        ...DEFAULTS.TIMER_DATA,
+        totalTime: 90 * MINUTE,
+        estimatedTime: 4 * HOUR,
+        manualEstimateSet: true,
+      },
+    );
+  });
+
+  describe("isSyncEnabled", () => {
+    test("is true once a field is chosen", () => {
+      expect(CustomFieldService.isSyncEnabled(settings)).toBe(true);
+      expect(
+        CustomFieldService.isSyncEnabled({
+          customFields: { trackedFieldId: null, estimateFieldId: "cf-1" },
+        }),
+      ).toBe(true);
+    });
+
+    test("is false without fields", () => {
+      expect(CustomFieldService.isSyncEnabled(DEFAULTS.BOARD_SETTINGS)).toBe(
+        false,
+      );
+      expect(CustomFieldService.isSyncEnabled({})).toBe(false);
+      expect(CustomFieldService.isSyncEnabled(null)).toBe(false);
+    });
+  });
+
+  describe("toFieldHours", () => {
+    test.each([
+      [90 * MINUTE, 1.5],
+      [20 * MINUTE, 0.33],
+      [0, 0],
+    ])("converts %p ms to %p hours", (ms, hours) => {
+      expect(CustomFieldService.toFieldHours(ms)).toBe(hours);
+    });
+  });
+
+  describe("getNumberFields", () => {
+    test("returns the board's Number fields", async () => {
+      fetch.mockResolvedValue(
+        respond([
+          { id: "cf-hours", name: "Hours", type: "number" },
+          { id: "cf-stage", name: "Stage", type: "list" },
+        ]),
+      );
+
+      expect(await CustomFieldService.getNumberFields(mockT)).toEqual({
+        success: true,
+        data: [{ id: "cf-hours", name: "Hours" }],
+      });
+      expect(fetch.mock.calls[0][0]).toContain(
+        "https://api.trello.com/1/boards/board-1/customFields?key=",
+      );
+    });
+
+    test("returns null when TimeUp isn't authorized", async () => {
+      restApi.isAuthorized.mockResolvedValue(false);
+
+      expect(await CustomFieldService.getNumberFields(mockT)).toEqual({
+        success: true,
+        data: null,
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test("returns an error when the request fails", async () => {
+      jest.useFakeTimers();
+      fetch.mockResolvedValue(respond(null, { ok: false, status: 500 }));
+
+      const pending = CustomFieldService.getNumberFields(mockT);
+      await jest.advanceTimersByTimeAsync(6 * SECOND);
+      const result = await pending;
+      jest.useRealTimers();
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({
+        success: false,
+        error: "API Error 500: Unauthorized",
+      });
+    });
+  });
+
+  describe("syncCard", () => {
+    const puts = () =>
+      fetch.mock.calls
+        .filter(([, init]) => init.method === "PUT")
+        .map(([url, init]) => [
+          url.split("?")[0].replace("https://api.trello.com/1/", ""),
+          JSON.parse(init.body),
+        ]);
+
+    beforeEach(() => {
+      fetch.mockImplementation(async (url, init) =>
+        respond(init.method === "GET" ? [] : {}),
+      );
+    });
+
+    test("writes tracked and estimated hours", async () => {
+      const result = await CustomFieldService.syncCard(mockT, {
+        settings,
+        checklists: [],
+      });
+
+      expect(result).toEqual({ success: true, synced: 2 });
+      expect(puts()).toEqual([
+        [
+          "cards/card-1/customField/cf-hours/item",
+          { value: { number: "1.5" } },
+        ],
+        [
+          "cards/card-1/customField/cf-estimate/item",
+          { value: { number: "4" } },
+        ],
+      ]);
+    });
+
+    test("leaves fields that already hold the value", async () => {
+      fetch.mockImplementation(async (url, init) =>
+        respond(
+          init.method === "GET"
+            ? [
+                { idCustomField: "cf-hours", value: { number: "1.5" } },
+                { idCustomField: "cf-estimate", value: { number: "3" } },
+              ]
+            : {},
+        ),
+      );
+
+      const result = await CustomFieldService.syncCard(mockT, {
+        settings,
+        checklists: [],
+      });
+
+      expect(result.synced).toBe(1);
+      expect(puts()).toEqual([
+        [
+          "cards/card-1/customField/cf-estimate/item",
+          { value: { number: "4" } },
+        ],
+      ]);
+    });
+
+    test("clears the estimate field when the card has none", async () => {
+      mockT._setStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+        { ...DEFAULTS.TIMER_DATA, totalTime: HOUR },
+      );
+      fetch.mockImplementation(async (url, init) =>
+        respond(
+          init.method === "GET"
+            ? [{ idCustomField: "cf-estimate", value: { number: "2" } }]
+            : {},
+        ),
+      );
+
+      await CustomFieldService.syncCard(mockT, { settings, checklists: null });
+
+      expect(puts()).toContainEqual([
+        "cards/card-1/customField/cf-estimate/item",
+        { value: "" },
+      ]);
+    });
+
+    test("only syncs tracked time without the card's checklists", async () => {
+      await CustomFieldService.syncCard(mockT, { settings });
+
+      expect(puts().map(([path]) => path)).toEqual([
+        "cards/card-1/customField/cf-hours/item",
+      ]);
+    });
+
+    test("syncs another card of the board", async () => {
+      mockT._setStorage(
+        "card-2",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+        { ...DEFAULTS.TIMER_DATA, totalTime: 2 * HOUR },
+      );
+
+      await CustomFieldService.syncCard(
+        TrelloService.forCard(mockT, "card-2"),
+        {
+          settings,
+        },
+      );
+
+      expect(puts()).toEqual([
+        ["cards/card-2/customField/cf-hours/item", { value: { number: "2" } }],
+      ]);
+    });
+
+    test("reads the board settings when not given", async () => {
+      mockT._setStorage(
+        "board",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.BOARD_SETTINGS,
+        settings,
+      );
+
+      const result = await CustomFieldService.syncCard(mockT);
+
+      expect(result).toEqual({ success: true, synced: 1 });
+    });
+
+    test("does nothing when the board doesn't sync", async () => {
+      const result = await CustomFieldService.syncCard(mockT, {
+        settings: DEFAULTS.BOARD_SETTINGS,
+        checklists: [],
+      });
+
+      expect(result).toEqual({ success: true, synced: 0 });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test("fails when the card can't be read", async () => {
+      mockT.card = jest.fn(async () => {
+        throw new Error("Card not found");
+      });
+
+      expect(await CustomFieldService.syncCard(mockT, { settings })).toEqual({
+        success: false,
+        error: ERROR_CODES.CARD_UNAVAILABLE,
+      });
+    });
+
+    test("needs access when TimeUp isn't authorized", async () => {
+      restApi.isAuthorized.mockResolvedValue(false);
+
+      const result = await CustomFieldService.syncCard(mockT, { settings });
+
+      expect(result.success).toBe(false);
+      expect(result.needsWriteAccess).toBe(true);
+    });
+
+    test("needs write access when the token can only read", async () => {
+      fetch.mockImplementation(async (url, init) =>
+        init.method === "GET"
+          ? respond([])
+          : respond(null, { ok: false, status: 401 }),
+      );
+
+      const result = await CustomFieldService.syncCard(mockT, { settings });
+
+      expect(result).toEqual({
+        success: false,
+        needsWriteAccess: true,
+        error: "API Error 401: Unauthorized",
+      });
+    });
+
+    test("reports other failures without asking for access", async () => {
+      jest.useFakeTimers();
+      fetch.mockRejectedValue(new Error("Network down"));
+
+      const pending = CustomFieldService.syncCard(mockT, { settings });
+      await jest.advanceTimersByTimeAsync(6 * SECOND);
+      const result = await pending;
+      jest.useRealTimers();
+
+      expect(result).toEqual({
+        success: false,
+        needsWriteAccess: false,
+        error: "Network down",
+      });
+    });
+  });
+});
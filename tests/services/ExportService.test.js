@@ -0,0 +1,348 @@
+/**
+ * Tests for ExportService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import ExportService, {
+  CSV_COLUMNS,
+} from "../../src/services/ExportService.js";
+import ChecklistService from "../../src/services/ChecklistService.js";
+import {
+  ERROR_CODES,
+  DEFAULTS,
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  TIME,
+} from "../../src/utils/constants.js";
+
+const { HOUR, MINUTE } = TIME;
+const START = new Date(2024, 0, 27, 9, 0).getTime();
+
+const entry = (overrides = {}) => ({
+  id: "entry_1",
+  startTime: START,
+  endTime: START + 90 * MINUTE,
+  duration: 90 * MINUTE,
+  description: "Wrote tests",
+  checklistItemId: null,
+  memberId: "member-1",
+  ...overrides,
+});
+
+describe("ExportService", () => {
+  describe("escapeCsvField", () => {
+    test("leaves plain values unquoted", () => {
+      expect(ExportService.escapeCsvField("Write docs")).toBe("Write docs");
+      expect(ExportService.escapeCsvField(42)).toBe("42");
+    });
+
+    test("writes null and undefined as empty fields", () => {
+      expect(ExportService.escapeCsvField(null)).toBe("");
+      expect(ExportService.escapeCsvField(undefined)).toBe("");
+    });
+
+    test("quotes fields holding commas, quotes or line breaks", () => {
+      expect(ExportService.escapeCsvField("a,b")).toBe('"a,b"');
+      expect(ExportService.escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(ExportService.escapeCsvField("line\nbreak")).toBe('"line\nbreak"');
+      expect(ExportService.escapeCsvField("line\r\nbreak")).toBe(
+        '"line\r\nbreak"',
+      );
+    });
+
+    test.each(["=", "+", "-", "@", "\t"])(
+      "neutralizes values starting with %j",
+      (prefix) => {
+        expect(ExportService.escapeCsvField(`${prefix}SUM(A1)`)).toBe(
+          `'${prefix}SUM(A1)`,
+        );
+      },
+    );
+
+    test("neutralizes formulas before quoting", () => {
+      expect(ExportService.escapeCsvField('=HYPERLINK("x")')).toBe(
+        `"'=HYPERLINK(""x"")"`,
+      );
+      expect(ExportService.escapeCsvField("\rcmd")).toBe(`"'\rcmd"`);
+    });
+  });
+
+  describe("toCsv", () => {
+    test("joins fields with commas and rows with CRLF", () => {
+      expect(
+        ExportService.toCsv([
+          ["a", "b"],
+          ["c,d", null],
+        ]),
+      ).toBe('a,b\r\n"c,d",\r\n');
+    });
+  });
+
+  describe("formatCsvDuration", () => {
+    test.each([
+      [0, "0:00"],
+      [5 * MINUTE, "0:05"],
+      [65 * MINUTE, "1:05"],
+      [25 * HOUR, "25:00"],
+      [90 * 1000, "0:02"],
+      [undefined, "0:00"],
+    ])("formats %p as %p", (ms, expected) => {
+      expect(ExportService.formatCsvDuration(ms)).toBe(expected);
+    });
+  });
+
+  describe("buildEntryRows", () => {
+    const card = {
+      id: "card-1",
+      name: "Login page",
+      url: "https://trello.com/c/1",
+      idList: "list-1",
+    };
+    const names = {
+      lists: [{ id: "list-1", name: "Doing" }],
+      members: [
+        { id: "member-1", fullName: "Alice Smith", username: "alice" },
+        { id: "member-2", fullName: "", username: "bob" },
+      ],
+      checkItems: [{ id: "item-1", name: "Validate form" }],
+    };
+
+    test("starts with the header row", () => {
+      expect(ExportService.buildEntryRows([], names)).toEqual([CSV_COLUMNS]);
+    });
+
+    test("writes one row per entry with names resolved", () => {
+      const rows = ExportService.buildEntryRows(
+        [{ ...card, entries: [entry({ checklistItemId: "item-1" })] }],
+        names,
+      );
+
+      expect(rows[1]).toEqual([
+        "Login page",
+        "https://trello.com/c/1",
+        "Doing",
+        "Alice Smith",
+        "Validate form",
+        "2024-01-27 09:00",
+        "2024-01-27 10:30",
+        "1:30",
+        "1.50",
+        "Wrote tests",
+      ]);
+    });
+
+    test("falls back for missing members, items and lists", () => {
+      const rows = ExportService.buildEntryRows(
+        [
+          {
+            ...card,
+            idList: "list-9",
+            entries: [
+              entry({ memberId: null }),
+              entry({ memberId: "member-2", startTime: START + HOUR }),
+              entry({
+                memberId: "member-9",
+                checklistItemId: "item-9",
+                startTime: START + 2 * HOUR,
+              }),
+            ],
+          },
+        ],
+        names,
+      );
+
+      expect(rows.slice(1).map((row) => row.slice(2, 5))).toEqual([
+        ["", "", ""],
+        ["", "bob", ""],
+        ["", "Former member", ""],
+      ]);
+    });
+
+    test("adds each entry's cost when the board bills time", () => {
+      const rows = ExportService.buildEntryRows(
+        [
+          {
+            ...card,
+            entries: [
+              entry(),
+              entry({ memberId: "member-2", startTime: START + HOUR }),
+            ],
+          },
+        ],
+        {
+          ...names,
+          settings: {
+            hourlyRate: 40,
+            memberRates: { "member-2": 100 },
+            currency: "EUR",
+          },
+        },
+      );
+
+      expect(rows[0]).toEqual([...CSV_COLUMNS, "Cost (EUR)"]);
+      expect(rows.slice(1).map((row) => row[10])).toEqual(["60.00", "150.00"]);
+    });
+
+    test("rounds hours and costs by the board's rules", () => {
+      const rows = ExportService.buildEntryRows(
+        [{ ...card, entries: [entry({ duration: 7 * MINUTE })] }],
+        {
+          ...names,
+          settings: {
+            hourlyRate: 100,
+            currency: "USD",
+            rounding: { mode: "up", increment: 6 * MINUTE, minimum: 0 },
+          },
+        },
+      );
+
+      expect(rows[1].slice(7, 9)).toEqual(["0:07", "0.20"]);
+      expect(rows[1][10]).toBe("20.00");
+    });
+
+    test("orders entries of all cards by start time", () => {
+      const rows = ExportService.buildEntryRows(
+        [
+          { ...card, entries: [entry({ startTime: START + HOUR })] },
+          {
+            ...card,
+            id: "card-2",
+            name: "Signup page",
+            entries: [entry({ startTime: START })],
+          },
+        ],
+        names,
+      );
+
+      expect(rows.slice(1).map((row) => row[0])).toEqual([
+        "Signup page",
+        "Login page",
+      ]);
+    });
+  });
+
+  describe("exports", () => {
+    let mockT;
+
+    const storeEntries = (cardId, entries) =>
+      mockT._setStorage(
+        cardId,
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+        {
+          ...DEFAULTS.TIMER_DATA,
+          totalTime: entries.reduce((sum, e) => sum + e.duration, 0),
+          recentEntries: entries,
+        },
+      );
+
+    beforeEach(() => {
+      jest.spyOn(Date, "now").mockReturnValue(START);
+      jest.spyOn(ChecklistService, "getChecklists").mockResolvedValue([]);
+      jest.spyOn(ChecklistService, "getBoardChecklists").mockResolvedValue([
+        {
+          id: "cl-1",
+          name: "Tasks",
+          checkItems: [{ id: "item-1", name: "Validate form" }],
+        },
+      ]);
+
+      mockT = createTrelloMock({
+        card: jest.fn(async () => ({
+          id: "card-1",
+          name: "Login Page!",
+          url: "https://trello.com/c/1",
+        })),
+        cards: jest.fn(async () => [
+          {
+            id: "card-1",
+            name: "Login Page!",
+            url: "https://trello.com/c/1",
+            idList: "list-1",
+          },
+          {
+            id: "card-2",
+            name: "Release",
+            url: "https://trello.com/c/2",
+            idList: "list-2",
+          },
+        ]),
+      });
+      storeEntries("card-1", [entry({ description: "=cmd|' /C calc'!A0" })]);
+      storeEntries("card-2", [
+        entry({ id: "entry_2", checklistItemId: "item-1" }),
+      ]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("exports the current card's entries", async () => {
+      const result = await ExportService.exportCardCsv(mockT);
+
+      expect(result.success).toBe(true);
+      expect(result.data.filename).toBe("timeup-login-page-2024-01-27.csv");
+      expect(result.data.entryCount).toBe(1);
+      expect(result.data.csv).toBe(
+        `${CSV_COLUMNS.join(",")}\r\n` +
+          `Login Page!,https://trello.com/c/1,To Do,Alice Smith,,2024-01-27 09:00,2024-01-27 10:30,1:30,1.50,'=cmd|' /C calc'!A0\r\n`,
+      );
+      expect(mockT.get).not.toHaveBeenCalledWith(
+        "card-2",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+      );
+    });
+
+    test("fails when the card can't be read", async () => {
+      mockT.card = jest.fn(async () => {
+        throw new Error("Card not found");
+      });
+
+      expect(await ExportService.exportCardCsv(mockT)).toEqual({
+        success: false,
+        error: ERROR_CODES.CARD_UNAVAILABLE,
+      });
+    });
+
+    test("exports the whole board", async () => {
+      mockT._setStorage(
+        "board",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.BOARD_SETTINGS,
+        { hourlyRate: 10, currency: "USD" },
+      );
+
+      const result = await ExportService.exportBoardCsv(mockT);
+
+      expect(result.data.filename).toBe("timeup-test-board-2024-01-27.csv");
+      expect(result.data.entryCount).toBe(2);
+      expect(result.data.csv).toContain(",Done,Alice Smith,Validate form,");
+      expect(result.data.csv).toContain(",Description,Cost (USD)\r\n");
+      expect(result.data.csv).toContain(",Wrote tests,15.00\r\n");
+    });
+
+    test("exports a single list", async () => {
+      const result = await ExportService.exportBoardCsv(mockT, {
+        listId: "list-2",
+      });
+
+      expect(result.data.filename).toBe("timeup-done-2024-01-27.csv");
+      expect(result.data.entryCount).toBe(1);
+      expect(result.data.csv).not.toContain("Login Page!");
+    });
+
+    test("returns an error when reading fails", async () => {
+      jest
+        .spyOn(ChecklistService, "getBoardChecklists")
+        .mockRejectedValue(new Error("Network down"));
+
+      expect(await ExportService.exportBoardCsv(mockT)).toEqual({
+        success: false,
+        error: "Network down",
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for FocusService.js
+ */
+
+import FocusService from "../../src/services/FocusService.js";
+import { DEFAULTS, SHARED_TIMER_KEY, TIME } from "../../src/utils/constants.js";
+
+const { HOUR, MINUTE } = TIME;
+
+const NOW = 1700000000000;
+
+const focus = {
+  enabled: true,
+  workLength: 25 * MINUTE,
+  shortBreak: 5 * MINUTE,
+  longBreak: 15 * MINUTE,
+  longBreakEvery: 4,
+};
+
+describe("FocusService", () => {
+  describe("getFocusSettings", () => {
+    test("defaults to focus mode off with 25/5 intervals", () => {
+      expect(FocusService.getFocusSettings(null)).toEqual(
+        DEFAULTS.BOARD_SETTINGS.focus,
+      );
+      expect(FocusService.getFocusSettings(DEFAULTS.BOARD_SETTINGS)).toEqual(
+        DEFAULTS.BOARD_SETTINGS.focus,
+      );
+    });
+
+    test("reads the board's focus settings", () => {
+      expect(FocusService.getFocusSettings({ focus })).toEqual(focus);
+    });
+
+    test("replaces values out of range with the defaults", () => {
+      expect(
+        FocusService.getFocusSettings({
+          focus: {
+            enabled: "yes",
+            workLength: 0,
+            shortBreak: 5 * HOUR,
+            longBreak: "15m",
+            longBreakEvery: 2.5,
+          },
+        }),
+      ).toEqual(DEFAULTS.BOARD_SETTINGS.focus);
+      expect(
+        FocusService.getFocusSettings({ focus: { longBreakEvery: 13 } })
+          .longBreakEvery,
+      ).toBe(4);
+    });
+  });
+
+  describe("getBreakLength", () => {
+    test("takes a short break after most intervals", () => {
+      expect(FocusService.getBreakLength(focus, 1)).toEqual({
+        length: 5 * MINUTE,
+        longBreak: false,
+      });
+      expect(FocusService.getBreakLength(focus, 5).longBreak).toBe(false);
+    });
+
+    test("takes a long break after every few intervals", () => {
+      expect(FocusService.getBreakLength(focus, 4)).toEqual({
+        length: 15 * MINUTE,
+        longBreak: true,
+      });
+      expect(FocusService.getBreakLength(focus, 8).longBreak).toBe(true);
+    });
+
+    test("takes a short break before any interval is done", () => {
+      expect(FocusService.getBreakLength(focus, 0).longBreak).toBe(false);
+    });
+  });
+
+  describe("getOverrun", () => {
+    test("measures the time past the end of the interval", () => {
+      expect(FocusService.getOverrun(focus, 95 * MINUTE)).toBe(70 * MINUTE);
+    });
+
+    test("ignores the moments it takes to notice the end", () => {
+      expect(FocusService.getOverrun(focus, 25 * MINUTE + 30000)).toBe(0);
+      expect(FocusService.getOverrun(focus, 10 * MINUTE)).toBe(0);
+    });
+  });
+
+  describe("getFocusSession", () => {
+    const timerData = {
+      focusSessions: {
+        "member-1": { cycles: 3, breakEnd: NOW + MINUTE },
+        [SHARED_TIMER_KEY]: { cycles: 4, breakEnd: NOW, longBreak: true },
+      },
+    };
+
+    test("reads a member's record", () => {
+      expect(FocusService.getFocusSession(timerData, "member-1")).toEqual({
+        cycles: 3,
+        breakEnd: NOW + MINUTE,
+        longBreak: false,
+      });
+    });
+
+    test("reads the shared timer's record without a member", () => {
+      expect(FocusService.getFocusSession(timerData, null)).toEqual({
+        cycles: 4,
+        breakEnd: NOW,
+        longBreak: true,
+      });
+    });
+
+    test("starts from no cycles", () => {
+      expect(FocusService.getFocusSession(timerData, "member-2")).toEqual({
+        cycles: 0,
+        breakEnd: null,
+        longBreak: false,
+      });
+      expect(FocusService.getFocusSession(null, "member-1").cycles).toBe(0);
+    });
+  });
+
+  describe("getBreak", () => {
+    const timerData = {
+      focusSessions: {
+        "member-1": { cycles: 4, breakEnd: NOW + 10 * MINUTE, longBreak: true },
+        "member-2": { cycles: 1, breakEnd: NOW - MINUTE },
+      },
+    };
+
+    test("gets the time left of a break", () => {
+      expect(FocusService.getBreak(timerData, "member-1", NOW)).toEqual({
+        breakEnd: NOW + 10 * MINUTE,
+        remaining: 10 * MINUTE,
+        longBreak: true,
+      });
+    });
+
+    test("is null once the break is over", () => {
+      expect(FocusService.getBreak(timerData, "member-2", NOW)).toBeNull();
+      expect(FocusService.getBreak(timerData, "member-3", NOW)).toBeNull();
+    });
+  });
+
+  describe("getLatestBreakEnd", () => {
+    test("gets the end of the latest break on the card", () => {
+      expect(
+        FocusService.getLatestBreakEnd(
+          {
+            focusSessions: {
+              "member-1": { cycles: 1, breakEnd: NOW + 5 * MINUTE },
+              "member-2": { cycles: 4, breakEnd: NOW + 15 * MINUTE },
+              "member-3": { cycles: 2, breakEnd: NOW - MINUTE },
+            },
+          },
+          NOW,
+        ),
+      ).toBe(NOW + 15 * MINUTE);
+    });
+
+    test("is null when nobody is on a break", () => {
+      expect(
+        FocusService.getLatestBreakEnd(
+          { focusSessions: { "member-1": { cycles: 1, breakEnd: null } } },
+          NOW,
+        ),
+      ).toBeNull();
+      expect(FocusService.getLatestBreakEnd({}, NOW)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Tests for MigrationService.js
+ */
+
+import { readFileSync } from "fs";
+import {
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateTimerData,
+  isNewerSchema,
+} from "../../src/services/MigrationService.js";
+import StorageService from "../../src/services/StorageService.js";
+import {
+  SCHEMA_VERSION,
+  SHARED_TIMER_KEY,
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  TIMER_STATE,
+} from "../../src/utils/constants.js";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+
+const loadFixture = (name) =>
+  JSON.parse(
+    readFileSync(
+      new URL(`../fixtures/timerData/${name}.json`, import.meta.url),
+      "utf8",
+    ),
+  );
+
+describe("MigrationService", () => {
+  describe("registry", () => {
+    test("ends at the current schema version", () => {
+      expect(MIGRATIONS[MIGRATIONS.length - 1].version).toBe(SCHEMA_VERSION);
+    });
+
+    test("has one consecutive step per version", () => {
+      MIGRATIONS.forEach((step, i) => {
+        expect(step.version).toBe(i + 1);
+        expect(typeof step.migrate).toBe("function");
+        expect(step.description).toBeTruthy();
+      });
+    });
+  });
+
+  describe("getSchemaVersion", () => {
+    test("treats unversioned data as version 0", () => {
+      expect(getSchemaVersion({})).toBe(0);
+      expect(getSchemaVersion(null)).toBe(0);
+      expect(getSchemaVersion({ schemaVersion: "1" })).toBe(0);
+    });
+
+    test("reads the stored version", () => {
+      expect(getSchemaVersion({ schemaVersion: 3 })).toBe(3);
+    });
+  });
+
+  describe("isNewerSchema", () => {
+    test("detects data from a newer schema", () => {
+      expect(isNewerSchema({ schemaVersion: SCHEMA_VERSION + 1 })).toBe(true);
+      expect(isNewerSchema({ schemaVersion: SCHEMA_VERSION })).toBe(false);
+      expect(isNewerSchema({})).toBe(false);
+    });
+  });
+
+  describe("migrateTimerData", () => {
+    test("keeps a running baseline card intact", () => {
+      const { state, currentEntry, ...fixture } = loadFixture("v0-running");
+
+      const { data, fromVersion, migrated } = migrateTimerData({
+        state,
+        currentEntry,
+        ...fixture,
+      });
+
+      expect(fromVersion).toBe(0);
+      expect(migrated).toBe(true);
+      expect(data).toEqual({
+        ...fixture,
+        schemaVersion: SCHEMA_VERSION,
+        memberTimers: {
+          [SHARED_TIMER_KEY]: {
+            state: TIMER_STATE.RUNNING,
+            currentEntry: { startTime: 1706371200000, pausedDuration: 0 },
+          },
+        },
+        archivedCount: 0,
+      });
+    });
+
+    test("fills fields missing from sparse early payloads", () => {
+      const { data } = migrateTimerData(loadFixture("v0-sparse"));
+
+      expect(data.memberTimers).toEqual({});
+      expect(data.totalTime).toBe(5400000);
+      expect(data.estimatedTime).toBeNull();
+      expect(data.manualEstimateSet).toBe(false);
+      expect(data.recentEntries[0]).toEqual({
+        id: "entry_1706367600000_k1l2m3n4o",
+        startTime: 1706364000000,
+        endTime: 1706367600000,
+        duration: 3600000,
+        description: "",
+        createdAt: 1706367600000,
+        checklistItemId: null,
+        memberId: null,
+      });
+      expect(data.checklistTotals["5f1a2b3c4d5e6f7a8b9c0d1e"]).toEqual({
+        totalTime: 1800000,
+        entryCount: 0,
+        estimatedTime: null,
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+      });
+      expect(data.checklistTotals["6e2b3c4d5e6f7a8b9c0d1e2f"]).toEqual({
+        totalTime: 0,
+        entryCount: 0,
+        estimatedTime: 900000,
+        state: TIMER_STATE.RUNNING,
+        currentEntry: { startTime: 1706371200000, pausedDuration: 0 },
+      });
+    });
+
+    test("repairs damaged payloads instead of passing them on", () => {
+      const { data } = migrateTimerData(loadFixture("v0-damaged"));
+
+      expect(data).toEqual({
+        schemaVersion: SCHEMA_VERSION,
+        memberTimers: {},
+        estimatedTime: null,
+        manualEstimateSet: false,
+        totalTime: 0,
+        recentEntries: [],
+        archivedCount: 0,
+        checklistTotals: {},
+      });
+    });
+
+    test("keeps a paused session paused", () => {
+      const { data } = migrateTimerData({
+        state: TIMER_STATE.PAUSED,
+        currentEntry: { startTime: 1000, pausedDuration: 200, pausedAt: 3000 },
+      });
+
+      expect(data.memberTimers[SHARED_TIMER_KEY]).toEqual({
+        state: TIMER_STATE.PAUSED,
+        currentEntry: { startTime: 1000, pausedDuration: 200, pausedAt: 3000 },
+      });
+    });
+
+    test("moves a v1 card timer into memberTimers", () => {
+      const { state, currentEntry, ...fixture } = loadFixture("v1-paused");
+
+      const { data, fromVersion } = migrateTimerData({
+        state,
+        currentEntry,
+        ...fixture,
+      });
+
+      expect(fromVersion).toBe(1);
+      expect(data).toEqual({
+        ...fixture,
+        schemaVersion: SCHEMA_VERSION,
+        memberTimers: { [SHARED_TIMER_KEY]: { state, currentEntry } },
+      });
+    });
+
+    test("keeps v2 checklist totals as they are", () => {
+      const fixture = loadFixture("v2-checklist");
+
+      const { data, fromVersion } = migrateTimerData(fixture);
+
+      expect(fromVersion).toBe(2);
+      expect(data).toEqual({ ...fixture, schemaVersion: SCHEMA_VERSION });
+    });
+
+    test("leaves current data untouched", () => {
+      const current = { schemaVersion: SCHEMA_VERSION, state: "running" };
+
+      const result = migrateTimerData(current);
+
+      expect(result.migrated).toBe(false);
+      expect(result.data).toBe(current);
+    });
+
+    test("never downgrades data from a newer schema", () => {
+      const newer = { schemaVersion: SCHEMA_VERSION + 1, futureField: 1 };
+
+      const result = migrateTimerData(newer);
+
+      expect(result.migrated).toBe(false);
+      expect(result.data).toBe(newer);
+    });
+
+    test("runs pending steps in order from the stored version", () => {
+      const calls = [];
+      const registry = [1, 2, 3].map((version) => ({
+        version,
+        description: `step ${version}`,
+        migrate: (data) => {
+          calls.push(version);
+          return { ...data, [`v${version}`]: true };
+        },
+      }));
+
+      const { data } = migrateTimerData({ schemaVersion: 1 }, registry);
+
+      expect(calls).toEqual([2, 3]);
+      expect(data).toEqual({ schemaVersion: 3, v2: true, v3: true });
+    });
+
+    test("throws when a step is missing from the registry", () => {
+      const registry = [
+        { version: 1, description: "one", migrate: (d) => d },
+        { version: 3, description: "three", migrate: (d) => d },
+      ];
+
+      expect(() => migrateTimerData({}, registry)).toThrow(
+        "Missing migration to schema version 2",
+      );
+    });
+  });
+
+  describe("with StorageService", () => {
+    let mockT;
+
+    const storeLegacy = (fixture) =>
+      mockT._setStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+        fixture,
+      );
+
+    beforeEach(() => {
+      mockT = createTrelloMock();
+    });
+
+    test("migrates on read without writing", async () => {
+      storeLegacy(loadFixture("v0-sparse"));
+
+      const timerData = await StorageService.getTimerData(mockT);
+
+      expect(timerData.schemaVersion).toBe(SCHEMA_VERSION);
+      expect(timerData.recentEntries[0].memberId).toBeNull();
+      expect(mockT.set).not.toHaveBeenCalled();
+    });
+
+    test("writes the migrated shape back on the next save", async () => {
+      storeLegacy(loadFixture("v0-running"));
+
+      const timerData = await StorageService.getTimerData(mockT);
+      await StorageService.setTimerData(mockT, timerData);
+
+      const header = mockT._getStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+      );
+      expect(header.schemaVersion).toBe(SCHEMA_VERSION);
+      expect(
+        header.memberTimers[SHARED_TIMER_KEY].currentEntry.pausedDuration,
+      ).toBe(0);
+      expect(await StorageService.getTimerData(mockT)).toEqual({
+        ...timerData,
+        revision: 1,
+        writeId: expect.any(String),
+      });
+    });
+
+    test("writes v2 checklist totals back as compact tuples", async () => {
+      const fixture = loadFixture("v2-checklist");
+      storeLegacy(fixture);
+
+      const timerData = await StorageService.getTimerData(mockT);
+      await StorageService.setTimerData(mockT, timerData);
+
+      const checklistTotals = mockT._getStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        "timerData_checklist_0",
+      );
+      expect(checklistTotals.v).toBe(1);
+      expect(Object.values(checklistTotals.i).every(Array.isArray)).toBe(true);
+      expect(
+        (await StorageService.getTimerData(mockT)).checklistTotals,
+      ).toEqual(fixture.checklistTotals);
+    });
+
+    test("refuses to overwrite data from a newer schema", async () => {
+      const newer = { schemaVersion: SCHEMA_VERSION + 1, state: "idle" };
+      storeLegacy(newer);
+
+      const result = await StorageService.setTimerData(mockT, {
+        state: "running",
+      });
+
+      expect(result).toEqual({ success: false, error: "SCHEMA_TOO_NEW" });
+      expect(
+        mockT._getStorage(
+          "card",
+          STORAGE_SCOPES.CARD_SHARED,
+          STORAGE_KEYS.TIMER_DATA,
+        ),
+      ).toEqual(newer);
+    });
+  });
+});
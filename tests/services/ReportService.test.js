@@ -0,0 +1,423 @@
+/**
+ * Tests for ReportService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import ReportService from "../../src/services/ReportService.js";
+import StorageService from "../../src/services/StorageService.js";
+import {
+  DEFAULTS,
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  TIME,
+} from "../../src/utils/constants.js";
+
+const { HOUR, MINUTE } = TIME;
+
+const entry = (memberId, duration) => ({
+  id: `entry_${memberId}_${duration}`,
+  startTime: 1000,
+  endTime: 1000 + duration,
+  duration,
+  description: "",
+  memberId,
+});
+
+describe("ReportService", () => {
+  describe("summarizeBoard", () => {
+    const lists = [
+      { id: "list-1", name: "Doing" },
+      { id: "list-2", name: "Done" },
+    ];
+    const members = [
+      { id: "member-1", fullName: "Alice Smith", username: "alice" },
+      { id: "member-2", fullName: "", username: "bob" },
+    ];
+    const bug = { id: "label-1", name: "Bug", color: "red" };
+    const design = { id: "label-2", name: "", color: "purple" };
+
+    const cards = [
+      {
+        id: "card-1",
+        name: "Login page",
+        url: "https://trello.com/c/1",
+        idList: "list-1",
+        labels: [bug, design],
+        totalTime: 3 * HOUR,
+        estimatedTime: 2 * HOUR,
+        entries: [entry("member-1", 2 * HOUR), entry("member-2", HOUR)],
+      },
+      {
+        id: "card-2",
+        name: "Signup page",
+        url: "https://trello.com/c/2",
+        idList: "list-1",
+        labels: [bug],
+        totalTime: HOUR,
+        estimatedTime: null,
+        entries: [entry("member-1", HOUR)],
+      },
+      {
+        id: "card-3",
+        name: "Release",
+        url: "https://trello.com/c/3",
+        idList: "list-2",
+        labels: [],
+        totalTime: 0,
+        estimatedTime: 4 * HOUR,
+        entries: [],
+      },
+      {
+        id: "card-4",
+        name: "Untracked",
+        idList: "list-2",
+        labels: [bug],
+        totalTime: 0,
+        estimatedTime: null,
+        entries: [],
+      },
+    ];
+
+    test("lists tracked cards with their estimates, most time first", () => {
+      const report = ReportService.summarizeBoard(cards, lists, members);
+
+      expect(report.cards).toEqual([
+        {
+          id: "card-1",
+          name: "Login page",
+          url: "https://trello.com/c/1",
+          totalTime: 3 * HOUR,
+          billedTime: 3 * HOUR,
+          estimatedTime: 2 * HOUR,
+          cost: null,
+        },
+        {
+          id: "card-2",
+          name: "Signup page",
+          url: "https://trello.com/c/2",
+          totalTime: HOUR,
+          billedTime: HOUR,
+          estimatedTime: null,
+          cost: null,
+        },
+        {
+          id: "card-3",
+          name: "Release",
+          url: "https://trello.com/c/3",
+          totalTime: 0,
+          billedTime: 0,
+          estimatedTime: 4 * HOUR,
+          cost: null,
+        },
+      ]);
+    });
+
+    test("sums time and estimates per list", () => {
+      const report = ReportService.summarizeBoard(cards, lists, members);
+
+      expect(report.lists).toEqual([
+        {
+          id: "list-1",
+          name: "Doing",
+          totalTime: 4 * HOUR,
+          billedTime: 4 * HOUR,
+          estimatedTime: 2 * HOUR,
+          cost: null,
+        },
+        {
+          id: "list-2",
+          name: "Done",
+          totalTime: 0,
+          billedTime: 0,
+          estimatedTime: 4 * HOUR,
+          cost: null,
+        },
+      ]);
+    });
+
+    test("counts a card under each of its labels", () => {
+      const report = ReportService.summarizeBoard(cards, lists, members);
+
+      expect(report.labels).toEqual([
+        {
+          id: "label-1",
+          name: "Bug",
+          totalTime: 4 * HOUR,
+          billedTime: 4 * HOUR,
+          estimatedTime: 2 * HOUR,
+          cost: null,
+        },
+        {
+          id: "label-2",
+          name: "purple",
+          totalTime: 3 * HOUR,
+          billedTime: 3 * HOUR,
+          estimatedTime: 2 * HOUR,
+          cost: null,
+        },
+      ]);
+    });
+
+    test("credits members with the entries they recorded", () => {
+      const report = ReportService.summarizeBoard(cards, lists, members);
+
+      expect(report.members).toEqual([
+        {
+          id: "member-1",
+          name: "Alice Smith",
+          totalTime: 3 * HOUR,
+          billedTime: 3 * HOUR,
+          estimatedTime: null,
+          cost: null,
+        },
+        {
+          id: "member-2",
+          name: "bob",
+          totalTime: HOUR,
+          billedTime: HOUR,
+          estimatedTime: null,
+          cost: null,
+        },
+      ]);
+    });
+
+    test("names entries without a known member", () => {
+      const report = ReportService.summarizeBoard([
+        {
+          id: "card-1",
+          name: "Old card",
+          totalTime: 3 * HOUR,
+          estimatedTime: null,
+          entries: [entry(null, HOUR), entry("member-9", 2 * HOUR)],
+        },
+      ]);
+
+      expect(report.members.map(({ id, name }) => ({ id, name }))).toEqual([
+        { id: "member-9", name: "Former member" },
+        { id: null, name: "Unassigned" },
+      ]);
+      expect(report.lists[0].name).toBe("Unknown list");
+    });
+
+    test("totals the board", () => {
+      const report = ReportService.summarizeBoard(cards, lists, members);
+
+      expect(report.totals).toEqual({
+        totalTime: 4 * HOUR,
+        billedTime: 4 * HOUR,
+        estimatedTime: 6 * HOUR,
+        cost: null,
+      });
+    });
+
+    test("adds costs at each member's rate when the board bills time", () => {
+      const settings = {
+        hourlyRate: 50,
+        memberRates: { "member-2": 80 },
+        currency: "EUR",
+      };
+
+      const report = ReportService.summarizeBoard(
+        cards,
+        lists,
+        members,
+        settings,
+      );
+
+      expect(report.currency).toBe("EUR");
+      expect(report.cards.map((row) => row.cost)).toEqual([180, 50, 0]);
+      expect(report.lists.map((row) => row.cost)).toEqual([230, 0]);
+      expect(report.labels.map((row) => row.cost)).toEqual([230, 180]);
+      expect(report.members.map((row) => [row.id, row.cost])).toEqual([
+        ["member-1", 150],
+        ["member-2", 80],
+      ]);
+      expect(report.totals.cost).toBe(230);
+    });
+
+    test("rounds billed time and costs by the board's rules", () => {
+      const settings = {
+        hourlyRate: 60,
+        currency: "EUR",
+        rounding: { mode: "up", increment: HOUR, minimum: 0 },
+      };
+
+      const report = ReportService.summarizeBoard(
+        [
+          {
+            ...cards[1],
+            totalTime: 2 * HOUR,
+            entries: [entry("member-1", 10 * MINUTE), entry("member-2", HOUR)],
+          },
+        ],
+        lists,
+        members,
+        settings,
+      );
+
+      expect(report.rounded).toBe(true);
+      expect(report.cards[0]).toMatchObject({
+        totalTime: 2 * HOUR,
+        billedTime: 2 * HOUR + 50 * MINUTE,
+        cost: 120,
+      });
+      expect(report.members.map((row) => [row.id, row.billedTime])).toEqual([
+        ["member-2", HOUR],
+        ["member-1", HOUR],
+      ]);
+      expect(report.totals.billedTime).toBe(2 * HOUR + 50 * MINUTE);
+    });
+
+    test("returns empty groups for a board without tracked time", () => {
+      expect(ReportService.summarizeBoard([])).toEqual({
+        cards: [],
+        lists: [],
+        members: [],
+        labels: [],
+        totals: {
+          totalTime: 0,
+          billedTime: 0,
+          estimatedTime: null,
+          cost: null,
+        },
+        currency: null,
+        rounded: false,
+      });
+    });
+  });
+
+  describe("getBoardReport", () => {
+    let mockT;
+
+    const storeTimerData = (cardId, timerData) =>
+      mockT._setStorage(
+        cardId,
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+        { ...DEFAULTS.TIMER_DATA, ...timerData },
+      );
+
+    beforeEach(() => {
+      mockT = createTrelloMock({
+        cards: jest.fn(async () => [
+          {
+            id: "card-1",
+            name: "Card 1",
+            url: "https://trello.com/c/1",
+            idList: "list-1",
+            labels: [],
+          },
+          {
+            id: "card-2",
+            name: "Card 2",
+            url: "https://trello.com/c/2",
+            idList: "list-2",
+            labels: [],
+          },
+        ]),
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("reads every card's timer data through card-scoped storage", async () => {
+      storeTimerData("card-1", {
+        totalTime: HOUR,
+        estimatedTime: 2 * HOUR,
+        recentEntries: [entry("member-1", HOUR)],
+      });
+
+      const result = await ReportService.getBoardReport(mockT);
+
+      expect(result.success).toBe(true);
+      expect(result.data.currency).toBeNull();
+      expect(mockT.cards).toHaveBeenCalledWith("all");
+      expect(mockT.get).toHaveBeenCalledWith(
+        "card-1",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+      );
+      expect(mockT.get).toHaveBeenCalledWith(
+        "card-2",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+      );
+      expect(result.data.cards).toHaveLength(1);
+      expect(result.data.lists[0]).toMatchObject({
+        id: "list-1",
+        name: "To Do",
+        totalTime: HOUR,
+      });
+      expect(result.data.members[0]).toMatchObject({
+        id: "member-1",
+        name: "Alice Smith",
+      });
+    });
+
+    test("prices the report with the board settings", async () => {
+      storeTimerData("card-1", {
+        totalTime: HOUR,
+        recentEntries: [entry("member-1", HOUR)],
+      });
+      mockT._setStorage(
+        "board",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.BOARD_SETTINGS,
+        { hourlyRate: 40, currency: "GBP" },
+      );
+
+      const result = await ReportService.getBoardReport(mockT);
+
+      expect(result.data.currency).toBe("GBP");
+      expect(result.data.totals.cost).toBe(40);
+    });
+
+    test("only reads the cards selected by the filter", async () => {
+      const { cards, lists, members } = await ReportService.getBoardCardTimes(
+        mockT,
+        { filter: (card) => card.idList === "list-2" },
+      );
+
+      expect(cards.map((card) => card.id)).toEqual(["card-2"]);
+      expect(lists).toHaveLength(2);
+      expect(members).toHaveLength(3);
+      expect(mockT.get).not.toHaveBeenCalledWith(
+        "card-1",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+      );
+    });
+
+    test("includes archived entries in member totals", async () => {
+      storeTimerData("card-2", {
+        totalTime: 3 * HOUR,
+        recentEntries: [entry("member-1", HOUR)],
+        archivedCount: 1,
+      });
+      jest
+        .spyOn(StorageService, "getEntryHistory")
+        .mockResolvedValueOnce([entry("member-2", 2 * HOUR)]);
+
+      const result = await ReportService.getBoardReport(mockT);
+
+      expect(StorageService.getEntryHistory).toHaveBeenCalledTimes(1);
+      expect(result.data.members.map((m) => [m.id, m.totalTime])).toEqual([
+        ["member-2", 2 * HOUR],
+        ["member-1", HOUR],
+      ]);
+    });
+
+    test("returns an error when reading timer data fails", async () => {
+      jest
+        .spyOn(StorageService, "getTimerData")
+        .mockRejectedValueOnce(new Error("Storage error"));
+
+      const result = await ReportService.getBoardReport(mockT);
+
+      expect(result).toEqual({ success: false, error: "Storage error" });
+    });
+  });
+});
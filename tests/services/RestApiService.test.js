@@ -0,0 +1,134 @@
+/**
+ * Tests for RestApiService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import RestApiService, {
+  MAX_ATTEMPTS,
+  RETRY_DELAY,
+} from "../../src/services/RestApiService.js";
+import { AppConfig } from "../../src/config/AppConfig.js";
+
+const respond = (body, { ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  statusText: ok ? "OK" : "Error",
+  json: async () => body,
+});
+
+describe("RestApiService", () => {
+  let mockT;
+  let restApi;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn().mockResolvedValue(respond({ id: "a-1" }));
+    restApi = {
+      isAuthorized: jest.fn().mockResolvedValue(true),
+      getToken: jest.fn().mockResolvedValue("test-token"),
+    };
+    mockT = createTrelloMock({ getRestApi: jest.fn(() => restApi) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /** Calls the API, letting every retry delay pass. */
+  const call = async (...args) => {
+    const pending = RestApiService.callApi(mockT, ...args);
+    await jest.advanceTimersByTimeAsync(RETRY_DELAY * 2 ** MAX_ATTEMPTS);
+    return pending;
+  };
+
+  describe("isRetryable", () => {
+    test("retries network errors, rate limiting and server errors", () => {
+      expect(RestApiService.isRetryable(new Error("Network down"))).toBe(true);
+      expect(RestApiService.isRetryable({ status: 429 })).toBe(true);
+      expect(RestApiService.isRetryable({ status: 503 })).toBe(true);
+    });
+
+    test("does not retry other client errors", () => {
+      expect(RestApiService.isRetryable({ status: 401 })).toBe(false);
+      expect(RestApiService.isRetryable({ status: 404 })).toBe(false);
+    });
+  });
+
+  describe("callApi", () => {
+    test("calls the API with the app key and member's token", async () => {
+      expect(await call("boards/board-1/customFields")).toEqual({ id: "a-1" });
+      expect(fetch).toHaveBeenCalledWith(
+        `https://api.trello.com/1/boards/board-1/customFields?key=${AppConfig.APP_KEY}&token=test-token`,
+        { method: "GET" },
+      );
+    });
+
+    test("sends a JSON body", async () => {
+      await call("cards/card-1/actions/comments", {
+        method: "POST",
+        body: { text: "hi" },
+      });
+
+      expect(fetch.mock.calls[0][1]).toEqual({
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text: "hi" }),
+      });
+    });
+
+    test("returns null when TimeUp isn't authorized", async () => {
+      restApi.isAuthorized.mockResolvedValue(false);
+
+      expect(await call("cards/card-1")).toBeNull();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test("returns null without a token", async () => {
+      restApi.getToken.mockResolvedValue(null);
+
+      expect(await call("cards/card-1")).toBeNull();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test("retries failed calls, waiting longer each time", async () => {
+      fetch
+        .mockRejectedValueOnce(new Error("Network down"))
+        .mockResolvedValueOnce(respond(null, { ok: false, status: 503 }));
+
+      const pending = RestApiService.callApi(mockT, "cards/card-1");
+      await jest.advanceTimersByTimeAsync(RETRY_DELAY);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(RETRY_DELAY);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(RETRY_DELAY);
+
+      expect(await pending).toEqual({ id: "a-1" });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test("gives up after the last attempt with the API's status", async () => {
+      fetch.mockResolvedValue(respond(null, { ok: false, status: 500 }));
+
+      const pending = RestApiService.callApi(mockT, "cards/card-1");
+      const failure = expect(pending).rejects.toMatchObject({
+        message: "API Error 500: Error",
+        status: 500,
+      });
+      await jest.advanceTimersByTimeAsync(RETRY_DELAY * 2 ** MAX_ATTEMPTS);
+      await failure;
+      expect(fetch).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    });
+
+    test("does not retry other client errors", async () => {
+      fetch.mockResolvedValue(respond(null, { ok: false, status: 401 }));
+
+      await expect(
+        RestApiService.callApi(mockT, "cards/card-1"),
+      ).rejects.toMatchObject({
+        status: 401,
+      });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -4,11 +4,18 @@
 
 import { jest } from "@jest/globals";
 import { createTrelloMock, createErrorMock } from "../mocks/trelloMock.js";
-import StorageService from "../../src/services/StorageService.js";
+import StorageService, {
+  encodeEntries,
+  decodeEntries,
+  encodeItemTotals,
+  decodeItemTotals,
+  mergeTimerData,
+} from "../../src/services/StorageService.js";
 import {
   STORAGE_KEYS,
   STORAGE_SCOPES,
   DEFAULTS,
+  TIMER_STATE,
 } from "../../src/utils/constants.js";
 
 describe("StorageService", () => {
@@ -158,11 +165,17 @@ describe("StorageService", () => {
       );
 
       const result = await StorageService.getTimerData(mockT);
-      // getTimerData merges stored data with defaults
-      expect(result.state).toBe("running");
-      expect(result.currentEntry).toEqual({ startTime: 1000 });
+      // getTimerData migrates unversioned data and merges it with defaults
+      expect(result.memberTimers).toEqual({
+        shared: {
+          state: "running",
+          currentEntry: { startTime: 1000, pausedDuration: 0 },
+        },
+      });
       expect(result.totalTime).toBe(5000);
-      expect(result.recentEntries).toEqual([{ id: "e1", duration: 1000 }]);
+      expect(result.recentEntries).toMatchObject([
+        { id: "e1", duration: 1000 },
+      ]);
       // Default fields are added
       expect(result.estimatedTime).toBe(null);
       expect(result.manualEstimateSet).toBe(false);
@@ -175,7 +188,7 @@ describe("StorageService", () => {
   });
 
   describe("setTimerData", () => {
-    test("saves complete timer data to timerData key", async () => {
+    test("splits timer data into a header and compact section shards", async () => {
       const timerData = {
         recentEntries: [{ id: "e1" }],
         state: "idle",
@@ -187,17 +200,1059 @@ describe("StorageService", () => {
       const result = await StorageService.setTimerData(mockT, timerData);
       expect(result.success).toBe(true);
 
-      // Check that complete timerData is saved
-      const savedTimerData = mockT._getStorage(
+      const stored = await mockT.get("card", STORAGE_SCOPES.CARD_SHARED);
+      const header = stored[STORAGE_KEYS.TIMER_DATA];
+      expect(header.totalTime).toBe(100);
+      expect(header.shards).toEqual({ entries: 1, checklist: 1 });
+      expect(header).not.toHaveProperty("recentEntries");
+      expect(header).not.toHaveProperty("checklistTotals");
+      expect(decodeEntries(stored.timerData_entries_0)).toEqual(
+        timerData.recentEntries,
+      );
+      expect(decodeItemTotals(stored.timerData_checklist_0)).toEqual(
+        timerData.checklistTotals,
+      );
+      // Header and shards go out in one batch
+      expect(mockT.set).toHaveBeenCalledTimes(1);
+    });
+
+    test("round-trips a long checklist", async () => {
+      const checklistTotals = Object.fromEntries(
+        Array.from({ length: 45 }, (_, i) => [
+          `5f1c${String(i).padStart(20, "0")}`,
+          {
+            totalTime: i * 60000,
+            entryCount: i,
+            estimatedTime: 3600000,
+            state: "idle",
+            currentEntry: null,
+          },
+        ]),
+      );
+      const timerData = { ...DEFAULTS.TIMER_DATA, checklistTotals };
+      expect(JSON.stringify(timerData).length).toBeGreaterThan(4096);
+
+      const result = await StorageService.setTimerData(mockT, timerData);
+
+      expect(result.success).toBe(true);
+      expect(mockT._getStorageSize("card", "shared")).toBeLessThanOrEqual(4096);
+      expect(
+        mockT._getStorage("card", "shared", STORAGE_KEYS.TIMER_DATA).shards
+          .checklist,
+      ).toBeGreaterThan(1);
+      expect(await StorageService.getTimerData(mockT)).toEqual({
+        ...timerData,
+        revision: 1,
+        writeId: expect.any(String),
+      });
+    });
+
+    test("refuses timer data that doesn't fit the card's storage", async () => {
+      const result = await StorageService.setTimerData(mockT, {
+        ...DEFAULTS.TIMER_DATA,
+        description: "x".repeat(5000),
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("LIMIT_EXCEEDED");
+      expect(mockT.set).not.toHaveBeenCalled();
+    });
+
+    test("removes shards a smaller save no longer uses", async () => {
+      const checklistTotals = Object.fromEntries(
+        Array.from({ length: 45 }, (_, i) => [
+          `5f1c${String(i).padStart(20, "0")}`,
+          { totalTime: i * 60000, entryCount: i },
+        ]),
+      );
+      await StorageService.setTimerData(mockT, {
+        ...DEFAULTS.TIMER_DATA,
+        checklistTotals,
+      });
+      const { shards } = mockT._getStorage(
+        "card",
+        "shared",
+        STORAGE_KEYS.TIMER_DATA,
+      );
+
+      await StorageService.setTimerData(mockT, {
+        ...DEFAULTS.TIMER_DATA,
+        checklistTotals: { item1: { totalTime: 100 } },
+      });
+
+      const stored = await mockT.get("card", "shared");
+      expect(stored.timerData.shards.checklist).toBe(1);
+      for (let i = 1; i < shards.checklist; i++) {
+        expect(stored).not.toHaveProperty(`timerData_checklist_${i}`);
+      }
+      expect(
+        (await StorageService.getTimerData(mockT)).checklistTotals,
+      ).toEqual({ item1: { totalTime: 100 } });
+    });
+
+    test("reads legacy single-key timer data", async () => {
+      const legacy = {
+        state: "idle",
+        totalTime: 700,
+        recentEntries: [{ id: "legacy" }],
+        checklistTotals: { item1: { totalTime: 700 } },
+      };
+      mockT._setStorage(
         "card",
         STORAGE_SCOPES.CARD_SHARED,
         STORAGE_KEYS.TIMER_DATA,
+        legacy,
+      );
+
+      const result = await StorageService.getTimerData(mockT);
+
+      expect(result.recentEntries).toMatchObject(legacy.recentEntries);
+      expect(result.checklistTotals).toMatchObject(legacy.checklistTotals);
+    });
+  });
+
+  describe("concurrent writes", () => {
+    const entry = (id, createdAt, overrides = {}) => ({
+      id,
+      startTime: createdAt - 1000,
+      endTime: createdAt,
+      duration: 1000,
+      description: "",
+      createdAt,
+      checklistItemId: null,
+      memberId: null,
+      ...overrides,
+    });
+    const item = (overrides = {}) => ({
+      totalTime: 0,
+      entryCount: 0,
+      estimatedTime: null,
+      state: "idle",
+      currentEntry: null,
+      ...overrides,
+    });
+    const stopItem = (data, itemId, newEntry) => ({
+      ...data,
+      totalTime: data.totalTime + newEntry.duration,
+      recentEntries: [newEntry, ...data.recentEntries],
+      checklistTotals: {
+        ...data.checklistTotals,
+        [itemId]: {
+          ...data.checklistTotals[itemId],
+          totalTime: data.checklistTotals[itemId].totalTime + newEntry.duration,
+          entryCount: data.checklistTotals[itemId].entryCount + 1,
+          state: "idle",
+          currentEntry: null,
+        },
+      },
+    });
+
+    let initial;
+
+    beforeEach(async () => {
+      await StorageService.setTimerData(mockT, {
+        ...DEFAULTS.TIMER_DATA,
+        totalTime: 1000,
+        recentEntries: [entry("e0", 1000)],
+        checklistTotals: {
+          itemA: item({ state: "running", currentEntry: { startTime: 0 } }),
+          itemB: item({ state: "running", currentEntry: { startTime: 0 } }),
+        },
+      });
+      initial = await StorageService.getTimerData(mockT);
+    });
+
+    test("increments the revision on every save", async () => {
+      expect(initial.revision).toBe(1);
+
+      const result = await StorageService.setTimerData(mockT, initial, initial);
+
+      expect(result.data.revision).toBe(2);
+      expect((await StorageService.getTimerData(mockT)).revision).toBe(2);
+    });
+
+    test("merges a save computed from a stale revision", async () => {
+      const a = stopItem(initial, "itemA", entry("eA", 5000));
+      const b = stopItem(initial, "itemB", entry("eB", 6000));
+
+      await StorageService.setTimerData(mockT, b, initial);
+      const result = await StorageService.setTimerData(mockT, a, initial);
+
+      const stored = await StorageService.getTimerData(mockT);
+      expect(result.data.revision).toBe(3);
+      expect(stored.recentEntries.map((e) => e.id)).toEqual(["eB", "eA", "e0"]);
+      expect(stored.totalTime).toBe(3000);
+      expect(stored.checklistTotals.itemA).toEqual(
+        item({ totalTime: 1000, entryCount: 1 }),
+      );
+      expect(stored.checklistTotals.itemB).toEqual(
+        item({ totalTime: 1000, entryCount: 1 }),
       );
+    });
+
+    test("recovers a save overwritten by an interleaved one", async () => {
+      const a = stopItem(initial, "itemA", entry("eA", 5000));
+      const b = stopItem(initial, "itemB", entry("eB", 6000));
+
+      // Both saves read revision 1, write revision 2, then verify
+      const results = await Promise.all([
+        StorageService.setTimerData(mockT, a, initial),
+        StorageService.setTimerData(mockT, b, initial),
+      ]);
+
+      const stored = await StorageService.getTimerData(mockT);
+      expect(results.every((r) => r.success)).toBe(true);
+      expect(stored.revision).toBe(3);
+      expect(stored.recentEntries.map((e) => e.id).sort()).toEqual([
+        "e0",
+        "eA",
+        "eB",
+      ]);
+      expect(stored.totalTime).toBe(3000);
+      expect(stored.checklistTotals.itemA.entryCount).toBe(1);
+      expect(stored.checklistTotals.itemB.entryCount).toBe(1);
+    });
 
-      expect(savedTimerData).toEqual(timerData);
-      expect(savedTimerData.recentEntries).toEqual(timerData.recentEntries);
-      expect(savedTimerData.checklistTotals).toEqual(timerData.checklistTotals);
-      expect(savedTimerData.totalTime).toBe(100);
+    test("combines concurrent time on the same checklist item", async () => {
+      const ours = stopItem(initial, "itemA", entry("eA", 5000));
+      const theirs = {
+        ...initial,
+        checklistTotals: {
+          ...initial.checklistTotals,
+          itemA: { ...initial.checklistTotals.itemA, totalTime: 4000 },
+        },
+      };
+
+      await StorageService.setTimerData(mockT, theirs, initial);
+      await StorageService.setTimerData(mockT, ours, initial);
+
+      const stored = await StorageService.getTimerData(mockT);
+      expect(stored.checklistTotals.itemA.totalTime).toBe(5000);
+      expect(stored.checklistTotals.itemA.state).toBe("idle");
+    });
+
+    test("gives up after repeated conflicts", async () => {
+      const ours = { ...initial, estimatedTime: 5000 };
+      const set = mockT.set.getMockImplementation();
+      mockT.set.mockImplementation(async (...args) => {
+        await set(...args);
+        // Another client keeps overwriting every save at the same revision
+        const header = mockT._getStorage("card", "shared", "timerData");
+        mockT._setStorage("card", "shared", "timerData", {
+          ...header,
+          writeId: "other",
+        });
+      });
+
+      const result = await StorageService.setTimerData(mockT, ours, initial);
+
+      expect(result).toEqual({ success: false, error: "WRITE_CONFLICT" });
+      // One save in beforeEach plus three attempts
+      expect(mockT.set).toHaveBeenCalledTimes(4);
+    });
+
+    test("accepts a newer save computed on top of its own", async () => {
+      const ours = { ...initial, estimatedTime: 5000 };
+      const set = mockT.set.getMockImplementation();
+      mockT.set.mockImplementationOnce(async (...args) => {
+        await set(...args);
+        // Another client reads this save and stores its own on top of it
+        const header = mockT._getStorage("card", "shared", "timerData");
+        mockT._setStorage("card", "shared", "timerData", {
+          ...header,
+          revision: header.revision + 1,
+          writeId: "other",
+        });
+      });
+
+      const result = await StorageService.setTimerData(mockT, ours, initial);
+
+      expect(result.success).toBe(true);
+      expect(result.data.revision).toBe(2);
+      // One save in beforeEach, one here; no retry
+      expect(mockT.set).toHaveBeenCalledTimes(2);
+    });
+
+    test("stops when a merged save no longer fits", async () => {
+      await StorageService.setTimerData(mockT, { ...initial }, initial);
+      const ours = { ...initial, description: "x".repeat(5000) };
+
+      const result = await StorageService.setTimerData(mockT, ours, initial);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("LIMIT_EXCEEDED");
+    });
+
+    test("keeps the last write without a base", async () => {
+      await StorageService.setTimerData(mockT, {
+        ...initial,
+        recentEntries: [],
+      });
+
+      const result = await StorageService.setTimerData(mockT, initial);
+
+      expect(result.success).toBe(true);
+      expect(
+        (await StorageService.getTimerData(mockT)).recentEntries,
+      ).toHaveLength(1);
+    });
+  });
+
+  describe("mergeTimerData", () => {
+    const base = {
+      revision: 4,
+      state: "idle",
+      currentEntry: null,
+      estimatedTime: null,
+      totalTime: 100,
+      archivedCount: 2,
+      recentEntries: [
+        { id: "e1", createdAt: 1, description: "" },
+        { id: "e2", createdAt: 2, description: "" },
+      ],
+      checklistTotals: {
+        i1: { totalTime: 10, entryCount: 1, estimatedTime: null },
+      },
+    };
+
+    test("takes bookkeeping fields from the stored side", () => {
+      const merged = mergeTimerData(base, base, {
+        ...base,
+        revision: 5,
+        writeId: "w",
+      });
+
+      expect(merged.revision).toBe(5);
+      expect(merged.writeId).toBe("w");
+    });
+
+    test("keeps each side's changes to different fields", () => {
+      const ours = { ...base, estimatedTime: 3600 };
+      const theirs = {
+        ...base,
+        state: "running",
+        currentEntry: { startTime: 9 },
+      };
+
+      const merged = mergeTimerData(base, ours, theirs);
+
+      expect(merged.estimatedTime).toBe(3600);
+      expect(merged.state).toBe("running");
+      expect(merged.currentEntry).toEqual({ startTime: 9 });
+    });
+
+    test("moves state and currentEntry together", () => {
+      const ours = {
+        ...base,
+        state: "paused",
+        currentEntry: { startTime: 1, pausedAt: 5 },
+      };
+      const theirs = { ...base, state: "running" };
+
+      const merged = mergeTimerData(base, ours, theirs);
+
+      expect(merged.state).toBe("paused");
+      expect(merged.currentEntry).toEqual({ startTime: 1, pausedAt: 5 });
+    });
+
+    test("adds counter deltas from both sides", () => {
+      const ours = { ...base, totalTime: 150, archivedCount: 3 };
+      const theirs = { ...base, totalTime: 40, archivedCount: 2 };
+
+      const merged = mergeTimerData(base, ours, theirs);
+
+      expect(merged.totalTime).toBe(90);
+      expect(merged.archivedCount).toBe(3);
+    });
+
+    test("keeps removals unless the other side edited the entry", () => {
+      const ours = {
+        ...base,
+        recentEntries: [{ id: "e2", createdAt: 2, description: "edited" }],
+      };
+      const theirs = {
+        ...base,
+        recentEntries: [
+          { id: "e3", createdAt: 3, description: "" },
+          { id: "e1", createdAt: 1, description: "" },
+        ],
+      };
+
+      const merged = mergeTimerData(base, ours, theirs);
+
+      expect(merged.recentEntries).toEqual([
+        { id: "e3", createdAt: 3, description: "" },
+        { id: "e2", createdAt: 2, description: "edited" },
+      ]);
+    });
+
+    test("merges edits to the same entry field by field", () => {
+      const ours = {
+        ...base,
+        recentEntries: [
+          { id: "e1", createdAt: 1, description: "ours" },
+          base.recentEntries[1],
+        ],
+      };
+      const theirs = {
+        ...base,
+        recentEntries: [
+          { id: "e1", createdAt: 1, description: "", duration: 7 },
+          base.recentEntries[1],
+        ],
+      };
+
+      const merged = mergeTimerData(base, ours, theirs);
+
+      expect(merged.recentEntries[1]).toEqual({
+        id: "e1",
+        createdAt: 1,
+        description: "ours",
+        duration: 7,
+      });
+    });
+
+    test("merges checklist totals item by item", () => {
+      const ours = {
+        ...base,
+        checklistTotals: {
+          i1: { totalTime: 30, entryCount: 2, estimatedTime: 60 },
+          i2: { totalTime: 5, entryCount: 1, estimatedTime: null },
+        },
+      };
+      const theirs = {
+        ...base,
+        checklistTotals: {
+          i1: { totalTime: 15, entryCount: 2, estimatedTime: null },
+          i3: { totalTime: 0, entryCount: 0, estimatedTime: 90 },
+        },
+      };
+
+      const merged = mergeTimerData(base, ours, theirs);
+
+      expect(merged.checklistTotals).toEqual({
+        i1: { totalTime: 35, entryCount: 3, estimatedTime: 60 },
+        i2: { totalTime: 5, entryCount: 1, estimatedTime: null },
+        i3: { totalTime: 0, entryCount: 0, estimatedTime: 90 },
+      });
+    });
+
+    test("merges records both sides created independently", () => {
+      const added = {
+        recentEntries: [{ id: "m1", endTime: 5 }, { id: "m2" }],
+        checklistTotals: { i9: { totalTime: 4, entryCount: 1 } },
+        totalTime: 4,
+      };
+
+      const merged = mergeTimerData({}, added, {
+        recentEntries: [{ id: "m1", endTime: 5, description: "theirs" }],
+        checklistTotals: { i9: { totalTime: 6, entryCount: 1 } },
+      });
+
+      expect(merged.recentEntries).toEqual([
+        { id: "m1", endTime: 5 },
+        { id: "m2" },
+      ]);
+      expect(merged.checklistTotals.i9).toEqual({
+        totalTime: 10,
+        entryCount: 2,
+      });
+      expect(merged.totalTime).toBe(4);
+    });
+
+    test("keeps timers members started or stopped concurrently", () => {
+      const session = { state: "running", currentEntry: { startTime: 1 } };
+      const start = { ...base, memberTimers: { bob: session } };
+
+      const merged = mergeTimerData(
+        start,
+        { ...start, memberTimers: { bob: session, alice: session } },
+        { ...start, memberTimers: {} },
+      );
+
+      expect(merged.memberTimers).toEqual({ alice: session });
+    });
+
+    test("counts focus intervals members finished concurrently", () => {
+      const start = {
+        ...base,
+        focusSessions: { bob: { cycles: 2, breakEnd: null } },
+      };
+
+      const merged = mergeTimerData(
+        start,
+        {
+          ...start,
+          focusSessions: {
+            bob: { cycles: 2, breakEnd: null },
+            alice: { cycles: 1, breakEnd: 50 },
+          },
+        },
+        { ...start, focusSessions: { bob: { cycles: 3, breakEnd: 90 } } },
+      );
+
+      expect(merged.focusSessions).toEqual({
+        bob: { cycles: 3, breakEnd: 90 },
+        alice: { cycles: 1, breakEnd: 50 },
+      });
+    });
+
+    test("drops items removed on one side and untouched on the other", () => {
+      const ours = { ...base, checklistTotals: {} };
+      const theirs = {
+        ...base,
+        checklistTotals: {
+          ...base.checklistTotals,
+          i2: { totalTime: 1, entryCount: 1, estimatedTime: null },
+        },
+      };
+
+      expect(mergeTimerData(base, ours, theirs).checklistTotals).toEqual({
+        i2: { totalTime: 1, entryCount: 1, estimatedTime: null },
+      });
+      expect(mergeTimerData(base, theirs, ours).checklistTotals).toEqual({
+        i2: { totalTime: 1, entryCount: 1, estimatedTime: null },
+      });
+    });
+  });
+
+  describe("setBatchData", () => {
+    test("rejects a batch whose values don't fit together", async () => {
+      const result = await StorageService.setBatchData(
+        mockT,
+        "card",
+        "shared",
+        {
+          a: "x".repeat(2500),
+          b: "x".repeat(2500),
+        },
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, error: "LIMIT_EXCEEDED" }),
+      );
+      expect(mockT.set).not.toHaveBeenCalled();
+    });
+
+    test("returns failure on error", async () => {
+      mockT.set = createErrorMock("Batch failed");
+
+      const result = await StorageService.setBatchData(
+        mockT,
+        "card",
+        "shared",
+        {
+          a: 1,
+        },
+      );
+
+      expect(result).toEqual({ success: false, error: "Batch failed" });
+    });
+  });
+
+  describe("compact entry encoding", () => {
+    const base = 1706367600000;
+    const makeEntry = (i, overrides = {}) => ({
+      id: `e_${i}`,
+      startTime: base + i * 3600000,
+      endTime: base + i * 3600000 + 1800000,
+      duration: 1800000,
+      description: i % 2 ? "Fixing login bug" : "",
+      createdAt: base + i * 3600000 + 1800000,
+      checklistItemId: i % 3 ? "5f1a2b3c4d5e6f7a8b9c0d1e" : null,
+      memberId: "5a0b1c2d3e4f5a6b7c8d9e0f",
+      ...overrides,
+    });
+
+    test("round-trips entries losslessly", () => {
+      const entries = Array.from({ length: 10 }, (_, i) => makeEntry(i));
+
+      expect(decodeEntries(encodeEntries(entries))).toEqual(entries);
+    });
+
+    test("is much smaller than the plain JSON format", () => {
+      const entries = Array.from({ length: 10 }, (_, i) => makeEntry(i));
+
+      const compact = JSON.stringify(encodeEntries(entries)).length;
+      const plain = JSON.stringify(entries).length;
+
+      expect(compact).toBeLessThan(plain * 0.6);
+    });
+
+    test("moves repeated IDs into a dictionary", () => {
+      const entries = [makeEntry(1), makeEntry(2)];
+
+      const encoded = encodeEntries(entries);
+
+      expect(encoded.v).toBe(1);
+      expect(encoded.d).toEqual([
+        "5f1a2b3c4d5e6f7a8b9c0d1e",
+        "5a0b1c2d3e4f5a6b7c8d9e0f",
+      ]);
+      expect(encoded.e[0].m).toBe(1);
+    });
+
+    test("dictionary compression is optional", () => {
+      const entries = [makeEntry(1), makeEntry(2)];
+
+      const encoded = encodeEntries(entries, { dictionary: false });
+
+      expect(encoded.d).toBeUndefined();
+      expect(encoded.e[0].m).toBe("5a0b1c2d3e4f5a6b7c8d9e0f");
+      expect(decodeEntries(encoded)).toEqual(entries);
+    });
+
+    test("keeps paused sessions and edited createdAt values", () => {
+      const entry = makeEntry(1, { duration: 600000, createdAt: base });
+
+      expect(decodeEntries(encodeEntries([entry]))).toEqual([entry]);
+    });
+
+    test("carries unknown fields through untouched", () => {
+      const entry = makeEntry(1, { categoryId: "cat_dev" });
+
+      expect(decodeEntries(encodeEntries([entry]))[0].categoryId).toBe(
+        "cat_dev",
+      );
+    });
+
+    test("stores entries with non-integer times verbatim", () => {
+      const odd = { id: "odd", startTime: "yesterday", duration: 5 };
+
+      expect(decodeEntries(encodeEntries([odd, makeEntry(1)]))).toEqual([
+        odd,
+        makeEntry(1),
+      ]);
+    });
+
+    test("reads the plain array format unchanged", () => {
+      const legacy = [{ id: "e1", startTime: 1, endTime: 2, duration: 1 }];
+
+      expect(decodeEntries(legacy)).toBe(legacy);
+      expect(decodeEntries(null)).toEqual([]);
+    });
+
+    test("refuses to decode an unknown encoding version", () => {
+      expect(() => decodeEntries({ v: 99, b: "0", e: [] })).toThrow(
+        "Unsupported entry encoding version: 99",
+      );
+    });
+
+    test("fits more entries in the card's storage than the plain format", async () => {
+      const entries = Array.from({ length: 40 }, (_, i) => makeEntry(i));
+      expect(JSON.stringify(entries).length).toBeGreaterThan(4096);
+
+      const result = await StorageService.setTimerData(mockT, {
+        ...DEFAULTS.TIMER_DATA,
+        recentEntries: entries,
+      });
+
+      expect(result.success).toBe(true);
+      expect(
+        mockT._getStorageSize("card", STORAGE_SCOPES.CARD_SHARED),
+      ).toBeLessThanOrEqual(4096);
+      expect((await StorageService.getTimerData(mockT)).recentEntries).toEqual(
+        entries,
+      );
+    });
+
+    test("reads a legacy plain entry history", async () => {
+      mockT._setStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.ENTRY_HISTORY,
+        [makeEntry(2), makeEntry(1)],
+      );
+
+      const history = await StorageService.getEntryHistory(mockT);
+
+      expect(history).toEqual([makeEntry(2), makeEntry(1)]);
+    });
+  });
+
+  describe("compact checklist encoding", () => {
+    const base = 1706367600000;
+    const idle = {
+      totalTime: 5400000,
+      entryCount: 3,
+      estimatedTime: null,
+      state: TIMER_STATE.IDLE,
+      currentEntry: null,
+    };
+    const running = {
+      totalTime: 0,
+      entryCount: 0,
+      estimatedTime: 7200000,
+      state: TIMER_STATE.RUNNING,
+      currentEntry: {
+        startTime: base,
+        pausedDuration: 0,
+        memberId: "5a0b1c2d3e4f5a6b7c8d9e0f",
+      },
+    };
+    const paused = {
+      ...running,
+      state: TIMER_STATE.PAUSED,
+      currentEntry: {
+        startTime: base,
+        pausedDuration: 60000,
+        pausedAt: base + 600000,
+        memberId: "5a0b1c2d3e4f5a6b7c8d9e0f",
+      },
+    };
+    const itemId = (i) => `5f1a2b3c4d5e6f7a8b9c${String(i).padStart(4, "0")}`;
+
+    test("round-trips item totals losslessly", () => {
+      const totals = { item1: idle, item2: running, item3: paused };
+
+      expect(decodeItemTotals(encodeItemTotals(totals))).toEqual(totals);
+    });
+
+    test("stores each item as a short tuple", () => {
+      const encoded = encodeItemTotals({ item1: idle, item2: running });
+
+      expect(encoded).toEqual({
+        v: 1,
+        i: {
+          item1: ["37qo0", "3"],
+          item2: [
+            "0",
+            "0",
+            "4abk0",
+            "r",
+            "lrw77mo0",
+            "0",
+            "",
+            "5a0b1c2d3e4f5a6b7c8d9e0f",
+          ],
+        },
+      });
+    });
+
+    test("is much smaller than the plain JSON format", () => {
+      const totals = Object.fromEntries(
+        Array.from({ length: 20 }, (_, i) => [itemId(i), idle]),
+      );
+
+      const compact = JSON.stringify(encodeItemTotals(totals)).length;
+      const plain = JSON.stringify(totals).length;
+
+      expect(compact).toBeLessThan(plain * 0.5);
+    });
+
+    test("stores the pauses of a resumed item", () => {
+      const resumed = {
+        ...running,
+        currentEntry: {
+          ...running.currentEntry,
+          pausedDuration: 60000,
+          pauses: [
+            { start: base + 600000, end: base + 630000 },
+            { start: base + 900000, end: base + 930000 },
+          ],
+        },
+      };
+
+      const encoded = encodeItemTotals({ item1: resumed });
+
+      expect(Array.isArray(encoded.i.item1)).toBe(true);
+      expect(encoded.i.item1.at(-1)).toBe(
+        [
+          `${(base + 600000).toString(36)}.${(base + 630000).toString(36)}`,
+          `${(base + 900000).toString(36)}.${(base + 930000).toString(36)}`,
+        ].join(","),
+      );
+      expect(decodeItemTotals(encoded)).toEqual({ item1: resumed });
+    });
+
+    test("drops empty pauses and a cleared pausedAt", () => {
+      const resumed = {
+        ...running,
+        currentEntry: { ...running.currentEntry, pausedAt: null, pauses: [] },
+      };
+
+      const encoded = encodeItemTotals({ item1: resumed });
+
+      expect(encoded.i.item1).toEqual(
+        encodeItemTotals({ item1: running }).i.item1,
+      );
+      expect(decodeItemTotals(encoded)).toEqual({ item1: running });
+    });
+
+    test("stores items with unknown fields verbatim", () => {
+      const odd = { ...idle, note: "kept" };
+      const encoded = encodeItemTotals({ odd, item1: idle });
+
+      expect(encoded.i.odd).toEqual(odd);
+      expect(decodeItemTotals(encoded)).toEqual({ odd, item1: idle });
+    });
+
+    test("reads the plain object format unchanged", () => {
+      const legacy = { item1: { totalTime: 100, estimatedTime: 200 } };
+
+      expect(decodeItemTotals(legacy)).toBe(legacy);
+      expect(decodeItemTotals(null)).toEqual({});
+    });
+
+    test("refuses to decode an unknown encoding version", () => {
+      expect(() => decodeItemTotals({ v: 99, i: {} })).toThrow(
+        "Unsupported checklist encoding version: 99",
+      );
+    });
+
+    test("saves dozens of checklist items within the card's storage", async () => {
+      const checklistTotals = Object.fromEntries(
+        Array.from({ length: 40 }, (_, i) => [
+          itemId(i),
+          { ...idle, estimatedTime: i * 60000 },
+        ]),
+      );
+      expect(JSON.stringify(checklistTotals).length).toBeGreaterThan(4096);
+
+      const result = await StorageService.setTimerData(mockT, {
+        ...DEFAULTS.TIMER_DATA,
+        checklistTotals,
+      });
+
+      expect(result.success).toBe(true);
+      expect(
+        mockT._getStorageSize("card", STORAGE_SCOPES.CARD_SHARED),
+      ).toBeLessThanOrEqual(4096);
+      expect(
+        (await StorageService.getTimerData(mockT)).checklistTotals,
+      ).toEqual(checklistTotals);
+    });
+  });
+
+  describe("calculateShardUsage", () => {
+    test("reports the card's usage in total and per shard", () => {
+      const timerData = {
+        ...DEFAULTS.TIMER_DATA,
+        recentEntries: [{ id: "e1", description: "z".repeat(500) }],
+      };
+      const history = [{ id: "e0", description: "y".repeat(500) }];
+
+      const usage = StorageService.calculateShardUsage(timerData, history);
+
+      expect(usage.limit).toBe(4096);
+      expect(Object.keys(usage.shards)).toEqual([
+        STORAGE_KEYS.TIMER_DATA,
+        "timerData_entries_0",
+        STORAGE_KEYS.ENTRY_HISTORY,
+        "entryHistory_0",
+      ]);
+      expect(usage.shards.timerData_entries_0.size).toBeGreaterThan(500);
+      expect(usage.shards.entryHistory_0.size).toBeGreaterThan(500);
+      expect(usage.size).toBeGreaterThan(
+        usage.shards.timerData_entries_0.size +
+          usage.shards.entryHistory_0.size,
+      );
+      expect(usage.size).toBeGreaterThan(
+        StorageService.calculateShardUsage(timerData).size,
+      );
+    });
+  });
+
+  describe("entry history", () => {
+    const makeEntry = (i) => ({
+      id: `e${i}`,
+      startTime: 1000 * i,
+      endTime: 1000 * i + 500,
+      duration: 500,
+      description: "x".repeat(100),
+      createdAt: 1000 * i + 500,
+      checklistItemId: null,
+      memberId: null,
+    });
+
+    test("returns an empty history when nothing is archived", async () => {
+      const history = await StorageService.getEntryHistory(mockT);
+      expect(history).toEqual([]);
+    });
+
+    const saveWithArchive = (archive, overrides = {}) =>
+      StorageService.setTimerData(
+        mockT,
+        {
+          ...DEFAULTS.TIMER_DATA,
+          archivedCount: archive.length,
+          ...overrides,
+        },
+        null,
+        { archive },
+      );
+
+    test("archives entries in the same write as the timer data", async () => {
+      await saveWithArchive([makeEntry(2), makeEntry(1)]);
+
+      expect(mockT.set).toHaveBeenCalledTimes(1);
+      expect(mockT.set).toHaveBeenCalledWith(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        expect.objectContaining({
+          [STORAGE_KEYS.TIMER_DATA]: expect.any(Object),
+          [STORAGE_KEYS.ENTRY_HISTORY]: expect.any(Object),
+        }),
+      );
+    });
+
+    test("prepends archived entries and reads them back newest first", async () => {
+      await saveWithArchive([makeEntry(2), makeEntry(1)]);
+      await saveWithArchive([makeEntry(3)], { archivedCount: 3 });
+
+      const history = await StorageService.getEntryHistory(mockT);
+      expect(history.map((e) => e.id)).toEqual(["e3", "e2", "e1"]);
+    });
+
+    test("skips entries that are already archived", async () => {
+      await saveWithArchive([makeEntry(1)]);
+      await saveWithArchive([makeEntry(1)]);
+
+      expect(await StorageService.getEntryHistory(mockT)).toHaveLength(1);
+    });
+
+    test("keeps every entry when the history goes past one key", async () => {
+      const archive = Array.from({ length: 20 }, (_, i) => makeEntry(20 - i));
+
+      const result = await saveWithArchive(archive);
+
+      expect(result.success).toBe(true);
+      const index = mockT._getStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.ENTRY_HISTORY,
+      );
+      expect(index.pages).toBeGreaterThan(1);
+      expect(await StorageService.getEntryHistory(mockT)).toEqual(archive);
+      expect((await StorageService.getTimerData(mockT)).archivedCount).toBe(20);
+    });
+
+    test("never drops entries when the card runs out of room", async () => {
+      let archived = 0;
+      let result;
+      for (let i = 1; i <= 60; i++) {
+        result = await saveWithArchive([makeEntry(i)], {
+          archivedCount: archived + 1,
+        });
+        if (!result.success) break;
+        archived++;
+      }
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, error: "LIMIT_EXCEEDED" }),
+      );
+      expect(
+        mockT._getStorageSize("card", STORAGE_SCOPES.CARD_SHARED),
+      ).toBeLessThanOrEqual(4096);
+      const history = await StorageService.getEntryHistory(mockT);
+      expect(history.map((e) => e.id)).toEqual(
+        Array.from({ length: archived }, (_, i) => `e${archived - i}`),
+      );
+      expect((await StorageService.getTimerData(mockT)).archivedCount).toBe(
+        archived,
+      );
+    });
+
+    test("moves a legacy single-key history into pages", async () => {
+      mockT._setStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.ENTRY_HISTORY,
+        encodeEntries([makeEntry(2), makeEntry(1)]),
+      );
+
+      await saveWithArchive([makeEntry(3)], { archivedCount: 3 });
+
+      expect(
+        mockT._getStorage(
+          "card",
+          STORAGE_SCOPES.CARD_SHARED,
+          STORAGE_KEYS.ENTRY_HISTORY,
+        ),
+      ).toEqual({ pages: 1 });
+      expect(
+        (await StorageService.getEntryHistory(mockT)).map((e) => e.id),
+      ).toEqual(["e3", "e2", "e1"]);
+    });
+
+    test("replaces the history", async () => {
+      await saveWithArchive([makeEntry(2), makeEntry(1)]);
+
+      const result = await StorageService.setEntryHistory(mockT, [
+        makeEntry(2),
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(await StorageService.getEntryHistory(mockT)).toEqual([
+        makeEntry(2),
+      ]);
+    });
+
+    test("removes pages a shorter history no longer needs", async () => {
+      const archive = Array.from({ length: 20 }, (_, i) => makeEntry(20 - i));
+      await saveWithArchive(archive);
+      const { pages } = mockT._getStorage(
+        "card",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.ENTRY_HISTORY,
+      );
+
+      const result = await StorageService.setEntryHistory(mockT, [
+        makeEntry(20),
+      ]);
+
+      expect(result.success).toBe(true);
+      const stored = await mockT.get("card", STORAGE_SCOPES.CARD_SHARED);
+      expect(stored[STORAGE_KEYS.ENTRY_HISTORY]).toEqual({ pages: 1 });
+      for (let i = 1; i < pages; i++) {
+        expect(stored).not.toHaveProperty(`entryHistory_${i}`);
+      }
+      expect(await StorageService.getEntryHistory(mockT)).toEqual([
+        makeEntry(20),
+      ]);
+    });
+
+    test("makes room again when entries are deleted from a full card", async () => {
+      let history = [];
+      for (let i = 1; i <= 60; i++) {
+        const result = await saveWithArchive([makeEntry(i)], {
+          archivedCount: history.length + 1,
+        });
+        if (!result.success) break;
+        history = [makeEntry(i), ...history];
+      }
+
+      const deleted = await StorageService.setEntryHistory(
+        mockT,
+        history.filter((e) => e.id !== "e1"),
+      );
+
+      expect(deleted.success).toBe(true);
+      expect(
+        (await StorageService.getEntryHistory(mockT)).map((e) => e.id),
+      ).not.toContain("e1");
+    });
+
+    test("refuses a history that doesn't fit beside the timer data", async () => {
+      const entries = Array.from({ length: 60 }, (_, i) => makeEntry(60 - i));
+
+      const result = await StorageService.setEntryHistory(mockT, entries);
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, error: "LIMIT_EXCEEDED" }),
+      );
+      expect(mockT.set).not.toHaveBeenCalled();
+    });
+
+    test("returns failure when the history cannot be written", async () => {
+      mockT.set = createErrorMock("Write failed");
+
+      const result = await StorageService.setEntryHistory(mockT, [
+        makeEntry(1),
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Write failed");
     });
   });
 
@@ -263,6 +1318,56 @@ describe("StorageService", () => {
     });
   });
 
+  describe("running timer record", () => {
+    const running = { cardId: "card-1", checklistItemId: null, startedAt: 1 };
+
+    test("returns null when no timer is recorded for the board", async () => {
+      expect(await StorageService.getRunningTimer(mockT, "board-1")).toBeNull();
+    });
+
+    test("keeps one record per board in member storage", async () => {
+      await StorageService.setRunningTimer(mockT, "board-1", running);
+      await StorageService.setRunningTimer(mockT, "board-2", {
+        ...running,
+        cardId: "card-2",
+      });
+
+      expect(await StorageService.getRunningTimer(mockT, "board-1")).toEqual(
+        running,
+      );
+      expect(
+        mockT._getStorage(
+          "member",
+          STORAGE_SCOPES.CARD_PRIVATE,
+          STORAGE_KEYS.RUNNING_TIMER,
+        ),
+      ).toEqual({
+        "board-1": running,
+        "board-2": { ...running, cardId: "card-2" },
+      });
+    });
+
+    test("clears only the given board's record", async () => {
+      await StorageService.setRunningTimer(mockT, "board-1", running);
+      await StorageService.setRunningTimer(mockT, "board-2", running);
+
+      const result = await StorageService.setRunningTimer(
+        mockT,
+        "board-1",
+        null,
+      );
+
+      expect(result.success).toBe(true);
+      expect(
+        mockT._getStorage(
+          "member",
+          STORAGE_SCOPES.CARD_PRIVATE,
+          STORAGE_KEYS.RUNNING_TIMER,
+        ),
+      ).toEqual({ "board-2": running });
+    });
+  });
+
   describe("Error Handling Coverage", () => {
     test("calculateUsage should handle circular references", () => {
       const circular = { a: 1 };
@@ -285,12 +1390,8 @@ describe("StorageService", () => {
 
       expect(result.success).toBe(true);
 
-      // Verify complete structure was saved
-      const saved = mockT._getStorage(
-        "card",
-        STORAGE_SCOPES.CARD_SHARED,
-        STORAGE_KEYS.TIMER_DATA,
-      );
+      // Verify complete structure is read back
+      const saved = await StorageService.getTimerData(mockT);
 
       expect(saved.recentEntries).toHaveLength(2);
       expect(saved.state).toBe("running");
@@ -7,7 +7,12 @@ import { jest } from "@jest/globals";
 import TimerService from "../../src/services/TimerService.js";
 import StorageService from "../../src/services/StorageService.js";
 import TrelloService from "../../src/services/TrelloService.js";
-import { TIMER_STATE, DEFAULTS, VALIDATION } from "../../src/utils/constants.js";
+import {
+  ERROR_CODES,
+  TIMER_STATE,
+  DEFAULTS,
+  SHARED_TIMER_KEY,
+} from "../../src/utils/constants.js";
 
 // Mock StorageService
 jest.mock("../../src/services/StorageService.js");
@@ -20,8 +25,7 @@ describe("TimerService", () => {
 
   // Helper to generate fresh mock data matching new structure
   const getMockData = (overrides = {}) => ({
-    state: TIMER_STATE.IDLE,
-    currentEntry: null,
+    memberTimers: {},
     estimatedTime: null,
     manualEstimateSet: false,
     totalTime: 0,
@@ -30,6 +34,13 @@ describe("TimerService", () => {
     ...overrides,
   });
 
+  // Card timer session of a member (the mocked current member by default)
+  const MEMBER_ID = "test-member-id";
+  const memberTimer = (state, currentEntry, memberId = MEMBER_ID) => ({
+    memberTimers: { [memberId]: { state, currentEntry } },
+  });
+  const sessionOf = (data, memberId = MEMBER_ID) => data.memberTimers[memberId];
+
   beforeEach(() => {
     tMock = { t: "mock" };
 
@@ -40,6 +51,18 @@ describe("TimerService", () => {
       .mockResolvedValue({ success: true });
     StorageService.setData = jest.fn().mockResolvedValue({ success: true });
     StorageService.getData = jest.fn().mockResolvedValue(null);
+    StorageService.getEntryHistory = jest.fn().mockResolvedValue([]);
+    StorageService.setEntryHistory = jest
+      .fn()
+      .mockResolvedValue({ success: true });
+    StorageService.getRunningTimer = jest.fn().mockResolvedValue(null);
+    StorageService.setRunningTimer = jest
+      .fn()
+      .mockResolvedValue({ success: true });
+
+    // No card context by default, so the board-wide timer record is skipped
+    TrelloService.getCard = jest.fn().mockResolvedValue(null);
+    TrelloService.getBoard = jest.fn().mockResolvedValue(null);
 
     // Mock TrelloService for member attribution
     TrelloService.getMember = jest.fn().mockResolvedValue({
@@ -56,20 +79,20 @@ describe("TimerService", () => {
       const result = await TimerService.startTimer(tMock);
 
       expect(result.success).toBe(true);
-      expect(result.data.state).toBe(TIMER_STATE.RUNNING);
-      expect(result.data.currentEntry).toBeDefined();
+      expect(sessionOf(result.data).state).toBe(TIMER_STATE.RUNNING);
+      expect(sessionOf(result.data).currentEntry).toBeDefined();
       expect(StorageService.setTimerData).toHaveBeenCalled();
     });
 
     test("should fail if already running", async () => {
       StorageService.getTimerData.mockResolvedValue({
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
+        ...memberTimer(TIMER_STATE.RUNNING, { startTime: Date.now() }),
       });
 
       const result = await TimerService.startTimer(tMock);
       expect(result.success).toBe(false);
-      expect(result.error).toBe("Timer already running");
+      expect(result.error).toBe(ERROR_CODES.TIMER_RUNNING);
     });
 
     test("should start timer without affecting checklist items", async () => {
@@ -91,7 +114,7 @@ describe("TimerService", () => {
 
       expect(result.success).toBe(true);
       // Global should be running now
-      expect(result.data.state).toBe(TIMER_STATE.RUNNING);
+      expect(sessionOf(result.data).state).toBe(TIMER_STATE.RUNNING);
       // Checklist item should be stopped (single timer constraint)
       expect(result.data.checklistTotals.item1.state).toBe(TIMER_STATE.IDLE);
       expect(result.data.checklistTotals.item1.currentEntry).toBeNull();
@@ -144,15 +167,14 @@ describe("TimerService", () => {
       const startTime = Date.now() - 5000; // 5 seconds ago
       StorageService.getTimerData.mockResolvedValue({
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime, pausedDuration: 0 },
+        ...memberTimer(TIMER_STATE.RUNNING, { startTime, pausedDuration: 0 }),
       });
 
       const result = await TimerService.stopTimer(tMock, "Test description");
 
       expect(result.success).toBe(true);
-      expect(result.data.state).toBe(TIMER_STATE.IDLE);
-      expect(result.data.currentEntry).toBeNull();
+      expect(sessionOf(result.data)).toBeUndefined();
+      expect(result.data.memberTimers).toEqual({});
       expect(result.entry).toBeDefined();
       expect(result.entry.description).toBe("Test description");
       expect(result.entry.duration).toBeGreaterThan(0);
@@ -165,8 +187,11 @@ describe("TimerService", () => {
     test("should include memberId in entry when stopping timer", async () => {
       StorageService.getTimerData.mockResolvedValue({
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 1000, pausedDuration: 0 },
+        ...memberTimer(
+          TIMER_STATE.RUNNING,
+          { startTime: Date.now() - 1000, pausedDuration: 0 },
+          "user-123",
+        ),
       });
       TrelloService.getMember.mockResolvedValue({
         id: "user-123",
@@ -182,8 +207,11 @@ describe("TimerService", () => {
     test("should handle null member gracefully", async () => {
       StorageService.getTimerData.mockResolvedValue({
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 1000, pausedDuration: 0 },
+        ...memberTimer(
+          TIMER_STATE.RUNNING,
+          { startTime: Date.now() - 1000, pausedDuration: 0 },
+          SHARED_TIMER_KEY,
+        ),
       });
       TrelloService.getMember.mockResolvedValue(null);
 
@@ -199,14 +227,16 @@ describe("TimerService", () => {
       const result = await TimerService.stopTimer(tMock);
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe("No active timer");
+      expect(result.error).toBe(ERROR_CODES.NO_ACTIVE_TIMER);
     });
 
     test("should truncate long descriptions", async () => {
       StorageService.getTimerData.mockResolvedValue({
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 1000, pausedDuration: 0 },
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 1000,
+          pausedDuration: 0,
+        }),
       });
 
       const longDesc = "a".repeat(200);
@@ -217,12 +247,267 @@ describe("TimerService", () => {
     });
   });
 
+  describe("pauseTimer / resumeTimer", () => {
+    test("should pause a running timer and record pausedAt", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime: Date.now() - 5000,
+            pausedDuration: 0,
+          }),
+        }),
+      );
+
+      const result = await TimerService.pauseTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(sessionOf(result.data).state).toBe(TIMER_STATE.PAUSED);
+      expect(sessionOf(result.data).currentEntry.pausedAt).toBeGreaterThan(0);
+      expect(StorageService.setTimerData).toHaveBeenCalled();
+    });
+
+    test("should fail to pause when timer is not running", async () => {
+      const result = await TimerService.pauseTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.NO_RUNNING_TIMER);
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
+    });
+
+    test("should add the pause to pausedDuration on resume", async () => {
+      const now = Date.now();
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.PAUSED, {
+            startTime: now - 20000,
+            pausedDuration: 1000,
+            pausedAt: now - 10000,
+          }),
+        }),
+      );
+
+      const result = await TimerService.resumeTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(sessionOf(result.data).state).toBe(TIMER_STATE.RUNNING);
+      expect(sessionOf(result.data).currentEntry).not.toHaveProperty(
+        "pausedAt",
+      );
+      expect(
+        sessionOf(result.data).currentEntry.pausedDuration,
+      ).toBeGreaterThanOrEqual(11000);
+      expect(sessionOf(result.data).currentEntry.pausedDuration).toBeLessThan(
+        11200,
+      );
+      expect(sessionOf(result.data).currentEntry.pauses).toEqual([
+        { start: now - 10000, end: expect.any(Number) },
+      ]);
+    });
+
+    test("should stop running item timers on resume", async () => {
+      const now = Date.now();
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.PAUSED, {
+            startTime: now - 5000,
+            pausedAt: now - 1000,
+          }),
+          checklistTotals: {
+            item1: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: { startTime: now - 1000, pausedDuration: 0 },
+              totalTime: 0,
+              entryCount: 0,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.resumeTimer(tMock);
+
+      expect(result.data.checklistTotals.item1.state).toBe(TIMER_STATE.IDLE);
+      expect(result.data.checklistTotals.item1.entryCount).toBe(1);
+    });
+
+    test("should fail to resume when timer is not paused", async () => {
+      const result = await TimerService.resumeTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.NOT_PAUSED);
+    });
+
+    test("startTimer should refuse to restart a paused timer", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.PAUSED, {
+            startTime: Date.now() - 5000,
+            pausedAt: Date.now(),
+          }),
+        }),
+      );
+
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.TIMER_PAUSED);
+    });
+
+    test("stopTimer should exclude the current pause from the entry", async () => {
+      const now = Date.now();
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.PAUSED, {
+            startTime: now - 60000,
+            pausedDuration: 10000,
+            pausedAt: now - 20000,
+          }),
+        }),
+      );
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.entry.duration).toBe(30000);
+      expect(result.data.totalTime).toBe(30000);
+      expect(sessionOf(result.data)).toBeUndefined();
+    });
+
+    test("getCurrentElapsed should freeze while paused", () => {
+      const now = Date.now();
+      const elapsed = TimerService.getCurrentElapsed({
+        state: TIMER_STATE.PAUSED,
+        currentEntry: {
+          startTime: now - 60000,
+          pausedDuration: 5000,
+          pausedAt: now - 15000,
+        },
+      });
+
+      expect(elapsed).toBe(40000);
+    });
+  });
+
+  describe("pauseItemTimer / resumeItemTimer", () => {
+    test("should pause a running item timer", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            item1: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
+              totalTime: 0,
+              entryCount: 0,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.pauseItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(true);
+      expect(result.data.checklistTotals.item1.state).toBe(TIMER_STATE.PAUSED);
+      expect(
+        result.data.checklistTotals.item1.currentEntry.pausedAt,
+      ).toBeGreaterThan(0);
+    });
+
+    test("should fail to pause an idle item", async () => {
+      const result = await TimerService.pauseItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.NO_RUNNING_ITEM_TIMER);
+    });
+
+    test("should resume a paused item and stop the global timer", async () => {
+      const now = Date.now();
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime: now - 4000,
+            pausedDuration: 0,
+          }),
+          checklistTotals: {
+            item1: {
+              state: TIMER_STATE.PAUSED,
+              currentEntry: {
+                startTime: now - 10000,
+                pausedDuration: 0,
+                pausedAt: now - 5000,
+              },
+              totalTime: 0,
+              entryCount: 0,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.resumeItemTimer(tMock, "item1");
+      const item = result.data.checklistTotals.item1;
+
+      expect(result.success).toBe(true);
+      expect(item.state).toBe(TIMER_STATE.RUNNING);
+      expect(item.currentEntry).not.toHaveProperty("pausedAt");
+      expect(item.currentEntry.pausedDuration).toBeGreaterThanOrEqual(5000);
+      expect(item.currentEntry.pauses).toEqual([
+        { start: now - 5000, end: expect.any(Number) },
+      ]);
+      expect(sessionOf(result.data)).toBeUndefined();
+      expect(result.data.recentEntries).toHaveLength(1);
+      expect(result.data.totalTime).toBeGreaterThanOrEqual(4000);
+    });
+
+    test("should fail to resume an item that is not paused", async () => {
+      const result = await TimerService.resumeItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.ITEM_NOT_PAUSED);
+    });
+
+    test("stopItemTimer should credit only active time of a paused item", async () => {
+      const now = Date.now();
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            item1: {
+              state: TIMER_STATE.PAUSED,
+              currentEntry: {
+                startTime: now - 30000,
+                pausedDuration: 0,
+                pausedAt: now - 10000,
+              },
+              totalTime: 1000,
+              entryCount: 1,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.stopItemTimer(tMock, "item1");
+
+      expect(result.entry.duration).toBe(20000);
+      expect(result.data.checklistTotals.item1.totalTime).toBe(21000);
+      expect(result.data.checklistTotals.item1.state).toBe(TIMER_STATE.IDLE);
+    });
+
+    test("getItemCurrentElapsed should freeze while paused", () => {
+      const now = Date.now();
+      const elapsed = TimerService.getItemCurrentElapsed({
+        state: TIMER_STATE.PAUSED,
+        currentEntry: { startTime: now - 9000, pausedAt: now - 4000 },
+      });
+
+      expect(elapsed).toBe(5000);
+    });
+  });
+
   describe("startItemTimer", () => {
     test("should start item timer and stop global timer", async () => {
       const runningGlobalData = {
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 1000, pausedDuration: 0 },
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 1000,
+          pausedDuration: 0,
+        }),
       };
       StorageService.getTimerData.mockResolvedValue(runningGlobalData);
 
@@ -230,7 +515,7 @@ describe("TimerService", () => {
 
       expect(result.success).toBe(true);
       // Global should be idle
-      expect(result.data.state).toBe(TIMER_STATE.IDLE);
+      expect(sessionOf(result.data)).toBeUndefined();
       // Item should be running
       expect(result.data.checklistTotals["item1"].state).toBe(
         TIMER_STATE.RUNNING,
@@ -251,9 +536,9 @@ describe("TimerService", () => {
       expect(result.data.checklistTotals["item1"].currentEntry).toBeDefined();
     });
 
-    test("should reject new item timer when at max checklist items limit", async () => {
+    test("starts a timer on a new item of a long checklist", async () => {
       const checklistTotals = {};
-      for (let i = 0; i < VALIDATION.MAX_CHECKLIST_ITEMS; i++) {
+      for (let i = 0; i < 40; i++) {
         checklistTotals[`existingItem${i}`] = {
           totalTime: 0,
           entryCount: 0,
@@ -268,16 +553,16 @@ describe("TimerService", () => {
 
       const result = await TimerService.startItemTimer(tMock, "newItem");
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain(
-        `Maximum ${VALIDATION.MAX_CHECKLIST_ITEMS}`,
+      expect(result.success).toBe(true);
+      expect(Object.keys(result.data.checklistTotals)).toHaveLength(41);
+      expect(result.data.checklistTotals.newItem.state).toBe(
+        TIMER_STATE.RUNNING,
       );
-      expect(StorageService.setTimerData).not.toHaveBeenCalled();
     });
 
-    test("should allow starting timer for existing item even at max limit", async () => {
+    test("should allow starting timer for existing item of a long checklist", async () => {
       const checklistTotals = {};
-      for (let i = 0; i < VALIDATION.MAX_CHECKLIST_ITEMS; i++) {
+      for (let i = 0; i < 40; i++) {
         checklistTotals[`existingItem${i}`] = {
           totalTime: 0,
           entryCount: 0,
@@ -333,7 +618,7 @@ describe("TimerService", () => {
       const result = await TimerService.stopItemTimer(tMock, "item1");
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain("No active timer");
+      expect(result.error).toBe(ERROR_CODES.NO_ACTIVE_ITEM_TIMER);
     });
 
     test("should include memberId in entry when stopping item timer", async () => {
@@ -391,12 +676,10 @@ describe("TimerService", () => {
       const result = await TimerService.deleteEntry(tMock, "nonexistent");
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe("Entry not found in recent entries");
+      expect(result.error).toBe(ERROR_CODES.ENTRY_NOT_FOUND);
     });
 
-    test("should not affect checklistTotals when deleting linked entry", async () => {
-      // deleteEntry only updates totalTime and recentEntries
-      // checklistTotals is not affected (it's already aggregated)
+    test("takes a deleted linked entry off its checklist item", async () => {
       const entryToDelete = {
         id: "e1",
         duration: 3000,
@@ -421,8 +704,28 @@ describe("TimerService", () => {
       expect(result.data.totalTime).toBe(0);
       // recentEntries is cleared
       expect(result.data.recentEntries.length).toBe(0);
-      // checklistTotals is NOT affected - it remains as aggregated
-      expect(result.data.checklistTotals["item1"].totalTime).toBe(3000);
+      expect(result.data.checklistTotals.item1).toEqual({
+        totalTime: 0,
+        entryCount: 0,
+        state: TIMER_STATE.IDLE,
+      });
+    });
+
+    test("leaves other checklist items alone when deleting a linked entry", async () => {
+      StorageService.getTimerData.mockResolvedValue({
+        ...getMockData(),
+        totalTime: 5000,
+        recentEntries: [
+          { id: "e1", duration: 3000, checklistItemId: "gone", startTime: 0 },
+        ],
+        checklistTotals: { item1: { totalTime: 2000, entryCount: 1 } },
+      });
+
+      const result = await TimerService.deleteEntry(tMock, "e1");
+
+      expect(result.data.checklistTotals).toEqual({
+        item1: { totalTime: 2000, entryCount: 1 },
+      });
     });
   });
 
@@ -475,6 +778,71 @@ describe("TimerService", () => {
       expect(result.data.totalTime).toBe(10000);
     });
 
+    test("adjusts the checklist item when a linked entry's duration changes", async () => {
+      StorageService.getTimerData.mockResolvedValue({
+        ...getMockData(),
+        totalTime: 5000,
+        recentEntries: [
+          { id: "e1", duration: 5000, checklistItemId: "item1", startTime: 0 },
+        ],
+        checklistTotals: { item1: { totalTime: 5000, entryCount: 1 } },
+      });
+
+      const result = await TimerService.updateEntry(tMock, "e1", {
+        duration: 8000,
+      });
+
+      expect(result.data.checklistTotals.item1).toEqual({
+        totalTime: 8000,
+        entryCount: 1,
+      });
+    });
+
+    test("moves a linked entry's time to the item it is moved to", async () => {
+      StorageService.getTimerData.mockResolvedValue({
+        ...getMockData(),
+        totalTime: 7000,
+        recentEntries: [
+          { id: "e1", duration: 5000, checklistItemId: "item1", startTime: 0 },
+        ],
+        checklistTotals: {
+          item1: { totalTime: 7000, entryCount: 2 },
+          item2: { totalTime: 1000, entryCount: 1, estimatedTime: 9000 },
+        },
+      });
+
+      const result = await TimerService.updateEntry(tMock, "e1", {
+        checklistItemId: "item2",
+      });
+
+      expect(result.data.totalTime).toBe(7000);
+      expect(result.data.checklistTotals).toEqual({
+        item1: { totalTime: 2000, entryCount: 1 },
+        item2: { totalTime: 6000, entryCount: 2, estimatedTime: 9000 },
+      });
+    });
+
+    test("counts an entry linked to an item for the first time", async () => {
+      StorageService.getTimerData.mockResolvedValue({
+        ...getMockData(),
+        totalTime: 5000,
+        recentEntries: [
+          { id: "e1", duration: 5000, checklistItemId: null, startTime: 0 },
+        ],
+        checklistTotals: {},
+      });
+
+      const result = await TimerService.updateEntry(tMock, "e1", {
+        checklistItemId: "item1",
+      });
+
+      expect(result.data.checklistTotals.item1).toMatchObject({
+        totalTime: 5000,
+        entryCount: 1,
+        state: TIMER_STATE.IDLE,
+      });
+    });
+
     test("should return error for nonexistent entry", async () => {
       StorageService.getTimerData.mockResolvedValue(getMockData());
 
@@ -483,7 +851,7 @@ describe("TimerService", () => {
       });
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe("Entry not found in recent entries");
+      expect(result.error).toBe(ERROR_CODES.ENTRY_NOT_FOUND);
     });
 
     test("should update entry with new description", async () => {
@@ -509,560 +877,2322 @@ describe("TimerService", () => {
     });
   });
 
-  describe("setEstimate", () => {
-    test("should set manual estimate", async () => {
-      StorageService.getTimerData.mockResolvedValue(getMockData());
+  describe("entry history", () => {
+    const makeEntry = (id, duration = 1000) => ({
+      id,
+      startTime: Date.now() - 10000,
+      endTime: Date.now() - 10000 + duration,
+      duration,
+    });
 
-      const result = await TimerService.setEstimate(tMock, 3600000);
+    test("stopTimer archives entries beyond the recent limit", async () => {
+      const recent = ["e1", "e2", "e3", "e4", "e5"].map((id) => makeEntry(id));
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime: Date.now() - 1000,
+            pausedDuration: 0,
+          }),
+          recentEntries: recent,
+          archivedCount: 2,
+        }),
+      );
+
+      const result = await TimerService.stopTimer(tMock);
 
       expect(result.success).toBe(true);
-      expect(result.data.estimatedTime).toBe(3600000);
-      expect(result.data.manualEstimateSet).toBe(true);
+      expect(StorageService.setTimerData).toHaveBeenCalledWith(
+        tMock,
+        expect.objectContaining({ archivedCount: 3 }),
+        expect.any(Object),
+        { archive: [recent[4]] },
+      );
+      expect(result.data.recentEntries).toHaveLength(5);
+      expect(result.data.recentEntries[0].id).toBe(result.entry.id);
+      expect(result.data.archivedCount).toBe(3);
     });
 
-    test("should clear manual estimate when set to null", async () => {
-      StorageService.getTimerData.mockResolvedValue({
-        ...getMockData(),
-        estimatedTime: 3600000,
-        manualEstimateSet: true,
+    test("stopTimer fails when the card's storage is full", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime: Date.now() - 1000,
+            pausedDuration: 0,
+          }),
+          recentEntries: ["e1", "e2", "e3", "e4", "e5"].map((id) =>
+            makeEntry(id),
+          ),
+        }),
+      );
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "LIMIT_EXCEEDED",
       });
 
-      const result = await TimerService.setEstimate(tMock, null);
+      const result = await TimerService.stopTimer(tMock);
 
-      expect(result.success).toBe(true);
-      expect(result.data.estimatedTime).toBeNull();
-      expect(result.data.manualEstimateSet).toBe(false);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("LIMIT_EXCEEDED");
     });
-  });
-
-  describe("setItemEstimate", () => {
-    test("should set item estimate", async () => {
-      StorageService.getTimerData.mockResolvedValue(getMockData());
 
-      const result = await TimerService.setItemEstimate(
-        tMock,
-        "item1",
-        1800000,
+    test("deleteEntry removes an archived entry and adjusts totals", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ totalTime: 5000, archivedCount: 2 }),
       );
+      StorageService.getEntryHistory.mockResolvedValue([
+        makeEntry("old1", 2000),
+        makeEntry("old2", 3000),
+      ]);
+
+      const result = await TimerService.deleteEntry(tMock, "old2");
 
       expect(result.success).toBe(true);
-      expect(result.data.checklistTotals["item1"].estimatedTime).toBe(1800000);
+      expect(StorageService.setEntryHistory).toHaveBeenCalledWith(tMock, [
+        expect.objectContaining({ id: "old1" }),
+      ]);
+      expect(result.data.totalTime).toBe(2000);
+      expect(result.data.archivedCount).toBe(1);
     });
 
-    test("should reject new item when at max checklist items limit", async () => {
-      // Create mock data with MAX_CHECKLIST_ITEMS already present
-      const checklistTotals = {};
-      for (let i = 0; i < VALIDATION.MAX_CHECKLIST_ITEMS; i++) {
-        checklistTotals[`existingItem${i}`] = {
-          totalTime: 0,
-          entryCount: 0,
-          estimatedTime: 3600000,
-          state: TIMER_STATE.IDLE,
-          currentEntry: null,
-        };
-      }
+    test("updateEntry edits an archived entry and adjusts totals", async () => {
       StorageService.getTimerData.mockResolvedValue(
-        getMockData({ checklistTotals }),
+        getMockData({ totalTime: 5000, archivedCount: 1 }),
       );
+      StorageService.getEntryHistory.mockResolvedValue([
+        makeEntry("old1", 2000),
+      ]);
 
-      const result = await TimerService.setItemEstimate(
-        tMock,
-        "newItem",
-        1800000,
-      );
+      const result = await TimerService.updateEntry(tMock, "old1", {
+        duration: 4000,
+        description: "Audit fix",
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain(
-        `Maximum ${VALIDATION.MAX_CHECKLIST_ITEMS}`,
-      );
-      expect(StorageService.setTimerData).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.entry.description).toBe("Audit fix");
+      expect(result.data.totalTime).toBe(7000);
+      expect(StorageService.setEntryHistory).toHaveBeenCalledWith(tMock, [
+        expect.objectContaining({ id: "old1", duration: 4000 }),
+      ]);
     });
 
-    test("should allow updating existing item even at max limit", async () => {
-      const checklistTotals = {};
-      for (let i = 0; i < VALIDATION.MAX_CHECKLIST_ITEMS; i++) {
-        checklistTotals[`existingItem${i}`] = {
-          totalTime: 0,
-          entryCount: 0,
-          estimatedTime: 3600000,
-          state: TIMER_STATE.IDLE,
-          currentEntry: null,
-        };
-      }
+    test("deleteEntry takes an archived linked entry off its checklist item", async () => {
       StorageService.getTimerData.mockResolvedValue(
-        getMockData({ checklistTotals }),
+        getMockData({
+          totalTime: 5000,
+          archivedCount: 1,
+          checklistTotals: { item1: { totalTime: 5000, entryCount: 2 } },
+        }),
       );
+      StorageService.getEntryHistory.mockResolvedValue([
+        { ...makeEntry("old1", 2000), checklistItemId: "item1" },
+      ]);
 
-      // Update an existing item - should succeed
-      const result = await TimerService.setItemEstimate(
-        tMock,
-        "existingItem5",
-        7200000,
-      );
+      const result = await TimerService.deleteEntry(tMock, "old1");
 
-      expect(result.success).toBe(true);
-      expect(result.data.checklistTotals["existingItem5"].estimatedTime).toBe(
-        7200000,
+      expect(result.data.checklistTotals.item1).toEqual({
+        totalTime: 3000,
+        entryCount: 1,
+      });
+    });
+
+    test("updateEntry moves an archived entry's time to another item", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          totalTime: 5000,
+          archivedCount: 1,
+          checklistTotals: {
+            item1: { totalTime: 2000, entryCount: 1 },
+            item2: { totalTime: 3000, entryCount: 1 },
+          },
+        }),
       );
+      StorageService.getEntryHistory.mockResolvedValue([
+        { ...makeEntry("old1", 2000), checklistItemId: "item1" },
+      ]);
+
+      const result = await TimerService.updateEntry(tMock, "old1", {
+        checklistItemId: "item2",
+        duration: 2500,
+      });
+
+      expect(result.data.totalTime).toBe(5500);
+      expect(result.data.checklistTotals).toEqual({
+        item1: { totalTime: 0, entryCount: 0 },
+        item2: { totalTime: 5500, entryCount: 2 },
+      });
     });
-  });
 
-  describe("getCurrentElapsed", () => {
+    test("updateEntry on an archived entry skips the timer write without a duration change", async () => {
+      StorageService.getEntryHistory.mockResolvedValue([makeEntry("old1")]);
+
+      const result = await TimerService.updateEntry(tMock, "old1", {
+        description: "Renamed",
+      });
+
+      expect(result.success).toBe(true);
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
+    });
+
+    test("archived entry operations surface history write failures", async () => {
+      StorageService.getEntryHistory.mockResolvedValue([makeEntry("old1")]);
+      StorageService.setEntryHistory.mockResolvedValue({
+        success: false,
+        error: "LIMIT_EXCEEDED",
+      });
+
+      const deleted = await TimerService.deleteEntry(tMock, "old1");
+      const updated = await TimerService.updateEntry(tMock, "old1", {
+        duration: 5,
+      });
+
+      expect(deleted).toEqual({ success: false, error: "LIMIT_EXCEEDED" });
+      expect(updated).toEqual({ success: false, error: "LIMIT_EXCEEDED" });
+    });
+
+    test("getEntryHistory pages recent entries first, then the archive", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ recentEntries: [makeEntry("r1"), makeEntry("r2")] }),
+      );
+      StorageService.getEntryHistory.mockResolvedValue(
+        ["a1", "a2", "a3", "r2"].map((id) => makeEntry(id)),
+      );
+
+      const first = await TimerService.getEntryHistory(tMock, {
+        page: 0,
+        pageSize: 2,
+      });
+      const second = await TimerService.getEntryHistory(tMock, {
+        page: 2,
+        pageSize: 2,
+      });
+
+      expect(first.data.entries.map((e) => e.id)).toEqual(["r1", "r2"]);
+      expect(first.data.total).toBe(5);
+      expect(first.data.totalPages).toBe(3);
+      expect(second.data.entries.map((e) => e.id)).toEqual(["a3"]);
+    });
+
+    test("getEntryHistory handles storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Boom"));
+
+      const result = await TimerService.getEntryHistory(tMock);
+
+      expect(result).toEqual({ success: false, error: "Boom" });
+    });
+  });
+
+  describe("per-member timers", () => {
+    const running = (startOffset = 5000) => ({
+      startTime: Date.now() - startOffset,
+      pausedDuration: 0,
+    });
+
+    test("startTimer leaves another member's timer running", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData(memberTimer(TIMER_STATE.RUNNING, running(), "colleague")),
+      );
+
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(sessionOf(result.data).state).toBe(TIMER_STATE.RUNNING);
+      expect(sessionOf(result.data, "colleague").state).toBe(
+        TIMER_STATE.RUNNING,
+      );
+    });
+
+    test("stopTimer closes only the member's own session", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          memberTimers: {
+            [MEMBER_ID]: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: running(),
+            },
+            colleague: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: running(9000),
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.entry.memberId).toBe(MEMBER_ID);
+      expect(result.entry.duration).toBeLessThan(6000);
+      expect(Object.keys(result.data.memberTimers)).toEqual(["colleague"]);
+    });
+
+    test("stopTimer cannot stop another member's timer", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData(memberTimer(TIMER_STATE.RUNNING, running(), "colleague")),
+      );
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.NO_ACTIVE_TIMER);
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
+    });
+
+    test("any member can stop a shared timer and is credited", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData(
+          memberTimer(TIMER_STATE.RUNNING, running(), SHARED_TIMER_KEY),
+        ),
+      );
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.entry.memberId).toBe(MEMBER_ID);
+      expect(result.data.memberTimers).toEqual({});
+    });
+
+    test("startTimer closes only the member's own item timers", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            mine: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: { ...running(), memberId: MEMBER_ID },
+              totalTime: 0,
+              entryCount: 0,
+            },
+            theirs: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: { ...running(), memberId: "colleague" },
+              totalTime: 0,
+              entryCount: 0,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.data.checklistTotals.mine.state).toBe(TIMER_STATE.IDLE);
+      expect(result.data.checklistTotals.theirs.state).toBe(
+        TIMER_STATE.RUNNING,
+      );
+    });
+
+    test("startItemTimer records who started the item timer", async () => {
+      const result = await TimerService.startItemTimer(tMock, "item1");
+
+      expect(result.data.checklistTotals.item1.currentEntry.memberId).toBe(
+        MEMBER_ID,
+      );
+    });
+
+    test.each([
+      ["startItemTimer", TIMER_STATE.RUNNING],
+      ["stopItemTimer", TIMER_STATE.RUNNING],
+      ["pauseItemTimer", TIMER_STATE.RUNNING],
+      ["resumeItemTimer", TIMER_STATE.PAUSED],
+    ])("%s refuses an item another member is timing", async (fn, state) => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            item1: {
+              state,
+              currentEntry: { ...running(), memberId: "colleague" },
+              totalTime: 0,
+              entryCount: 0,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService[fn](tMock, "item1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(ERROR_CODES.ITEM_TIMED_BY_OTHER);
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
+    });
+
+    test("getMemberTimer falls back to the shared timer, then idle", () => {
+      const shared = { state: TIMER_STATE.PAUSED, currentEntry: running() };
+      const data = getMockData({
+        memberTimers: { [SHARED_TIMER_KEY]: shared },
+      });
+
+      expect(TimerService.getMemberTimer(data, MEMBER_ID)).toBe(shared);
+      expect(TimerService.getMemberTimer(getMockData(), MEMBER_ID)).toEqual({
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+      });
+    });
+
+    test("getActiveTimers counts each timing member once", () => {
+      const data = getMockData({
+        memberTimers: {
+          alice: { state: TIMER_STATE.RUNNING, currentEntry: running() },
+          bob: { state: TIMER_STATE.PAUSED, currentEntry: running() },
+          carol: { state: TIMER_STATE.PAUSED, currentEntry: running() },
+        },
+        checklistTotals: {
+          item1: {
+            state: TIMER_STATE.RUNNING,
+            currentEntry: { ...running(), memberId: "carol" },
+          },
+          item2: {
+            state: TIMER_STATE.RUNNING,
+            currentEntry: { ...running(), memberId: "alice" },
+          },
+          item3: { state: TIMER_STATE.IDLE, currentEntry: null },
+        },
+      });
+
+      expect(TimerService.getActiveTimers(data)).toEqual({
+        running: ["alice", "carol"],
+        paused: ["bob"],
+      });
+      expect(TimerService.getActiveTimers(null)).toEqual({
+        running: [],
+        paused: [],
+      });
+    });
+  });
+
+  describe("concurrent saves", () => {
+    test("passes the data as read as the merge base", async () => {
+      const mockData = getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 5000,
+          pausedDuration: 0,
+        }),
+        revision: 7,
+      });
+      const snapshot = JSON.parse(JSON.stringify(mockData));
+      StorageService.getTimerData.mockResolvedValue(mockData);
+
+      await TimerService.startItemTimer(tMock, "item1");
+
+      const [, saved, base] = StorageService.setTimerData.mock.calls[0];
+      expect(base).toMatchObject(snapshot);
+      expect(saved.memberTimers).toEqual({});
+      expect(saved.revision).toBe(7);
+    });
+
+    test("returns the merged data when a concurrent save was merged in", async () => {
+      const merged = getMockData({ totalTime: 9000, revision: 3 });
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime: Date.now() - 1000,
+            pausedDuration: 0,
+          }),
+        }),
+      );
+      StorageService.setTimerData.mockResolvedValue({
+        success: true,
+        data: merged,
+      });
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(merged);
+    });
+  });
+
+  describe("setEstimate", () => {
+    test("should set manual estimate", async () => {
+      StorageService.getTimerData.mockResolvedValue(getMockData());
+
+      const result = await TimerService.setEstimate(tMock, 3600000);
+
+      expect(result.success).toBe(true);
+      expect(result.data.estimatedTime).toBe(3600000);
+      expect(result.data.manualEstimateSet).toBe(true);
+    });
+
+    test("should clear manual estimate when set to null", async () => {
+      StorageService.getTimerData.mockResolvedValue({
+        ...getMockData(),
+        estimatedTime: 3600000,
+        manualEstimateSet: true,
+      });
+
+      const result = await TimerService.setEstimate(tMock, null);
+
+      expect(result.success).toBe(true);
+      expect(result.data.estimatedTime).toBeNull();
+      expect(result.data.manualEstimateSet).toBe(false);
+    });
+  });
+
+  describe("setItemEstimate", () => {
+    test("should set item estimate", async () => {
+      StorageService.getTimerData.mockResolvedValue(getMockData());
+
+      const result = await TimerService.setItemEstimate(
+        tMock,
+        "item1",
+        1800000,
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.checklistTotals["item1"].estimatedTime).toBe(1800000);
+    });
+
+    test("sets an estimate on a new item of a long checklist", async () => {
+      const checklistTotals = {};
+      for (let i = 0; i < 40; i++) {
+        checklistTotals[`existingItem${i}`] = {
+          totalTime: 0,
+          entryCount: 0,
+          estimatedTime: 3600000,
+          state: TIMER_STATE.IDLE,
+          currentEntry: null,
+        };
+      }
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ checklistTotals }),
+      );
+
+      const result = await TimerService.setItemEstimate(
+        tMock,
+        "newItem",
+        1800000,
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.checklistTotals.newItem.estimatedTime).toBe(1800000);
+    });
+
+    test("should allow updating existing item of a long checklist", async () => {
+      const checklistTotals = {};
+      for (let i = 0; i < 40; i++) {
+        checklistTotals[`existingItem${i}`] = {
+          totalTime: 0,
+          entryCount: 0,
+          estimatedTime: 3600000,
+          state: TIMER_STATE.IDLE,
+          currentEntry: null,
+        };
+      }
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ checklistTotals }),
+      );
+
+      // Update an existing item - should succeed
+      const result = await TimerService.setItemEstimate(
+        tMock,
+        "existingItem5",
+        7200000,
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.checklistTotals["existingItem5"].estimatedTime).toBe(
+        7200000,
+      );
+    });
+  });
+
+  describe("time on deleted checklist items", () => {
+    const itemTotal = (overrides = {}) => ({
+      totalTime: 3000,
+      entryCount: 2,
+      estimatedTime: null,
+      state: TIMER_STATE.IDLE,
+      currentEntry: null,
+      ...overrides,
+    });
+    const entry = (id, duration, checklistItemId) => ({
+      id,
+      startTime: 0,
+      endTime: duration,
+      duration,
+      description: "",
+      checklistItemId,
+    });
+
+    beforeEach(() => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          totalTime: 10000,
+          archivedCount: 2,
+          recentEntries: [entry("e1", 1000, "gone"), entry("e2", 4000, null)],
+          checklistTotals: {
+            gone: itemTotal(),
+            kept: itemTotal({ totalTime: 2000, entryCount: 1 }),
+          },
+        }),
+      );
+      StorageService.getEntryHistory.mockResolvedValue([
+        entry("old1", 2000, "gone"),
+        entry("old2", 2000, "kept"),
+      ]);
+    });
+
+    describe("reassignItemTime", () => {
+      test("moves the time to the card", async () => {
+        const result = await TimerService.reassignItemTime(tMock, "gone");
+
+        expect(result.success).toBe(true);
+        expect(result.data.totalTime).toBe(10000);
+        expect(result.data.checklistTotals).not.toHaveProperty("gone");
+        expect(result.data.recentEntries[0].checklistItemId).toBeNull();
+        expect(StorageService.setEntryHistory).toHaveBeenCalledWith(tMock, [
+          expect.objectContaining({ id: "old1", checklistItemId: null }),
+          expect.objectContaining({ id: "old2", checklistItemId: "kept" }),
+        ]);
+      });
+
+      test("adds the time to another item", async () => {
+        const result = await TimerService.reassignItemTime(
+          tMock,
+          "gone",
+          "kept",
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.data.totalTime).toBe(10000);
+        expect(result.data.checklistTotals.kept).toMatchObject({
+          totalTime: 5000,
+          entryCount: 3,
+        });
+        expect(result.data.recentEntries[0].checklistItemId).toBe("kept");
+      });
+
+      test("starts the totals of an item without time", async () => {
+        const result = await TimerService.reassignItemTime(
+          tMock,
+          "gone",
+          "new",
+        );
+
+        expect(result.data.checklistTotals.new).toMatchObject({
+          totalTime: 3000,
+          entryCount: 2,
+          state: TIMER_STATE.IDLE,
+        });
+      });
+
+      test("leaves the archive alone when none of it is the item's", async () => {
+        StorageService.getEntryHistory.mockResolvedValue([
+          entry("old2", 2000, "kept"),
+        ]);
+
+        await TimerService.reassignItemTime(tMock, "gone");
+
+        expect(StorageService.setEntryHistory).not.toHaveBeenCalled();
+      });
+
+      test("rejects moving the time to the same item", async () => {
+        const result = await TimerService.reassignItemTime(
+          tMock,
+          "gone",
+          "gone",
+        );
+
+        expect(result).toEqual({
+          success: false,
+          error: ERROR_CODES.SAME_ITEM,
+        });
+      });
+
+      test("fails when the archive can't be written", async () => {
+        StorageService.setEntryHistory.mockResolvedValue({
+          success: false,
+          error: "LIMIT_EXCEEDED",
+        });
+
+        const result = await TimerService.reassignItemTime(tMock, "gone");
+
+        expect(result).toEqual({ success: false, error: "LIMIT_EXCEEDED" });
+        expect(StorageService.setTimerData).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("dropItemTime", () => {
+      test("deletes the item's entries and their time", async () => {
+        const result = await TimerService.dropItemTime(tMock, "gone");
+
+        expect(result.success).toBe(true);
+        expect(result.removed).toBe(2);
+        expect(result.data.totalTime).toBe(7000);
+        expect(result.data.archivedCount).toBe(1);
+        expect(result.data.checklistTotals).not.toHaveProperty("gone");
+        expect(result.data.recentEntries.map((e) => e.id)).toEqual(["e2"]);
+        expect(StorageService.setEntryHistory).toHaveBeenCalledWith(tMock, [
+          expect.objectContaining({ id: "old2" }),
+        ]);
+      });
+
+      test("keeps time the item recorded without entries", async () => {
+        StorageService.getEntryHistory.mockResolvedValue([]);
+
+        const result = await TimerService.dropItemTime(tMock, "gone");
+
+        expect(result.removed).toBe(1);
+        expect(result.data.totalTime).toBe(9000);
+        expect(result.data.archivedCount).toBe(2);
+      });
+
+      test("fails when the archive can't be written", async () => {
+        StorageService.setEntryHistory.mockResolvedValue({
+          success: false,
+          error: "LIMIT_EXCEEDED",
+        });
+
+        const result = await TimerService.dropItemTime(tMock, "gone");
+
+        expect(result).toEqual({ success: false, error: "LIMIT_EXCEEDED" });
+      });
+    });
+
+    test.each([
+      ["reassignItemTime", "unknown", ERROR_CODES.NO_ITEM_TIME],
+      ["dropItemTime", "unknown", ERROR_CODES.NO_ITEM_TIME],
+      ["reassignItemTime", "running", ERROR_CODES.ITEM_TIMER_OPEN],
+      ["dropItemTime", "running", ERROR_CODES.ITEM_TIMER_OPEN],
+    ])("%s refuses the %s item", async (method, checkItemId, error) => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            running: itemTotal({
+              state: TIMER_STATE.RUNNING,
+              currentEntry: { startTime: 0, memberId: MEMBER_ID },
+            }),
+          },
+        }),
+      );
+
+      const result = await TimerService[method](tMock, checkItemId);
+
+      expect(result).toEqual({ success: false, error });
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
+    });
+
+    test("reports storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Storage down"));
+
+      expect(await TimerService.reassignItemTime(tMock, "gone")).toEqual({
+        success: false,
+        error: "Storage down",
+      });
+      expect(await TimerService.dropItemTime(tMock, "gone")).toEqual({
+        success: false,
+        error: "Storage down",
+      });
+    });
+  });
+
+  describe("getCurrentElapsed", () => {
     test("should return 0 when idle", () => {
       const timerData = getMockData();
       const elapsed = TimerService.getCurrentElapsed(timerData);
       expect(elapsed).toBe(0);
     });
 
-    test("should return elapsed time when running", () => {
-      const timerData = {
+    test("should return elapsed time when running", () => {
+      const timerData = {
+        ...getMockData(),
+        state: TIMER_STATE.RUNNING,
+        currentEntry: {
+          startTime: Date.now() - 5000,
+          pausedDuration: 0,
+        },
+      };
+
+      const elapsed = TimerService.getCurrentElapsed(timerData);
+      expect(elapsed).toBeGreaterThanOrEqual(4900);
+      expect(elapsed).toBeLessThanOrEqual(5100);
+    });
+
+    test("should account for pausedDuration", () => {
+      const timerData = {
+        ...getMockData(),
+        state: TIMER_STATE.RUNNING,
+        currentEntry: {
+          startTime: Date.now() - 10000,
+          pausedDuration: 3000,
+        },
+      };
+
+      const elapsed = TimerService.getCurrentElapsed(timerData);
+      expect(elapsed).toBeGreaterThanOrEqual(6900);
+      expect(elapsed).toBeLessThanOrEqual(7100);
+    });
+  });
+
+  describe("getItemCurrentElapsed", () => {
+    test("should return 0 when item not running", () => {
+      const itemData = {
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+      };
+      expect(TimerService.getItemCurrentElapsed(itemData)).toBe(0);
+    });
+
+    test("should return elapsed time when item running", () => {
+      const itemData = {
+        state: TIMER_STATE.RUNNING,
+        currentEntry: {
+          startTime: Date.now() - 3000,
+          pausedDuration: 0,
+        },
+      };
+
+      const elapsed = TimerService.getItemCurrentElapsed(itemData);
+      expect(elapsed).toBeGreaterThanOrEqual(2900);
+      expect(elapsed).toBeLessThanOrEqual(3100);
+    });
+  });
+
+  describe("getStorageUsage", () => {
+    test("should return usage info", () => {
+      const timerData = getMockData();
+      const usage = TimerService.getStorageUsage(timerData);
+
+      expect(usage).toBeDefined();
+      expect(usage.size).toBeGreaterThan(0);
+      expect(usage.percent).toBeGreaterThanOrEqual(0);
+      expect(usage.percent).toBeLessThanOrEqual(100);
+    });
+  });
+
+  describe("Error Handling", () => {
+    test("startTimer should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Storage error"));
+
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Storage error");
+    });
+
+    test("stopTimer should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Read error"));
+
+      const result = await TimerService.stopTimer(tMock, "Test");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Read error");
+    });
+
+    test("setEstimate should handle errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Storage error"));
+
+      const result = await TimerService.setEstimate(tMock, 3600000);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Storage error");
+    });
+
+    test("deleteEntry should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Delete error"));
+
+      const result = await TimerService.deleteEntry(tMock, "entry1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Delete error");
+    });
+
+    test("updateEntry should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Update error"));
+
+      const result = await TimerService.updateEntry(tMock, "entry1", {
+        description: "Updated",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Update error");
+    });
+
+    test("startItemTimer should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(
+        new Error("Checklist error"),
+      );
+
+      const result = await TimerService.startItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Checklist error");
+    });
+
+    test("stopItemTimer should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(
+        new Error("Stop item error"),
+      );
+
+      const result = await TimerService.stopItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Stop item error");
+    });
+
+    test("handleSaveResult should handle save errors", async () => {
+      StorageService.getTimerData.mockResolvedValue(getMockData());
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "Storage limit exceeded",
+      });
+
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Storage limit exceeded");
+    });
+
+    test("setItemEstimate should handle storage errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(
+        new Error("Estimate error"),
+      );
+
+      const result = await TimerService.setItemEstimate(
+        tMock,
+        "item1",
+        3600000,
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Estimate error");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("getCurrentElapsed returns 0 when state is not RUNNING", () => {
+      const timerData = {
+        state: "idle",
+        currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
+      };
+
+      const elapsed = TimerService.getCurrentElapsed(timerData);
+      expect(elapsed).toBe(0);
+    });
+
+    test("getCurrentElapsed returns 0 when state is paused", () => {
+      const timerData = {
+        state: "paused",
+        currentEntry: { startTime: Date.now() - 5000, pausedDuration: 1000 },
+      };
+
+      const elapsed = TimerService.getCurrentElapsed(timerData);
+      expect(elapsed).toBe(0);
+    });
+
+    test("getItemCurrentElapsed handles missing pausedDuration", () => {
+      const itemTotal = {
+        currentEntry: { startTime: Date.now() - 5000 },
+      };
+
+      const elapsed = TimerService.getItemCurrentElapsed(itemTotal);
+      expect(elapsed).toBeGreaterThan(0);
+    });
+
+    test("stopTimer creates entry with empty description when not provided", async () => {
+      const mockData = getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 10000,
+          pausedDuration: 0,
+        }),
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(true);
+      const savedData = StorageService.setTimerData.mock.calls[0][1];
+      expect(savedData.recentEntries[0].description).toBe("");
+    });
+
+    test("stopTimer handles null description", async () => {
+      const mockData = getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 5000,
+          pausedDuration: 0,
+        }),
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.stopTimer(tMock, null);
+
+      expect(result.success).toBe(true);
+      expect(result.data.recentEntries[0].description).toBe("");
+    });
+
+    test("stopTimer fails when setTimerData fails", async () => {
+      const mockData = getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 5000,
+          pausedDuration: 0,
+        }),
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "Storage full",
+      });
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Storage full");
+    });
+
+    test("validateTimerData handles missing recentEntries", async () => {
+      // Data without recentEntries array
+      const malformedData = {
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+        recentEntries: "not-an-array",
+        checklistTotals: {},
+      };
+
+      StorageService.getTimerData.mockResolvedValue(malformedData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      // startTimer should work because validateTimerData fixes it
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(true);
+    });
+
+    test("validateTimerData handles null checklistTotals", async () => {
+      const malformedData = {
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
+        recentEntries: [],
+        checklistTotals: null,
+      };
+
+      StorageService.getTimerData.mockResolvedValue(malformedData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.data.checklistTotals).toEqual({});
+    });
+
+    test("stopTimer handles missing pausedDuration in currentEntry", async () => {
+      const mockData = getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, { startTime: Date.now() - 5000 }), // No pausedDuration
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.stopTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.data.recentEntries[0].duration).toBeGreaterThan(0);
+    });
+
+    test("startItemTimer stops global timer and creates entry", async () => {
+      const mockData = getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 10000,
+          pausedDuration: 1000,
+        }),
+        totalTime: 5000,
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.startItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(true);
+      // Global timer should be stopped
+      expect(sessionOf(result.data)).toBeUndefined();
+      expect(result.data.memberTimers).toEqual({});
+      // Entry should be created
+      expect(result.data.recentEntries).toHaveLength(1);
+      // Item timer should be running
+      expect(result.data.checklistTotals["item1"].state).toBe(
+        TIMER_STATE.RUNNING,
+      );
+    });
+
+    test("stopItemTimer handles missing pausedDuration", async () => {
+      const mockData = getMockData({
+        checklistTotals: {
+          item1: {
+            totalTime: 0,
+            entryCount: 0,
+            estimatedTime: null,
+            state: TIMER_STATE.RUNNING,
+            currentEntry: { startTime: Date.now() - 5000 }, // No pausedDuration
+          },
+        },
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.stopItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(true);
+      expect(result.data.checklistTotals["item1"].totalTime).toBeGreaterThan(0);
+    });
+
+    test("stopItemTimer fails when setTimerData fails", async () => {
+      const mockData = getMockData({
+        checklistTotals: {
+          item1: {
+            totalTime: 0,
+            entryCount: 0,
+            estimatedTime: null,
+            state: TIMER_STATE.RUNNING,
+            currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
+          },
+        },
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "Storage limit",
+      });
+
+      const result = await TimerService.stopItemTimer(tMock, "item1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Storage limit");
+    });
+
+    test("updateEntry without duration change keeps totalTime same", async () => {
+      const mockData = getMockData({
+        totalTime: 10000,
+        recentEntries: [{ id: "entry1", duration: 5000, description: "Old" }],
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({ success: true });
+
+      const result = await TimerService.updateEntry(tMock, "entry1", {
+        description: "Updated",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.totalTime).toBe(10000); // Unchanged
+      expect(result.data.recentEntries[0].description).toBe("Updated");
+    });
+
+    test("updateEntry fails when setTimerData fails", async () => {
+      const mockData = getMockData({
+        recentEntries: [{ id: "entry1", duration: 5000, description: "Old" }],
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "DB error",
+      });
+
+      const result = await TimerService.updateEntry(tMock, "entry1", {
+        description: "New",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("DB error");
+    });
+
+    test("setEstimate fails when setTimerData fails", async () => {
+      StorageService.getTimerData.mockResolvedValue(getMockData());
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "Quota exceeded",
+      });
+
+      const result = await TimerService.setEstimate(tMock, 3600000);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Quota exceeded");
+    });
+
+    test("setItemEstimate fails when setTimerData fails", async () => {
+      StorageService.getTimerData.mockResolvedValue(getMockData());
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "Item error",
+      });
+
+      const result = await TimerService.setItemEstimate(
+        tMock,
+        "item1",
+        3600000,
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Item error");
+    });
+
+    test("deleteEntry fails when setTimerData fails", async () => {
+      const mockData = getMockData({
+        totalTime: 10000,
+        recentEntries: [{ id: "entry1", duration: 5000 }],
+      });
+
+      StorageService.getTimerData.mockResolvedValue(mockData);
+      StorageService.setTimerData.mockResolvedValue({
+        success: false,
+        error: "Delete failed",
+      });
+
+      const result = await TimerService.deleteEntry(tMock, "entry1");
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Delete failed");
+    });
+  });
+
+  describe("one running timer per board", () => {
+    const BOARD_ID = "board-1";
+    let cards;
+    let records;
+
+    // Each card's timer data; card B is the card the member has open
+    const cardT = (cardId) => ({ cardId });
+    const recordOn = (cardId, checklistItemId = null) => {
+      records[BOARD_ID] = { cardId, checklistItemId, startedAt: 1 };
+    };
+
+    beforeEach(() => {
+      tMock = cardT("card-b");
+      cards = { "card-a": getMockData(), "card-b": getMockData() };
+      records = {};
+
+      StorageService.getTimerData = jest.fn(async (t) => cards[t.cardId]);
+      StorageService.setTimerData = jest.fn(async (t, data) => {
+        cards[t.cardId] = data;
+        return { success: true };
+      });
+      StorageService.getRunningTimer = jest.fn(
+        async (t, boardId) => records[boardId] ?? null,
+      );
+      StorageService.setRunningTimer = jest.fn(
+        async (t, boardId, runningTimer) => {
+          if (runningTimer) records[boardId] = runningTimer;
+          else delete records[boardId];
+          return { success: true };
+        },
+      );
+
+      TrelloService.getCard = jest.fn(async (t) => ({ id: t.cardId }));
+      TrelloService.getBoard = jest.fn().mockResolvedValue({ id: BOARD_ID });
+      TrelloService.forCard = jest.fn((t, cardId) => cardT(cardId));
+      TrelloService.getBoardCard = jest.fn(async (t, cardId) =>
+        cards[cardId] ? { id: cardId, name: `Card ${cardId}`, url: "u" } : null,
+      );
+    });
+
+    test("records the member's running timer for the board", async () => {
+      await TimerService.startTimer(tMock);
+
+      expect(records[BOARD_ID]).toEqual({
+        cardId: "card-b",
+        checklistItemId: null,
+        startedAt: expect.any(Number),
+      });
+    });
+
+    test("records a running checklist item timer", async () => {
+      await TimerService.startItemTimer(tMock, "item1");
+
+      expect(records[BOARD_ID]).toMatchObject({
+        cardId: "card-b",
+        checklistItemId: "item1",
+      });
+    });
+
+    test("stops the card timer running on another card", async () => {
+      cards["card-a"] = {
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: {
-          startTime: Date.now() - 5000,
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now() - 60000,
           pausedDuration: 0,
-        },
+        }),
       };
+      recordOn("card-a");
 
-      const elapsed = TimerService.getCurrentElapsed(timerData);
-      expect(elapsed).toBeGreaterThanOrEqual(4900);
-      expect(elapsed).toBeLessThanOrEqual(5100);
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.stoppedElsewhere).toMatchObject({
+        cardId: "card-a",
+        cardName: "Card card-a",
+      });
+      expect(result.stoppedElsewhere.entry.duration).toBeGreaterThan(0);
+      expect(sessionOf(cards["card-a"])).toBeUndefined();
+      expect(cards["card-a"].recentEntries).toHaveLength(1);
+      expect(sessionOf(cards["card-b"]).state).toBe(TIMER_STATE.RUNNING);
+      expect(records[BOARD_ID].cardId).toBe("card-b");
     });
 
-    test("should account for pausedDuration", () => {
-      const timerData = {
+    test("stops an item timer running on another card", async () => {
+      cards["card-a"] = {
         ...getMockData(),
-        state: TIMER_STATE.RUNNING,
-        currentEntry: {
-          startTime: Date.now() - 10000,
-          pausedDuration: 3000,
+        checklistTotals: {
+          itemA: {
+            totalTime: 0,
+            entryCount: 0,
+            state: TIMER_STATE.RUNNING,
+            currentEntry: {
+              startTime: Date.now() - 1000,
+              pausedDuration: 0,
+              memberId: MEMBER_ID,
+            },
+          },
         },
       };
+      recordOn("card-a", "itemA");
 
-      const elapsed = TimerService.getCurrentElapsed(timerData);
-      expect(elapsed).toBeGreaterThanOrEqual(6900);
-      expect(elapsed).toBeLessThanOrEqual(7100);
-    });
-  });
+      const result = await TimerService.startItemTimer(tMock, "itemB");
 
-  describe("getItemCurrentElapsed", () => {
-    test("should return 0 when item not running", () => {
-      const itemData = {
-        state: TIMER_STATE.IDLE,
-        currentEntry: null,
-      };
-      expect(TimerService.getItemCurrentElapsed(itemData)).toBe(0);
+      expect(result.success).toBe(true);
+      expect(cards["card-a"].checklistTotals.itemA.state).toBe(
+        TIMER_STATE.IDLE,
+      );
+      expect(records[BOARD_ID]).toMatchObject({
+        cardId: "card-b",
+        checklistItemId: "itemB",
+      });
     });
 
-    test("should return elapsed time when item running", () => {
-      const itemData = {
-        state: TIMER_STATE.RUNNING,
-        currentEntry: {
-          startTime: Date.now() - 3000,
+    test("stops the timer elsewhere when resuming", async () => {
+      cards["card-a"] = {
+        ...getMockData(),
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime: Date.now(),
           pausedDuration: 0,
-        },
+        }),
       };
+      cards["card-b"] = {
+        ...getMockData(),
+        ...memberTimer(TIMER_STATE.PAUSED, {
+          startTime: Date.now() - 2000,
+          pausedDuration: 0,
+          pausedAt: Date.now() - 1000,
+        }),
+      };
+      recordOn("card-a");
 
-      const elapsed = TimerService.getItemCurrentElapsed(itemData);
-      expect(elapsed).toBeGreaterThanOrEqual(2900);
-      expect(elapsed).toBeLessThanOrEqual(3100);
+      const result = await TimerService.resumeTimer(tMock);
+
+      expect(result.stoppedElsewhere.cardId).toBe("card-a");
+      expect(sessionOf(cards["card-a"])).toBeUndefined();
+      expect(records[BOARD_ID].cardId).toBe("card-b");
     });
-  });
 
-  describe("getStorageUsage", () => {
-    test("should return usage info", () => {
-      const timerData = getMockData();
-      const usage = TimerService.getStorageUsage(timerData);
+    test("leaves other members' timers on the other card running", async () => {
+      cards["card-a"] = {
+        ...getMockData(),
+        ...memberTimer(TIMER_STATE.RUNNING, { startTime: 1 }, "member-2"),
+      };
+      recordOn("card-a");
 
-      expect(usage).toBeDefined();
-      expect(usage.size).toBeGreaterThan(0);
-      expect(usage.percent).toBeGreaterThanOrEqual(0);
-      expect(usage.percent).toBeLessThanOrEqual(100);
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.stoppedElsewhere).toBeNull();
+      expect(sessionOf(cards["card-a"], "member-2").state).toBe(
+        TIMER_STATE.RUNNING,
+      );
+      expect(records[BOARD_ID].cardId).toBe("card-b");
     });
-  });
 
-  describe("Error Handling", () => {
-    test("startTimer should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(new Error("Storage error"));
+    test("does not start when the other timer cannot be stopped", async () => {
+      cards["card-a"] = {
+        ...getMockData(),
+        ...memberTimer(TIMER_STATE.RUNNING, { startTime: Date.now() }),
+      };
+      recordOn("card-a");
+      StorageService.setTimerData.mockResolvedValueOnce({
+        success: false,
+        error: "WRITE_CONFLICT",
+      });
 
       const result = await TimerService.startTimer(tMock);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Storage error");
+      expect(result).toEqual({
+        success: false,
+        error: ERROR_CODES.STOP_ELSEWHERE_FAILED,
+        cause: ERROR_CODES.WRITE_CONFLICT,
+      });
+      expect(sessionOf(cards["card-b"])).toBeUndefined();
+      expect(records[BOARD_ID].cardId).toBe("card-a");
     });
 
-    test("stopTimer should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(new Error("Read error"));
+    test.each(["pauseTimer", "stopTimer"])(
+      "%s clears the record of this card",
+      async (method) => {
+        cards["card-b"] = {
+          ...getMockData(),
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime: Date.now(),
+            pausedDuration: 0,
+          }),
+        };
+        recordOn("card-b");
 
-      const result = await TimerService.stopTimer(tMock, "Test");
+        await TimerService[method](tMock);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Read error");
+        expect(records[BOARD_ID]).toBeUndefined();
+      },
+    );
+
+    test("stopping here keeps a record that points at another card", async () => {
+      cards["card-b"] = {
+        ...getMockData(),
+        ...memberTimer(TIMER_STATE.RUNNING, { startTime: Date.now() }),
+      };
+      recordOn("card-a");
+
+      await TimerService.stopTimer(tMock);
+
+      expect(records[BOARD_ID].cardId).toBe("card-a");
     });
 
-    test("setEstimate should handle errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(new Error("Storage error"));
+    test("clears the record when the item timer stops", async () => {
+      await TimerService.startItemTimer(tMock, "item1");
+      await TimerService.pauseItemTimer(tMock, "item1");
 
-      const result = await TimerService.setEstimate(tMock, 3600000);
+      expect(records[BOARD_ID]).toBeUndefined();
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Storage error");
+      await TimerService.resumeItemTimer(tMock, "item1");
+      expect(records[BOARD_ID].checklistItemId).toBe("item1");
+
+      await TimerService.stopItemTimer(tMock, "item1");
+      expect(records[BOARD_ID]).toBeUndefined();
     });
 
-    test("deleteEntry should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(new Error("Delete error"));
+    test("drops a stale record instead of stopping anything", async () => {
+      recordOn("card-a");
 
-      const result = await TimerService.deleteEntry(tMock, "entry1");
+      const result = await TimerService.startTimer(tMock);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Delete error");
+      expect(result.stoppedElsewhere).toBeNull();
+      expect(cards["card-a"].recentEntries).toEqual([]);
+      expect(records[BOARD_ID].cardId).toBe("card-b");
     });
 
-    test("updateEntry should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(new Error("Update error"));
+    describe("getTimerElsewhere", () => {
+      test("returns the card the member's timer runs on", async () => {
+        recordOn("card-a");
 
-      const result = await TimerService.updateEntry(tMock, "entry1", {
-        description: "Updated",
+        const result = await TimerService.getTimerElsewhere(tMock);
+
+        expect(result).toEqual({
+          success: true,
+          data: {
+            cardId: "card-a",
+            checklistItemId: null,
+            startedAt: 1,
+            cardName: "Card card-a",
+            url: "u",
+          },
+        });
       });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Update error");
-    });
+      test("returns null when the timer runs on this card", async () => {
+        recordOn("card-b");
 
-    test("startItemTimer should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(
-        new Error("Checklist error"),
-      );
+        const result = await TimerService.getTimerElsewhere(tMock);
 
-      const result = await TimerService.startItemTimer(tMock, "item1");
+        expect(result.data).toBeNull();
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Checklist error");
-    });
+      test("returns null when the card is no longer on the board", async () => {
+        recordOn("card-gone");
 
-    test("stopItemTimer should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(
-        new Error("Stop item error"),
-      );
+        const result = await TimerService.getTimerElsewhere(tMock);
 
-      const result = await TimerService.stopItemTimer(tMock, "item1");
+        expect(result.data).toBeNull();
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Stop item error");
+      test("returns null without a card context", async () => {
+        TrelloService.getCard.mockResolvedValue(null);
+        recordOn("card-a");
+
+        const result = await TimerService.getTimerElsewhere(tMock);
+
+        expect(result.data).toBeNull();
+        expect(StorageService.getRunningTimer).not.toHaveBeenCalled();
+      });
+
+      test("handles errors", async () => {
+        TrelloService.getMember.mockRejectedValue(new Error("Member error"));
+
+        const result = await TimerService.getTimerElsewhere(tMock);
+
+        expect(result).toEqual({ success: false, error: "Member error" });
+      });
     });
 
-    test("handleSaveResult should handle save errors", async () => {
-      StorageService.getTimerData.mockResolvedValue(getMockData());
-      StorageService.setTimerData.mockResolvedValue({
-        success: false,
-        error: "Storage limit exceeded",
+    describe("autoStartTimer", () => {
+      test("starts the card timer when nothing is running", async () => {
+        const result = await TimerService.autoStartTimer(tMock);
+
+        expect(result.success).toBe(true);
+        expect(result.started).toBe(true);
+        expect(sessionOf(cards["card-b"]).state).toBe(TIMER_STATE.RUNNING);
       });
 
-      const result = await TimerService.startTimer(tMock);
+      test("leaves a timer open on this card alone", async () => {
+        cards["card-b"] = getMockData(
+          memberTimer(TIMER_STATE.PAUSED, {
+            startTime: Date.now() - 60000,
+            pausedDuration: 0,
+            pausedAt: Date.now() - 30000,
+          }),
+        );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Storage limit exceeded");
+        const result = await TimerService.autoStartTimer(tMock);
+
+        expect(result.started).toBe(false);
+        expect(StorageService.setTimerData).not.toHaveBeenCalled();
+      });
+
+      test("leaves a checklist item timer on this card alone", async () => {
+        cards["card-b"] = getMockData({
+          checklistTotals: {
+            item1: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: {
+                startTime: Date.now() - 60000,
+                pausedDuration: 0,
+                memberId: MEMBER_ID,
+              },
+              totalTime: 0,
+              entryCount: 0,
+            },
+          },
+        });
+
+        const result = await TimerService.autoStartTimer(tMock);
+
+        expect(result.started).toBe(false);
+      });
+
+      test("doesn't stop a timer running on another card", async () => {
+        cards["card-a"] = getMockData(
+          memberTimer(TIMER_STATE.RUNNING, {
+            startTime: Date.now() - 60000,
+            pausedDuration: 0,
+          }),
+        );
+        recordOn("card-a");
+
+        const result = await TimerService.autoStartTimer(tMock);
+
+        expect(result.started).toBe(false);
+        expect(sessionOf(cards["card-a"]).state).toBe(TIMER_STATE.RUNNING);
+      });
+
+      test("starts even if another member's timer runs here", async () => {
+        cards["card-b"] = getMockData(
+          memberTimer(
+            TIMER_STATE.RUNNING,
+            { startTime: Date.now() - 60000, pausedDuration: 0 },
+            "other-member",
+          ),
+        );
+
+        const result = await TimerService.autoStartTimer(tMock);
+
+        expect(result.started).toBe(true);
+      });
+
+      test("surfaces start failures", async () => {
+        StorageService.setTimerData.mockResolvedValue({
+          success: false,
+          error: "Storage full",
+        });
+
+        expect(await TimerService.autoStartTimer(tMock)).toEqual({
+          success: false,
+          error: "Storage full",
+        });
+      });
+
+      test("surfaces read failures", async () => {
+        StorageService.getTimerData.mockRejectedValue(new Error("Offline"));
+
+        expect(await TimerService.autoStartTimer(tMock)).toEqual({
+          success: false,
+          error: "Offline",
+        });
+      });
     });
+  });
 
-    test("setItemEstimate should handle storage errors", async () => {
-      StorageService.getTimerData.mockRejectedValue(
-        new Error("Estimate error"),
-      );
+  describe("addManualEntry", () => {
+    const HOUR = 3600000;
+    const start = Date.now() - 24 * HOUR;
 
-      const result = await TimerService.setItemEstimate(
-        tMock,
-        "item1",
-        3600000,
+    test("adds an entry with a duration and updates the total", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ totalTime: HOUR }),
       );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Estimate error");
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: 2 * HOUR,
+        description: "Client call",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.entry).toMatchObject({
+        startTime: start,
+        endTime: start + 2 * HOUR,
+        duration: 2 * HOUR,
+        description: "Client call",
+        checklistItemId: null,
+        memberId: MEMBER_ID,
+      });
+      expect(result.data.totalTime).toBe(3 * HOUR);
+      expect(result.data.recentEntries[0]).toBe(result.entry);
     });
-  });
 
-  describe("Edge Cases", () => {
-    test("getCurrentElapsed returns 0 when state is not RUNNING", () => {
-      const timerData = {
-        state: "idle",
-        currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
-      };
+    test("accepts an end time instead of a duration", async () => {
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        endTime: start + 30 * 60000,
+      });
 
-      const elapsed = TimerService.getCurrentElapsed(timerData);
-      expect(elapsed).toBe(0);
+      expect(result.entry.duration).toBe(30 * 60000);
     });
 
-    test("getCurrentElapsed returns 0 when state is paused", () => {
-      const timerData = {
-        state: "paused",
-        currentEntry: { startTime: Date.now() - 5000, pausedDuration: 1000 },
-      };
+    test("lists the entry as recorded now", async () => {
+      const before = Date.now();
 
-      const elapsed = TimerService.getCurrentElapsed(timerData);
-      expect(elapsed).toBe(0);
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+      });
+
+      expect(result.entry.createdAt).toBeGreaterThanOrEqual(before);
     });
 
-    test("getItemCurrentElapsed handles missing pausedDuration", () => {
-      const itemTotal = {
-        currentEntry: { startTime: Date.now() - 5000 },
-      };
+    test("credits the given member, or nobody", async () => {
+      const forBob = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+        memberId: "member-2",
+      });
+      const forNobody = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+        memberId: null,
+      });
 
-      const elapsed = TimerService.getItemCurrentElapsed(itemTotal);
-      expect(elapsed).toBeGreaterThan(0);
+      expect(forBob.entry.memberId).toBe("member-2");
+      expect(forNobody.entry.memberId).toBeNull();
+      expect(TrelloService.getMember).not.toHaveBeenCalled();
     });
 
-    test("stopTimer creates entry with empty description when not provided", async () => {
-      const mockData = getMockData({
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 10000, pausedDuration: 0 },
+    test("adds the time to the checklist item", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            item1: {
+              totalTime: HOUR,
+              entryCount: 1,
+              estimatedTime: null,
+              state: TIMER_STATE.IDLE,
+              currentEntry: null,
+            },
+          },
+        }),
+      );
+
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+        checklistItemId: "item1",
+      });
+
+      expect(result.data.checklistTotals.item1).toMatchObject({
+        totalTime: 2 * HOUR,
+        entryCount: 2,
+      });
+    });
+
+    test("starts tracking a new checklist item", async () => {
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+        checklistItemId: "item2",
+      });
+
+      expect(result.data.checklistTotals.item2).toEqual({
+        totalTime: HOUR,
+        entryCount: 1,
+        estimatedTime: null,
+        state: TIMER_STATE.IDLE,
+        currentEntry: null,
       });
+    });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+    test("logs time on a new item of a long checklist", async () => {
+      const checklistTotals = {};
+      for (let i = 0; i < 40; i++) {
+        checklistTotals[`item${i}`] = { totalTime: 0, entryCount: 0 };
+      }
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ checklistTotals }),
+      );
 
-      const result = await TimerService.stopTimer(tMock);
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+        checklistItemId: "new-item",
+      });
 
       expect(result.success).toBe(true);
-      const savedData = StorageService.setTimerData.mock.calls[0][1];
-      expect(savedData.recentEntries[0].description).toBe("");
+      expect(result.data.checklistTotals["new-item"].totalTime).toBe(HOUR);
     });
 
-    test("stopTimer handles null description", async () => {
-      const mockData = getMockData({
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
-      });
-
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
-
-      const result = await TimerService.stopTimer(tMock, null);
+    test.each([
+      ["no end", { startTime: start }],
+      ["an end before the start", { startTime: start, endTime: start - 1 }],
+      ["a zero duration", { startTime: start, duration: 0 }],
+      ["no start", { duration: HOUR }],
+    ])("rejects an entry with %s", async (_, fields) => {
+      const result = await TimerService.addManualEntry(tMock, fields);
 
-      expect(result.success).toBe(true);
-      expect(result.data.recentEntries[0].description).toBe("");
+      expect(result).toEqual({
+        success: false,
+        error: ERROR_CODES.END_BEFORE_START,
+      });
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
     });
 
-    test("stopTimer fails when setTimerData fails", async () => {
-      const mockData = getMockData({
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
+    test("rejects an entry that ends in the future", async () => {
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: Date.now(),
+        duration: HOUR,
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
+      expect(result).toEqual({
+        success: false,
+        error: ERROR_CODES.END_IN_FUTURE,
+      });
+    });
+
+    test("handles save failure", async () => {
       StorageService.setTimerData.mockResolvedValue({
         success: false,
-        error: "Storage full",
+        error: "LIMIT_EXCEEDED",
       });
 
-      const result = await TimerService.stopTimer(tMock);
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Storage full");
+      expect(result).toEqual({ success: false, error: "LIMIT_EXCEEDED" });
     });
 
-    test("validateTimerData handles missing recentEntries", async () => {
-      // Data without recentEntries array
-      const malformedData = {
-        state: TIMER_STATE.IDLE,
-        currentEntry: null,
-        recentEntries: "not-an-array",
-        checklistTotals: {},
-      };
+    test("handles errors", async () => {
+      StorageService.getTimerData.mockRejectedValue(new Error("Read failed"));
 
-      StorageService.getTimerData.mockResolvedValue(malformedData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: start,
+        duration: HOUR,
+      });
 
-      // startTimer should work because validateTimerData fixes it
-      const result = await TimerService.startTimer(tMock);
+      expect(result).toEqual({ success: false, error: "Read failed" });
+    });
+  });
 
-      expect(result.success).toBe(true);
+  describe("forgotten timers", () => {
+    const HOUR = 3600000;
+    const THRESHOLD = 8 * HOUR;
+    // Noon, so short timers stay on the same day
+    const NOON = new Date(2024, 0, 10, 12, 0).getTime();
+    const running = (startTime, extra = {}) => ({
+      state: TIMER_STATE.RUNNING,
+      currentEntry: { startTime, pausedDuration: 0, ...extra },
     });
 
-    test("validateTimerData handles null checklistTotals", async () => {
-      const malformedData = {
-        state: TIMER_STATE.IDLE,
-        currentEntry: null,
-        recentEntries: [],
-        checklistTotals: null,
-      };
+    describe("isForgottenTimer", () => {
+      test("flags a timer running longer than the threshold", () => {
+        const timer = running(NOON - 9 * HOUR);
 
-      StorageService.getTimerData.mockResolvedValue(malformedData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+        expect(TimerService.isForgottenTimer(timer, THRESHOLD, NOON)).toBe(
+          true,
+        );
+      });
 
-      const result = await TimerService.startTimer(tMock);
+      test("flags a timer started on an earlier day", () => {
+        const lateEvening = new Date(2024, 0, 9, 23, 50).getTime();
+        const justAfterMidnight = new Date(2024, 0, 10, 0, 10).getTime();
+
+        expect(
+          TimerService.isForgottenTimer(
+            running(lateEvening),
+            THRESHOLD,
+            justAfterMidnight,
+          ),
+        ).toBe(true);
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.data.checklistTotals).toEqual({});
+      test("leaves a recent timer alone", () => {
+        expect(
+          TimerService.isForgottenTimer(running(NOON - HOUR), THRESHOLD, NOON),
+        ).toBe(false);
+      });
+
+      test("ignores paused and idle timers", () => {
+        const paused = {
+          state: TIMER_STATE.PAUSED,
+          currentEntry: { startTime: NOON - 20 * HOUR },
+        };
+
+        expect(TimerService.isForgottenTimer(paused, THRESHOLD, NOON)).toBe(
+          false,
+        );
+        expect(TimerService.isForgottenTimer(null, THRESHOLD, NOON)).toBe(
+          false,
+        );
+      });
     });
 
-    test("stopTimer handles missing pausedDuration in currentEntry", async () => {
-      const mockData = getMockData({
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 5000 }, // No pausedDuration
+    describe("getForgottenTimers", () => {
+      test("lists card and item timers, oldest first", () => {
+        const timerData = getMockData({
+          memberTimers: {
+            [MEMBER_ID]: running(NOON - 10 * HOUR),
+            "member-2": running(NOON - HOUR),
+          },
+          checklistTotals: {
+            item1: running(NOON - 12 * HOUR, { memberId: "member-2" }),
+            item2: running(NOON - 9 * HOUR),
+          },
+        });
+
+        expect(
+          TimerService.getForgottenTimers(timerData, THRESHOLD, NOON),
+        ).toEqual([
+          {
+            memberId: "member-2",
+            checklistItemId: "item1",
+            startTime: NOON - 12 * HOUR,
+          },
+          {
+            memberId: MEMBER_ID,
+            checklistItemId: null,
+            startTime: NOON - 10 * HOUR,
+          },
+          {
+            memberId: SHARED_TIMER_KEY,
+            checklistItemId: "item2",
+            startTime: NOON - 9 * HOUR,
+          },
+        ]);
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+      test("returns an empty list for missing data", () => {
+        expect(TimerService.getForgottenTimers(null, THRESHOLD)).toEqual([]);
+      });
+    });
 
-      const result = await TimerService.stopTimer(tMock);
+    describe("stopping at an earlier time", () => {
+      test("trims the card timer entry", async () => {
+        const startTime = Date.now() - 14 * HOUR;
+        StorageService.getTimerData.mockResolvedValue({
+          ...getMockData(),
+          ...memberTimer(TIMER_STATE.RUNNING, { startTime, pausedDuration: 0 }),
+        });
+
+        const result = await TimerService.stopTimer(tMock, "Overnight", {
+          endTime: startTime + 2 * HOUR,
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.entry).toMatchObject({
+          endTime: startTime + 2 * HOUR,
+          duration: 2 * HOUR,
+          description: "Overnight",
+        });
+        expect(result.data.totalTime).toBe(2 * HOUR);
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.data.recentEntries[0].duration).toBeGreaterThan(0);
-    });
+      test("does not count a pause after the stop time", async () => {
+        const startTime = Date.now() - 14 * HOUR;
+        StorageService.getTimerData.mockResolvedValue({
+          ...getMockData(),
+          ...memberTimer(TIMER_STATE.PAUSED, {
+            startTime,
+            pausedDuration: 0,
+            pausedAt: startTime + 10 * HOUR,
+          }),
+        });
+
+        const result = await TimerService.stopTimer(tMock, "", {
+          endTime: startTime + 3 * HOUR,
+        });
+
+        expect(result.entry.duration).toBe(3 * HOUR);
+      });
 
-    test("startItemTimer stops global timer and creates entry", async () => {
-      const mockData = getMockData({
-        state: TIMER_STATE.RUNNING,
-        currentEntry: { startTime: Date.now() - 10000, pausedDuration: 1000 },
-        totalTime: 5000,
+      test("only counts the pauses before the stop time", async () => {
+        const startTime = Date.now() - 14 * HOUR;
+        StorageService.getTimerData.mockResolvedValue({
+          ...getMockData(),
+          ...memberTimer(TIMER_STATE.RUNNING, {
+            startTime,
+            pausedDuration: 3 * HOUR,
+            pausedAt: null,
+            pauses: [
+              { start: startTime + HOUR, end: startTime + 2 * HOUR },
+              { start: startTime + 5 * HOUR, end: startTime + 7 * HOUR },
+            ],
+          }),
+        });
+
+        const afterResume = await TimerService.stopTimer(tMock, "", {
+          endTime: startTime + 4 * HOUR,
+        });
+        const duringPause = await TimerService.stopTimer(tMock, "", {
+          endTime: startTime + 6 * HOUR,
+        });
+
+        expect(afterResume.entry.duration).toBe(3 * HOUR);
+        expect(duringPause.entry.duration).toBe(4 * HOUR);
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+      test("trims a checklist item timer", async () => {
+        const startTime = Date.now() - 14 * HOUR;
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData({
+            checklistTotals: {
+              item1: {
+                totalTime: 0,
+                entryCount: 0,
+                ...running(startTime, { memberId: MEMBER_ID }),
+              },
+            },
+          }),
+        );
+
+        const result = await TimerService.stopItemTimer(tMock, "item1", "", {
+          endTime: startTime + HOUR,
+        });
+
+        expect(result.entry.duration).toBe(HOUR);
+        expect(result.data.checklistTotals.item1.totalTime).toBe(HOUR);
+      });
 
-      const result = await TimerService.startItemTimer(tMock, "item1");
+      test.each([
+        ["before the timer started", -HOUR],
+        ["in the future", 20 * HOUR],
+      ])("rejects a stop time %s", async (_, offset) => {
+        const startTime = Date.now() - 14 * HOUR;
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData({
+            ...memberTimer(TIMER_STATE.RUNNING, { startTime }),
+            checklistTotals: {
+              item1: { totalTime: 0, entryCount: 0, ...running(startTime) },
+            },
+          }),
+        );
+        const endTime = startTime + offset;
+
+        const card = await TimerService.stopTimer(tMock, "", { endTime });
+        const item = await TimerService.stopItemTimer(tMock, "item1", "", {
+          endTime,
+        });
+
+        for (const result of [card, item]) {
+          expect(result).toEqual({
+            success: false,
+            error: ERROR_CODES.INVALID_STOP_TIME,
+          });
+        }
+        expect(StorageService.setTimerData).not.toHaveBeenCalled();
+      });
+    });
+  });
 
-      expect(result.success).toBe(true);
-      // Global timer should be stopped
-      expect(result.data.state).toBe(TIMER_STATE.IDLE);
-      expect(result.data.currentEntry).toBeNull();
-      // Entry should be created
-      expect(result.data.recentEntries).toHaveLength(1);
-      // Item timer should be running
-      expect(result.data.checklistTotals["item1"].state).toBe(
-        TIMER_STATE.RUNNING,
+  describe("categories", () => {
+    const running = { startTime: Date.now() - 60000, pausedDuration: 0 };
+    const entry = (overrides = {}) => ({
+      id: "e1",
+      startTime: 1000,
+      endTime: 6000,
+      duration: 5000,
+      description: "",
+      ...overrides,
+    });
+
+    test("stopTimer records the chosen category", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData(memberTimer(TIMER_STATE.RUNNING, running)),
       );
+
+      const result = await TimerService.stopTimer(tMock, "", {
+        categoryId: "cat_dev",
+      });
+
+      expect(result.entry.categoryId).toBe("cat_dev");
     });
 
-    test("stopItemTimer handles missing pausedDuration", async () => {
-      const mockData = getMockData({
-        checklistTotals: {
-          item1: {
-            totalTime: 0,
-            entryCount: 0,
-            estimatedTime: null,
-            state: TIMER_STATE.RUNNING,
-            currentEntry: { startTime: Date.now() - 5000 }, // No pausedDuration
+    test("entries without a category don't store one", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData(memberTimer(TIMER_STATE.RUNNING, running)),
+      );
+
+      const result = await TimerService.stopTimer(tMock, "");
+
+      expect(result.entry).not.toHaveProperty("categoryId");
+    });
+
+    test("stopItemTimer records the chosen category", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          checklistTotals: {
+            item1: {
+              state: TIMER_STATE.RUNNING,
+              currentEntry: running,
+              totalTime: 0,
+              entryCount: 0,
+            },
           },
-        },
+        }),
+      );
+
+      const result = await TimerService.stopItemTimer(tMock, "item1", "", {
+        categoryId: "cat_review",
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+      expect(result.entry.categoryId).toBe("cat_review");
+    });
 
-      const result = await TimerService.stopItemTimer(tMock, "item1");
+    test("addManualEntry records the category", async () => {
+      const result = await TimerService.addManualEntry(tMock, {
+        startTime: Date.now() - 7200000,
+        duration: 3600000,
+        categoryId: "cat_meeting",
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.data.checklistTotals["item1"].totalTime).toBeGreaterThan(0);
+      expect(result.entry.categoryId).toBe("cat_meeting");
     });
 
-    test("stopItemTimer fails when setTimerData fails", async () => {
-      const mockData = getMockData({
-        checklistTotals: {
-          item1: {
-            totalTime: 0,
-            entryCount: 0,
-            estimatedTime: null,
-            state: TIMER_STATE.RUNNING,
-            currentEntry: { startTime: Date.now() - 5000, pausedDuration: 0 },
-          },
-        },
+    test("updateEntry sets and clears the category", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ totalTime: 5000, recentEntries: [entry()] }),
+      );
+      const set = await TimerService.updateEntry(tMock, "e1", {
+        categoryId: "cat_dev",
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({
-        success: false,
-        error: "Storage limit",
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({ totalTime: 5000, recentEntries: [set.entry] }),
+      );
+      const cleared = await TimerService.updateEntry(tMock, "e1", {
+        categoryId: null,
       });
 
-      const result = await TimerService.stopItemTimer(tMock, "item1");
+      expect(set.entry.categoryId).toBe("cat_dev");
+      expect(cleared.entry).toEqual(entry());
+    });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Storage limit");
+    test("updateEntry clears the category of an archived entry", async () => {
+      StorageService.getEntryHistory.mockResolvedValue([
+        entry({ categoryId: "cat_dev" }),
+      ]);
+
+      const result = await TimerService.updateEntry(tMock, "e1", {
+        categoryId: null,
+      });
+
+      expect(result.entry).not.toHaveProperty("categoryId");
     });
+  });
 
-    test("updateEntry without duration change keeps totalTime same", async () => {
-      const mockData = getMockData({
-        totalTime: 10000,
-        recentEntries: [{ id: "entry1", duration: 5000, description: "Old" }],
+  describe("getAllEntries", () => {
+    test("returns recent entries followed by the entry history", async () => {
+      StorageService.getEntryHistory.mockResolvedValue([{ id: "old" }]);
+
+      const entries = await TimerService.getAllEntries(tMock, {
+        recentEntries: [{ id: "new" }],
+        archivedCount: 1,
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({ success: true });
+      expect(entries.map((e) => e.id)).toEqual(["new", "old"]);
+      expect(StorageService.getEntryHistory).toHaveBeenCalledWith(tMock);
+    });
 
-      const result = await TimerService.updateEntry(tMock, "entry1", {
-        description: "Updated",
+    test("skips the history when nothing was archived", async () => {
+      const entries = await TimerService.getAllEntries(tMock, {
+        recentEntries: [{ id: "new" }],
+        archivedCount: 0,
       });
 
-      expect(result.success).toBe(true);
-      expect(result.data.totalTime).toBe(10000); // Unchanged
-      expect(result.data.recentEntries[0].description).toBe("Updated");
+      expect(entries).toEqual([{ id: "new" }]);
+      expect(StorageService.getEntryHistory).not.toHaveBeenCalled();
     });
+  });
 
-    test("updateEntry fails when setTimerData fails", async () => {
-      const mockData = getMockData({
-        recentEntries: [{ id: "entry1", duration: 5000, description: "Old" }],
+  describe("focus mode", () => {
+    const MINUTE = 60 * 1000;
+    const focus = {
+      enabled: true,
+      workLength: 25 * MINUTE,
+      shortBreak: 5 * MINUTE,
+      longBreak: 15 * MINUTE,
+      longBreakEvery: 4,
+    };
+    // The interval (25m of work after a 2m pause) ended seconds ago
+    const startTime = Date.now() - 27 * MINUTE - 10 * 1000;
+    const runningFor = (overrides = {}) =>
+      getMockData({
+        ...memberTimer(TIMER_STATE.RUNNING, {
+          startTime,
+          pausedDuration: 2 * MINUTE,
+        }),
+        ...overrides,
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({
-        success: false,
-        error: "DB error",
+    beforeEach(() => {
+      StorageService.getBoardSettings = jest
+        .fn()
+        .mockResolvedValue({ ...DEFAULTS.BOARD_SETTINGS, focus });
+    });
+
+    describe("completeFocusInterval", () => {
+      test("logs the interval and starts a short break", async () => {
+        StorageService.getTimerData.mockResolvedValue(runningFor());
+
+        const result = await TimerService.completeFocusInterval(
+          tMock,
+          "Drafting",
+          { categoryId: "cat_dev" },
+        );
+
+        const endTime = startTime + 27 * MINUTE;
+        expect(result.success).toBe(true);
+        expect(result.entry).toMatchObject({
+          startTime,
+          endTime,
+          duration: 25 * MINUTE,
+          description: "Drafting",
+          categoryId: "cat_dev",
+        });
+        expect(result.focusBreak).toEqual({
+          breakEnd: endTime + 5 * MINUTE,
+          longBreak: false,
+          cycles: 1,
+        });
+        expect(sessionOf(result.data)).toBeUndefined();
+        expect(result.data.totalTime).toBe(25 * MINUTE);
+        expect(result.data.focusSessions[MEMBER_ID]).toEqual({
+          cycles: 1,
+          breakEnd: endTime + 5 * MINUTE,
+        });
+        expect(result.overrun).toBe(0);
       });
 
-      const result = await TimerService.updateEntry(tMock, "entry1", {
-        description: "New",
+      test("ends the entry with an interval that ended unseen", async () => {
+        const before = Date.now();
+        const unseenStart = before - 120 * MINUTE;
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData(
+            memberTimer(TIMER_STATE.RUNNING, {
+              startTime: unseenStart,
+              pausedDuration: 0,
+            }),
+          ),
+        );
+
+        const result = await TimerService.completeFocusInterval(tMock);
+
+        expect(result.entry).toMatchObject({
+          endTime: unseenStart + 25 * MINUTE,
+          duration: 25 * MINUTE,
+        });
+        expect(result.data.totalTime).toBe(25 * MINUTE);
+        expect(result.overrun).toBeGreaterThanOrEqual(95 * MINUTE);
+        // The break starts now, not when the interval ended
+        expect(result.focusBreak.breakEnd).toBe(
+          unseenStart + 25 * MINUTE + result.overrun + 5 * MINUTE,
+        );
+        expect(result.focusBreak.breakEnd).toBeGreaterThanOrEqual(
+          before + 5 * MINUTE,
+        );
       });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("DB error");
-    });
+      test("keeps the time tracked after an unseen end when asked to", async () => {
+        const before = Date.now();
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData(
+            memberTimer(TIMER_STATE.RUNNING, {
+              startTime: before - 120 * MINUTE,
+              pausedDuration: 0,
+            }),
+          ),
+        );
+
+        const result = await TimerService.completeFocusInterval(tMock, "", {
+          keepOverrun: true,
+        });
+
+        const { endTime } = result.entry;
+        expect(endTime).toBeGreaterThanOrEqual(before);
+        expect(result.entry.duration).toBe(endTime - (before - 120 * MINUTE));
+        expect(result.overrun).toBe(result.entry.duration - 25 * MINUTE);
+        expect(result.focusBreak.breakEnd).toBe(endTime + 5 * MINUTE);
+        expect(result.data.totalTime).toBe(result.entry.duration);
+      });
 
-    test("setEstimate fails when setTimerData fails", async () => {
-      StorageService.getTimerData.mockResolvedValue(getMockData());
-      StorageService.setTimerData.mockResolvedValue({
-        success: false,
-        error: "Quota exceeded",
+      test("takes a long break after every few intervals", async () => {
+        StorageService.getTimerData.mockResolvedValue(
+          runningFor({
+            focusSessions: { [MEMBER_ID]: { cycles: 3, breakEnd: 1 } },
+          }),
+        );
+
+        const result = await TimerService.completeFocusInterval(tMock);
+
+        expect(result.focusBreak).toMatchObject({
+          longBreak: true,
+          cycles: 4,
+        });
+        expect(result.data.focusSessions[MEMBER_ID]).toMatchObject({
+          cycles: 4,
+          longBreak: true,
+        });
       });
 
-      const result = await TimerService.setEstimate(tMock, 3600000);
+      test("keeps the shared timer's cycles without a member", async () => {
+        TrelloService.getMember.mockResolvedValue(null);
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData(
+            memberTimer(
+              TIMER_STATE.RUNNING,
+              { startTime, pausedDuration: 0 },
+              SHARED_TIMER_KEY,
+            ),
+          ),
+        );
+
+        const result = await TimerService.completeFocusInterval(tMock);
+
+        expect(result.success).toBe(true);
+        expect(result.data.focusSessions[SHARED_TIMER_KEY].cycles).toBe(1);
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Quota exceeded");
-    });
+      test("fails when focus mode is off", async () => {
+        StorageService.getBoardSettings.mockResolvedValue(
+          DEFAULTS.BOARD_SETTINGS,
+        );
+        StorageService.getTimerData.mockResolvedValue(runningFor());
 
-    test("setItemEstimate fails when setTimerData fails", async () => {
-      StorageService.getTimerData.mockResolvedValue(getMockData());
-      StorageService.setTimerData.mockResolvedValue({
-        success: false,
-        error: "Item error",
+        const result = await TimerService.completeFocusInterval(tMock);
+
+        expect(result).toEqual({
+          success: false,
+          error: ERROR_CODES.FOCUS_OFF,
+        });
+        expect(StorageService.setTimerData).not.toHaveBeenCalled();
       });
 
-      const result = await TimerService.setItemEstimate(
-        tMock,
-        "item1",
-        3600000,
-      );
+      test("fails before the interval is over", async () => {
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData(
+            memberTimer(TIMER_STATE.RUNNING, {
+              startTime: Date.now() - 10 * MINUTE,
+              pausedDuration: 0,
+            }),
+          ),
+        );
+
+        const result = await TimerService.completeFocusInterval(tMock);
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe(ERROR_CODES.FOCUS_NOT_OVER);
+        expect(StorageService.setTimerData).not.toHaveBeenCalled();
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Item error");
-    });
+      test("fails without a running timer", async () => {
+        StorageService.getTimerData.mockResolvedValue(
+          getMockData(
+            memberTimer(TIMER_STATE.PAUSED, {
+              startTime,
+              pausedDuration: 0,
+              pausedAt: startTime + 26 * MINUTE,
+            }),
+          ),
+        );
+
+        const result = await TimerService.completeFocusInterval(tMock);
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe(ERROR_CODES.NO_RUNNING_TIMER);
+      });
 
-    test("deleteEntry fails when setTimerData fails", async () => {
-      const mockData = getMockData({
-        totalTime: 10000,
-        recentEntries: [{ id: "entry1", duration: 5000 }],
+      test("surfaces save failures", async () => {
+        StorageService.getTimerData.mockResolvedValue(runningFor());
+        StorageService.setTimerData.mockResolvedValue({
+          success: false,
+          error: "Storage full",
+        });
+
+        expect(await TimerService.completeFocusInterval(tMock)).toEqual({
+          success: false,
+          error: "Storage full",
+        });
       });
 
-      StorageService.getTimerData.mockResolvedValue(mockData);
-      StorageService.setTimerData.mockResolvedValue({
-        success: false,
-        error: "Delete failed",
+      test("surfaces read failures", async () => {
+        StorageService.getBoardSettings.mockRejectedValue(new Error("Offline"));
+
+        expect(await TimerService.completeFocusInterval(tMock)).toEqual({
+          success: false,
+          error: "Offline",
+        });
       });
+    });
 
-      const result = await TimerService.deleteEntry(tMock, "entry1");
+    test("starting the timer ends the break early", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          focusSessions: {
+            [MEMBER_ID]: {
+              cycles: 4,
+              breakEnd: Date.now() + 10 * MINUTE,
+              longBreak: true,
+            },
+          },
+        }),
+      );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe("Delete failed");
+      const result = await TimerService.startTimer(tMock);
+
+      expect(result.success).toBe(true);
+      expect(result.data.focusSessions[MEMBER_ID]).toEqual({
+        cycles: 4,
+        breakEnd: null,
+      });
+    });
+
+    test("autoStartTimer doesn't interrupt a break", async () => {
+      StorageService.getTimerData.mockResolvedValue(
+        getMockData({
+          focusSessions: {
+            [MEMBER_ID]: { cycles: 1, breakEnd: Date.now() + MINUTE },
+          },
+        }),
+      );
+
+      const result = await TimerService.autoStartTimer(tMock);
+
+      expect(result.started).toBe(false);
+      expect(StorageService.setTimerData).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,260 @@
+/**
+ * Tests for TimesheetService.js
+ */
+
+import { jest } from "@jest/globals";
+import { createTrelloMock } from "../mocks/trelloMock.js";
+import TimesheetService, {
+  DAYS_PER_WEEK,
+} from "../../src/services/TimesheetService.js";
+import ReportService from "../../src/services/ReportService.js";
+import {
+  ERROR_CODES,
+  DEFAULTS,
+  STORAGE_KEYS,
+  STORAGE_SCOPES,
+  TIME,
+} from "../../src/utils/constants.js";
+
+const { HOUR, MINUTE } = TIME;
+
+// Monday, January 15, 2024
+const MONDAY = new Date(2024, 0, 15).getTime();
+const at = (day, hour, minute = 0) =>
+  new Date(2024, 0, 15 + day, hour, minute).getTime();
+
+const entry = (id, startTime, duration, memberId = "member-1") => ({
+  id,
+  startTime,
+  endTime: startTime + duration,
+  duration,
+  description: "",
+  memberId,
+});
+
+describe("TimesheetService", () => {
+  describe("getWeekStart", () => {
+    test.each([
+      ["Monday morning", at(0, 9)],
+      ["Wednesday", at(2, 14, 30)],
+      ["Sunday night", at(6, 23, 59)],
+    ])("starts the week of %s on Monday at midnight", (_, timestamp) => {
+      expect(TimesheetService.getWeekStart(timestamp)).toBe(MONDAY);
+    });
+
+    test("starts the next week on the following Monday", () => {
+      expect(TimesheetService.getWeekStart(at(7, 0))).toBe(at(7, 0));
+    });
+  });
+
+  describe("getWeekDays", () => {
+    test("returns the midnight of each day of the week", () => {
+      const days = TimesheetService.getWeekDays(MONDAY);
+
+      expect(days).toHaveLength(DAYS_PER_WEEK);
+      expect(days[0]).toBe(MONDAY);
+      expect(days[6]).toBe(at(6, 0));
+    });
+  });
+
+  describe("shiftWeek", () => {
+    test("moves by whole weeks in either direction", () => {
+      expect(TimesheetService.shiftWeek(MONDAY, 1)).toBe(at(7, 0));
+      expect(TimesheetService.shiftWeek(MONDAY, -2)).toBe(at(-14, 0));
+    });
+  });
+
+  describe("buildTimesheet", () => {
+    const cards = [
+      {
+        id: "card-2",
+        name: "Signup page",
+        url: "https://trello.com/c/2",
+        entries: [
+          entry("e1", at(0, 9), 2 * HOUR),
+          entry("e2", at(0, 14), 30 * MINUTE),
+          entry("e3", at(4, 10), HOUR),
+        ],
+      },
+      {
+        id: "card-1",
+        name: "Login page",
+        url: "https://trello.com/c/1",
+        entries: [
+          entry("e4", at(4, 8), HOUR),
+          entry("e5", at(0, 9), HOUR, "member-2"),
+        ],
+      },
+      {
+        id: "card-3",
+        name: "Release",
+        entries: [entry("e6", at(7, 9), HOUR), entry("e7", at(-1, 9), HOUR)],
+      },
+    ];
+
+    test("lays out the member's entries by card and day", () => {
+      const timesheet = TimesheetService.buildTimesheet(
+        cards,
+        "member-1",
+        MONDAY,
+      );
+
+      expect(timesheet.weekStart).toBe(MONDAY);
+      expect(timesheet.days).toEqual(TimesheetService.getWeekDays(MONDAY));
+      expect(timesheet.rows.map((row) => row.name)).toEqual([
+        "Login page",
+        "Signup page",
+      ]);
+
+      const signup = timesheet.rows[1];
+      expect(signup.url).toBe("https://trello.com/c/2");
+      expect(signup.totalTime).toBe(3.5 * HOUR);
+      expect(signup.days.map((cell) => cell.totalTime)).toEqual([
+        2.5 * HOUR,
+        0,
+        0,
+        0,
+        HOUR,
+        0,
+        0,
+      ]);
+      expect(signup.days[0].entries.map((e) => e.id)).toEqual(["e1", "e2"]);
+    });
+
+    test("totals each day and the week", () => {
+      const timesheet = TimesheetService.buildTimesheet(
+        cards,
+        "member-1",
+        MONDAY,
+      );
+
+      expect(timesheet.dayTotals).toEqual([
+        2.5 * HOUR,
+        0,
+        0,
+        0,
+        2 * HOUR,
+        0,
+        0,
+      ]);
+      expect(timesheet.totalTime).toBe(4.5 * HOUR);
+    });
+
+    test("keeps work past midnight on the day it started", () => {
+      const timesheet = TimesheetService.buildTimesheet(
+        [
+          {
+            id: "card-1",
+            name: "Night",
+            entries: [entry("e1", at(2, 23), 2 * HOUR)],
+          },
+        ],
+        "member-1",
+        MONDAY,
+      );
+
+      expect(timesheet.dayTotals[2]).toBe(2 * HOUR);
+      expect(timesheet.dayTotals[3]).toBe(0);
+    });
+
+    test("sorts a cell's entries by start time", () => {
+      const timesheet = TimesheetService.buildTimesheet(
+        [
+          {
+            id: "card-1",
+            name: "Login page",
+            entries: [
+              entry("late", at(1, 15), HOUR),
+              entry("early", at(1, 8), HOUR),
+            ],
+          },
+        ],
+        "member-1",
+        MONDAY,
+      );
+
+      expect(timesheet.rows[0].days[1].entries.map((e) => e.id)).toEqual([
+        "early",
+        "late",
+      ]);
+    });
+
+    test("is empty when the member tracked nothing that week", () => {
+      const timesheet = TimesheetService.buildTimesheet(
+        cards,
+        "member-3",
+        MONDAY,
+      );
+
+      expect(timesheet.rows).toEqual([]);
+      expect(timesheet.totalTime).toBe(0);
+    });
+  });
+
+  describe("getTimesheet", () => {
+    let mockT;
+
+    beforeEach(() => {
+      mockT = createTrelloMock();
+      mockT._setStorage(
+        "card-2",
+        STORAGE_SCOPES.CARD_SHARED,
+        STORAGE_KEYS.TIMER_DATA,
+        {
+          ...DEFAULTS.TIMER_DATA,
+          totalTime: HOUR,
+          recentEntries: [entry("e1", at(1, 9), HOUR, "test-member-id")],
+        },
+      );
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("reads the current member's week from the board", async () => {
+      const result = await TimesheetService.getTimesheet(mockT, {
+        weekStart: MONDAY,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.rows).toHaveLength(1);
+      expect(result.data.rows[0].id).toBe("card-2");
+      expect(result.data.dayTotals[1]).toBe(HOUR);
+      expect(result.data.cards).toEqual([
+        { id: "card-1", name: "Card 1" },
+        { id: "card-2", name: "Card 2" },
+      ]);
+    });
+
+    test("defaults to the current week", async () => {
+      jest.spyOn(Date, "now").mockReturnValue(at(3, 12));
+
+      const result = await TimesheetService.getTimesheet(mockT);
+
+      expect(result.data.weekStart).toBe(MONDAY);
+    });
+
+    test("fails without a current member", async () => {
+      mockT.member = jest.fn(async () => {
+        throw new Error("Not signed in");
+      });
+
+      expect(await TimesheetService.getTimesheet(mockT)).toEqual({
+        success: false,
+        error: ERROR_CODES.MEMBER_UNAVAILABLE,
+      });
+    });
+
+    test("returns an error when reading fails", async () => {
+      jest
+        .spyOn(ReportService, "getBoardCardTimes")
+        .mockRejectedValue(new Error("Network down"));
+
+      expect(await TimesheetService.getTimesheet(mockT)).toEqual({
+        success: false,
+        error: "Network down",
+      });
+    });
+  });
+});
@@ -98,6 +98,89 @@ describe("TrelloService", () => {
     });
   });
 
+  describe("getBoardCard", () => {
+    test("returns the card with the given ID", async () => {
+      const result = await TrelloService.getBoardCard(mockT, "card-2");
+
+      expect(result).toEqual({ id: "card-2", name: "Card 2" });
+      expect(mockT.cards).toHaveBeenCalledWith("id", "name", "url");
+    });
+
+    test("returns null when the card is not on the board", async () => {
+      expect(await TrelloService.getBoardCard(mockT, "card-9")).toBeNull();
+    });
+
+    test("returns null on error", async () => {
+      mockT.cards = createErrorMock("Cards error");
+
+      expect(await TrelloService.getBoardCard(mockT, "card-1")).toBeNull();
+    });
+  });
+
+  describe("getBoardCards", () => {
+    test("returns every card with all fields", async () => {
+      const result = await TrelloService.getBoardCards(mockT);
+
+      expect(result).toHaveLength(2);
+      expect(mockT.cards).toHaveBeenCalledWith("all");
+    });
+
+    test("returns empty array on error", async () => {
+      mockT.cards = createErrorMock("Cards error");
+
+      expect(await TrelloService.getBoardCards(mockT)).toEqual([]);
+    });
+  });
+
+  describe("getBoardLists", () => {
+    test("returns the board lists", async () => {
+      const result = await TrelloService.getBoardLists(mockT);
+
+      expect(result).toEqual([
+        { id: "list-1", name: "To Do" },
+        { id: "list-2", name: "Done" },
+      ]);
+      expect(mockT.lists).toHaveBeenCalledWith("id", "name");
+    });
+
+    test("returns empty array on error", async () => {
+      mockT.lists = createErrorMock("Lists error");
+
+      expect(await TrelloService.getBoardLists(mockT)).toEqual([]);
+    });
+  });
+
+  describe("forCard", () => {
+    test("redirects card storage to the given card", async () => {
+      const cardT = TrelloService.forCard(mockT, "card-2");
+
+      await cardT.set("card", "shared", "key", 1);
+      await cardT.get("card", "shared", "key");
+      await cardT.remove("card", "shared", "key");
+
+      expect(mockT.set).toHaveBeenCalledWith("card-2", "shared", "key", 1);
+      expect(mockT.get).toHaveBeenCalledWith("card-2", "shared", "key");
+      expect(mockT.remove).toHaveBeenCalledWith("card-2", "shared", "key");
+    });
+
+    test("reports the given card in its context", () => {
+      mockT.getContext = jest.fn(() => ({ board: "board-1", card: "card-1" }));
+      const cardT = TrelloService.forCard(mockT, "card-2");
+
+      expect(cardT.getContext()).toEqual({ board: "board-1", card: "card-2" });
+    });
+
+    test("leaves other scopes and methods untouched", async () => {
+      const cardT = TrelloService.forCard(mockT, "card-2");
+
+      await cardT.get("member", "private", "key");
+
+      expect(mockT.get).toHaveBeenCalledWith("member", "private", "key");
+      expect(await cardT.card("id")).toEqual({ id: "card-2" });
+      expect(await cardT.member("id")).toMatchObject({ id: "test-member-id" });
+    });
+  });
+
   describe("closePopup", () => {
     test("calls closePopup on Trello client", async () => {
       await TrelloService.closePopup(mockT);
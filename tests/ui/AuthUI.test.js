@@ -3,7 +3,7 @@
  */
 
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
-import { AuthUI } from "../../src/ui/AuthUI.js";
+import { AuthUI, AUTH_SCOPES } from "../../src/ui/AuthUI.js";
 
 describe("AuthUI", () => {
   let t;
@@ -19,7 +19,9 @@ describe("AuthUI", () => {
     };
 
     document.body.innerHTML = `
-            <div id="auth-container" hidden></div>
+            <div id="auth-container" hidden>
+                <p class="auth-text">Allow access to load checklists.</p>
+            </div>
             <button id="btn-auth"></button>
         `;
 
@@ -54,4 +56,39 @@ describe("AuthUI", () => {
       expect.objectContaining({ scope: "read" }),
     );
   });
+
+  test("asks for the scope it was set to", async () => {
+    authUI.setScope(AUTH_SCOPES.WRITE);
+    btnAuthorize.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(t.getRestApi().authorize).toHaveBeenCalledWith({
+      scope: "read,write",
+    });
+  });
+
+  test("requestWriteAccess() asks to authorize writing", async () => {
+    authUI.requestWriteAccess();
+
+    expect(authContainer.hidden).toBe(false);
+    expect(authContainer.querySelector(".auth-text").textContent).toBe(
+      "Allow write access to keep this board's Custom Fields up to date.",
+    );
+
+    btnAuthorize.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(t.getRestApi().authorize).toHaveBeenCalledWith({
+      scope: "read,write",
+    });
+  });
+
+  test("show() restores the default text", () => {
+    authUI.requestWriteAccess();
+    authUI.show();
+
+    expect(authContainer.querySelector(".auth-text").textContent).toBe(
+      "Allow access to load checklists.",
+    );
+  });
 });
@@ -0,0 +1,307 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+const mockReportService = {
+  getBoardReport: jest.fn(),
+};
+const mockExportService = {
+  exportBoardCsv: jest.fn(),
+};
+const mockDownloadExport = jest.fn();
+const mockStorageService = {
+  getUserPreferences: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/services/ReportService.js", () => ({
+  default: mockReportService,
+}));
+jest.unstable_mockModule("../../src/services/ExportService.js", () => ({
+  default: mockExportService,
+}));
+jest.unstable_mockModule("../../src/services/StorageService.js", () => ({
+  default: mockStorageService,
+}));
+jest.unstable_mockModule("../../src/ui/ExportUI.js", () => ({
+  downloadExport: mockDownloadExport,
+}));
+
+// Import after mock
+const { BoardReportUI } = await import("../../src/ui/BoardReportUI.js");
+const { default: ReportService } =
+  await import("../../src/services/ReportService.js");
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+describe("BoardReportUI", () => {
+  let t;
+  let elements;
+  let boardReportUI;
+
+  const report = {
+    cards: [
+      {
+        id: "card-1",
+        name: "<b>Login</b>",
+        url: "https://trello.com/c/1",
+        totalTime: 3 * HOUR,
+        estimatedTime: 2 * HOUR,
+      },
+      {
+        id: "card-2",
+        name: "Signup",
+        url: "https://trello.com/c/2",
+        totalTime: HOUR,
+        estimatedTime: 4 * HOUR,
+      },
+    ],
+    lists: [
+      { id: "list-1", name: "Doing", totalTime: 4 * HOUR, estimatedTime: null },
+    ],
+    members: [
+      {
+        id: "member-1",
+        name: "Alice",
+        totalTime: 4 * HOUR,
+        estimatedTime: null,
+      },
+    ],
+    labels: [],
+    totals: { totalTime: 4 * HOUR, estimatedTime: 6 * HOUR },
+  };
+
+  beforeEach(() => {
+    t = { showCard: jest.fn() };
+
+    document.body.innerHTML = `
+            <p id="status"></p>
+            <div id="content"></div>
+            <button id="btn-refresh"></button>
+            <select id="export-scope"></select>
+            <button id="btn-export"></button>
+        `;
+
+    elements = {
+      status: document.getElementById("status"),
+      content: document.getElementById("content"),
+      btnRefresh: document.getElementById("btn-refresh"),
+      exportScope: document.getElementById("export-scope"),
+      btnExport: document.getElementById("btn-export"),
+    };
+
+    jest.clearAllMocks();
+    mockStorageService.getUserPreferences.mockResolvedValue({});
+    boardReportUI = new BoardReportUI(t, elements);
+  });
+
+  test("renders a table per non-empty group", async () => {
+    ReportService.getBoardReport.mockResolvedValue({
+      success: true,
+      data: report,
+    });
+
+    await boardReportUI.load();
+
+    const titles = [
+      ...elements.content.querySelectorAll(".report-section__title"),
+    ].map((title) => title.textContent);
+    expect(titles).toEqual(["Cards", "Lists", "Members"]);
+    expect(elements.status.hidden).toBe(true);
+    expect(elements.content.textContent).toContain("4h");
+    expect(elements.content.textContent).toContain("6h");
+  });
+
+  test("shows times as the member's preferences format them", async () => {
+    mockStorageService.getUserPreferences.mockResolvedValue({
+      decimalHours: true,
+    });
+    ReportService.getBoardReport.mockResolvedValue({
+      success: true,
+      data: report,
+    });
+
+    await boardReportUI.load();
+
+    expect(mockStorageService.getUserPreferences).toHaveBeenCalledWith(t);
+    expect(
+      elements.content.querySelector(".report-summary__value").textContent,
+    ).toBe("4.00 h");
+  });
+
+  test("compares tracked time with the estimate", () => {
+    boardReportUI.render(report);
+
+    const [cards, , members] =
+      elements.content.querySelectorAll(".report-section");
+    const [over, left] = cards.querySelectorAll("tbody tr");
+    expect(over.textContent).toContain("1h 0m 0s over");
+    expect(over.querySelector(".report-table__time--over")).not.toBeNull();
+    expect(left.textContent).toContain("3h 0m 0s left");
+    expect(members.querySelector("tbody tr").textContent).toContain("—");
+  });
+
+  test("adds a cost column when the board bills time", () => {
+    boardReportUI.render({
+      ...report,
+      cards: report.cards.map((card) => ({ ...card, cost: 150 })),
+      totals: { ...report.totals, cost: 300 },
+      currency: "USD",
+    });
+
+    const [cards] = elements.content.querySelectorAll(".report-section");
+    expect(cards.querySelector("thead").textContent).toContain("Cost");
+    expect(cards.querySelector("tbody tr").textContent).toContain("150.00");
+    expect(
+      elements.content.querySelector(".report-summary").textContent,
+    ).toContain("300.00");
+  });
+
+  test("leaves costs out without rates", () => {
+    boardReportUI.render(report);
+
+    expect(elements.content.textContent).not.toContain("Cost");
+  });
+
+  test("adds a billed column when the board rounds time", () => {
+    boardReportUI.render({
+      ...report,
+      cards: report.cards.map((card) => ({
+        ...card,
+        billedTime: card.totalTime + 15 * MINUTE,
+      })),
+      totals: { ...report.totals, billedTime: 4 * HOUR + 30 * MINUTE },
+      rounded: true,
+    });
+
+    const [cards] = elements.content.querySelectorAll(".report-section");
+    expect(cards.querySelector("thead").textContent).toContain("Billed");
+    expect(cards.querySelector("tbody tr").textContent).toContain("3h 15m");
+    expect(
+      elements.content.querySelector(".report-summary").textContent,
+    ).toContain("4h 30m");
+  });
+
+  test("leaves the billed column out when time is billed as tracked", () => {
+    boardReportUI.render(report);
+
+    expect(elements.content.textContent).not.toContain("Billed");
+  });
+
+  test("escapes card names", () => {
+    boardReportUI.render(report);
+
+    expect(elements.content.querySelector("b")).toBeNull();
+    expect(elements.content.textContent).toContain("<b>Login</b>");
+  });
+
+  test("opens a card when its name is clicked", () => {
+    boardReportUI.render(report);
+
+    elements.content.querySelector('[data-card-id="card-2"]').click();
+
+    expect(t.showCard).toHaveBeenCalledWith("card-2");
+  });
+
+  test("shows a message when nothing has been tracked", () => {
+    boardReportUI.render({
+      cards: [],
+      lists: [],
+      members: [],
+      labels: [],
+      totals: { totalTime: 0, estimatedTime: null },
+    });
+
+    expect(elements.status.hidden).toBe(false);
+    expect(elements.status.textContent).toBe(
+      "No time tracked on this board yet.",
+    );
+    expect(elements.content.innerHTML).toBe("");
+  });
+
+  test("shows an error when the report fails to load", async () => {
+    ReportService.getBoardReport.mockResolvedValue({
+      success: false,
+      error: "Storage error",
+    });
+
+    await boardReportUI.load();
+
+    expect(elements.status.textContent).toBe(
+      "Failed to load report: Storage error",
+    );
+  });
+
+  test("reloads the report on refresh", () => {
+    ReportService.getBoardReport.mockResolvedValue({
+      success: true,
+      data: report,
+    });
+
+    elements.btnRefresh.click();
+
+    expect(ReportService.getBoardReport).toHaveBeenCalledWith(t);
+  });
+
+  describe("export", () => {
+    const exportResult = { success: true, data: {} };
+
+    beforeEach(() => {
+      mockExportService.exportBoardCsv.mockReturnValue(exportResult);
+      mockDownloadExport.mockResolvedValue(true);
+    });
+
+    test("offers the whole board and each tracked list", () => {
+      boardReportUI.render({
+        ...report,
+        lists: [
+          ...report.lists,
+          { id: null, name: "Unknown list", totalTime: HOUR },
+        ],
+      });
+
+      const options = [...elements.exportScope.options].map((o) => [
+        o.value,
+        o.textContent,
+      ]);
+      expect(options).toEqual([
+        ["", "Whole board"],
+        ["list-1", "Doing"],
+      ]);
+    });
+
+    test("keeps the chosen list across refreshes", () => {
+      boardReportUI.render(report);
+      elements.exportScope.value = "list-1";
+
+      boardReportUI.render(report);
+
+      expect(elements.exportScope.value).toBe("list-1");
+    });
+
+    test("exports the whole board by default", async () => {
+      boardReportUI.render(report);
+
+      await boardReportUI._handleExport();
+
+      expect(mockExportService.exportBoardCsv).toHaveBeenCalledWith(t, {
+        listId: null,
+      });
+      expect(mockDownloadExport).toHaveBeenCalledWith(exportResult);
+      expect(elements.btnExport.disabled).toBe(false);
+    });
+
+    test("exports the chosen list", () => {
+      boardReportUI.render(report);
+      elements.exportScope.value = "list-1";
+
+      elements.btnExport.click();
+
+      expect(mockExportService.exportBoardCsv).toHaveBeenCalledWith(t, {
+        listId: "list-1",
+      });
+      expect(elements.btnExport.disabled).toBe(true);
+    });
+  });
+});
@@ -190,4 +190,93 @@ describe("ChecklistUI", () => {
     expect(row.classList).toContain("checklist-row--over");
     expect(timeDiv.classList).toContain("text-over");
   });
+
+  test("should show paused items with a resume control", () => {
+    const checklists = [
+      {
+        id: "cl1",
+        checkItems: [{ id: "item1", name: "Paused Task", state: "incomplete" }],
+      },
+    ];
+
+    const timerData = {
+      checklistTotals: {
+        item1: {
+          state: TIMER_STATE.PAUSED,
+          totalTime: 0,
+          currentEntry: { startTime: 1000, pausedAt: 2000 },
+        },
+      },
+    };
+
+    checklistUI.render(timerData, checklists);
+
+    const row = container.querySelector(".checklist-row");
+    const pauseBtn = row.querySelector('[data-action="pause"]');
+    expect(pauseBtn.hidden).toBe(false);
+    expect(pauseBtn.classList).toContain("btn-item-pause--paused");
+    expect(row.querySelector(".status-badge--paused")).not.toBeNull();
+    expect(row.querySelector(".status-badge--running")).toBeNull();
+  });
+
+  test("should swap running badge for paused badge on live update", () => {
+    const checklists = [
+      {
+        id: "cl1",
+        checkItems: [{ id: "item1", name: "Task", state: "incomplete" }],
+      },
+    ];
+
+    checklistUI.render(
+      { checklistTotals: { item1: { state: TIMER_STATE.RUNNING } } },
+      checklists,
+    );
+    checklistUI.render(
+      {
+        checklistTotals: {
+          item1: {
+            state: TIMER_STATE.PAUSED,
+            currentEntry: { startTime: 1000, pausedAt: 2000 },
+          },
+        },
+      },
+      checklists,
+    );
+
+    const row = container.querySelector(".checklist-row");
+    expect(row.querySelector(".status-badge--running")).toBeNull();
+    expect(row.querySelector(".status-badge--paused")).not.toBeNull();
+  });
+
+  test("applies the member's display preferences", () => {
+    const checklists = [
+      { id: "cl1", checkItems: [{ id: "item1", name: "Task 1" }] },
+    ];
+    const timerData = {
+      checklistTotals: { item1: { totalTime: 3723000, state: "idle" } },
+    };
+
+    checklistUI.setPreferences({ showSeconds: false });
+    checklistUI.render(timerData, checklists);
+
+    expect(container.querySelector(".item-time-value").textContent).toBe(
+      "1h 2m",
+    );
+  });
+
+  test("shows item estimates in the board's working days", () => {
+    checklistUI.setWorkSchedule({ hoursPerDay: 6, daysPerWeek: 5 });
+    const checklists = [
+      { id: "cl1", checkItems: [{ id: "item1", name: "Task" }] },
+    ];
+
+    checklistUI.render(
+      { checklistTotals: { item1: { totalTime: 0, estimatedTime: 43200000 } } },
+      checklists,
+    );
+
+    expect(
+      container.querySelector('[data-action="estimate"]').getAttribute("value"),
+    ).toBe("2d");
+  });
 });
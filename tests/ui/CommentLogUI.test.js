@@ -0,0 +1,84 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { ERROR_CODES } from "../../src/utils/constants.js";
+import { setLocale } from "../../src/utils/i18n.js";
+
+const mockCommentService = {
+  logEntry: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/services/CommentService.js", () => ({
+  default: mockCommentService,
+}));
+
+// Import after mock
+const { logEntryComment } = await import("../../src/ui/CommentLogUI.js");
+
+describe("logEntryComment", () => {
+  const entry = { id: "e_1" };
+  let t;
+
+  beforeEach(() => {
+    setLocale("en");
+    t = { alert: jest.fn() };
+    jest.clearAllMocks();
+  });
+
+  test("posts the entry's comment quietly", async () => {
+    mockCommentService.logEntry.mockResolvedValue({
+      success: true,
+      posted: true,
+    });
+
+    const result = await logEntryComment(t, entry);
+
+    expect(mockCommentService.logEntry).toHaveBeenCalledWith(t, entry);
+    expect(result).toEqual({ success: true, posted: true });
+    expect(t.alert).not.toHaveBeenCalled();
+  });
+
+  test("tells the member when the comment couldn't be posted", async () => {
+    mockCommentService.logEntry.mockResolvedValue({
+      success: false,
+      error: ERROR_CODES.CARD_UNAVAILABLE,
+    });
+
+    await logEntryComment(t, entry);
+
+    expect(t.alert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message:
+          "The time was saved, but its comment couldn't be posted on the card: Could not read the card",
+        display: "error",
+      }),
+    );
+  });
+
+  test("asks for write access when the post is refused", async () => {
+    const onWriteAccessNeeded = jest.fn();
+    mockCommentService.logEntry.mockResolvedValue({
+      success: false,
+      needsWriteAccess: true,
+      error: ERROR_CODES.NOT_AUTHORIZED,
+    });
+
+    await logEntryComment(t, entry, { onWriteAccessNeeded });
+
+    expect(onWriteAccessNeeded).toHaveBeenCalled();
+    expect(t.alert).not.toHaveBeenCalled();
+  });
+
+  test("reports a refused post when write access can't be asked for", async () => {
+    mockCommentService.logEntry.mockResolvedValue({
+      success: false,
+      needsWriteAccess: true,
+      error: ERROR_CODES.NOT_AUTHORIZED,
+    });
+
+    await logEntryComment(t, entry);
+
+    expect(t.alert).toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,18 @@
 /**
  * @jest-environment jsdom
  */
-import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
 import { EntryListUI } from "../../src/ui/EntryListUI.js";
+import TimerService from "../../src/services/TimerService.js";
+import ExportService from "../../src/services/ExportService.js";
+import { ERROR_CODES } from "../../src/utils/constants.js";
 
 // Mock TimerService
 jest.unstable_mockModule("../../src/services/TimerService.js", () => ({
@@ -104,4 +114,412 @@ describe("EntryListUI", () => {
     expect(container.querySelector(".entry--editing")).not.toBeNull();
     expect(container.querySelector("#edit-desc-input").value).toBe("Test Work");
   });
+
+  test("reads an edited duration in the board's working day", async () => {
+    const updateEntry = jest
+      .spyOn(TimerService, "updateEntry")
+      .mockResolvedValue({ success: true });
+    entryListUI = new EntryListUI({}, "entries-container", {
+      getChecklists: () => [],
+      getBoardMembers: () => [],
+      workSchedule: { hoursPerDay: 4, daysPerWeek: 5 },
+    });
+    entryListUI.render([{ id: "e1", startTime: Date.now(), duration: 1 }]);
+    container.querySelector(".entry").click();
+
+    container.querySelector("#edit-duration-input").value = "1d";
+    container.querySelector("#btn-save-edit").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(updateEntry).toHaveBeenCalledWith(
+      {},
+      "e1",
+      expect.objectContaining({ duration: 4 * 3600000 }),
+    );
+    updateEntry.mockRestore();
+  });
+
+  test("keeps an edited entry's exact duration when the rounded field is left as it is", async () => {
+    const updateEntry = jest
+      .spyOn(TimerService, "updateEntry")
+      .mockResolvedValue({ success: true });
+    entryListUI.setPreferences({ decimalHours: true });
+    entryListUI.render([{ id: "e1", startTime: Date.now(), duration: 1000 }]);
+    container.querySelector(".entry").click();
+
+    const input = container.querySelector("#edit-duration-input");
+    expect(input.value).toBe("0.00 h");
+    container.querySelector("#btn-save-edit").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(updateEntry.mock.calls[0][2]).not.toHaveProperty("duration");
+    updateEntry.mockRestore();
+  });
+
+  test("should not show a pager when there is no archived history", () => {
+    entryListUI.render([{ id: "e1", startTime: Date.now(), duration: 1 }]);
+
+    expect(container.querySelector(".entries-pager")).toBeNull();
+    expect(container.innerHTML).toContain("History (1)");
+  });
+
+  test("should page into the archived history", async () => {
+    const getEntryHistory = jest
+      .spyOn(TimerService, "getEntryHistory")
+      .mockResolvedValue({
+        success: true,
+        data: {
+          entries: [
+            {
+              id: "old1",
+              startTime: Date.now(),
+              duration: 1,
+              description: "Archived",
+            },
+          ],
+          page: 1,
+          pageSize: 5,
+          total: 6,
+          totalPages: 2,
+        },
+      });
+
+    entryListUI.render([{ id: "e1", startTime: Date.now(), duration: 1 }], {
+      archivedCount: 5,
+    });
+    expect(container.innerHTML).toContain("1 / 2");
+
+    await entryListUI.goToPage(1);
+
+    expect(getEntryHistory).toHaveBeenCalledWith({}, { page: 1, pageSize: 5 });
+    expect(container.innerHTML).toContain("Archived");
+    expect(container.innerHTML).toContain("2 / 2");
+
+    // Refresh-loop renders don't yank the user back to the first page
+    entryListUI.render([{ id: "e2", startTime: Date.now(), duration: 1 }], {
+      archivedCount: 5,
+    });
+    expect(container.innerHTML).toContain("Archived");
+
+    getEntryHistory.mockRestore();
+  });
+
+  test("should show the pager even when only archived entries remain", () => {
+    entryListUI.render([], { archivedCount: 3 });
+
+    expect(container.innerHTML).not.toContain("No time entries yet");
+    expect(container.querySelector(".entries-pager")).not.toBeNull();
+  });
+
+  describe("export", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("is disabled without entries", () => {
+      entryListUI.render([]);
+
+      expect(container.querySelector("#btn-export-entries").disabled).toBe(
+        true,
+      );
+    });
+
+    test("exports the card's entries", async () => {
+      const exportCardCsv = jest
+        .spyOn(ExportService, "exportCardCsv")
+        .mockResolvedValue({ success: false, error: "Storage error" });
+      window.alert = jest.fn();
+      entryListUI.render([], { archivedCount: 3 });
+
+      container.querySelector("#btn-export-entries").click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(exportCardCsv).toHaveBeenCalledWith(entryListUI.t);
+      expect(window.alert).toHaveBeenCalledWith("Export failed: Storage error");
+    });
+  });
+
+  describe("add entry form", () => {
+    let addManualEntry;
+
+    const openForm = () => {
+      entryListUI.render([]);
+      container.querySelector("#btn-add-entry").click();
+    };
+    const fill = (values) => {
+      for (const [id, value] of Object.entries(values)) {
+        container.querySelector(`#${id}`).value = value;
+      }
+    };
+    const submit = async () => {
+      container.querySelector("#btn-save-add").click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    };
+
+    beforeEach(() => {
+      addManualEntry = jest
+        .spyOn(TimerService, "addManualEntry")
+        .mockResolvedValue({ success: true });
+      window.alert = jest.fn();
+    });
+
+    afterEach(() => {
+      addManualEntry.mockRestore();
+    });
+
+    test("opens from the header, even without entries", () => {
+      openForm();
+
+      expect(container.querySelector("#add-entry-form")).not.toBeNull();
+      expect(container.innerHTML).not.toContain("No time entries yet");
+      expect(container.querySelector("#add-member-select").innerHTML).toContain(
+        "Bob Jones",
+      );
+    });
+
+    test("names members without a full name by their username", () => {
+      entryListUI.getBoardMembers = () => [
+        { id: "member-3", fullName: "", username: "carol" },
+      ];
+      openForm();
+
+      expect(
+        container.querySelector("#add-member-select option[value='member-3']")
+          .textContent,
+      ).toBe("carol");
+    });
+
+    test("submits a duration-based entry", async () => {
+      openForm();
+      fill({
+        "add-date-input": "2024-01-27",
+        "add-start-input": "14:00",
+        "add-duration-input": "2h",
+        "add-desc-input": "Workshop",
+        "add-member-select": "member-2",
+      });
+
+      await submit();
+
+      expect(addManualEntry).toHaveBeenCalledWith(
+        {},
+        {
+          startTime: new Date("2024-01-27T14:00").getTime(),
+          duration: 7200000,
+          description: "Workshop",
+          checklistItemId: null,
+          memberId: "member-2",
+          categoryId: null,
+        },
+      );
+      expect(entryListUI.isAdding).toBe(false);
+      expect(entryListUI.onRefresh).toHaveBeenCalled();
+    });
+
+    test("counts days in the board's working day", async () => {
+      entryListUI.setWorkSchedule({ hoursPerDay: 6, daysPerWeek: 5 });
+      openForm();
+      fill({
+        "add-date-input": "2024-01-27",
+        "add-start-input": "09:00",
+        "add-duration-input": "1d",
+      });
+
+      await submit();
+
+      expect(addManualEntry).toHaveBeenCalledWith(
+        {},
+        expect.objectContaining({ duration: 6 * 3600000 }),
+      );
+    });
+
+    test("prefers the end time and credits the current member by default", async () => {
+      openForm();
+      fill({
+        "add-date-input": "2024-01-27",
+        "add-start-input": "14:00",
+        "add-end-input": "15:30",
+      });
+
+      await submit();
+
+      expect(addManualEntry).toHaveBeenCalledWith(
+        {},
+        expect.objectContaining({
+          endTime: new Date("2024-01-27T15:30").getTime(),
+          memberId: undefined,
+        }),
+      );
+    });
+
+    test("requires a start time", async () => {
+      openForm();
+      fill({ "add-start-input": "" });
+
+      await submit();
+
+      expect(window.alert).toHaveBeenCalled();
+      expect(addManualEntry).not.toHaveBeenCalled();
+    });
+
+    test("requires a duration or end time", async () => {
+      openForm();
+      fill({ "add-start-input": "09:00" });
+
+      await submit();
+
+      expect(window.alert).toHaveBeenCalledWith(
+        "Enter a duration or an end time",
+      );
+      expect(addManualEntry).not.toHaveBeenCalled();
+    });
+
+    test("keeps the form open when the service rejects the entry", async () => {
+      addManualEntry.mockResolvedValue({
+        success: false,
+        error: ERROR_CODES.END_IN_FUTURE,
+      });
+      openForm();
+      fill({ "add-start-input": "09:00", "add-duration-input": "1h" });
+
+      await submit();
+
+      expect(window.alert).toHaveBeenCalledWith(
+        "Failed to add entry: Entries cannot end in the future",
+      );
+      expect(container.querySelector("#add-entry-form")).not.toBeNull();
+    });
+
+    test("is not wiped by refreshes while open", () => {
+      openForm();
+      fill({ "add-desc-input": "Half typed" });
+
+      entryListUI.render([{ id: "e1", startTime: Date.now(), duration: 1 }]);
+
+      expect(container.querySelector("#add-desc-input").value).toBe(
+        "Half typed",
+      );
+    });
+
+    test("cancel closes the form and shows skipped refreshes", () => {
+      openForm();
+      entryListUI.render([{ id: "e1", startTime: Date.now(), duration: 1 }]);
+
+      container.querySelector("#btn-cancel-add").click();
+
+      expect(container.querySelector("#add-entry-form")).toBeNull();
+      expect(container.querySelectorAll(".entry").length).toBe(1);
+    });
+  });
+
+  describe("categories", () => {
+    const categories = [
+      { id: "cat_dev", name: "Development", color: "#4bce97" },
+      { id: "cat_meet", name: "<b>Meeting</b>", color: "red;x:y" },
+    ];
+    const entry = {
+      id: "e1",
+      startTime: Date.now(),
+      duration: 600000,
+      categoryId: "cat_meet",
+    };
+    let updateEntry;
+
+    beforeEach(() => {
+      entryListUI.getCategories = () => categories;
+      updateEntry = jest
+        .spyOn(TimerService, "updateEntry")
+        .mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+      updateEntry.mockRestore();
+    });
+
+    test("shows the entry's category", () => {
+      entryListUI.render([entry]);
+
+      const chip = container.querySelector(".entry__category");
+      expect(chip.textContent).toBe("<b>Meeting</b>");
+      expect(chip.style.borderColor).toBe("currentcolor");
+    });
+
+    test("shows no category once it was deleted", () => {
+      entryListUI.render([{ ...entry, categoryId: "cat_gone" }]);
+
+      expect(container.querySelector(".entry__category")).toBeNull();
+    });
+
+    test("changes the category of an entry", async () => {
+      entryListUI.render([entry]);
+      container.querySelector(".entry").click();
+      const select = container.querySelector("#edit-category-select");
+      expect(select.value).toBe("cat_meet");
+
+      select.value = "";
+      container.querySelector("#btn-save-edit").click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(updateEntry).toHaveBeenCalledWith(
+        {},
+        "e1",
+        expect.objectContaining({ categoryId: null }),
+      );
+    });
+
+    test("leaves the category alone on boards without categories", async () => {
+      entryListUI.getCategories = () => [];
+      entryListUI.render([entry]);
+      container.querySelector(".entry").click();
+
+      expect(container.querySelector("#edit-category-select")).toBeNull();
+
+      container.querySelector("#btn-save-edit").click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(updateEntry.mock.calls[0][2]).not.toHaveProperty("categoryId");
+    });
+
+    test("adds entries in the picked category", async () => {
+      const addManualEntry = jest
+        .spyOn(TimerService, "addManualEntry")
+        .mockResolvedValue({ success: true });
+      entryListUI.render([]);
+      container.querySelector("#btn-add-entry").click();
+
+      container.querySelector("#add-date-input").value = "2024-01-27";
+      container.querySelector("#add-start-input").value = "14:00";
+      container.querySelector("#add-duration-input").value = "1h";
+      container.querySelector("#add-category-select").value = "cat_dev";
+      container.querySelector("#btn-save-add").click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(addManualEntry).toHaveBeenCalledWith(
+        {},
+        expect.objectContaining({ categoryId: "cat_dev" }),
+      );
+      addManualEntry.mockRestore();
+    });
+  });
+
+  test("applies the member's display preferences", () => {
+    const startTime = new Date("2024-01-27T14:30").getTime();
+    entryListUI.setPreferences({ showSeconds: false, use24HourFormat: false });
+
+    entryListUI.render([{ id: "e1", startTime, duration: 3723000 }]);
+
+    expect(container.querySelector(".entry__duration").textContent).toBe(
+      "1h 2m",
+    );
+    expect(container.querySelector(".entry__time").textContent).toBe(
+      new Date(startTime).toLocaleString(undefined, {
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: true,
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      }),
+    );
+  });
 });
@@ -96,6 +96,26 @@ describe("EstimateUI", () => {
     expect(TimerService.setEstimate).not.toHaveBeenCalled();
   });
 
+  test("explains why an input can't be read", async () => {
+    elements.input.value = "2 hurs";
+    elements.btnSet.click();
+
+    expect(window.alert).toHaveBeenCalledWith(
+      'Invalid time format: Unknown unit "hurs". Try "2d", "2h" or "30m".',
+    );
+    expect(elements.input.selectionStart).toBe(2);
+    expect(elements.input.selectionEnd).toBe(6);
+  });
+
+  test("reads natural-language estimates", async () => {
+    elements.input.value = "half an hour";
+    TimerService.setEstimate.mockResolvedValue({ success: true });
+
+    elements.btnSet.click();
+
+    expect(TimerService.setEstimate).toHaveBeenCalledWith(t, 1800000);
+  });
+
   test("handles clear estimate", async () => {
     TimerService.setEstimate.mockResolvedValue({ success: true });
     elements.btnClear.click();
@@ -124,4 +144,18 @@ describe("EstimateUI", () => {
 
     expect(elements.progressBar.hidden).toBe(true);
   });
+
+  test("reads and shows estimates in the board's working days", () => {
+    const HOUR = 3600000;
+    estimateUI.setWorkSchedule({ hoursPerDay: 6, daysPerWeek: 4 });
+    ChecklistService.getEffectiveEstimate.mockReturnValue(18 * HOUR);
+
+    estimateUI.update({ totalTime: 0 });
+    elements.input.value = "1w";
+    elements.btnSet.click();
+
+    expect(elements.display.textContent).toBe("3d");
+    expect(elements.remaining.textContent).toBe("3d left");
+    expect(TimerService.setEstimate).toHaveBeenCalledWith(t, 24 * HOUR);
+  });
 });
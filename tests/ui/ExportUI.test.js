@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import { downloadCsv, downloadExport } from "../../src/ui/ExportUI.js";
+
+describe("ExportUI", () => {
+  let clicked;
+
+  beforeEach(() => {
+    clicked = [];
+    URL.createObjectURL = jest.fn(() => "blob:export");
+    URL.revokeObjectURL = jest.fn();
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(function () {
+        clicked.push({ href: this.href, download: this.download });
+      });
+    global.alert = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("downloadCsv", () => {
+    test("downloads the CSV under the given file name", () => {
+      downloadCsv("timeup.csv", "a,b\r\n");
+
+      expect(clicked).toEqual([
+        { href: "blob:export", download: "timeup.csv" },
+      ]);
+      const [blob] = URL.createObjectURL.mock.calls[0];
+      expect(blob.type).toBe("text/csv;charset=utf-8");
+      // Three bytes of UTF-8 byte order mark, then the CSV
+      expect(blob.size).toBe(3 + "a,b\r\n".length);
+      expect(document.querySelector("a")).toBeNull();
+    });
+  });
+
+  describe("downloadExport", () => {
+    test("downloads a successful export", async () => {
+      const downloaded = await downloadExport(
+        Promise.resolve({
+          success: true,
+          data: { csv: "a\r\n", filename: "x.csv", entryCount: 1 },
+        }),
+      );
+
+      expect(downloaded).toBe(true);
+      expect(clicked).toHaveLength(1);
+    });
+
+    test("alerts when there is nothing to export", async () => {
+      const downloaded = await downloadExport(
+        Promise.resolve({
+          success: true,
+          data: { csv: "a\r\n", filename: "x.csv", entryCount: 0 },
+        }),
+      );
+
+      expect(downloaded).toBe(false);
+      expect(alert).toHaveBeenCalledWith("No time entries to export");
+      expect(clicked).toHaveLength(0);
+    });
+
+    test("alerts when the export fails", async () => {
+      await downloadExport(
+        Promise.resolve({ success: false, error: "Storage error" }),
+      );
+
+      expect(alert).toHaveBeenCalledWith("Export failed: Storage error");
+    });
+
+    test("alerts when the export throws", async () => {
+      await downloadExport(Promise.reject(new Error("Boom")));
+
+      expect(alert).toHaveBeenCalledWith("Export error: Boom");
+    });
+  });
+});
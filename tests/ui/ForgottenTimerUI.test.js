@@ -0,0 +1,245 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { ERROR_CODES, SHARED_TIMER_KEY } from "../../src/utils/constants.js";
+
+const mockTimerService = {
+  getForgottenTimers: jest.fn(),
+  stopTimer: jest.fn(),
+  stopItemTimer: jest.fn(),
+};
+
+const mockCommentService = {
+  logEntry: jest.fn(async () => ({ success: true, posted: true })),
+};
+
+jest.unstable_mockModule("../../src/services/TimerService.js", () => ({
+  default: mockTimerService,
+}));
+jest.unstable_mockModule("../../src/services/CommentService.js", () => ({
+  default: mockCommentService,
+}));
+
+// Import after mock
+const { ForgottenTimerUI } = await import("../../src/ui/ForgottenTimerUI.js");
+const { default: TimerService } =
+  await import("../../src/services/TimerService.js");
+
+describe("ForgottenTimerUI", () => {
+  const HOUR = 3600000;
+  let t;
+  let elements;
+  let onRefresh;
+  let forgottenTimerUI;
+
+  const forgotten = (overrides = {}) => ({
+    memberId: "member-1",
+    checklistItemId: null,
+    startTime: Date.now() - 14 * HOUR,
+    ...overrides,
+  });
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    t = {};
+    document.body.innerHTML = `
+            <div id="container" hidden>
+                <span id="text"></span>
+                <input id="input" type="datetime-local" />
+                <button id="btn-stop"></button>
+                <button id="btn-keep"></button>
+            </div>
+        `;
+    elements = {
+      container: document.getElementById("container"),
+      text: document.getElementById("text"),
+      input: document.getElementById("input"),
+      btnStop: document.getElementById("btn-stop"),
+      btnKeep: document.getElementById("btn-keep"),
+    };
+
+    jest.clearAllMocks();
+    TimerService.getForgottenTimers.mockReturnValue([]);
+    window.alert = jest.fn();
+    onRefresh = jest.fn();
+
+    forgottenTimerUI = new ForgottenTimerUI(t, elements, {
+      onRefresh,
+      memberId: "member-1",
+      threshold: 8 * HOUR,
+      getDescription: () => "Typed",
+      getCategoryId: () => "cat_dev",
+    });
+  });
+
+  test("stays hidden without forgotten timers", () => {
+    forgottenTimerUI.update({});
+
+    expect(elements.container.hidden).toBe(true);
+    expect(TimerService.getForgottenTimers).toHaveBeenCalledWith({}, 8 * HOUR);
+  });
+
+  test("warns about the member's forgotten timer", () => {
+    const timer = forgotten();
+    TimerService.getForgottenTimers.mockReturnValue([timer]);
+
+    forgottenTimerUI.update({});
+
+    expect(elements.container.hidden).toBe(false);
+    expect(elements.text.textContent).toContain("Timer running for 14h");
+    // Suggests stopping once the threshold was reached (to the minute)
+    const suggested = new Date(elements.input.value).getTime();
+    expect(Math.abs(suggested - (timer.startTime + 8 * HOUR))).toBeLessThan(
+      60000,
+    );
+  });
+
+  test("includes shared timers but not other members' timers", () => {
+    TimerService.getForgottenTimers.mockReturnValue([
+      forgotten({ memberId: "member-2" }),
+    ]);
+    forgottenTimerUI.update({});
+    expect(elements.container.hidden).toBe(true);
+
+    TimerService.getForgottenTimers.mockReturnValue([
+      forgotten({ memberId: SHARED_TIMER_KEY }),
+    ]);
+    forgottenTimerUI.update({});
+    expect(elements.container.hidden).toBe(false);
+  });
+
+  test("keeps the chosen stop time across refreshes", () => {
+    TimerService.getForgottenTimers.mockReturnValue([forgotten()]);
+    forgottenTimerUI.update({});
+    elements.input.value = "2024-01-01T10:00";
+
+    forgottenTimerUI.update({});
+
+    expect(elements.input.value).toBe("2024-01-01T10:00");
+  });
+
+  test("stops the card timer at the chosen time", async () => {
+    TimerService.getForgottenTimers.mockReturnValue([forgotten()]);
+    TimerService.stopTimer.mockResolvedValue({
+      success: true,
+      entry: { id: "e_1" },
+    });
+    forgottenTimerUI.update({});
+    elements.input.value = "2024-01-01T10:00";
+
+    elements.btnStop.click();
+    await flush();
+
+    expect(TimerService.stopTimer).toHaveBeenCalledWith(t, "Typed", {
+      endTime: new Date("2024-01-01T10:00").getTime(),
+      categoryId: "cat_dev",
+    });
+    expect(elements.container.hidden).toBe(true);
+    expect(onRefresh).toHaveBeenCalled();
+    expect(mockCommentService.logEntry).toHaveBeenCalledWith(t, { id: "e_1" });
+  });
+
+  test("stops a checklist item timer at the chosen time", async () => {
+    TimerService.getForgottenTimers.mockReturnValue([
+      forgotten({ checklistItemId: "item1" }),
+    ]);
+    TimerService.stopItemTimer.mockResolvedValue({ success: true });
+    forgottenTimerUI.update({});
+    elements.input.value = "2024-01-01T10:00";
+
+    elements.btnStop.click();
+    await flush();
+
+    expect(TimerService.stopItemTimer).toHaveBeenCalledWith(t, "item1", "", {
+      endTime: new Date("2024-01-01T10:00").getTime(),
+    });
+  });
+
+  test("reports a rejected stop time", async () => {
+    TimerService.getForgottenTimers.mockReturnValue([forgotten()]);
+    TimerService.stopTimer.mockResolvedValue({
+      success: false,
+      error: ERROR_CODES.INVALID_STOP_TIME,
+    });
+    forgottenTimerUI.update({});
+
+    elements.btnStop.click();
+    await flush();
+
+    expect(window.alert).toHaveBeenCalledWith(
+      "Failed to stop timer: Stop time must be after the timer started and not in the future",
+    );
+    expect(elements.container.hidden).toBe(false);
+  });
+
+  test("asks for a stop time when none is chosen", async () => {
+    TimerService.getForgottenTimers.mockReturnValue([forgotten()]);
+    forgottenTimerUI.update({});
+    elements.input.value = "";
+
+    elements.btnStop.click();
+    await flush();
+
+    expect(window.alert).toHaveBeenCalledWith(
+      "Choose when you stopped working",
+    );
+    expect(TimerService.stopTimer).not.toHaveBeenCalled();
+  });
+
+  test("keep running hides the warning for that timer only", () => {
+    const timer = forgotten();
+    TimerService.getForgottenTimers.mockReturnValue([timer]);
+    forgottenTimerUI.update({});
+
+    elements.btnKeep.click();
+    forgottenTimerUI.update({});
+    expect(elements.container.hidden).toBe(true);
+
+    TimerService.getForgottenTimers.mockReturnValue([
+      timer,
+      forgotten({ startTime: timer.startTime + HOUR }),
+    ]);
+    forgottenTimerUI.update({});
+    expect(elements.container.hidden).toBe(false);
+  });
+
+  test("applies the member's threshold and clock format", () => {
+    const timer = forgotten();
+    TimerService.getForgottenTimers.mockReturnValue([timer]);
+
+    forgottenTimerUI.setPreferences({
+      forgottenTimerThreshold: 2 * HOUR,
+      use24HourFormat: false,
+    });
+    forgottenTimerUI.update({});
+
+    expect(TimerService.getForgottenTimers).toHaveBeenCalledWith({}, 2 * HOUR);
+    expect(elements.text.textContent).toContain(
+      new Date(timer.startTime).toLocaleString(undefined, {
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: true,
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      }),
+    );
+  });
+
+  test("shows the running time in decimal hours when the member prefers them", () => {
+    TimerService.getForgottenTimers.mockReturnValue([forgotten()]);
+
+    forgottenTimerUI.setPreferences({ decimalHours: true });
+    forgottenTimerUI.update({});
+
+    expect(elements.text.textContent).toContain("Timer running for 14.00 h");
+  });
+
+  test("falls back to the default threshold", () => {
+    forgottenTimerUI.setPreferences({});
+    forgottenTimerUI.update({});
+
+    expect(TimerService.getForgottenTimers).toHaveBeenCalledWith({}, 8 * HOUR);
+  });
+});
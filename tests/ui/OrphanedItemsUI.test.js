@@ -0,0 +1,213 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { ERROR_CODES, TIMER_STATE } from "../../src/utils/constants.js";
+
+const mockTimerService = {
+  stopItemTimer: jest.fn(),
+  reassignItemTime: jest.fn(),
+  dropItemTime: jest.fn(),
+};
+
+const mockCommentService = {
+  logEntry: jest.fn(async () => ({ success: true, posted: true })),
+};
+
+jest.unstable_mockModule("../../src/services/TimerService.js", () => ({
+  default: mockTimerService,
+}));
+jest.unstable_mockModule("../../src/services/CommentService.js", () => ({
+  default: mockCommentService,
+}));
+
+// Import after mock
+const { OrphanedItemsUI } = await import("../../src/ui/OrphanedItemsUI.js");
+const { default: TimerService } =
+  await import("../../src/services/TimerService.js");
+const { default: CommentService } =
+  await import("../../src/services/CommentService.js");
+
+describe("OrphanedItemsUI", () => {
+  const MINUTE = 60000;
+  let t;
+  let elements;
+  let onRefresh;
+  let orphanedItemsUI;
+
+  const checklists = [
+    {
+      id: "cl1",
+      name: "Tasks",
+      checkItems: [{ id: "item1", name: "Design <b>" }],
+    },
+  ];
+  const itemTotal = (overrides = {}) => ({
+    totalTime: 90 * MINUTE,
+    entryCount: 2,
+    estimatedTime: null,
+    state: TIMER_STATE.IDLE,
+    currentEntry: null,
+    ...overrides,
+  });
+  const timerData = (checklistTotals) => ({ checklistTotals });
+  const rowOf = (id) => elements.list.querySelector(`[data-id="${id}"]`);
+  const click = (id, action) =>
+    rowOf(id).querySelector(`[data-action="${action}"]`).click();
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    t = {};
+    document.body.innerHTML = `
+            <div id="container" hidden>
+                <div id="list"></div>
+            </div>
+        `;
+    elements = {
+      container: document.getElementById("container"),
+      list: document.getElementById("list"),
+    };
+
+    jest.clearAllMocks();
+    TimerService.reassignItemTime.mockResolvedValue({ success: true });
+    TimerService.dropItemTime.mockResolvedValue({ success: true, removed: 2 });
+    window.alert = jest.fn();
+    window.confirm = jest.fn(() => true);
+    onRefresh = jest.fn();
+
+    orphanedItemsUI = new OrphanedItemsUI(t, elements, { onRefresh });
+  });
+
+  test("stays hidden when every item is still on the card", () => {
+    orphanedItemsUI.update(timerData({ item1: itemTotal() }), checklists);
+
+    expect(elements.container.hidden).toBe(true);
+    expect(elements.list.innerHTML).toBe("");
+  });
+
+  test("stays hidden when the checklists couldn't be read", () => {
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), null);
+
+    expect(elements.container.hidden).toBe(true);
+  });
+
+  test("lists time on deleted items", () => {
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    expect(elements.container.hidden).toBe(false);
+    expect(rowOf("gone").textContent).toContain("Deleted item");
+    expect(rowOf("gone").textContent).toContain("1h 30m 0s · 2 entries");
+    const options = [...rowOf("gone").querySelectorAll("option")];
+    expect(options.map((option) => option.textContent)).toEqual([
+      "The card",
+      "Design <b>",
+    ]);
+  });
+
+  test("keeps the chosen target across refreshes", () => {
+    const data = timerData({ gone: itemTotal() });
+    orphanedItemsUI.update(data, checklists);
+    rowOf("gone").querySelector("select").value = "item1";
+
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    expect(rowOf("gone").querySelector("select").value).toBe("item1");
+  });
+
+  test("moves the time to the card", async () => {
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    click("gone", "move");
+    await flush();
+
+    expect(TimerService.reassignItemTime).toHaveBeenCalledWith(t, "gone", null);
+    expect(onRefresh).toHaveBeenCalled();
+  });
+
+  test("moves the time to the chosen item", async () => {
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+    rowOf("gone").querySelector("select").value = "item1";
+
+    click("gone", "move");
+    await flush();
+
+    expect(TimerService.reassignItemTime).toHaveBeenCalledWith(
+      t,
+      "gone",
+      "item1",
+    );
+  });
+
+  test("drops the time once confirmed", async () => {
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    click("gone", "drop");
+    await flush();
+
+    expect(window.confirm).toHaveBeenCalledWith(
+      "Delete this item's 2 entries? Their time is removed from the card.",
+    );
+    expect(TimerService.dropItemTime).toHaveBeenCalledWith(t, "gone");
+    expect(onRefresh).toHaveBeenCalled();
+  });
+
+  test("keeps the time when the drop isn't confirmed", async () => {
+    window.confirm.mockReturnValue(false);
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    click("gone", "drop");
+    await flush();
+
+    expect(TimerService.dropItemTime).not.toHaveBeenCalled();
+  });
+
+  test("offers to stop a timer still running on a deleted item", async () => {
+    const entry = { id: "e1", duration: MINUTE };
+    TimerService.stopItemTimer.mockResolvedValue({ success: true, entry });
+    orphanedItemsUI.update(
+      timerData({
+        gone: itemTotal({
+          state: TIMER_STATE.RUNNING,
+          currentEntry: { startTime: 0 },
+        }),
+      }),
+      checklists,
+    );
+
+    expect(rowOf("gone").textContent).toContain("Timer still running");
+    expect(rowOf("gone").querySelector("select")).toBeNull();
+
+    click("gone", "stop");
+    await flush();
+
+    expect(TimerService.stopItemTimer).toHaveBeenCalledWith(t, "gone");
+    expect(CommentService.logEntry).toHaveBeenCalledWith(t, entry);
+    expect(onRefresh).toHaveBeenCalled();
+  });
+
+  test("alerts when the time can't be moved", async () => {
+    TimerService.reassignItemTime.mockResolvedValue({
+      success: false,
+      error: ERROR_CODES.ITEM_TIMER_OPEN,
+    });
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    click("gone", "move");
+    await flush();
+
+    expect(window.alert).toHaveBeenCalledWith(
+      "Failed to update the deleted item: Stop the item's timer first",
+    );
+    expect(onRefresh).not.toHaveBeenCalled();
+  });
+
+  test("alerts on unexpected errors", async () => {
+    TimerService.dropItemTime.mockRejectedValue(new Error("Boom"));
+    orphanedItemsUI.update(timerData({ gone: itemTotal() }), checklists);
+
+    click("gone", "drop");
+    await flush();
+
+    expect(window.alert).toHaveBeenCalledWith("Timer error: Boom");
+  });
+});
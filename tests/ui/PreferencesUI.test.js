@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+const mockStorageService = {
+  getUserPreferences: jest.fn(),
+  setUserPreferences: jest.fn(),
+};
+const mockTrelloService = {
+  closePopup: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/services/StorageService.js", () => ({
+  default: mockStorageService,
+}));
+jest.unstable_mockModule("../../src/services/TrelloService.js", () => ({
+  default: mockTrelloService,
+}));
+
+// Import after mock
+const { PreferencesUI } = await import("../../src/ui/PreferencesUI.js");
+
+describe("PreferencesUI", () => {
+  let t;
+  let elements;
+  let preferencesUI;
+
+  const save = async () => {
+    elements.btnSave.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <input type="checkbox" id="show-seconds" />
+      <input type="checkbox" id="use-24-hour" />
+      <input type="checkbox" id="decimal-hours" />
+      <input type="checkbox" id="auto-start" />
+      <button id="btn-save"></button>
+    `;
+    elements = {
+      showSeconds: document.getElementById("show-seconds"),
+      use24HourFormat: document.getElementById("use-24-hour"),
+      decimalHours: document.getElementById("decimal-hours"),
+      autoStartOnOpen: document.getElementById("auto-start"),
+      btnSave: document.getElementById("btn-save"),
+    };
+    t = {};
+    global.alert = jest.fn();
+
+    jest.clearAllMocks();
+    mockStorageService.getUserPreferences.mockResolvedValue({
+      showSeconds: false,
+      use24HourFormat: true,
+      forgottenTimerThreshold: 3600000,
+    });
+    mockStorageService.setUserPreferences.mockResolvedValue({
+      success: true,
+    });
+
+    preferencesUI = new PreferencesUI(t, elements);
+    await preferencesUI.load();
+  });
+
+  test("shows the member's preferences, with defaults for unset ones", () => {
+    expect(elements.showSeconds.checked).toBe(false);
+    expect(elements.use24HourFormat.checked).toBe(true);
+    expect(elements.decimalHours.checked).toBe(false);
+    expect(elements.autoStartOnOpen.checked).toBe(false);
+  });
+
+  test("saves the preferences and closes the popup", async () => {
+    elements.use24HourFormat.checked = false;
+    elements.decimalHours.checked = true;
+    elements.autoStartOnOpen.checked = true;
+
+    await save();
+
+    expect(mockStorageService.setUserPreferences).toHaveBeenCalledWith(t, {
+      showSeconds: false,
+      use24HourFormat: false,
+      decimalHours: true,
+      autoStartOnOpen: true,
+      forgottenTimerThreshold: 3600000,
+    });
+    expect(mockTrelloService.closePopup).toHaveBeenCalledWith(t);
+  });
+
+  test("alerts and stays open when saving fails", async () => {
+    mockStorageService.setUserPreferences.mockResolvedValue({
+      success: false,
+      error: "Storage full",
+    });
+
+    await save();
+
+    expect(alert).toHaveBeenCalledWith(
+      "Failed to save preferences: Storage full",
+    );
+    expect(mockTrelloService.closePopup).not.toHaveBeenCalled();
+  });
+});
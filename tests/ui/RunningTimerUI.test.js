@@ -0,0 +1,219 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+const mockTimerService = {
+  getTimerElsewhere: jest.fn(),
+};
+
+const mockCustomFieldService = {
+  syncCard: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/services/TimerService.js", () => ({
+  default: mockTimerService,
+}));
+const mockCommentService = {
+  logEntry: jest.fn(async () => ({ success: true, posted: true })),
+};
+
+jest.unstable_mockModule("../../src/services/CustomFieldService.js", () => ({
+  default: mockCustomFieldService,
+}));
+jest.unstable_mockModule("../../src/services/CommentService.js", () => ({
+  default: mockCommentService,
+}));
+
+// Import after mock
+const { RunningTimerUI, notifyStoppedElsewhere } =
+  await import("../../src/ui/RunningTimerUI.js");
+const { default: TimerService } =
+  await import("../../src/services/TimerService.js");
+
+describe("RunningTimerUI", () => {
+  let t;
+  let elements;
+  let runningTimerUI;
+
+  const runningTimer = {
+    cardId: "card-a",
+    cardName: "Write report",
+    url: "https://trello.com/c/a",
+    checklistItemId: null,
+    startedAt: 1,
+  };
+
+  beforeEach(() => {
+    t = {
+      showCard: jest.fn(),
+      alert: jest.fn(),
+    };
+
+    document.body.innerHTML = `
+            <div id="container" hidden>
+                <span id="text"></span>
+                <button id="btn-open"></button>
+            </div>
+        `;
+
+    elements = {
+      container: document.getElementById("container"),
+      text: document.getElementById("text"),
+      btnOpen: document.getElementById("btn-open"),
+    };
+
+    jest.clearAllMocks();
+    mockCustomFieldService.syncCard.mockResolvedValue({
+      success: true,
+      synced: 0,
+    });
+
+    runningTimerUI = new RunningTimerUI(t, elements);
+  });
+
+  test("shows the card the member's timer runs on", async () => {
+    TimerService.getTimerElsewhere.mockResolvedValue({
+      success: true,
+      data: runningTimer,
+    });
+
+    await runningTimerUI.update();
+
+    expect(elements.container.hidden).toBe(false);
+    expect(elements.text.textContent).toBe(
+      'Your timer is running on "Write report"',
+    );
+  });
+
+  test("stays hidden when no timer runs elsewhere", async () => {
+    TimerService.getTimerElsewhere.mockResolvedValue({
+      success: true,
+      data: null,
+    });
+
+    await runningTimerUI.update();
+
+    expect(elements.container.hidden).toBe(true);
+  });
+
+  test("hides again once the timer is stopped", async () => {
+    runningTimerUI.render(runningTimer);
+    TimerService.getTimerElsewhere.mockResolvedValue({
+      success: false,
+      error: "Member error",
+    });
+
+    await runningTimerUI.update();
+
+    expect(elements.container.hidden).toBe(true);
+  });
+
+  test("open button shows the card", () => {
+    runningTimerUI.render(runningTimer);
+
+    elements.btnOpen.click();
+
+    expect(t.showCard).toHaveBeenCalledWith("card-a");
+  });
+
+  test("open button does nothing without a running timer", () => {
+    runningTimerUI.render(null);
+
+    elements.btnOpen.click();
+
+    expect(t.showCard).not.toHaveBeenCalled();
+  });
+
+  describe("notifyStoppedElsewhere", () => {
+    test("names the card whose timer was stopped", () => {
+      notifyStoppedElsewhere(t, { cardId: "card-a", cardName: "Write report" });
+
+      expect(t.alert).toHaveBeenCalledWith({
+        message: 'Stopped your timer on "Write report"',
+        duration: 5,
+      });
+    });
+
+    test("falls back when the card name is unknown", () => {
+      notifyStoppedElsewhere(t, { cardId: "card-a", cardName: null });
+
+      expect(t.alert).toHaveBeenCalledWith({
+        message: "Stopped your timer on another card",
+        duration: 5,
+      });
+    });
+
+    test("syncs the stopped card's Custom Fields", async () => {
+      await notifyStoppedElsewhere(t, {
+        cardId: "card-a",
+        cardName: "Write report",
+      });
+
+      const [cardT] = mockCustomFieldService.syncCard.mock.calls[0];
+      expect(await cardT.card()).toEqual({ id: "card-a" });
+    });
+
+    test("asks for write access when the stopped card can't be synced", async () => {
+      mockCustomFieldService.syncCard.mockResolvedValue({
+        success: false,
+        needsWriteAccess: true,
+        error: "TimeUp isn't authorized",
+      });
+      const onWriteAccessNeeded = jest.fn();
+
+      await notifyStoppedElsewhere(
+        t,
+        { cardId: "card-a", cardName: "Write report" },
+        { onWriteAccessNeeded },
+      );
+
+      expect(onWriteAccessNeeded).toHaveBeenCalled();
+    });
+
+    test("doesn't ask for write access once the card is synced", async () => {
+      const onWriteAccessNeeded = jest.fn();
+
+      await notifyStoppedElsewhere(
+        t,
+        { cardId: "card-a", cardName: "Write report" },
+        { onWriteAccessNeeded },
+      );
+
+      expect(onWriteAccessNeeded).not.toHaveBeenCalled();
+    });
+
+    test("logs the stopped entry on the stopped card", async () => {
+      const entry = { id: "e_1" };
+      await notifyStoppedElsewhere(t, { cardId: "card-a", entry });
+
+      const [cardT, logged] = mockCommentService.logEntry.mock.calls[0];
+      expect(await cardT.card()).toEqual({ id: "card-a" });
+      expect(logged).toBe(entry);
+    });
+
+    test("asks for write access when the comment on the stopped card is refused", async () => {
+      const onWriteAccessNeeded = jest.fn();
+      mockCommentService.logEntry.mockResolvedValueOnce({
+        success: false,
+        needsWriteAccess: true,
+        error: "NOT_AUTHORIZED",
+      });
+
+      await notifyStoppedElsewhere(
+        t,
+        { cardId: "card-a", entry: { id: "e_1" } },
+        { onWriteAccessNeeded },
+      );
+
+      expect(onWriteAccessNeeded).toHaveBeenCalled();
+    });
+
+    test("does nothing when no timer was stopped", async () => {
+      await notifyStoppedElsewhere(t, null);
+
+      expect(t.alert).not.toHaveBeenCalled();
+      expect(mockCustomFieldService.syncCard).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,570 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+const mockStorageService = {
+  getBoardSettings: jest.fn(),
+  setBoardSettings: jest.fn(),
+};
+const mockTrelloService = {
+  getBoardMembers: jest.fn(),
+  closePopup: jest.fn(),
+};
+
+const mockCustomFieldService = {
+  getNumberFields: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/services/StorageService.js", () => ({
+  default: mockStorageService,
+}));
+jest.unstable_mockModule("../../src/services/TrelloService.js", () => ({
+  default: mockTrelloService,
+}));
+jest.unstable_mockModule("../../src/services/CustomFieldService.js", () => ({
+  default: mockCustomFieldService,
+}));
+
+// Import after mock
+const { SettingsUI } = await import("../../src/ui/SettingsUI.js");
+const { DEFAULTS, TIME } = await import("../../src/utils/constants.js");
+const { setLocale, DEFAULT_LOCALE } = await import("../../src/utils/i18n.js");
+
+const { MINUTE } = TIME;
+
+describe("SettingsUI", () => {
+  let t;
+  let elements;
+  let settingsUI;
+
+  const members = [
+    { id: "member-1", fullName: "<b>Alice</b>", username: "alice" },
+    { id: "member-2", fullName: "", username: "bob" },
+  ];
+
+  const memberInput = (memberId) =>
+    elements.memberRates.querySelector(`[data-member-id="${memberId}"]`);
+
+  const save = async () => {
+    elements.btnSave.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <input id="currency" />
+      <input id="hourly-rate" />
+      <div id="member-rates"></div>
+      <select id="rounding-mode"></select>
+      <select id="rounding-increment"></select>
+      <input type="number" id="minimum-billed" />
+      <div id="categories"></div>
+      <button id="btn-add-category"></button>
+      <p id="custom-fields-hint" hidden></p>
+      <select id="tracked-field"></select>
+      <select id="estimate-field"></select>
+      <input type="checkbox" id="comment-log" />
+      <input id="comment-template" />
+      <input type="number" id="hours-per-day" />
+      <input type="number" id="days-per-week" />
+      <input type="checkbox" id="focus-enabled" />
+      <input type="number" id="focus-work" />
+      <input type="number" id="focus-short-break" />
+      <input type="number" id="focus-long-break" />
+      <input type="number" id="focus-long-break-every" />
+      <button id="btn-save"></button>
+    `;
+    elements = {
+      currency: document.getElementById("currency"),
+      hourlyRate: document.getElementById("hourly-rate"),
+      memberRates: document.getElementById("member-rates"),
+      roundingMode: document.getElementById("rounding-mode"),
+      roundingIncrement: document.getElementById("rounding-increment"),
+      minimumBilled: document.getElementById("minimum-billed"),
+      categories: document.getElementById("categories"),
+      btnAddCategory: document.getElementById("btn-add-category"),
+      trackedField: document.getElementById("tracked-field"),
+      estimateField: document.getElementById("estimate-field"),
+      customFieldsHint: document.getElementById("custom-fields-hint"),
+      commentLog: document.getElementById("comment-log"),
+      commentTemplate: document.getElementById("comment-template"),
+      hoursPerDay: document.getElementById("hours-per-day"),
+      daysPerWeek: document.getElementById("days-per-week"),
+      focusEnabled: document.getElementById("focus-enabled"),
+      focusWork: document.getElementById("focus-work"),
+      focusShortBreak: document.getElementById("focus-short-break"),
+      focusLongBreak: document.getElementById("focus-long-break"),
+      focusLongBreakEvery: document.getElementById("focus-long-break-every"),
+      btnSave: document.getElementById("btn-save"),
+    };
+    t = {};
+    global.alert = jest.fn();
+
+    jest.clearAllMocks();
+    mockStorageService.getBoardSettings.mockResolvedValue({
+      hourlyRate: 50,
+      memberRates: { "member-2": 80, "member-9": 30 },
+      currency: "EUR",
+      categories: [
+        {
+          id: "cat_dev",
+          name: "Development",
+          color: "#4bce97",
+          billable: true,
+        },
+        { id: "cat_meet", name: "Meeting", color: "#579dff", billable: false },
+      ],
+      customFields: { trackedFieldId: "cf-hours", estimateFieldId: null },
+    });
+    mockStorageService.setBoardSettings.mockResolvedValue({ success: true });
+    mockTrelloService.getBoardMembers.mockResolvedValue(members);
+    mockCustomFieldService.getNumberFields.mockResolvedValue({
+      success: true,
+      data: [
+        { id: "cf-hours", name: "<i>Hours</i>" },
+        { id: "cf-estimate", name: "Estimate" },
+      ],
+    });
+
+    settingsUI = new SettingsUI(t, elements);
+    await settingsUI.load();
+  });
+
+  describe("load", () => {
+    test("fills in the board's settings", () => {
+      expect(elements.currency.value).toBe("EUR");
+      expect(elements.hourlyRate.value).toBe("50");
+      expect(memberInput("member-1").value).toBe("");
+      expect(memberInput("member-2").value).toBe("80");
+    });
+
+    test("lists board members with escaped names", () => {
+      const names = [
+        ...elements.memberRates.querySelectorAll(".settings-member__name"),
+      ].map((el) => el.innerHTML);
+
+      expect(names).toEqual(["&lt;b&gt;Alice&lt;/b&gt;", "bob"]);
+    });
+
+    test("leaves the default rate empty when none is set", async () => {
+      mockStorageService.getBoardSettings.mockResolvedValue({
+        hourlyRate: null,
+        currency: "USD",
+      });
+
+      await settingsUI.load();
+
+      expect(elements.hourlyRate.value).toBe("");
+      expect(memberInput("member-2").value).toBe("");
+    });
+  });
+
+  describe("save", () => {
+    test("saves rates and currency, then closes the popup", async () => {
+      elements.currency.value = " gbp ";
+      elements.hourlyRate.value = "";
+      memberInput("member-1").value = "65.5";
+      memberInput("member-2").value = "";
+
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(t, {
+        hourlyRate: null,
+        memberRates: { "member-1": 65.5, "member-9": 30 },
+        currency: "GBP",
+        categories: expect.any(Array),
+        customFields: { trackedFieldId: "cf-hours", estimateFieldId: null },
+        commentLog: DEFAULTS.BOARD_SETTINGS.commentLog,
+        rounding: DEFAULTS.BOARD_SETTINGS.rounding,
+        workSchedule: DEFAULTS.BOARD_SETTINGS.workSchedule,
+        focus: DEFAULTS.BOARD_SETTINGS.focus,
+      });
+      expect(mockTrelloService.closePopup).toHaveBeenCalledWith(t);
+    });
+
+    test("rejects an unknown currency", async () => {
+      elements.currency.value = "EURO";
+
+      await save();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Enter a 3-letter currency code, such as USD or EUR",
+      );
+      expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+    });
+
+    test.each(["-5", "abc"])("rejects a rate of %p", async (value) => {
+      memberInput("member-1").value = value;
+      elements.hourlyRate.value = value;
+
+      await save();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Rates must be numbers of zero or more",
+      );
+      expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+    });
+
+    test("alerts and stays open when saving fails", async () => {
+      mockStorageService.setBoardSettings.mockResolvedValue({
+        success: false,
+        error: "Storage full",
+      });
+
+      await save();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Failed to save settings: Storage full",
+      );
+      expect(mockTrelloService.closePopup).not.toHaveBeenCalled();
+    });
+
+    test("alerts in the member's language", async () => {
+      setLocale("es");
+      elements.currency.value = "EURO";
+
+      try {
+        await save();
+      } finally {
+        setLocale(DEFAULT_LOCALE);
+      }
+
+      expect(alert).toHaveBeenCalledWith(
+        "Indica un código de moneda de 3 letras, como USD o EUR",
+      );
+    });
+  });
+
+  describe("categories", () => {
+    const rows = () => [
+      ...elements.categories.querySelectorAll(".settings-category"),
+    ];
+    const savedCategories = () =>
+      mockStorageService.setBoardSettings.mock.calls[0][1].categories;
+
+    test("lists the board's categories", () => {
+      expect(
+        rows().map((row) => [
+          row.dataset.categoryId,
+          row.querySelector(".settings-category__name").value,
+          row.querySelector(".settings-category__color").value,
+          row.querySelector("input[type=checkbox]").checked,
+        ]),
+      ).toEqual([
+        ["cat_dev", "Development", "#4bce97", true],
+        ["cat_meet", "Meeting", "#579dff", false],
+      ]);
+    });
+
+    test("adds a category without losing edits", async () => {
+      rows()[0].querySelector(".settings-category__name").value = "Dev";
+
+      elements.btnAddCategory.click();
+      rows()[2].querySelector(".settings-category__name").value = " Review ";
+      await save();
+
+      expect(savedCategories()).toEqual([
+        { id: "cat_dev", name: "Dev", color: "#4bce97", billable: true },
+        { id: "cat_meet", name: "Meeting", color: "#579dff", billable: false },
+        {
+          id: expect.stringMatching(/^cat_/),
+          name: "Review",
+          color: expect.stringMatching(/^#[0-9a-f]{6}$/),
+          billable: true,
+        },
+      ]);
+    });
+
+    test("removes a category", async () => {
+      rows()[0].querySelector(".btn-remove-category").click();
+      await save();
+
+      expect(savedCategories().map((c) => c.id)).toEqual(["cat_meet"]);
+    });
+
+    test("requires a name for every category", async () => {
+      elements.btnAddCategory.click();
+      await save();
+
+      expect(alert).toHaveBeenCalledWith("Give every category a name");
+      expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+    });
+
+    test("requires unique names", async () => {
+      rows()[1].querySelector(".settings-category__name").value = "development";
+      await save();
+
+      expect(alert).toHaveBeenCalledWith("Category names must be unique");
+      expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("custom fields", () => {
+    const options = (select) =>
+      [...select.options].map((option) => [option.value, option.innerHTML]);
+
+    test("offers the board's Number fields with escaped names", () => {
+      expect(options(elements.trackedField)).toEqual([
+        ["", "Don't sync"],
+        ["cf-hours", "&lt;i&gt;Hours&lt;/i&gt;"],
+        ["cf-estimate", "Estimate"],
+      ]);
+      expect(elements.trackedField.value).toBe("cf-hours");
+      expect(elements.estimateField.value).toBe("");
+      expect(elements.customFieldsHint.hidden).toBe(true);
+    });
+
+    test("saves the chosen fields", async () => {
+      elements.trackedField.value = "";
+      elements.estimateField.value = "cf-estimate";
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          customFields: {
+            trackedFieldId: null,
+            estimateFieldId: "cf-estimate",
+          },
+        }),
+      );
+    });
+
+    test("requires different fields for tracked and estimated hours", async () => {
+      elements.estimateField.value = "cf-hours";
+      await save();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Sync tracked and estimated hours to different Custom Fields",
+      );
+      expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+    });
+
+    test("keeps the saved fields while the board's can't be read", async () => {
+      mockCustomFieldService.getNumberFields.mockResolvedValue({
+        success: true,
+        data: null,
+      });
+      await settingsUI.load();
+
+      expect(elements.trackedField.disabled).toBe(true);
+      expect(elements.customFieldsHint.hidden).toBe(false);
+      expect(elements.customFieldsHint.textContent).toBe(
+        "Authorize TimeUp on a card to choose Custom Fields.",
+      );
+
+      await save();
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          customFields: { trackedFieldId: "cf-hours", estimateFieldId: null },
+        }),
+      );
+    });
+
+    test("explains how to add a Number field", async () => {
+      mockCustomFieldService.getNumberFields.mockResolvedValue({
+        success: true,
+        data: [],
+      });
+      await settingsUI.load();
+
+      expect(elements.trackedField.disabled).toBe(false);
+      expect(elements.customFieldsHint.textContent).toBe(
+        "Add a Number Custom Field to the board to sync time to it.",
+      );
+    });
+  });
+
+  describe("comment log", () => {
+    test("starts off with the default template", () => {
+      expect(elements.commentLog.checked).toBe(false);
+      expect(elements.commentTemplate.value).toBe(
+        DEFAULTS.BOARD_SETTINGS.commentLog.template,
+      );
+    });
+
+    test("shows the board's comment log", async () => {
+      mockStorageService.getBoardSettings.mockResolvedValue({
+        commentLog: { enabled: true, template: "{member}: {duration}" },
+      });
+      await settingsUI.load();
+
+      expect(elements.commentLog.checked).toBe(true);
+      expect(elements.commentTemplate.value).toBe("{member}: {duration}");
+    });
+
+    test("saves the comment log", async () => {
+      elements.commentLog.checked = true;
+      elements.commentTemplate.value = " {duration} on {item} ";
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          commentLog: { enabled: true, template: "{duration} on {item}" },
+        }),
+      );
+    });
+
+    test("falls back to the default template when emptied", async () => {
+      elements.commentLog.checked = true;
+      elements.commentTemplate.value = "  ";
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          commentLog: {
+            enabled: true,
+            template: DEFAULTS.BOARD_SETTINGS.commentLog.template,
+          },
+        }),
+      );
+    });
+  });
+
+  describe("rounding", () => {
+    test("starts off billing time as tracked", () => {
+      expect(elements.roundingMode.value).toBe("none");
+      expect(elements.roundingIncrement.value).toBe(String(15 * MINUTE));
+      expect(elements.minimumBilled.value).toBe("0");
+    });
+
+    test("labels the rounding rules in the member's language", () => {
+      setLocale("es");
+      try {
+        settingsUI.render();
+      } finally {
+        setLocale(DEFAULT_LOCALE);
+      }
+
+      expect(elements.roundingMode.options[1].textContent).toBe(
+        "Redondeado hacia arriba",
+      );
+      expect(elements.roundingIncrement.options[0].textContent).toBe(
+        "1 minuto",
+      );
+    });
+
+    test("saves the rounding rules", async () => {
+      elements.roundingMode.value = "up";
+      elements.roundingIncrement.value = String(6 * MINUTE);
+      elements.minimumBilled.value = "15";
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          rounding: { mode: "up", increment: 6 * MINUTE, minimum: 15 * MINUTE },
+        }),
+      );
+    });
+
+    test.each(["-5", "2.5", "241"])(
+      "rejects a minimum of %s minutes",
+      async (minimum) => {
+        elements.minimumBilled.value = minimum;
+        await save();
+
+        expect(alert).toHaveBeenCalledWith(
+          "The minimum billed per entry is 0 to 240 minutes",
+        );
+        expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+      },
+    );
+  });
+
+  describe("work week", () => {
+    test("starts off with the default work schedule", () => {
+      expect(elements.hoursPerDay.value).toBe("8");
+      expect(elements.daysPerWeek.value).toBe("5");
+    });
+
+    test("saves the work schedule", async () => {
+      elements.hoursPerDay.value = "7.5";
+      elements.daysPerWeek.value = "4";
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          workSchedule: { hoursPerDay: 7.5, daysPerWeek: 4 },
+        }),
+      );
+    });
+
+    test.each([
+      ["0", "5"],
+      ["25", "5"],
+      ["8", "0"],
+      ["8", "2.5"],
+      ["8", "8"],
+      ["", "5"],
+    ])("rejects %s hours a day and %s days a week", async (hours, days) => {
+      elements.hoursPerDay.value = hours;
+      elements.daysPerWeek.value = days;
+      await save();
+
+      expect(alert).toHaveBeenCalledWith(
+        "A working day lasts up to 24 hours, and a week has 1 to 7 days",
+      );
+      expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("focus mode", () => {
+    test("starts off disabled with 25/5 intervals", () => {
+      expect(elements.focusEnabled.checked).toBe(false);
+      expect(elements.focusWork.value).toBe("25");
+      expect(elements.focusShortBreak.value).toBe("5");
+      expect(elements.focusLongBreak.value).toBe("15");
+      expect(elements.focusLongBreakEvery.value).toBe("4");
+    });
+
+    test("saves the focus settings", async () => {
+      elements.focusEnabled.checked = true;
+      elements.focusWork.value = "50";
+      elements.focusShortBreak.value = "10";
+      elements.focusLongBreak.value = "30";
+      elements.focusLongBreakEvery.value = "3";
+      await save();
+
+      expect(mockStorageService.setBoardSettings).toHaveBeenCalledWith(
+        t,
+        expect.objectContaining({
+          focus: {
+            enabled: true,
+            workLength: 50 * MINUTE,
+            shortBreak: 10 * MINUTE,
+            longBreak: 30 * MINUTE,
+            longBreakEvery: 3,
+          },
+        }),
+      );
+    });
+
+    test.each([
+      ["0", "5", "4"],
+      ["241", "5", "4"],
+      ["25", "2.5", "4"],
+      ["25", "", "4"],
+      ["25", "5", "0"],
+      ["25", "5", "13"],
+    ])(
+      "rejects %s-minute intervals, %s-minute breaks and a long break every %s",
+      async (work, shortBreak, every) => {
+        elements.focusWork.value = work;
+        elements.focusShortBreak.value = shortBreak;
+        elements.focusLongBreakEvery.value = every;
+        await save();
+
+        expect(alert).toHaveBeenCalledWith(
+          "Focus intervals and breaks last 1 to 240 minutes, with a long break every 1 to 12 intervals",
+        );
+        expect(mockStorageService.setBoardSettings).not.toHaveBeenCalled();
+      },
+    );
+  });
+});
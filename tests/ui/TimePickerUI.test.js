@@ -95,4 +95,37 @@ describe("TimePickerUI", () => {
     // Check input value (TimePicker updates targetInput.value live)
     expect(input.value).toBe("5m");
   });
+
+  test("reads days typed in the board's working days", () => {
+    timePicker.setWorkSchedule({ hoursPerDay: 6, daysPerWeek: 5 });
+    timePicker.show(input);
+
+    const manualInput = container.querySelector("#tp-manual-input");
+    manualInput.value = "1d 30m";
+    manualInput.dispatchEvent(new Event("input"));
+    container.querySelector("#tp-apply").click();
+
+    expect(onSelectMock).toHaveBeenCalledWith(6.5 * 3600000, input);
+  });
+
+  test("explains why a typed duration can't be read", () => {
+    timePicker.show(input);
+    const manualInput = container.querySelector("#tp-manual-input");
+    const hint = container.querySelector("#tp-manual-hint");
+
+    manualInput.value = "1h 30 parsecs";
+    manualInput.dispatchEvent(new Event("input"));
+
+    expect(hint.textContent).toBe('Unknown unit "parsecs" (at character 7)');
+    expect(
+      manualInput.classList.contains("time-picker__manual-input--invalid"),
+    ).toBe(true);
+
+    manualInput.value = "1 hora y media";
+    manualInput.dispatchEvent(new Event("input"));
+    container.querySelector("#tp-apply").click();
+
+    expect(hint.textContent).toContain("Format:");
+    expect(onSelectMock).toHaveBeenCalledWith(90 * 60000, input);
+  });
 });
@@ -2,18 +2,36 @@
  * @jest-environment jsdom
  */
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
-import { TIMER_STATE } from "../../src/utils/constants.js";
+import {
+  ERROR_CODES,
+  DEFAULTS,
+  SHARED_TIMER_KEY,
+  TIMER_STATE,
+} from "../../src/utils/constants.js";
+import { setLocale } from "../../src/utils/i18n.js";
 
 // Define mock
 const mockTimerService = {
   startTimer: jest.fn(),
   stopTimer: jest.fn(),
+  pauseTimer: jest.fn(),
+  resumeTimer: jest.fn(),
+  completeFocusInterval: jest.fn(),
   getCurrentElapsed: jest.fn(),
+  // Tests pass the member's session as timer data
+  getMemberTimer: jest.fn((timerData) => timerData),
+};
+
+const mockCommentService = {
+  logEntry: jest.fn(async () => ({ success: true, posted: true })),
 };
 
 jest.unstable_mockModule("../../src/services/TimerService.js", () => ({
   default: mockTimerService,
 }));
+jest.unstable_mockModule("../../src/services/CommentService.js", () => ({
+  default: mockCommentService,
+}));
 
 // Import after mock
 const { TimerUI } = await import("../../src/ui/TimerUI.js");
@@ -38,6 +56,7 @@ describe("TimerUI", () => {
             <span id="btn-text"></span>
             <span id="icon-play"></span>
             <span id="icon-stop"></span>
+            <button id="btn-pause"></button>
             <input id="description" />
         `;
 
@@ -47,6 +66,7 @@ describe("TimerUI", () => {
       btnText: document.getElementById("btn-text"),
       iconPlay: document.getElementById("icon-play"),
       iconStop: document.getElementById("icon-stop"),
+      btnPause: document.getElementById("btn-pause"),
       description: document.getElementById("description"),
     };
 
@@ -89,6 +109,19 @@ describe("TimerUI", () => {
     expect(elements.description.value).toBe("Test Task");
   });
 
+  test("update labels the controls in the member's language", () => {
+    TimerService.getCurrentElapsed.mockReturnValue(0);
+    setLocale("es");
+    try {
+      timerUI.update({ state: TIMER_STATE.IDLE, totalTime: 0 });
+    } finally {
+      setLocale("en");
+    }
+
+    expect(elements.btnText.textContent).toBe("Iniciar");
+    expect(elements.btnToggle.title).toBe("Iniciar temporizador");
+  });
+
   test("clicking toggle calls startTimer when idle", async () => {
     // Setup initial state (idle)
     elements.btnToggle.classList.remove("btn-toggle--running");
@@ -109,7 +142,136 @@ describe("TimerUI", () => {
     // Click
     elements.btnToggle.click();
 
-    expect(TimerService.stopTimer).toHaveBeenCalledWith(t, "My Description");
+    expect(TimerService.stopTimer).toHaveBeenCalledWith(t, "My Description", {
+      categoryId: null,
+    });
+  });
+
+  test("logs the stopped entry as a comment", async () => {
+    elements.btnToggle.classList.add("btn-toggle--running");
+    TimerService.stopTimer.mockResolvedValue({
+      success: true,
+      entry: { id: "e_1" },
+    });
+
+    await timerUI._handleToggle();
+
+    expect(mockCommentService.logEntry).toHaveBeenCalledWith(t, { id: "e_1" });
+  });
+
+  test("asks for write access when the stopped entry's comment is refused", async () => {
+    const onWriteAccessNeeded = jest.fn();
+    timerUI = new TimerUI(t, elements, { onWriteAccessNeeded });
+    elements.btnToggle.classList.add("btn-toggle--running");
+    TimerService.stopTimer.mockResolvedValue({
+      success: true,
+      entry: { id: "e_1" },
+    });
+    mockCommentService.logEntry.mockResolvedValueOnce({
+      success: false,
+      needsWriteAccess: true,
+      error: ERROR_CODES.NOT_AUTHORIZED,
+    });
+
+    await timerUI._handleToggle();
+
+    expect(onWriteAccessNeeded).toHaveBeenCalled();
+  });
+
+  describe("categories", () => {
+    const categories = [
+      { id: "cat_dev", name: "Development", color: "#4bce97" },
+      { id: "cat_meet", name: "<i>Meeting</i>", color: "#579dff" },
+    ];
+    let category;
+    let categoryTotals;
+
+    beforeEach(() => {
+      category = document.createElement("select");
+      categoryTotals = document.createElement("div");
+      timerUI = new TimerUI(t, { ...elements, category, categoryTotals });
+    });
+
+    test("offers the board's categories", () => {
+      timerUI.setCategories(categories);
+
+      expect([...category.options].map((o) => o.value)).toEqual([
+        "",
+        "cat_dev",
+        "cat_meet",
+      ]);
+      expect(category.options[2].textContent).toBe("<i>Meeting</i>");
+    });
+
+    test("keeps the picked category while it exists", () => {
+      timerUI.setCategories(categories);
+      category.value = "cat_meet";
+
+      timerUI.setCategories(categories);
+      expect(category.value).toBe("cat_meet");
+
+      timerUI.setCategories(categories.slice(0, 1));
+      expect(category.value).toBe("");
+    });
+
+    test("shows the picker only while running on a board with categories", () => {
+      TimerService.getCurrentElapsed.mockReturnValue(0);
+      const running = { state: TIMER_STATE.RUNNING, currentEntry: {} };
+
+      timerUI.update(running);
+      expect(category.hidden).toBe(true);
+
+      timerUI.setCategories(categories);
+      timerUI.update(running);
+      expect(category.hidden).toBe(false);
+
+      timerUI.update({ state: TIMER_STATE.IDLE });
+      expect(category.hidden).toBe(true);
+    });
+
+    test("stops the timer in the picked category", async () => {
+      timerUI.setCategories(categories);
+      category.value = "cat_dev";
+      elements.btnToggle.classList.add("btn-toggle--running");
+      TimerService.stopTimer.mockResolvedValue({ success: true });
+
+      elements.btnToggle.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(TimerService.stopTimer).toHaveBeenCalledWith(t, "", {
+        categoryId: "cat_dev",
+      });
+      expect(category.value).toBe("");
+    });
+
+    test("shows subtotals per category", () => {
+      timerUI.setCategoryTotals([
+        {
+          id: "cat_dev",
+          name: "Development",
+          color: "#4bce97",
+          totalTime: 5400000,
+        },
+        { id: null, name: "Uncategorized", color: null, totalTime: 1800000 },
+      ]);
+
+      expect(categoryTotals.hidden).toBe(false);
+      const rows = [...categoryTotals.querySelectorAll(".category-total")];
+      expect(
+        rows.map((row) => row.textContent.replace(/\s+/g, " ").trim()),
+      ).toEqual(["Development 1h 30m 0s", "Uncategorized 30m 0s"]);
+      expect(
+        rows[1].querySelector(".category-total__dot").style.background,
+      ).toBe("transparent");
+    });
+
+    test("hides subtotals while no time is in a category", () => {
+      timerUI.setCategoryTotals([
+        { id: null, name: "Uncategorized", color: null, totalTime: 1800000 },
+      ]);
+
+      expect(categoryTotals.hidden).toBe(true);
+    });
   });
 
   test("alerts on timer error", async () => {
@@ -117,13 +279,317 @@ describe("TimerUI", () => {
     elements.btnToggle.classList.remove("btn-toggle--running");
     TimerService.startTimer.mockResolvedValue({
       success: false,
-      error: "Fail",
+      error: ERROR_CODES.STOP_ELSEWHERE_FAILED,
+      cause: ERROR_CODES.WRITE_CONFLICT,
     });
 
     await timerUI._handleToggle();
 
     expect(window.alert).toHaveBeenCalledWith(
-      expect.stringContaining("Timer action failed"),
+      "Timer action failed: Could not stop your timer on another card: A teammate saved this card at the same time. Try again.",
+    );
+  });
+
+  test("update renders paused state with a frozen display", () => {
+    const timerData = {
+      state: TIMER_STATE.PAUSED,
+      currentEntry: { description: "Lunch break" },
+    };
+    TimerService.getCurrentElapsed.mockReturnValue(65000);
+
+    timerUI.update(timerData);
+
+    expect(elements.display.textContent).toBe("00:01:05");
+    expect(elements.display.className).toContain("timer-display--paused");
+    expect(elements.btnText.textContent).toBe("Stop");
+    expect(elements.btnPause.hidden).toBe(false);
+    expect(elements.btnPause.textContent).toBe("Resume");
+    expect(elements.btnPause.className).toContain("btn-pause--paused");
+  });
+
+  test("shows the timer of the member set on the UI", () => {
+    const timerData = { memberTimers: {} };
+    TimerService.getMemberTimer.mockReturnValueOnce({
+      state: TIMER_STATE.RUNNING,
+      currentEntry: { startTime: 0, description: "Mine" },
+    });
+    TimerService.getCurrentElapsed.mockReturnValue(1000);
+
+    timerUI.setMemberId("member-2");
+    timerUI.update(timerData);
+
+    expect(TimerService.getMemberTimer).toHaveBeenCalledWith(
+      timerData,
+      "member-2",
+    );
+    expect(elements.btnText.textContent).toBe("Stop");
+    expect(elements.description.value).toBe("Mine");
+  });
+
+  test("shows the card's cost when the board bills time", () => {
+    const cost = document.createElement("span");
+    timerUI = new TimerUI(t, { ...elements, cost });
+
+    timerUI.setCost(1234.5, "USD");
+    expect(cost.hidden).toBe(false);
+    expect(cost.textContent).toBe(
+      new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency: "USD",
+      }).format(1234.5),
     );
+
+    timerUI.setCost(null, "USD");
+    expect(cost.hidden).toBe(true);
+  });
+
+  test("ignores costs without a cost element", () => {
+    expect(() => timerUI.setCost(10, "USD")).not.toThrow();
+  });
+
+  test("starting tells the member about a timer stopped elsewhere", async () => {
+    t.alert = jest.fn();
+    TimerService.startTimer.mockResolvedValue({
+      success: true,
+      stoppedElsewhere: { cardId: "card-a", cardName: "Other card" },
+    });
+
+    await timerUI._handleToggle();
+
+    expect(t.alert).toHaveBeenCalledWith({
+      message: 'Stopped your timer on "Other card"',
+      duration: 5,
+    });
+  });
+
+  test("pause button is hidden when idle", () => {
+    TimerService.getCurrentElapsed.mockReturnValue(0);
+
+    timerUI.update({ state: TIMER_STATE.IDLE });
+
+    expect(elements.btnPause.hidden).toBe(true);
+  });
+
+  test("clicking pause calls pauseTimer when running", async () => {
+    TimerService.pauseTimer.mockResolvedValue({ success: true });
+
+    elements.btnPause.click();
+
+    expect(TimerService.pauseTimer).toHaveBeenCalledWith(t);
+  });
+
+  test("clicking pause calls resumeTimer when paused", async () => {
+    elements.btnPause.classList.add("btn-pause--paused");
+    TimerService.resumeTimer.mockResolvedValue({ success: true });
+
+    elements.btnPause.click();
+
+    expect(TimerService.resumeTimer).toHaveBeenCalledWith(t);
+  });
+
+  test("applies the member's display preferences", () => {
+    TimerService.getCurrentElapsed.mockReturnValue(3723000);
+    elements.total = document.createElement("span");
+    timerUI = new TimerUI(t, elements, {
+      preferences: { showSeconds: false },
+    });
+
+    timerUI.update({ state: TIMER_STATE.RUNNING, currentEntry: {} });
+    expect(elements.display.textContent).toBe("01:02");
+    expect(elements.total.textContent).toBe("Total: 1h 2m");
+
+    timerUI.setPreferences({ showSeconds: true });
+    timerUI.update({ state: TIMER_STATE.RUNNING, currentEntry: {} });
+    expect(elements.display.textContent).toBe("01:02:03");
+  });
+
+  describe("focus mode", () => {
+    const MINUTE = 60 * 1000;
+    const focus = { ...DEFAULTS.BOARD_SETTINGS.focus, enabled: true };
+    const onBreak = (remaining, longBreak = false) => ({
+      state: TIMER_STATE.IDLE,
+      focusSessions: {
+        [SHARED_TIMER_KEY]: {
+          cycles: 4,
+          breakEnd: Date.now() + remaining,
+          ...(longBreak ? { longBreak } : {}),
+        },
+      },
+    });
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        '<span id="focus" hidden></span>',
+      );
+      elements.focus = document.getElementById("focus");
+      t.alert = jest.fn();
+      window.alert = jest.fn();
+      timerUI = new TimerUI(t, elements, { focus });
+    });
+
+    test("shows the interval and the time left of it", () => {
+      TimerService.getCurrentElapsed.mockReturnValue(10 * MINUTE);
+
+      timerUI.update({
+        state: TIMER_STATE.RUNNING,
+        currentEntry: { description: "" },
+        focusSessions: { [SHARED_TIMER_KEY]: { cycles: 2, breakEnd: null } },
+      });
+
+      expect(elements.focus.hidden).toBe(false);
+      expect(elements.focus.textContent).toBe("Focus 3 · 15m 0s left");
+      expect(TimerService.completeFocusInterval).not.toHaveBeenCalled();
+    });
+
+    test("counts a break down in the display", () => {
+      TimerService.getCurrentElapsed.mockReturnValue(0);
+
+      timerUI.update(onBreak(10 * MINUTE, true));
+
+      expect(elements.display.className).toContain("timer-display--break");
+      expect(elements.display.textContent).toMatch(/^00:(10:00|09:59)$/);
+      expect(elements.focus.textContent).toBe("Long break");
+    });
+
+    test("stays out of the way while focus mode is off", () => {
+      TimerService.getCurrentElapsed.mockReturnValue(30 * MINUTE);
+      timerUI.setFocus(DEFAULTS.BOARD_SETTINGS.focus);
+
+      timerUI.update({
+        state: TIMER_STATE.RUNNING,
+        currentEntry: { description: "" },
+      });
+
+      expect(elements.focus.hidden).toBe(true);
+      expect(TimerService.completeFocusInterval).not.toHaveBeenCalled();
+    });
+
+    test("ends an interval that has run its length once", async () => {
+      TimerService.getCurrentElapsed.mockReturnValue(25 * MINUTE);
+      TimerService.completeFocusInterval.mockResolvedValue({
+        success: true,
+        entry: { id: "e_1", endTime: 1000 },
+        focusBreak: {
+          breakEnd: 1000 + 5 * MINUTE,
+          longBreak: false,
+          cycles: 1,
+        },
+      });
+      timerUI.onRefresh = jest.fn();
+      elements.description.value = " Drafting ";
+      const running = {
+        state: TIMER_STATE.RUNNING,
+        currentEntry: { description: " Drafting " },
+      };
+
+      timerUI.update(running);
+      timerUI.update(running);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(TimerService.completeFocusInterval).toHaveBeenCalledTimes(1);
+      expect(TimerService.completeFocusInterval).toHaveBeenCalledWith(
+        t,
+        "Drafting",
+        { categoryId: null, keepOverrun: false },
+      );
+      expect(mockCommentService.logEntry).toHaveBeenCalledWith(t, {
+        id: "e_1",
+        endTime: 1000,
+      });
+      expect(t.alert).toHaveBeenCalledWith({
+        message: "Focus interval done. Take a 5m 0s break.",
+        duration: 5,
+      });
+      expect(timerUI.onRefresh).toHaveBeenCalled();
+    });
+
+    describe("after an interval ended with the card closed", () => {
+      beforeEach(() => {
+        timerUI.setPreferences({ showSeconds: false });
+        TimerService.getCurrentElapsed.mockReturnValue(95 * MINUTE);
+        TimerService.completeFocusInterval.mockResolvedValue({
+          success: true,
+          entry: { id: "e_1", endTime: 1000 },
+          focusBreak: {
+            breakEnd: 1000 + 75 * MINUTE,
+            longBreak: false,
+            cycles: 1,
+          },
+          overrun: 70 * MINUTE,
+        });
+      });
+
+      const endInterval = async () => {
+        timerUI.update({
+          state: TIMER_STATE.RUNNING,
+          currentEntry: { description: "" },
+        });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      };
+
+      test("keeps the time since in the entry once the member confirms it", async () => {
+        window.confirm = jest.fn(() => true);
+
+        await endInterval();
+
+        expect(window.confirm).toHaveBeenCalledWith(
+          expect.stringContaining("ended 1h 10m ago"),
+        );
+        expect(TimerService.completeFocusInterval).toHaveBeenCalledWith(t, "", {
+          categoryId: null,
+          keepOverrun: true,
+        });
+        expect(t.alert).toHaveBeenCalledWith({
+          message:
+            "Your focus interval ended 1h 10m ago. That time was kept in the entry. Take a 5m break.",
+          duration: 15,
+        });
+      });
+
+      test("ends the entry with the interval otherwise", async () => {
+        window.confirm = jest.fn(() => false);
+
+        await endInterval();
+
+        expect(TimerService.completeFocusInterval).toHaveBeenCalledWith(t, "", {
+          categoryId: null,
+          keepOverrun: false,
+        });
+        expect(t.alert).toHaveBeenCalledWith({
+          message:
+            "Your focus interval ended 1h 10m ago. The entry ends with it. Take a 5m break.",
+          duration: 15,
+        });
+      });
+    });
+
+    test("alerts when an interval can't be ended", async () => {
+      TimerService.completeFocusInterval.mockResolvedValue({
+        success: false,
+        error: "Storage full",
+      });
+
+      await timerUI._completeFocusInterval();
+
+      expect(window.alert).toHaveBeenCalledWith(
+        "Failed to end the focus interval: Storage full",
+      );
+      expect(timerUI.isCompletingFocus).toBe(false);
+    });
+
+    test("tells the member when the break is over", () => {
+      TimerService.getCurrentElapsed.mockReturnValue(0);
+      timerUI.update(onBreak(MINUTE));
+      expect(t.alert).not.toHaveBeenCalled();
+
+      timerUI.update(onBreak(-MINUTE));
+
+      expect(t.alert).toHaveBeenCalledWith({
+        message: "Break over. Start the timer for the next interval.",
+        duration: 5,
+      });
+      expect(elements.focus.hidden).toBe(true);
+    });
   });
 });
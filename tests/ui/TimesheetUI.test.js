@@ -0,0 +1,434 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { ERROR_CODES } from "../../src/utils/constants.js";
+
+const mockStorageService = {
+  getUserPreferences: jest.fn(),
+};
+const mockTimerService = {
+  updateEntry: jest.fn(),
+  deleteEntry: jest.fn(),
+  addManualEntry: jest.fn(),
+};
+const mockTrelloService = {
+  forCard: jest.fn((t, cardId) => ({ cardId })),
+};
+const mockCustomFieldService = {
+  syncCard: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/services/StorageService.js", () => ({
+  default: mockStorageService,
+}));
+jest.unstable_mockModule("../../src/services/TimerService.js", () => ({
+  default: mockTimerService,
+}));
+jest.unstable_mockModule("../../src/services/TrelloService.js", () => ({
+  default: mockTrelloService,
+}));
+jest.unstable_mockModule("../../src/services/CustomFieldService.js", () => ({
+  default: mockCustomFieldService,
+}));
+
+// Import after mock
+const { TimesheetUI } = await import("../../src/ui/TimesheetUI.js");
+const { default: TimesheetService } =
+  await import("../../src/services/TimesheetService.js");
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+// Monday, January 15, 2024
+const MONDAY = new Date(2024, 0, 15).getTime();
+const at = (day, hour) => new Date(2024, 0, 15 + day, hour).getTime();
+
+describe("TimesheetUI", () => {
+  let t;
+  let elements;
+  let timesheetUI;
+  let getTimesheet;
+
+  const timesheet = () => ({
+    ...TimesheetService.buildTimesheet(
+      [
+        {
+          id: "card-1",
+          name: "<b>Login</b>",
+          entries: [
+            {
+              id: "entry-1",
+              startTime: at(0, 9),
+              endTime: at(0, 11),
+              duration: 2 * HOUR,
+              description: "Form",
+              memberId: "member-1",
+            },
+            {
+              id: "entry-2",
+              startTime: at(2, 9),
+              endTime: at(2, 9) + 30 * MINUTE,
+              duration: 30 * MINUTE,
+              description: "",
+              memberId: "member-1",
+            },
+          ],
+        },
+      ],
+      "member-1",
+      MONDAY,
+    ),
+    cards: [
+      { id: "card-1", name: "<b>Login</b>" },
+      { id: "card-2", name: "Signup" },
+    ],
+  });
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+  const cell = (cardId, day) =>
+    elements.content.querySelector(
+      `.timesheet__cell[data-card-id="${cardId}"][data-day="${day}"]`,
+    );
+  const editorInput = (selector) => elements.editor.querySelector(selector);
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <span id="week"></span>
+      <button id="prev"></button>
+      <button id="next"></button>
+      <button id="this-week"></button>
+      <p id="status"></p>
+      <div id="content"></div>
+      <select id="add-card"></select>
+      <div id="editor" hidden></div>
+    `;
+    elements = {
+      weekLabel: document.getElementById("week"),
+      btnPrevWeek: document.getElementById("prev"),
+      btnNextWeek: document.getElementById("next"),
+      btnThisWeek: document.getElementById("this-week"),
+      status: document.getElementById("status"),
+      content: document.getElementById("content"),
+      addCard: document.getElementById("add-card"),
+      editor: document.getElementById("editor"),
+    };
+    t = { showCard: jest.fn() };
+    global.alert = jest.fn();
+    global.confirm = jest.fn(() => true);
+
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.spyOn(TimesheetService, "getWeekStart").mockReturnValue(MONDAY);
+    getTimesheet = jest
+      .spyOn(TimesheetService, "getTimesheet")
+      .mockImplementation(async () => ({ success: true, data: timesheet() }));
+    mockStorageService.getUserPreferences.mockResolvedValue({
+      showSeconds: false,
+    });
+    mockTimerService.updateEntry.mockResolvedValue({ success: true });
+    mockTimerService.deleteEntry.mockResolvedValue({ success: true });
+    mockTimerService.addManualEntry.mockResolvedValue({ success: true });
+    mockCustomFieldService.syncCard.mockResolvedValue({
+      success: true,
+      synced: 0,
+    });
+
+    timesheetUI = new TimesheetUI(t, elements);
+    await timesheetUI.load();
+  });
+
+  describe("grid", () => {
+    test("loads the current week", () => {
+      expect(getTimesheet).toHaveBeenCalledWith(t, { weekStart: MONDAY });
+      expect(elements.status.hidden).toBe(true);
+    });
+
+    test("shows time per card and day with escaped card names", () => {
+      expect(elements.content.querySelector(".timesheet__card").innerHTML).toBe(
+        "&lt;b&gt;Login&lt;/b&gt;",
+      );
+      expect(cell("card-1", 0).textContent).toBe("2h 0m");
+      expect(cell("card-1", 1).textContent).toBe("");
+      expect(cell("card-1", 2).textContent).toBe("30m");
+    });
+
+    test("totals each day and the week", () => {
+      const totals = [
+        ...elements.content.querySelectorAll("tfoot .timesheet__total"),
+      ].map((td) => td.textContent);
+
+      expect(totals).toEqual(["2h 0m", "", "30m", "", "", "", "", "2h 30m"]);
+    });
+
+    test("shows seconds when the member prefers them", async () => {
+      mockStorageService.getUserPreferences.mockResolvedValue({
+        showSeconds: true,
+      });
+      await timesheetUI.load();
+
+      expect(cell("card-1", 2).textContent).toBe("30m 0s");
+    });
+
+    test("opens a card from its name", () => {
+      elements.content.querySelector(".timesheet__card").click();
+
+      expect(t.showCard).toHaveBeenCalledWith("card-1");
+    });
+
+    test("says so when no time was tracked that week", async () => {
+      getTimesheet.mockResolvedValue({
+        success: true,
+        data: { ...timesheet(), rows: [] },
+      });
+      await timesheetUI.refresh();
+
+      expect(elements.status.textContent).toBe("No time tracked this week.");
+      expect(elements.status.hidden).toBe(false);
+      expect(elements.content.innerHTML).toBe("");
+    });
+
+    test("shows an error when loading fails", async () => {
+      getTimesheet.mockResolvedValue({ success: false, error: "Network" });
+      await timesheetUI.refresh();
+
+      expect(elements.status.textContent).toBe(
+        "Failed to load timesheet: Network",
+      );
+    });
+  });
+
+  describe("week navigation", () => {
+    test("moves to the previous and next week", async () => {
+      elements.btnPrevWeek.click();
+      await flush();
+      expect(getTimesheet).toHaveBeenLastCalledWith(t, {
+        weekStart: at(-7, 0),
+      });
+
+      elements.btnNextWeek.click();
+      await flush();
+      expect(getTimesheet).toHaveBeenLastCalledWith(t, { weekStart: MONDAY });
+    });
+
+    test("returns to the current week", async () => {
+      await timesheetUI.goToWeek(at(14, 0));
+      elements.btnThisWeek.click();
+      await flush();
+
+      expect(getTimesheet).toHaveBeenLastCalledWith(t, { weekStart: MONDAY });
+    });
+
+    test("closes the cell editor", async () => {
+      cell("card-1", 0).click();
+      await timesheetUI.goToWeek(at(7, 0));
+
+      expect(elements.editor.hidden).toBe(true);
+    });
+  });
+
+  describe("adding cards", () => {
+    test("offers only the cards not in the grid", () => {
+      const options = [...elements.addCard.options].map((o) => o.value);
+
+      expect(options).toEqual(["", "card-2"]);
+    });
+
+    test("adds an empty row for the chosen card", () => {
+      elements.addCard.value = "card-2";
+      elements.addCard.dispatchEvent(new Event("change"));
+
+      expect(cell("card-2", 3).textContent).toBe("");
+      expect(elements.addCard.hidden).toBe(true);
+    });
+  });
+
+  describe("cell editor", () => {
+    test("lists the entries of the clicked cell", () => {
+      cell("card-1", 0).click();
+
+      expect(elements.editor.hidden).toBe(false);
+      expect(cell("card-1", 0).classList).toContain(
+        "timesheet__cell--selected",
+      );
+      expect(editorInput(".timesheet-entry").dataset.entryId).toBe("entry-1");
+      expect(editorInput(".timesheet-entry__duration").value).toBe("2h 0m");
+      expect(editorInput(".timesheet-entry__description").value).toBe("Form");
+    });
+
+    test("closes", () => {
+      cell("card-1", 0).click();
+      editorInput("#btn-close-editor").click();
+
+      expect(elements.editor.hidden).toBe(true);
+    });
+
+    test("saves an edited entry on its card", async () => {
+      cell("card-1", 0).click();
+      editorInput(".timesheet-entry__duration").value = "1h 30m";
+      editorInput(".timesheet-entry__description").value = "Validation";
+      editorInput(".btn-save-entry").click();
+      await flush();
+
+      expect(mockTrelloService.forCard).toHaveBeenCalledWith(t, "card-1");
+      expect(mockTimerService.updateEntry).toHaveBeenCalledWith(
+        { cardId: "card-1" },
+        "entry-1",
+        { duration: 90 * MINUTE, description: "Validation" },
+      );
+      expect(getTimesheet).toHaveBeenCalledTimes(2);
+      expect(mockCustomFieldService.syncCard).toHaveBeenCalledWith({
+        cardId: "card-1",
+      });
+      expect(elements.editor.hidden).toBe(false);
+    });
+
+    test("keeps the exact duration when its rounded field is left as it is", async () => {
+      cell("card-1", 0).click();
+      editorInput(".timesheet-entry__description").value = "Validation";
+      editorInput(".btn-save-entry").click();
+      await flush();
+
+      expect(mockTimerService.updateEntry).toHaveBeenCalledWith(
+        { cardId: "card-1" },
+        "entry-1",
+        { description: "Validation" },
+      );
+    });
+
+    test("asks for write access when the card's Custom Fields can't be synced", async () => {
+      mockCustomFieldService.syncCard.mockResolvedValue({
+        success: false,
+        needsWriteAccess: true,
+        error: "TimeUp isn't authorized",
+      });
+      timesheetUI.onWriteAccessNeeded = jest.fn();
+
+      cell("card-1", 0).click();
+      editorInput(".btn-save-entry").click();
+      await flush();
+
+      expect(timesheetUI.onWriteAccessNeeded).toHaveBeenCalled();
+    });
+
+    test("rejects an invalid duration", async () => {
+      cell("card-1", 0).click();
+      editorInput(".timesheet-entry__duration").value = "soon";
+      editorInput(".btn-save-entry").click();
+      await flush();
+
+      expect(alert).toHaveBeenCalledWith("Invalid duration");
+      expect(mockTimerService.updateEntry).not.toHaveBeenCalled();
+    });
+
+    test("alerts when saving fails", async () => {
+      mockTimerService.updateEntry.mockResolvedValue({
+        success: false,
+        error: ERROR_CODES.ENTRY_NOT_FOUND,
+      });
+      cell("card-1", 0).click();
+      editorInput(".btn-save-entry").click();
+      await flush();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Failed to update entry: Entry not found",
+      );
+    });
+
+    test("deletes an entry once confirmed", async () => {
+      cell("card-1", 0).click();
+      editorInput(".btn-delete-entry").click();
+      await flush();
+
+      expect(mockTimerService.deleteEntry).toHaveBeenCalledWith(
+        { cardId: "card-1" },
+        "entry-1",
+      );
+    });
+
+    test("keeps the entry when deleting is cancelled", async () => {
+      confirm.mockReturnValue(false);
+      cell("card-1", 0).click();
+      editorInput(".btn-delete-entry").click();
+      await flush();
+
+      expect(mockTimerService.deleteEntry).not.toHaveBeenCalled();
+    });
+
+    test("alerts when deleting fails", async () => {
+      mockTimerService.deleteEntry.mockResolvedValue({
+        success: false,
+        error: "Storage error",
+      });
+      cell("card-1", 0).click();
+      editorInput(".btn-delete-entry").click();
+      await flush();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Failed to delete entry: Storage error",
+      );
+    });
+
+    test("adds an entry on the cell's day", async () => {
+      cell("card-1", 1).click();
+      editorInput("#timesheet-add-start").value = "13:30";
+      editorInput("#timesheet-add-duration").value = "45m";
+      editorInput("#timesheet-add-desc").value = "Review";
+      editorInput("#btn-add-timesheet-entry").click();
+      await flush();
+
+      expect(mockTimerService.addManualEntry).toHaveBeenCalledWith(
+        { cardId: "card-1" },
+        {
+          startTime: new Date(2024, 0, 16, 13, 30).getTime(),
+          duration: 45 * MINUTE,
+          description: "Review",
+        },
+      );
+    });
+
+    test("adds time to a card added to the grid", async () => {
+      elements.addCard.value = "card-2";
+      elements.addCard.dispatchEvent(new Event("change"));
+      cell("card-2", 4).click();
+      editorInput("#timesheet-add-start").value = "09:00";
+      editorInput("#timesheet-add-duration").value = "1h";
+      editorInput("#btn-add-timesheet-entry").click();
+      await flush();
+
+      expect(mockTrelloService.forCard).toHaveBeenCalledWith(t, "card-2");
+    });
+
+    test.each([
+      ["", "1h", "Enter the time the work started"],
+      ["09:00", "", "Enter a duration"],
+    ])(
+      "requires a start time and duration (%p, %p)",
+      async (start, duration, message) => {
+        cell("card-1", 1).click();
+        editorInput("#timesheet-add-start").value = start;
+        editorInput("#timesheet-add-duration").value = duration;
+        editorInput("#btn-add-timesheet-entry").click();
+        await flush();
+
+        expect(alert).toHaveBeenCalledWith(message);
+        expect(mockTimerService.addManualEntry).not.toHaveBeenCalled();
+      },
+    );
+
+    test("alerts when adding fails", async () => {
+      mockTimerService.addManualEntry.mockResolvedValue({
+        success: false,
+        error: ERROR_CODES.END_IN_FUTURE,
+      });
+      cell("card-1", 1).click();
+      editorInput("#timesheet-add-start").value = "09:00";
+      editorInput("#timesheet-add-duration").value = "1h";
+      editorInput("#btn-add-timesheet-entry").click();
+      await flush();
+
+      expect(alert).toHaveBeenCalledWith(
+        "Failed to add entry: Entries cannot end in the future",
+      );
+    });
+  });
+});
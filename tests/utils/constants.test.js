@@ -10,7 +10,11 @@ import {
   APP_INFO,
   DEFAULTS,
   BADGE_COLORS,
+  CATEGORY_COLORS,
   VALIDATION,
+  SCHEMA_VERSION,
+  ROUNDING_MODES,
+  ROUNDING_INCREMENTS,
 } from "../../src/utils/constants.js";
 
 describe("Constants exports", () => {
@@ -19,6 +23,7 @@ describe("Constants exports", () => {
       expect(STORAGE_KEYS.TIMER_DATA).toBe("timerData");
       expect(STORAGE_KEYS.BOARD_SETTINGS).toBe("boardSettings");
       expect(STORAGE_KEYS.USER_PREFERENCES).toBe("userPreferences");
+      expect(STORAGE_KEYS.RUNNING_TIMER).toBe("runningTimer");
     });
   });
 
@@ -57,21 +62,39 @@ describe("Constants exports", () => {
   describe("DEFAULTS", () => {
     test("TIMER_DATA has correct structure", () => {
       expect(DEFAULTS.TIMER_DATA).toEqual({
-        state: TIMER_STATE.IDLE,
-        currentEntry: null,
+        schemaVersion: SCHEMA_VERSION,
+        revision: 0,
+        memberTimers: {},
         estimatedTime: null,
         manualEstimateSet: false,
         totalTime: 0,
         recentEntries: [],
+        archivedCount: 0,
         checklistTotals: {},
+        focusSessions: {},
       });
     });
 
     test("BOARD_SETTINGS has correct structure", () => {
       expect(DEFAULTS.BOARD_SETTINGS).toEqual({
         hourlyRate: null,
+        memberRates: {},
         currency: "USD",
         categories: [],
+        customFields: { trackedFieldId: null, estimateFieldId: null },
+        commentLog: {
+          enabled: false,
+          template: "⏱ {duration} logged by {member} – {description}",
+        },
+        workSchedule: { hoursPerDay: 8, daysPerWeek: 5 },
+        rounding: { mode: "none", increment: 15 * TIME.MINUTE, minimum: 0 },
+        focus: {
+          enabled: false,
+          workLength: 25 * TIME.MINUTE,
+          shortBreak: 5 * TIME.MINUTE,
+          longBreak: 15 * TIME.MINUTE,
+          longBreakEvery: 4,
+        },
       });
     });
 
@@ -80,6 +103,8 @@ describe("Constants exports", () => {
         showSeconds: true,
         use24HourFormat: true,
         autoStartOnOpen: false,
+        forgottenTimerThreshold: 8 * TIME.HOUR,
+        decimalHours: false,
       });
     });
   });
@@ -90,6 +115,17 @@ describe("Constants exports", () => {
       expect(BADGE_COLORS.RUNNING).toBe("green");
       expect(BADGE_COLORS.WARNING).toBe("yellow");
       expect(BADGE_COLORS.OVER_BUDGET).toBe("red");
+      expect(BADGE_COLORS.FORGOTTEN).toBe("red");
+      expect(BADGE_COLORS.BREAK).toBe("blue");
+    });
+  });
+
+  describe("CATEGORY_COLORS", () => {
+    test("are hex colors", () => {
+      expect(CATEGORY_COLORS.length).toBeGreaterThan(0);
+      for (const color of CATEGORY_COLORS) {
+        expect(color).toMatch(/^#[0-9a-f]{6}$/);
+      }
     });
   });
 
@@ -98,8 +134,55 @@ describe("Constants exports", () => {
       expect(VALIDATION.MAX_DESCRIPTION_LENGTH).toBe(120);
     });
 
-    test("has max checklist items limit", () => {
-      expect(VALIDATION.MAX_CHECKLIST_ITEMS).toBe(15);
+    test("has max category name length", () => {
+      expect(VALIDATION.MAX_CATEGORY_NAME_LENGTH).toBe(30);
+    });
+
+    test("has max comment template length", () => {
+      expect(VALIDATION.MAX_COMMENT_TEMPLATE_LENGTH).toBe(200);
+    });
+
+    test("has work schedule limits", () => {
+      expect(VALIDATION.MAX_HOURS_PER_DAY).toBe(24);
+      expect(VALIDATION.MAX_DAYS_PER_WEEK).toBe(7);
+    });
+
+    test("has a limit on the minimum billed time", () => {
+      expect(VALIDATION.MAX_MINIMUM_BILLED).toBe(4 * TIME.HOUR);
+    });
+
+    test("has focus mode limits", () => {
+      expect(VALIDATION.MAX_FOCUS_INTERVAL).toBe(4 * TIME.HOUR);
+      expect(VALIDATION.MAX_FOCUS_CYCLES).toBe(12);
+    });
+  });
+
+  describe("ROUNDING_MODES", () => {
+    test("has all modes", () => {
+      expect(ROUNDING_MODES).toEqual({
+        NONE: "none",
+        UP: "up",
+        NEAREST: "nearest",
+      });
+    });
+  });
+
+  describe("ROUNDING_INCREMENTS", () => {
+    test("are whole minutes, shortest first", () => {
+      expect(ROUNDING_INCREMENTS).toContain(6 * TIME.MINUTE);
+      expect(ROUNDING_INCREMENTS).toContain(15 * TIME.MINUTE);
+      for (const increment of ROUNDING_INCREMENTS) {
+        expect(increment % TIME.MINUTE).toBe(0);
+      }
+      expect([...ROUNDING_INCREMENTS].sort((a, b) => a - b)).toEqual(
+        ROUNDING_INCREMENTS,
+      );
+    });
+
+    test("include the default increment", () => {
+      expect(ROUNDING_INCREMENTS).toContain(
+        DEFAULTS.BOARD_SETTINGS.rounding.increment,
+      );
     });
   });
 });
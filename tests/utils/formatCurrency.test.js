@@ -0,0 +1,39 @@
+/**
+ * Tests for formatCurrency.js utilities
+ */
+
+import { formatCurrency } from "../../src/utils/formatCurrency.js";
+import { setLocale } from "../../src/utils/i18n.js";
+
+describe("formatCurrency", () => {
+  test("formats amounts in the given currency and locale", () => {
+    expect(formatCurrency(1234.5, "USD", "en-US")).toBe("$1,234.50");
+    expect(formatCurrency(1234.5, "EUR", "de-DE")).toBe("1.234,50\u00a0€");
+  });
+
+  test("uses the currency's own minor units", () => {
+    expect(formatCurrency(1234.5, "JPY", "en-US")).toBe("¥1,235");
+  });
+
+  test("defaults to US dollars", () => {
+    expect(formatCurrency(10, undefined, "en-US")).toBe("$10.00");
+  });
+
+  test("defaults to the current locale", () => {
+    setLocale("es-ES");
+    try {
+      expect(formatCurrency(1234.5, "EUR")).toBe("1234,50\u00a0€");
+    } finally {
+      setLocale("en");
+    }
+  });
+
+  test("formats invalid amounts as zero", () => {
+    expect(formatCurrency(NaN, "USD", "en-US")).toBe("$0.00");
+    expect(formatCurrency(null, "USD", "en-US")).toBe("$0.00");
+  });
+
+  test("falls back to a plain amount for malformed currency codes", () => {
+    expect(formatCurrency(12.5, "dollars", "en-US")).toBe("12.50 dollars");
+  });
+});
@@ -6,11 +6,17 @@ import {
   padZero,
   formatDuration,
   formatTimestamp,
+  formatInputDate,
+  getFormatOptions,
+  formatDecimalHours,
+  getWorkUnits,
   getElapsedTime,
   sumDurations,
   getRemainingTime,
   parseTimeString,
+  parseDuration,
 } from "../../src/utils/formatTime.js";
+import { setLocale } from "../../src/utils/i18n.js";
 
 describe("padZero", () => {
   test("pads single digit numbers", () => {
@@ -56,6 +62,31 @@ describe("formatDuration", () => {
     });
   });
 
+  describe("decimal hours", () => {
+    test("shows compact durations as decimal hours", () => {
+      expect(
+        formatDuration(4500000, { compact: true, decimalHours: true }),
+      ).toBe("1.25 h");
+      expect(formatDuration(0, { compact: true, decimalHours: true })).toBe(
+        "0.00 h",
+      );
+    });
+
+    test("takes precedence over working days", () => {
+      expect(
+        formatDuration(10 * 3600000, {
+          compact: true,
+          decimalHours: true,
+          workSchedule: { hoursPerDay: 8, daysPerWeek: 5 },
+        }),
+      ).toBe("10.00 h");
+    });
+
+    test("leaves the clock format as is", () => {
+      expect(formatDuration(4500000, { decimalHours: true })).toBe("01:15:00");
+    });
+  });
+
   describe("standard format", () => {
     test("formats zero", () => {
       expect(formatDuration(0)).toBe("00:00:00");
@@ -111,6 +142,71 @@ describe("formatDuration", () => {
       );
     });
   });
+
+  describe("with a work schedule", () => {
+    const HOUR = 3600000;
+    const workSchedule = { hoursPerDay: 8, daysPerWeek: 5 };
+
+    test("counts working days and weeks", () => {
+      expect(formatDuration(24 * HOUR, { compact: true, workSchedule })).toBe(
+        "3d",
+      );
+      expect(
+        formatDuration(66 * HOUR + 30 * 60000, {
+          compact: true,
+          showSeconds: false,
+          workSchedule,
+        }),
+      ).toBe("1w 3d 2h 30m");
+    });
+
+    test("shows shorter durations as before", () => {
+      expect(
+        formatDuration(3 * HOUR, {
+          compact: true,
+          showSeconds: false,
+          workSchedule,
+        }),
+      ).toBe("3h 0m");
+    });
+
+    test("follows the board's day length", () => {
+      expect(
+        formatDuration(15 * HOUR, {
+          compact: true,
+          workSchedule: { hoursPerDay: 7.5, daysPerWeek: 5 },
+        }),
+      ).toBe("2d");
+    });
+
+    test("uses working days in the standard format", () => {
+      expect(formatDuration(26 * HOUR, { workSchedule })).toBe("3d 02:00:00");
+      expect(formatDuration(26 * HOUR, { workSchedule, showDays: false })).toBe(
+        "26:00:00",
+      );
+    });
+  });
+});
+
+describe("getWorkUnits", () => {
+  const HOUR = 3600000;
+
+  test("gets the length of a working day and week", () => {
+    expect(getWorkUnits({ hoursPerDay: 6, daysPerWeek: 4 })).toEqual({
+      day: 6 * HOUR,
+      week: 24 * HOUR,
+      daysPerWeek: 4,
+    });
+  });
+
+  test("falls back to the default schedule", () => {
+    const defaults = { day: 8 * HOUR, week: 40 * HOUR, daysPerWeek: 5 };
+    expect(getWorkUnits()).toEqual(defaults);
+    expect(getWorkUnits(null)).toEqual(defaults);
+    expect(getWorkUnits({ hoursPerDay: 30, daysPerWeek: 2.5 })).toEqual(
+      defaults,
+    );
+  });
 });
 
 describe("formatTimestamp", () => {
@@ -140,6 +236,75 @@ describe("formatTimestamp", () => {
     const result = formatTimestamp(testTimestamp, { showDate: true });
     expect(result).toMatch(/2025|Jan|27/);
   });
+
+  test("follows the current locale", () => {
+    setLocale("es");
+    try {
+      expect(
+        formatTimestamp(testTimestamp, { showDate: true, use24Hour: false }),
+      ).toMatch(/ene/);
+    } finally {
+      setLocale("en");
+    }
+  });
+});
+
+describe("getFormatOptions", () => {
+  test("maps preferences to formatting options", () => {
+    expect(
+      getFormatOptions({
+        showSeconds: false,
+        use24HourFormat: false,
+        decimalHours: true,
+      }),
+    ).toEqual({ showSeconds: false, use24Hour: false, decimalHours: true });
+  });
+
+  test("falls back to the default preferences", () => {
+    expect(getFormatOptions()).toEqual({
+      showSeconds: true,
+      use24Hour: true,
+      decimalHours: false,
+    });
+    expect(getFormatOptions({ showSeconds: false })).toEqual({
+      showSeconds: false,
+      use24Hour: true,
+      decimalHours: false,
+    });
+  });
+});
+
+describe("formatDecimalHours", () => {
+  test("formats hours with two decimals", () => {
+    expect(formatDecimalHours(75 * 60000)).toBe("1.25");
+    expect(formatDecimalHours(6 * 60000)).toBe("0.10");
+    expect(formatDecimalHours(10 * 3600000)).toBe("10.00");
+  });
+
+  test("rounds to the nearest hundredth", () => {
+    expect(formatDecimalHours(20 * 60000)).toBe("0.33");
+    expect(formatDecimalHours(40 * 60000)).toBe("0.67");
+  });
+
+  test("returns zero for invalid input", () => {
+    expect(formatDecimalHours(-1000)).toBe("0.00");
+    expect(formatDecimalHours(NaN)).toBe("0.00");
+    expect(formatDecimalHours(undefined)).toBe("0.00");
+  });
+});
+
+describe("formatInputDate", () => {
+  const timestamp = new Date(2024, 0, 7, 9, 5).getTime();
+
+  test("formats the local date", () => {
+    expect(formatInputDate(timestamp)).toBe("2024-01-07");
+  });
+
+  test("includes the local time for datetime-local inputs", () => {
+    expect(formatInputDate(timestamp, { showTime: true })).toBe(
+      "2024-01-07T09:05",
+    );
+  });
 });
 
 describe("getElapsedTime", () => {
@@ -281,6 +446,35 @@ describe("parseTimeString", () => {
     expect(parseTimeString("  1h  30m  ")).toBe(5400000);
   });
 
+  describe("days and weeks", () => {
+    const HOUR = 3600000;
+
+    test("counts in the default work schedule", () => {
+      expect(parseTimeString("2d")).toBe(16 * HOUR);
+      expect(parseTimeString("1w 2d")).toBe(56 * HOUR);
+      expect(parseTimeString("1.5d 4h")).toBe(16 * HOUR);
+    });
+
+    test("counts in the board's work schedule", () => {
+      const workSchedule = { hoursPerDay: 6, daysPerWeek: 4 };
+      expect(parseTimeString("3d", { workSchedule })).toBe(18 * HOUR);
+      expect(parseTimeString("1w 1d 30m", { workSchedule })).toBe(30.5 * HOUR);
+    });
+
+    test("reads back the formatted estimate", () => {
+      const workSchedule = { hoursPerDay: 7, daysPerWeek: 5 };
+      const ms = 47 * HOUR + 15 * 60000;
+      const text = formatDuration(ms, {
+        compact: true,
+        showSeconds: false,
+        workSchedule,
+      });
+
+      expect(text).toBe("1w 1d 5h 15m");
+      expect(parseTimeString(text, { workSchedule })).toBe(ms);
+    });
+  });
+
   describe("HH:MM:SS format", () => {
     test("parses HH:MM:SS format", () => {
       expect(parseTimeString("1:30:00")).toBe(5400000); // 1h 30m
@@ -309,3 +503,96 @@ describe("parseTimeString", () => {
     });
   });
 });
+
+describe("parseDuration", () => {
+  const MINUTE = 60000;
+  const HOUR = 60 * MINUTE;
+  const read = (input) => parseDuration(input).data;
+
+  test("reads decimal commas", () => {
+    expect(read("1,5h")).toBe(90 * MINUTE);
+    expect(read(",5 h")).toBe(30 * MINUTE);
+  });
+
+  test("reads spelled-out units in any plural form", () => {
+    expect(read("1 hour 15 minutes")).toBe(75 * MINUTE);
+    expect(read("2 hrs 10 secs")).toBe(2 * HOUR + 10000);
+    expect(read("90 min")).toBe(90 * MINUTE);
+    expect(read("1 hour and 30 minutes")).toBe(90 * MINUTE);
+  });
+
+  test("reads units in other languages", () => {
+    expect(read("2 horas 15 minutos")).toBe(135 * MINUTE);
+    expect(read("1 día")).toBe(8 * HOUR);
+    expect(read("3 Stunden")).toBe(3 * HOUR);
+    expect(read("2 semaines")).toBe(80 * HOUR);
+  });
+
+  test("reads articles and fractions", () => {
+    expect(read("an hour")).toBe(HOUR);
+    expect(read("half an hour")).toBe(30 * MINUTE);
+    expect(read("an hour and a half")).toBe(90 * MINUTE);
+    expect(read("a quarter of an hour")).toBe(15 * MINUTE);
+    expect(read("una hora y media")).toBe(90 * MINUTE);
+    expect(read("media hora")).toBe(30 * MINUTE);
+    expect(read("un quart d'heure")).toBe(15 * MINUTE);
+    expect(read("eine halbe Stunde")).toBe(30 * MINUTE);
+  });
+
+  test("reads a number after a unit in the next smaller unit", () => {
+    expect(read("1h30")).toBe(90 * MINUTE);
+    expect(read("2m 30")).toBe(150000);
+  });
+
+  test("adds and subtracts durations", () => {
+    expect(read("2h + 30m")).toBe(150 * MINUTE);
+    expect(read("2h - 30m")).toBe(90 * MINUTE);
+    expect(read("1h + 15")).toBe(75 * MINUTE);
+  });
+
+  test("multiplies a duration by a count", () => {
+    expect(read("3 × 25m")).toBe(75 * MINUTE);
+    expect(read("3x25m")).toBe(75 * MINUTE);
+    expect(read("25m * 3")).toBe(75 * MINUTE);
+    expect(read("2 × 3")).toBe(6 * MINUTE);
+    expect(read("4 × 25m + 3 × 5m")).toBe(115 * MINUTE);
+  });
+
+  test("reads clock times and bare minutes", () => {
+    expect(read("1:30:00")).toBe(90 * MINUTE);
+    expect(read("7:00")).toBe(7 * MINUTE);
+    expect(read("45")).toBe(45 * MINUTE);
+  });
+
+  test.each([
+    ["", "Enter a duration", 0, 0],
+    ["2 hurs", 'Unknown unit "hurs"', 2, 4],
+    ["1h %", 'Unexpected "%"', 3, 1],
+    ["hour", 'Expected a number before "hour"', 0, 4],
+    ["1h +", "Expected a duration", 4, 0],
+    ["+ 1h", 'Expected a duration before "+"', 0, 1],
+    ["2h × 3h", "Only one side of × can be a duration", 3, 1],
+    ["1:75:00", "Minutes and seconds must be under 60", 0, 7],
+    ["7:60", "Seconds must be under 60", 0, 4],
+    ["5s 10", 'Add a unit to "10"', 3, 2],
+    ["half", 'Add a unit to "half"', 0, 4],
+    ["2h and", 'Unexpected "and"', 3, 3],
+    ["30m - 1h", "A duration can't be negative", 0, 8],
+  ])("explains why %j can't be read", (input, error, position, length) => {
+    expect(parseDuration(input)).toEqual({
+      success: false,
+      error,
+      position,
+      length,
+    });
+  });
+
+  test("explains in the current locale", () => {
+    setLocale("es");
+    try {
+      expect(parseDuration("2 hurs").error).toBe("Unidad desconocida «hurs»");
+    } finally {
+      setLocale("en");
+    }
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { readFileSync, readdirSync } from "fs";
+import { jest } from "@jest/globals";
+import i18n, {
+  CATALOGS,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  detectLocale,
+  getLocale,
+  setLocale,
+  initLocale,
+  translate,
+  translateError,
+  translatePage,
+} from "../../src/utils/i18n.js";
+import { ERROR_CODES } from "../../src/utils/constants.js";
+
+const placeholdersOf = (message) =>
+  [...JSON.stringify(message).matchAll(/\{(\w+)\}/g)]
+    .map(([, name]) => name)
+    .sort();
+
+afterEach(() => {
+  setLocale(DEFAULT_LOCALE);
+});
+
+describe("resolveLocale", () => {
+  test("picks the first supported locale, region kept", () => {
+    expect(resolveLocale(["fr-FR", "es_mx", "en"])).toBe("es-MX");
+    expect(resolveLocale(["en-GB"])).toBe("en-GB");
+  });
+
+  test("skips empty and malformed candidates", () => {
+    expect(resolveLocale([undefined, "", "  ", 42, "es"])).toBe("es");
+  });
+
+  test("keeps the language of a malformed tag", () => {
+    expect(resolveLocale(["es-!!"])).toBe("es");
+  });
+
+  test("falls back to English", () => {
+    expect(resolveLocale([])).toBe(DEFAULT_LOCALE);
+    expect(resolveLocale(["ja-JP"])).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe("detectLocale", () => {
+  test("prefers the locale Trello is shown in", () => {
+    const t = { getContext: jest.fn(() => ({ locale: "es-AR" })) };
+
+    expect(detectLocale(t)).toBe("es-AR");
+  });
+
+  test("falls back to the browser's languages", () => {
+    const languages = jest
+      .spyOn(navigator, "languages", "get")
+      .mockReturnValue(["de-DE", "es-ES"]);
+
+    try {
+      expect(detectLocale({ getContext: () => ({}) })).toBe("es-ES");
+      expect(
+        detectLocale({
+          getContext: () => {
+            throw new Error("Not in an iframe");
+          },
+        }),
+      ).toBe("es-ES");
+      expect(detectLocale()).toBe("es-ES");
+    } finally {
+      languages.mockRestore();
+    }
+  });
+});
+
+describe("setLocale and initLocale", () => {
+  test("switch the current locale", () => {
+    expect(getLocale()).toBe(DEFAULT_LOCALE);
+    expect(setLocale("es-CL")).toBe("es-CL");
+    expect(getLocale()).toBe("es-CL");
+    expect(initLocale({ getContext: () => ({ locale: "en-US" }) })).toBe(
+      "en-US",
+    );
+  });
+
+  test("fall back to English for unsupported locales", () => {
+    expect(setLocale("ko")).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe("translate", () => {
+  test("fills in placeholders", () => {
+    expect(translate("timer.total", { time: "1h 5m" })).toBe("Total: 1h 5m");
+  });
+
+  test("leaves missing placeholders as they are", () => {
+    expect(translate("timer.total")).toBe("Total: {time}");
+  });
+
+  test("uses the current locale", () => {
+    setLocale("es-MX");
+
+    expect(translate("timer.start")).toBe("Iniciar");
+  });
+
+  test.each([
+    ["en", 1, "1 entry"],
+    ["en", 0, "0 entries"],
+    ["en", 2, "2 entries"],
+    ["es", 1, "1 registro"],
+    ["es", 5, "5 registros"],
+  ])("picks the %s plural form for %p", (locale, count, expected) => {
+    setLocale(locale);
+
+    expect(translate("entries.count", { count })).toBe(expected);
+  });
+
+  test("falls back to English, then to the key", () => {
+    const original = CATALOGS.es["timer.start"];
+    delete CATALOGS.es["timer.start"];
+    setLocale("es");
+
+    try {
+      expect(translate("timer.start")).toBe("Start");
+      expect(translate("no.such.key")).toBe("no.such.key");
+    } finally {
+      CATALOGS.es["timer.start"] = original;
+    }
+  });
+});
+
+describe("translateError", () => {
+  test("shows an error code in the current locale", () => {
+    expect(translateError(ERROR_CODES.NO_RUNNING_TIMER)).toBe(
+      "No running timer",
+    );
+
+    setLocale("es");
+    expect(translateError(ERROR_CODES.NO_RUNNING_TIMER)).toBe(
+      "No hay ningún temporizador en marcha",
+    );
+  });
+
+  test("translates the error a code wraps", () => {
+    setLocale("es");
+
+    expect(
+      translateError(
+        ERROR_CODES.STOP_ELSEWHERE_FAILED,
+        ERROR_CODES.WRITE_CONFLICT,
+      ),
+    ).toBe(
+      "No se pudo detener tu temporizador en otra tarjeta: Un compañero guardó esta tarjeta al mismo tiempo. Inténtalo de nuevo.",
+    );
+  });
+
+  test("shows unexpected errors as they are", () => {
+    expect(translateError("Network down")).toBe("Network down");
+    expect(translateError(undefined)).toBe("");
+  });
+
+  test("has a message for every error code", () => {
+    for (const code of Object.values(ERROR_CODES)) {
+      expect(CATALOGS.en).toHaveProperty([`error.${code}`]);
+    }
+  });
+});
+
+describe("translatePage", () => {
+  test("translates text and attributes by key", () => {
+    document.body.innerHTML = `
+      <button id="start" data-i18n="timer.start"
+              data-i18n-title="timer.startTitle">Start</button>
+      <input id="estimate" data-i18n-placeholder="estimate.placeholder"
+             data-i18n-aria-label="estimate.inputLabel">
+    `;
+    setLocale("es");
+
+    translatePage(document);
+
+    const button = document.getElementById("start");
+    const input = document.getElementById("estimate");
+    expect(button.textContent).toBe("Iniciar");
+    expect(button.title).toBe("Iniciar temporizador");
+    expect(input.placeholder).toBe("p. ej. 2h 30m");
+    expect(input.getAttribute("aria-label")).toBe("Tiempo estimado");
+    expect(document.documentElement.lang).toBe("es");
+  });
+
+  test("translates part of a page", () => {
+    document.body.innerHTML = `<div id="part"><span data-i18n="timer.stop"></span></div>`;
+
+    translatePage(document.getElementById("part"));
+
+    expect(document.querySelector("span").textContent).toBe("Stop");
+  });
+});
+
+describe("catalogs", () => {
+  test.each(Object.keys(CATALOGS))(
+    "%s has every English message with the same placeholders",
+    (language) => {
+      const catalog = CATALOGS[language];
+
+      expect(Object.keys(catalog).sort()).toEqual(
+        Object.keys(CATALOGS.en).sort(),
+      );
+      for (const [key, message] of Object.entries(CATALOGS.en)) {
+        expect([key, placeholdersOf(catalog[key])]).toEqual([
+          key,
+          placeholdersOf(message),
+        ]);
+      }
+    },
+  );
+
+  test("are exposed on the default export", () => {
+    expect(i18n.translate).toBe(translate);
+    expect(i18n.translatePage).toBe(translatePage);
+  });
+});
+
+describe("untranslated text", () => {
+  const read = (path) =>
+    readFileSync(new URL(`../../${path}`, import.meta.url), "utf8");
+  const list = (dir, extension) =>
+    readdirSync(new URL(`../../${dir}/`, import.meta.url))
+      .filter((name) => name.endsWith(extension))
+      .map((name) => `${dir}/${name}`);
+  const parse = (view) =>
+    new DOMParser().parseFromString(read(view), "text/html");
+  // A word, rather than a unit such as the "h" of "2h"
+  const hasWords = (text) => /\p{L}{2,}/u.test(text);
+
+  const VIEWS = list("views", ".html");
+
+  /** Attributes a member reads; data-i18n-<attribute> names their key */
+  const ATTRIBUTES = ["title", "placeholder", "aria-label"];
+
+  test.each(VIEWS)("%s names a message key for its text", (view) => {
+    const page = parse(view);
+    for (const element of page.querySelectorAll("script, style")) {
+      element.remove();
+    }
+
+    const literals = [];
+    const walker = page.createTreeWalker(page.body, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const { textContent, parentElement } = walker.currentNode;
+      // translatePage replaces the whole text of the element, so the key
+      // must be on the text's own element
+      if (hasWords(textContent) && !parentElement.hasAttribute("data-i18n")) {
+        literals.push(textContent.trim());
+      }
+    }
+    for (const attribute of ATTRIBUTES) {
+      for (const element of page.body.querySelectorAll(`[${attribute}]`)) {
+        const value = element.getAttribute(attribute);
+        if (
+          hasWords(value) &&
+          !element.hasAttribute(`data-i18n-${attribute}`)
+        ) {
+          literals.push(value);
+        }
+      }
+    }
+
+    expect(literals).toEqual([]);
+  });
+
+  /** Ways scripts show text, each capturing the text shown */
+  const SINKS = [
+    // alert("…") and confirm(`…`)
+    /\b(?:alert|confirm)\(\s*["'`]([^"'`]*)/g,
+    // element.textContent = "…"
+    /\.(?:textContent|title|placeholder)\s*=\s*["'`]([^"'`]*)/g,
+    // title="…" in markup
+    /(?<![\w-])(?:title|placeholder|aria-label)="([^"]*)"/g,
+    // <tag>…</tag> in markup
+    /<[a-z][\w-]*(?:\s(?:\$\{[^}]*\}|[^<>])*)?>((?:\$\{[^}]*\}|[^<>`])*)/g,
+  ];
+
+  /**
+   * Finds the text a script shows without translating it. ${…} expressions
+   * are left out: they hold translated text or data.
+   * @param {string} source - Script source
+   * @returns {Array<string>} Code showing literal text
+   */
+  const findLiterals = (source) => {
+    const code = source.replace(/\/\*[\s\S]*?\*\/|^\s*\/\/.*$/gm, "");
+    return SINKS.flatMap((sink) => [...code.matchAll(sink)])
+      .filter(([, shown]) => hasWords(shown.replace(/\$\{[^}]*\}?/g, "")))
+      .map(([match]) => match.trim());
+  };
+
+  test.each([...list("src/ui", ".js"), "src/main.js"])(
+    "%s translates the text it shows",
+    (module) => {
+      expect(findLiterals(read(module))).toEqual([]);
+    },
+  );
+
+  test.each(VIEWS)("%s translates the text its scripts show", (view) => {
+    const scripts = [...parse(view).querySelectorAll("script")];
+
+    expect(
+      scripts.flatMap((script) => findLiterals(script.textContent)),
+    ).toEqual([]);
+  });
+
+  test("finds literal text", () => {
+    expect(
+      findLiterals(`
+        alert("Saved");
+        status.textContent = \`Failed: \${error}\`;
+        html = \`<button title="Close">\${text("timer.stop")}</button>\`;
+        html = \`<span class="total">\${time} left</span>\`;
+      `),
+    ).toEqual([
+      'alert("Saved',
+      ".textContent = `Failed: ${error}",
+      'title="Close"',
+      '<span class="total">${time} left',
+    ]);
+    expect(
+      findLiterals(`
+        alert(translate("entries.addFailed", { error }));
+        html = \`<b title="\${text("timer.stop")}">\${formatDuration(ms, { compact: true })}</b>\`;
+        hours.textContent = \`\${hours}h\`;
+      `),
+    ).toEqual([]);
+  });
+});
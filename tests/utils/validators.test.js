@@ -6,6 +6,8 @@ import {
   isPositiveNumber,
   isNonEmptyString,
   isValidEntry,
+  isValidCurrency,
+  isValidColor,
 } from "../../src/utils/validators.js";
 
 describe("isPositiveNumber", () => {
@@ -101,3 +103,36 @@ describe("isValidEntry", () => {
     expect(isValidEntry({ startTime: 1000, endTime: 1000 })).toBe(false);
   });
 });
+
+describe("isValidCurrency", () => {
+  test("returns true for ISO 4217 codes", () => {
+    expect(isValidCurrency("USD")).toBe(true);
+    expect(isValidCurrency("EUR")).toBe(true);
+    expect(isValidCurrency("JPY")).toBe(true);
+  });
+
+  test("returns false for malformed codes", () => {
+    expect(isValidCurrency("usd")).toBe(false);
+    expect(isValidCurrency("US")).toBe(false);
+    expect(isValidCurrency("$")).toBe(false);
+    expect(isValidCurrency(null)).toBe(false);
+  });
+
+  test("returns false for unknown currencies", () => {
+    expect(isValidCurrency("ZZZ")).toBe(false);
+  });
+});
+
+describe("isValidColor", () => {
+  test("returns true for six-digit hex colors", () => {
+    expect(isValidColor("#4bce97")).toBe(true);
+    expect(isValidColor("#FFAA00")).toBe(true);
+  });
+
+  test("returns false for anything else", () => {
+    expect(isValidColor("#fff")).toBe(false);
+    expect(isValidColor("red")).toBe(false);
+    expect(isValidColor("#4bce97;background:url(x)")).toBe(false);
+    expect(isValidColor(undefined)).toBe(false);
+  });
+});